@@ -3,13 +3,38 @@ if (typeof browser !== 'undefined' && typeof chrome === 'undefined') {
   globalThis.chrome = browser;
 }
 
+// Shared URL rule matching (Firefox loads it via background.scripts instead)
+if (typeof importScripts === 'function') {
+  importScripts('../shared/url-rules.js', '../shared/verdict-history.js');
+}
+
 // Application constants
 const CONSTANTS = {
   // Storage keys
   STORAGE_KEYS: {
     GOALS: 'focus_guard_goals',
     SETTINGS: 'focus_guard_settings',
-    ANALYTICS: 'focus_guard_analytics'
+    ANALYTICS: 'focus_guard_analytics',
+    WHITELIST: 'focus_guard_whitelist',
+    BLOCKLIST: 'focus_guard_blocklist',
+    RULE_HITS: 'focus_guard_rule_hits',
+    BYPASSES: 'focus_guard_bypasses',
+    FEEDBACK: 'focus_guard_feedback',
+    FOCUS_SESSION: 'focus_guard_focus_session',
+    FOCUS_SUMMARY: 'focus_guard_focus_summary',
+    FOCUS_HISTORY: 'focus_guard_focus_history',
+    SCHEDULE_STATE: 'focus_guard_schedule_state',
+    PROFILES: 'focus_guard_profiles',
+    PROFILE_DATA: 'focus_guard_profile_data',
+    CLASSIFIER: 'focus_guard_classifier',
+    PROVIDER_HEALTH: 'focus_guard_provider_health',
+    RATE_LIMIT_BUCKET: 'focus_guard_rate_limit_bucket',
+    REQUEST_USAGE: 'focus_guard_request_usage',
+    ATTENTION: 'focus_guard_attention',
+    ATTENTION_STATE: 'focus_guard_attention_state',
+    RECENT_VERDICTS: 'focus_guard_recent_verdicts',
+    ANALYSIS_CACHE: 'focus_guard_analysis_cache',
+    PLAIN_OUTPUT_ENDPOINTS: 'focus_guard_plain_output_endpoints'
   },
 
   // Message types for cross-component communication
@@ -22,19 +47,60 @@ const CONSTANTS = {
     UPDATE_SETTINGS: 'UPDATE_SETTINGS',
     GET_SETTINGS: 'GET_SETTINGS',
     TOGGLE_EXTENSION: 'TOGGLE_EXTENSION',
-    BYPASS_PAGE: 'BYPASS_PAGE'
+    BYPASS_PAGE: 'BYPASS_PAGE',
+    LIST_MODELS: 'LIST_MODELS',
+    RECORD_RULE_HIT: 'RECORD_RULE_HIT',
+    SHIELD_TIMEOUT: 'SHIELD_TIMEOUT',
+    BYPASS_EXPIRED: 'BYPASS_EXPIRED',
+    PAGE_FEEDBACK: 'PAGE_FEEDBACK',
+    START_FOCUS_SESSION: 'START_FOCUS_SESSION',
+    STOP_FOCUS_SESSION: 'STOP_FOCUS_SESSION',
+    GET_FOCUS_SESSION: 'GET_FOCUS_SESSION',
+    SWITCH_PROFILE: 'SWITCH_PROFILE',
+    REANALYZE_PAGE: 'REANALYZE_PAGE',
+    RESET_ANALYTICS: 'RESET_ANALYTICS'
   },
 
   // Default settings
   DEFAULT_SETTINGS: {
     enabled: true,
-    confidenceThreshold: 75,
+    minAlignmentScore: 25, // Block pages whose alignment score falls below this
     provider: 'openai',
     model: 'gpt-5-mini',
     apiKey: '',
+    fallbacks: [], // { provider, model, apiKey } tried in order when the primary provider fails
+    localBaseUrl: 'http://localhost:11434/v1',
+    requestTimeouts: {}, // Seconds per provider, overriding its default timeout
+    prices: {}, // Model -> { input, output } in USD per million tokens, overriding PRICING.MODELS
+    budget: {
+      dailyLimit: 0, // USD per day (0 = no limit)
+      monthlyLimit: 0, // USD per month (0 = no limit)
+      action: 'cheaper', // Once reached: 'cheaper' model or 'local' providers only
+      cheaperModel: '' // Model for the primary provider; empty picks its cheapest priced model
+    },
+    enableCache: true,
+    historyRetentionDays: 90, // Days to keep entries in the verdict history
+    trackTime: true, // Track time on the active tab for the focus reports
+    localClassifier: true, // Decide confident cases locally before calling the LLM
+    blockingMode: 'overlay', // 'overlay' (after load) or 'prerender' (hide until analyzed)
+    prerenderMaxWait: 5, // Seconds to keep a page hidden while waiting for a verdict
+    prerenderFailMode: 'open', // 'open' reveals the page on timeout, 'closed' blocks it
+    bypassDuration: 10, // Minutes a "Continue anyway" lasts before the tab is re-blocked
+    dailyBypassLimit: 5, // Bypasses allowed per day (0 = unlimited)
+    bypassFriction: 'none', // 'none', 'countdown' or 'justification'
+    bypassCountdown: 10, // Seconds before "Continue anyway" becomes clickable
+    focusInterval: 25, // Minutes of focus between breaks in a focus session
+    breakDuration: 5, // Minutes per break (0 = no breaks)
+    schedule: {
+      enabled: false, // When enabled, pages are only blocked inside the rules' time windows
+      timezone: '', // IANA time zone; empty uses the browser's zone
+      rules: [] // { id, days: [0-6, 0 = Sunday], start: 'HH:MM', end: 'HH:MM', profileId }
+    },
     rateLimit: {
-      requestsPerMinute: 20,
-      lastRequestTime: 0
+      requestsPerMinute: 20, // Sustained rate; up to this many requests can also go out in a burst
+      overLimit: 'allow', // 'allow' or 'block' the page, or 'wait' for a free request slot
+      dailyCap: 0, // LLM requests per day (0 = unlimited)
+      monthlyCap: 0 // LLM requests per month (0 = unlimited)
     }
   },
 
@@ -80,6 +146,14 @@ const CONSTANTS = {
         'claude-sonnet-4'
       ],
       keyRequired: true
+    },
+    local: {
+      name: 'Local / Self-hosted',
+      baseUrl: 'http://localhost:11434/v1', // Ollama's OpenAI-compatible endpoint
+      models: [], // Discovered from the endpoint at runtime
+      keyRequired: false,
+      customBaseUrl: true,
+      timeout: 30000 // Local models can take a while to load and respond
     }
   },
 
@@ -88,50 +162,283 @@ const CONSTANTS = {
     MAX_CONTENT_LENGTH: 4000,
     UNWANTED_SELECTORS: ['script', 'style', 'nav', 'header', 'footer', 'aside', 'noscript'],
     CONTENT_SELECTORS: ['main', 'article', '[role="main"]', '.content', 'body'],
-    ANALYSIS_DELAY: 500 // ms to wait after page load
+    ANALYSIS_DELAY: 500, // ms to wait after page load
+    SHIELD_SCRIPT_ID: 'focus-guard-shield',
+    SHIELD_SCRIPTS: ['src/content/shield.js'],
+    SHIELD_STYLES: ['src/content/shield.css']
   },
 
   // UI settings
   UI: {
     BLOCKING_OVERLAY_ID: 'focus-guard-overlay',
     MAX_GOAL_LENGTH: 200,
-    MAX_GOALS_COUNT: 10
+    MAX_GOALS_COUNT: 10,
+    MAX_BLOCKLIST_COUNT: 10000
+  },
+
+  // Timed bypass settings
+  BYPASS: {
+    ALARM_PREFIX: 'focus-guard-bypass:',
+    MIN_JUSTIFICATION_LENGTH: 15,
+    HISTORY_COUNT: 50
+  },
+
+  // Focus sessions (Pomodoro-style)
+  FOCUS_SESSION: {
+    PHASE_ALARM: 'focus-guard-session-phase',
+    TICK_ALARM: 'focus-guard-session-tick',
+    PRESETS: [25, 50],
+    MIN_MINUTES: 5,
+    MAX_MINUTES: 240,
+    HISTORY_COUNT: 20,
+    BADGE_COLORS: {
+      focus: '#333333',
+      break: '#2e7d32'
+    }
+  },
+
+  // Weekly blocking schedules
+  SCHEDULE: {
+    ALARM: 'focus-guard-schedule',
+    DAY_NAMES: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'],
+    WEEK_MINUTES: 7 * 24 * 60,
+    MAX_RULES: 20,
+    MAX_ALARM_DELAY_MINUTES: 60 // Re-check at least hourly so DST shifts are picked up
+  },
+
+  // Local pre-classifier trained on the user's own past verdicts
+  CLASSIFIER: {
+    MIN_DOCS: 20, // Training pages needed before the classifier decides anything
+    MIN_DOCS_PER_CLASS: 5,
+    CONFIDENCE: 0.95, // Posterior needed to skip the LLM
+    SITE_MIN_VERDICTS: 5, // Unanimous verdicts on a site needed to trust the site alone
+    SITE_MAX_AGE_DAYS: 14, // A site tally without a fresh LLM verdict for this long is no longer trusted
+    AUDIT_RATE: 0.1, // Share of confident local verdicts still sent to the LLM, to keep learning
+    PERSIST_DELAY: 5000, // ms to batch training updates into one write
+    CONTENT_CHARS: 2000,
+    MAX_TOKENS: 5000, // Vocabulary size per model before rare tokens are pruned
+    MAX_SITES: 500,
+    MAX_MODELS: 5 // One model per goal set, least recently trained dropped first
+  },
+
+  // Per-goal related topics/sites and "not this" patterns, sized so that the most goals
+  // with full hints still fit in UI.MAX_GOALS_BYTES
+  GOAL_HINTS: {
+    MAX_HINTS: 5,
+    MAX_HINT_LENGTH: 40
+  },
+
+  // Goal profiles: each bundles goals, whitelist, blocklist, threshold and model
+  PROFILES: {
+    DEFAULT_ID: 'default',
+    DEFAULT_NAME: 'Default',
+    MAX_PROFILES: 10,
+    MAX_NAME_LENGTH: 30
+  },
+
+  // Learning from bypasses and "correctly blocked" feedback
+  FEEDBACK: {
+    THRESHOLD_STEP: 5, // Points the per-site threshold moves per net feedback event
+    MAX_ADJUSTMENT: 20,
+    MAX_EXAMPLES_PER_DOMAIN: 5,
+    MAX_DOMAINS: 200,
+    PROMPT_EXAMPLES: 4
+  },
+
+  // Whitelist/blocklist rule settings (formats are documented in url-rules.js)
+  URL_RULES: {
+    MAX_RULE_LENGTH: 500
+  },
+
+  // Scoring model: the LLM rates goal ALIGNMENT from 0 (actively distracts)
+  // to 100 (directly supports the goals). Pages scoring below
+  // settings.minAlignmentScore are blocked.
+  SCORING: {
+    MIN: 0,
+    MAX: 100,
+    DEFAULT_MIN_ALIGNMENT: 25
   },
 
   // API settings
   API: {
-    TIMEOUT: 10000, // 10 seconds
-    RETRY_ATTEMPTS: 2,
-    CACHE_DURATION: 3600000 // 1 hour in milliseconds
+    TIMEOUT: 10000, // 10 seconds; default per-request timeout unless the provider sets its own
+    MIN_TIMEOUT_SECONDS: 2,
+    MAX_TIMEOUT_SECONDS: 120,
+    RETRY_ATTEMPTS: 2, // Retries per provider after a 429, 5xx, timeout or network error
+    RETRY_BASE_DELAY: 1000, // Doubled on each retry
+    MAX_RETRY_DELAY: 8000, // A longer Retry-After skips to the next provider instead of waiting
+    MAX_FALLBACKS: 3,
+    CACHE_DURATION: 3600000, // 1 hour in milliseconds
+    MAX_OUTPUT_TOKENS: 300, // Room for the JSON verdict and a one-sentence rationale
+    PLAIN_OUTPUT_TTL: 7 * 24 * 60 * 60 * 1000 // How long a model that rejected structured output gets plain prompts
+  },
+
+  // Estimated LLM prices in USD per million tokens; local models are free and users can override these
+  PRICING: {
+    DEFAULT_MODELS: { // Used when no model is set, and to price usage recorded before per-model tracking
+      openrouter: 'openai/gpt-5-mini',
+      openai: 'gpt-5-mini',
+      anthropic: 'claude-sonnet-4'
+    },
+    TYPICAL_REQUEST: { inputTokens: 1500, outputTokens: 150 }, // For comparing models by cost per page
+    CHART_DAYS: 30,
+    MODELS: {
+      'gpt-5': { input: 1.25, output: 10 },
+      'gpt-5-mini': { input: 0.25, output: 2 },
+      'gpt-5-nano': { input: 0.05, output: 0.4 },
+      'claude-opus-4.1': { input: 15, output: 75 },
+      'claude-sonnet-4': { input: 3, output: 15 },
+      'openai/gpt-5': { input: 1.25, output: 10 },
+      'openai/gpt-5-mini': { input: 0.25, output: 2 },
+      'openai/gpt-5-nano': { input: 0.05, output: 0.4 },
+      'anthropic/claude-opus-4.1': { input: 15, output: 75 },
+      'anthropic/claude-sonnet-4': { input: 3, output: 15 },
+      'google/gemini-2.5-pro': { input: 1.25, output: 10 },
+      'meta-llama/llama-3.3-70b-instruct': { input: 0.13, output: 0.4 },
+      'meta-llama/llama-4-maverick': { input: 0.15, output: 0.6 },
+      'deepseek/deepseek-r1': { input: 0.55, output: 2.19 },
+      'deepseek/deepseek-chat-v3': { input: 0.27, output: 1.1 }
+    }
+  },
+
+  // LLM request rate limiting
+  RATE_LIMIT: {
+    MAX_WAIT: 30000, // A request queued longer than this (ms) gives up and the page is allowed
+    MAX_REQUESTS_PER_MINUTE: 60,
+    MAX_DAILY_CAP: 10000,
+    MAX_MONTHLY_CAP: 100000
+  },
+
+  // Persistent analysis cache settings (TTL is API.CACHE_DURATION)
+  CACHE: {
+    MAX_ENTRIES: 500,
+    PERSIST_DELAY: 5000, // ms to batch recency updates from cache hits into one write
+    TRACKING_PARAMS: ['utm_*', 'fbclid', 'gclid', 'dclid', 'msclkid', 'mc_cid', 'mc_eid', 'ref_src']
+  },
+
+  // Structured verdict settings
+  VERDICT: {
+    CATEGORIES: [
+      'work',
+      'learning',
+      'reference',
+      'communication',
+      'news',
+      'social_media',
+      'entertainment',
+      'shopping',
+      'other'
+    ],
+    MAX_RATIONALE_LENGTH: 300,
+    RECENT_VERDICTS_COUNT: 50
+  },
+
+  // Usage counters (local storage, bucketed by local day)
+  ANALYTICS: {
+    COUNTERS: ['totalRequests', 'blockedPages', 'bypassedPages', 'savedCalls'],
+    RETENTION_DAYS: 90,
+    CHART_DAYS: 30,
+    MAX_EXPORT_DAYS: 366
+  },
+
+  // Active-tab time tracking for the focus reports
+  ATTENTION: {
+    FLUSH_ALARM: 'focus-guard-attention-flush',
+    IDLE_SECONDS: 60, // Inactivity after which the user counts as away
+    MAX_SEGMENT_MS: 5 * 60000, // Longest stretch credited at once (guards against missed sleep/idle events)
+    MAX_VERDICT_DOMAINS: 500,
+    RETENTION_DAYS: 56,
+    TREND_DAYS: 14,
+    TREND_WEEKS: 8,
+    TOP_DOMAINS: 10
+  },
+
+  // Verdict history (IndexedDB)
+  HISTORY: {
+    DB_NAME: 'focus_guard_history',
+    DB_VERSION: 2, // 2 dropped the stored page excerpts
+    STORE: 'verdicts',
+    MAX_ENTRIES: 5000,
+    MIN_RETENTION_DAYS: 1,
+    MAX_RETENTION_DAYS: 365,
+    PRUNE_INTERVAL: 50, // Entries added between retention passes
+    PAGE_SIZE: 50
+  },
+
+  // Backup files (versioned; older schemas are migrated on import)
+  BACKUP: {
+    FORMAT: 'focus-guard-backup',
+    SCHEMA_VERSION: 2, // 1 = the unversioned goals/settings/analytics export
+    MAX_REPORTED_ERRORS: 20,
+    SETTING_CHOICES: {
+      blockingMode: ['overlay', 'prerender'],
+      prerenderFailMode: ['open', 'closed'],
+      bypassFriction: ['none', 'countdown', 'justification'],
+      'budget.action': ['cheaper', 'local'],
+      'rateLimit.overLimit': ['allow', 'block', 'wait']
+    }
   }
 };
 
+// JSON schema requested from providers' structured-output / tool-calling modes
+const VERDICT_SCHEMA = {
+  type: 'object',
+  properties: {
+    score: {
+      type: 'integer',
+      minimum: 0,
+      maximum: 100,
+      description: 'Goal alignment from 0 (actively distracts) to 100 (directly supports the goals)'
+    },
+    category: {
+      type: 'string',
+      enum: CONSTANTS.VERDICT.CATEGORIES,
+      description: 'What kind of page this is'
+    },
+    matchedGoalId: {
+      type: ['string', 'null'],
+      description: 'ID of the goal this page serves best, or null if none'
+    },
+    rationale: {
+      type: 'string',
+      description: 'One sentence explaining the score'
+    }
+  },
+  required: ['score', 'category', 'matchedGoalId', 'rationale'],
+  additionalProperties: false
+};
+
 // Prompt template for LLM analysis
-const ANALYSIS_PROMPT = `TASK: Analyze how likely this webpage is to DISTRACT from the user's current goals.
+const ANALYSIS_PROMPT = `TASK: Analyze if this webpage aligns with the user's current goals.
 
-USER GOALS:
+USER GOALS (highest priority first; a higher weight means the goal matters more):
 {goals}
 
 WEBPAGE INFO:
 Title: {title}
 Content: {content}
 
-INSTRUCTIONS:
+{feedback}INSTRUCTIONS:
 Think step by step to evaluate this webpage:
 
 1. GOAL ANALYSIS: What is the user trying to accomplish based on their goals?
 2. CONTENT ANALYSIS: What is this webpage primarily about?
-3. ALIGNMENT ASSESSMENT: How well does this webpage content relate to the user's goals?
+3. ALIGNMENT ASSESSMENT: How well does this webpage content relate to the user's goals, giving higher-weight goals more importance?
 4. DISTRACTION POTENTIAL: Could this webpage lead the user away from their goals?
 
-Rate from 0-100 how LIKELY this webpage is to DISTRACT from the user's goals:
-- 0-20: Directly supports goal achievement (educational, work-related content aligned with goals)
-- 21-40: Likely helpful for achieving goals or neutral
-- 41-60: Unclear relationship to goals, minor distraction potential
-- 61-80: Likely distracts or provides no value toward goals  
-- 81-100: Actively distracts from goals (social media, entertainment unrelated to goals)
+Rate from 0-100 how well this webpage ALIGNS with the user's goals (higher = more aligned):
+- 0-20: Actively distracts from goals (social media, entertainment unrelated to goals)
+- 21-40: Likely distracts or provides no value toward goals  
+- 41-60: Neutral or unclear relationship to goals
+- 61-80: Likely helpful for achieving goals
+- 81-100: Directly supports goal achievement
 
-Think through your reasoning, then respond with only the final number (0-100).`;
+Think through your reasoning, then respond with only a JSON object in this exact shape:
+{"score": <0-100>, "category": "<category>", "matchedGoalId": "<goal id or null>", "rationale": "<one sentence>"}
+
+- category must be one of: {categories}
+- matchedGoalId must be the bracketed ID of the goal this page serves best, or null
+- rationale must be a single short sentence explaining the score`;
 
 /**
  * Utility functions for the extension
@@ -141,13 +448,17 @@ class Utils {
   /**
    * Create prompt for LLM analysis
    */
-  static createAnalysisPrompt(title, content, goals) {
-    const goalsText = this.formatGoalsForPrompt(goals);
-    
-    return ANALYSIS_PROMPT
-      .replace('{goals}', goalsText)
-      .replace('{title}', title)
-      .replace('{content}', content);
+  static createAnalysisPrompt(title, content, goals, feedbackExamples = []) {
+    const values = {
+      goals: this.formatGoalsForPrompt(goals),
+      categories: CONSTANTS.VERDICT.CATEGORIES.join(', '),
+      feedback: this.formatFeedbackExamples(feedbackExamples),
+      title,
+      content
+    };
+
+    // One pass with a replacer function: page text containing "$&" or "{content}" is inserted as-is
+    return ANALYSIS_PROMPT.replace(/\{(goals|categories|feedback|title|content)\}/g, (placeholder, name) => values[name]);
   }
 
   /**
@@ -158,801 +469,3905 @@ class Utils {
       return 'No specific goals set';
     }
 
-    return goals
-      .filter(goal => goal.isActive)
-      .map(goal => `- ${goal.text}`)
-      .join('\n');
-  }
-
-  /**
-   * Parse confidence score from LLM response
-   */
-  static parseConfidenceScore(response) {
-    if (!response || typeof response !== 'string') {
-      return null;
+    const activeGoals = goals.filter(goal => this.isGoalActive(goal));
+    if (activeGoals.length === 0) {
+      return 'No specific goals set';
     }
 
-    // Extract number from response
-    const match = response.trim().match(/\d+/);
-    if (!match) {
-      return null;
-    }
+    return activeGoals
+      .map((goal, index) => {
+        const weight = this.getGoalWeight(index, activeGoals.length).toFixed(2);
+        const lines = [`- [${goal.id}] (priority ${index + 1}, weight ${weight}) ${goal.text}`];
 
-    const score = parseInt(match[0], 10);
-    
-    // Validate score is in valid range
-    if (score < 0 || score > 100) {
-      return null;
-    }
+        if (goal.keywords?.length) {
+          lines.push(`  Related topics/sites: ${goal.keywords.join(', ')}`);
+        }
+        if (goal.antiPatterns?.length) {
+          lines.push(`  Not this (counts as a distraction): ${goal.antiPatterns.join(', ')}`);
+        }
 
-    return score;
+        return lines.join('\n');
+      })
+      .join('\n');
   }
 
   /**
-   * Check if rate limit is exceeded
+   * Whether a goal counts right now: not paused and not past its expiry date
    */
-  static isRateLimited(settings) {
-    const now = Date.now();
-    const timeSinceLastRequest = now - (settings.rateLimit.lastRequestTime || 0);
-    const minInterval = (60 * 1000) / settings.rateLimit.requestsPerMinute; // ms between requests
-    
-    return timeSinceLastRequest < minInterval;
+  static isGoalActive(goal, now = Date.now()) {
+    return goal.isActive !== false && !(goal.expiresAt && goal.expiresAt <= now);
   }
 
   /**
-   * Update rate limit timestamp
+   * Priority weight of the goal at a position in the user's order (top goal = 1)
    */
-  static updateRateLimit(settings) {
-    return {
-      ...settings,
-      rateLimit: {
-        ...settings.rateLimit,
-        lastRequestTime: Date.now()
-      }
-    };
+  static getGoalWeight(index, count) {
+    return count > 0 ? (count - index) / count : 0;
   }
 
   /**
-   * Generate cache key for page analysis
+   * Test a goal hint against a page. Site-like hints ("rust-lang.org", "youtube.com/shorts")
+   * use the URL rule matcher; anything else is a whole-word phrase match on the title and URL.
    */
-  static generateCacheKey(url, content, goals) {
-    const goalsHash = goals.map(g => g.text).join('|');
-    const contentHash = content.substring(0, 100); // First 100 chars
-    return btoa(`${url}:${contentHash}:${goalsHash}`).substring(0, 50);
+  static matchesGoalHint(hint, page) {
+    const phrase = (hint || '').trim().toLowerCase();
+    if (!phrase) {
+      return false;
+    }
+
+    if (/^[a-z0-9*-]+(\.[a-z0-9-]+)+(\/\S*)?$/.test(phrase)) {
+      try {
+        return UrlRules.matches(UrlRules.parseRule(phrase), page.url);
+      } catch (error) {
+        // Not a valid rule after all; fall back to a text match
+      }
+    }
+
+    let urlText = '';
+    try {
+      const urlObj = new URL(page.url);
+      urlText = decodeURIComponent(urlObj.hostname + urlObj.pathname).replace(/[-_/.+]+/g, ' ');
+    } catch (error) {
+      urlText = page.url || '';
+    }
+
+    // Whole words, allowing a plural ("game stream" matches "Game Streams")
+    const words = phrase.split(/\s+/).map(word => UrlRules.escapeRegex(word)).join('[\\s_-]+');
+    const pattern = new RegExp(`(^|[^\\p{L}\\p{N}])${words}(e?s)?(?=$|[^\\p{L}\\p{N}])`, 'iu');
+    return pattern.test(page.title || '') || pattern.test(urlText);
   }
-}
 
-/**
- * Storage utility functions for Chrome extension
- */
-class StorageManager {
-  
   /**
-   * Get goals from storage
+   * Cheap verdict from goal hints, or null when the LLM has to decide.
+   * A "not this" pattern blocks and a related topic or site allows, but only
+   * when no other goal's hints point the other way.
    */
-  static async getGoals() {
-    try {
-      const result = await chrome.storage.sync.get(CONSTANTS.STORAGE_KEYS.GOALS);
-      return result[CONSTANTS.STORAGE_KEYS.GOALS] || [];
-    } catch (error) {
-      console.error('Error getting goals:', error);
-      return [];
+  static matchGoalHints(goals, page) {
+    let allow = null;
+    let block = null;
+
+    (goals || []).forEach(goal => {
+      const antiPattern = (goal.antiPatterns || []).find(hint => this.matchesGoalHint(hint, page));
+      if (antiPattern) {
+        block = block || { goal, hint: antiPattern };
+        return;
+      }
+
+      const keyword = (goal.keywords || []).find(hint => this.matchesGoalHint(hint, page));
+      if (keyword) {
+        allow = allow || { goal, hint: keyword };
+      }
+    });
+
+    if (block && !allow) {
+      return { shouldBlock: true, ...block };
     }
+
+    if (allow && !block) {
+      return { shouldBlock: false, ...allow };
+    }
+
+    return null;
   }
 
   /**
-   * Get settings from storage
+   * Site key used for learned feedback (hostname without "www.")
    */
-  static async getSettings() {
+  static getFeedbackDomain(url) {
     try {
-      const result = await chrome.storage.sync.get(CONSTANTS.STORAGE_KEYS.SETTINGS);
-      return {
-        ...CONSTANTS.DEFAULT_SETTINGS,
-        ...result[CONSTANTS.STORAGE_KEYS.SETTINGS]
-      };
+      return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
     } catch (error) {
-      console.error('Error getting settings:', error);
-      return CONSTANTS.DEFAULT_SETTINGS;
+      return null;
     }
   }
 
   /**
-   * Save settings to storage
+   * Threshold shift learned for a site: bypasses make it more lenient, confirmed blocks stricter
    */
-  static async setSettings(settings) {
-    try {
-      const currentSettings = await this.getSettings();
-      const updatedSettings = { ...currentSettings, ...settings };
-      
-      await chrome.storage.sync.set({
-        [CONSTANTS.STORAGE_KEYS.SETTINGS]: updatedSettings
-      });
-      return updatedSettings;
-    } catch (error) {
-      console.error('Error saving settings:', error);
-      throw error;
+  static getThresholdAdjustment(feedbackEntry) {
+    if (!feedbackEntry) {
+      return 0;
     }
+
+    const { THRESHOLD_STEP, MAX_ADJUSTMENT } = CONSTANTS.FEEDBACK;
+    const net = (feedbackEntry.confirmations || 0) - (feedbackEntry.bypasses || 0);
+    return Math.max(-MAX_ADJUSTMENT, Math.min(MAX_ADJUSTMENT, net * THRESHOLD_STEP));
   }
 
   /**
-   * Update analytics
+   * Minimum alignment score for a site after applying learned feedback
    */
-  static async updateAnalytics(updates) {
-    try {
-      const result = await chrome.storage.sync.get(CONSTANTS.STORAGE_KEYS.ANALYTICS);
-      const analytics = result[CONSTANTS.STORAGE_KEYS.ANALYTICS] || {
-        totalRequests: 0,
-        blockedPages: 0,
-        bypassedPages: 0
-      };
-      
-      const updatedAnalytics = { ...analytics };
-      
-      Object.keys(updates).forEach(key => {
-        if (typeof updates[key] === 'number') {
-          updatedAnalytics[key] = (updatedAnalytics[key] || 0) + updates[key];
-        }
-      });
+  static getEffectiveMinScore(settings, feedbackEntry) {
+    const base = settings.minAlignmentScore ?? CONSTANTS.SCORING.DEFAULT_MIN_ALIGNMENT;
+    const adjusted = base + this.getThresholdAdjustment(feedbackEntry);
+    return Math.max(CONSTANTS.SCORING.MIN, Math.min(CONSTANTS.SCORING.MAX, adjusted));
+  }
 
-      await chrome.storage.sync.set({
-        [CONSTANTS.STORAGE_KEYS.ANALYTICS]: updatedAnalytics
-      });
-      return updatedAnalytics;
-    } catch (error) {
-      console.error('Error updating analytics:', error);
-      throw error;
+  /**
+   * Format learned feedback as few-shot examples for the prompt
+   */
+  static formatFeedbackExamples(examples) {
+    if (!examples || examples.length === 0) {
+      return '';
     }
+
+    const lines = examples.map(example => {
+      const score = typeof example.alignmentScore === 'number' ? `, scored ${example.alignmentScore}` : '';
+      const outcome = example.verdict === 'block'
+        ? 'the user confirmed it was a distraction'
+        : 'the user needed it and bypassed the block';
+      return `- "${example.title || example.url}" (${example.url}${score}): ${outcome}`;
+    });
+
+    return `USER FEEDBACK ON PAST VERDICTS (calibrate your score with these):\n${lines.join('\n')}\n\n`;
   }
 
   /**
-   * Get token usage for the last N days
+   * Price of a model in USD per million tokens ({ input, output }), or null if unknown
    */
-  static async getTokenUsage(days = 7) {
-    try {
-      const keys = [];
-      const today = new Date();
-      
-      for (let i = 0; i < days; i++) {
-        const date = new Date(today);
-        date.setDate(date.getDate() - i);
-        keys.push(`tokenUsage_${date.toISOString().split('T')[0]}`);
-      }
-      
-      const result = await chrome.storage.local.get(keys);
-      return result;
-    } catch (error) {
-      console.error('Error getting token usage:', error);
-      return {};
-    }
+  static getModelPrice(model, prices = {}) {
+    return prices?.[model] || CONSTANTS.PRICING.MODELS[model] || null;
   }
 
   /**
-   * Calculate total token usage across all providers and days
+   * Cost in USD of a token count at a price (unpriced models count as free)
    */
-  static calculateTotalTokenUsage(tokenUsageData) {
-    const totals = {
-      inputTokens: 0,
-      outputTokens: 0,
-      totalTokens: 0,
-      requests: 0,
-      byProvider: {}
+  static getTokenCost({ inputTokens = 0, outputTokens = 0 }, price) {
+    return price ? (inputTokens * price.input + outputTokens * price.output) / 1e6 : 0;
+  }
+
+  /**
+   * Estimated cost in USD per model of one day's token usage ({ provider: { inputTokens, outputTokens, models } }).
+   * Tokens recorded before per-model tracking are priced at the provider's default model.
+   */
+  static estimateCostByModel(dayUsage, prices = {}) {
+    const costs = {};
+    const addCost = (model, tokens) => {
+      costs[model] = (costs[model] || 0) + this.getTokenCost(tokens, this.getModelPrice(model, prices));
     };
-    
-    Object.values(tokenUsageData).forEach(dayData => {
-      if (dayData && typeof dayData === 'object') {
-        Object.entries(dayData).forEach(([provider, usage]) => {
-          if (!totals.byProvider[provider]) {
-            totals.byProvider[provider] = {
-              inputTokens: 0,
-              outputTokens: 0,
-              totalTokens: 0,
-              requests: 0
-            };
-          }
-          
-          totals.inputTokens += usage.inputTokens || 0;
-          totals.outputTokens += usage.outputTokens || 0;
-          totals.totalTokens += usage.totalTokens || 0;
-          totals.requests += usage.requests || 0;
-          
-          totals.byProvider[provider].inputTokens += usage.inputTokens || 0;
-          totals.byProvider[provider].outputTokens += usage.outputTokens || 0;
-          totals.byProvider[provider].totalTokens += usage.totalTokens || 0;
-          totals.byProvider[provider].requests += usage.requests || 0;
-        });
+
+    Object.entries(dayUsage || {}).forEach(([provider, usage]) => {
+      if (provider === 'local') {
+        return;
+      }
+
+      let inputTokens = usage.inputTokens || 0;
+      let outputTokens = usage.outputTokens || 0;
+
+      Object.entries(usage.models || {}).forEach(([model, modelUsage]) => {
+        addCost(model, modelUsage);
+        inputTokens -= modelUsage.inputTokens || 0;
+        outputTokens -= modelUsage.outputTokens || 0;
+      });
+
+      if (inputTokens > 0 || outputTokens > 0) {
+        addCost(CONSTANTS.PRICING.DEFAULT_MODELS[provider], { inputTokens, outputTokens: Math.max(0, outputTokens) });
       }
     });
-    
-    return totals;
-  }
-}
 
-/**
- * Abstract base class for LLM providers
- */
-class LLMProvider {
-  constructor(apiKey, model) {
-    this.apiKey = apiKey;
-    this.model = model;
+    return costs;
   }
 
-  async makeRequest(prompt) {
-    throw new Error('makeRequest must be implemented by subclass');
+  /**
+   * Estimated total cost in USD of one day's token usage
+   */
+  static estimateCost(dayUsage, prices = {}) {
+    return Object.values(this.estimateCostByModel(dayUsage, prices)).reduce((total, cost) => total + cost, 0);
   }
 
-  getHeaders() {
-    return {
-      'Content-Type': 'application/json'
-    };
+  /**
+   * The provider's listed model that costs least for a typical request, or null if none are priced
+   */
+  static getCheapestModel(provider, prices = {}) {
+    const costPerPage = model => this.getTokenCost(CONSTANTS.PRICING.TYPICAL_REQUEST, this.getModelPrice(model, prices));
+
+    return (CONSTANTS.PROVIDERS[provider]?.models || [])
+      .filter(model => this.getModelPrice(model, prices))
+      .sort((a, b) => costPerPage(a) - costPerPage(b))[0] || null;
   }
 
-  async handleResponse(response) {
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`HTTP ${response.status}: ${errorText}`);
+  /**
+   * Derive the block decision from an alignment score (see CONSTANTS.SCORING)
+   */
+  static shouldBlockForScore(alignmentScore, settings) {
+    if (typeof alignmentScore !== 'number') {
+      return false;
     }
-    return response.json();
+
+    const minAlignment = settings?.minAlignmentScore ?? CONSTANTS.SCORING.DEFAULT_MIN_ALIGNMENT;
+    return alignmentScore < minAlignment;
   }
-}
 
-/**
- * OpenRouter API provider
- */
-class OpenRouterProvider extends LLMProvider {
-  constructor(apiKey, model = 'openai/gpt-5-mini') {
-    super(apiKey, model);
-    this.baseUrl = CONSTANTS.PROVIDERS.openrouter.baseUrl;
+  /**
+   * Check if URL should be analyzed
+   */
+  static shouldAnalyzeUrl(url) {
+    if (!url || typeof url !== 'string') {
+      return false;
+    }
+
+    // Skip extension pages, chrome pages, etc.
+    const skipPatterns = [
+      'chrome://',
+      'chrome-extension://',
+      'moz-extension://',
+      'about:',
+      'data:',
+      'javascript:'
+    ];
+
+    return !skipPatterns.some(pattern => url.startsWith(pattern));
   }
 
-  getHeaders() {
+  /**
+   * Parse a structured verdict from the LLM response.
+   * Falls back to a bare score when the model ignored the JSON format.
+   */
+  static parseVerdict(response) {
+    if (!response || typeof response !== 'string') {
+      return null;
+    }
+
+    const verdict = this.validateVerdict(this.extractJsonObject(response));
+    if (verdict) {
+      return verdict;
+    }
+
+    const score = this.parseConfidenceScore(response);
+    if (score === null) {
+      return null;
+    }
+
     return {
-      ...super.getHeaders(),
-      'Authorization': `Bearer ${this.apiKey}`,
-      'HTTP-Referer': 'https://focus-guard-extension.com',
-      'X-Title': 'Focus Guard Extension'
+      score,
+      category: 'other',
+      matchedGoalId: null,
+      rationale: '',
+      structured: false
     };
   }
 
-  async makeRequest(prompt) {
-    const requestBody = {
-      model: this.model,
-      messages: [
-        {
-          role: 'user',
-          content: prompt
-        }
-      ],
-      max_tokens: 20,
-      temperature: 0.1,
-      stream: false
+  /**
+   * Extract the first JSON object from a response, tolerating code fences and stray text
+   */
+  static extractJsonObject(text) {
+    const cleaned = text.replace(/```(?:json)?/gi, '').trim();
+    const start = cleaned.indexOf('{');
+    const end = cleaned.lastIndexOf('}');
+
+    if (start === -1 || end <= start) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(cleaned.substring(start, end + 1));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Validate and normalize a verdict object against VERDICT_SCHEMA
+   */
+  static validateVerdict(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return null;
+    }
+
+    const score = typeof data.score === 'string' ? Number(data.score) : data.score;
+    if (typeof score !== 'number' || !Number.isFinite(score) || score < 0 || score > 100) {
+      return null;
+    }
+
+    const category = CONSTANTS.VERDICT.CATEGORIES.includes(data.category) ? data.category : 'other';
+    const matchedGoalId = typeof data.matchedGoalId === 'string' && data.matchedGoalId !== 'null'
+      ? data.matchedGoalId.replace(/^\[|\]$/g, '')
+      : null;
+    const rationale = typeof data.rationale === 'string'
+      ? data.rationale.trim().substring(0, CONSTANTS.VERDICT.MAX_RATIONALE_LENGTH)
+      : '';
+
+    return {
+      score: Math.round(score),
+      category,
+      matchedGoalId,
+      rationale,
+      structured: true
     };
+  }
 
-    // Add GPT-5 specific parameters if using GPT-5 models
-    if (this.model.includes('gpt-5')) {
-      requestBody.reasoning_effort = 'minimal'; // Fast analysis for web filtering
-      requestBody.verbosity = 'low'; // Concise responses
+  /**
+   * Parse a bare alignment score from an unstructured LLM response
+   */
+  static parseConfidenceScore(response) {
+    if (!response || typeof response !== 'string') {
+      return null;
     }
 
-    const response = await fetch(`${this.baseUrl}/chat/completions`, {
-      method: 'POST',
-      headers: this.getHeaders(),
-      body: JSON.stringify(requestBody)
-    });
+    // Accept an explicit "score: N", a rating such as "30/100" or "30 out of 100", or a reply
+    // that is only the number. Other numbers in free text (numbered reasoning steps, counts) are
+    // too ambiguous, so those responses go to the error path instead.
+    const match =
+      response.match(/"?score"?\s*[:=]\s*(\d{1,3})\b/i) ||
+      response.match(/\b(\d{1,3})\s*(?:\/|out of)\s*100\b/i) ||
+      response.trim().match(/^(\d{1,3})\.?$/);
+    if (!match) {
+      return null;
+    }
 
-    const data = await this.handleResponse(response);
+    const score = parseInt(match[1], 10);
     
+    // Validate score is in valid range
+    if (score < 0 || score > 100) {
+      return null;
+    }
+
+    return score;
+  }
+
+  /**
+   * Local calendar day as YYYY-MM-DD (daily budgets reset at local midnight)
+   */
+  static getDateKey(date = new Date()) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+
+  /**
+   * Bypasses left today, or Infinity when the daily limit is disabled
+   */
+  static getRemainingBypasses(bypassState, settings) {
+    const limit = settings.dailyBypassLimit ?? CONSTANTS.DEFAULT_SETTINGS.dailyBypassLimit;
+    if (!limit) {
+      return Infinity;
+    }
+
+    const used = bypassState?.date === this.getDateKey() ? bypassState.used : 0;
+    return Math.max(0, limit - used);
+  }
+
+  /**
+   * Minutes since midnight for an "HH:MM" string, or null if invalid
+   */
+  static parseScheduleTime(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+    if (!match) {
+      return null;
+    }
+
+    const hours = parseInt(match[1]);
+    const minutes = parseInt(match[2]);
+    return hours < 24 && minutes < 60 ? hours * 60 + minutes : null;
+  }
+
+  /**
+   * Day of week (0 = Sunday) and minutes since midnight in a time zone
+   * (falls back to the browser's zone when timeZone is empty or unknown)
+   */
+  static getZonedTime(date, timeZone) {
+    let parts;
+    try {
+      parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timeZone || undefined,
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+      }).formatToParts(date);
+    } catch (error) {
+      return { day: date.getDay(), minutes: date.getHours() * 60 + date.getMinutes() };
+    }
+
+    const get = type => parts.find(part => part.type === type)?.value;
     return {
-      content: data.choices[0]?.message?.content || '',
-      tokenUsage: {
-        inputTokens: data.usage?.prompt_tokens || 0,
-        outputTokens: data.usage?.completion_tokens || 0,
-        totalTokens: data.usage?.total_tokens || 0
+      day: CONSTANTS.SCHEDULE.DAY_NAMES.indexOf(get('weekday')),
+      minutes: parseInt(get('hour')) * 60 + parseInt(get('minute'))
+    };
+  }
+
+  /**
+   * Schedule rules as [start, end) minute-of-week windows;
+   * a window whose end is not after its start runs past midnight
+   */
+  static getScheduleWindows(schedule) {
+    return (schedule?.rules || []).flatMap(rule => {
+      const start = this.parseScheduleTime(rule.start);
+      const end = this.parseScheduleTime(rule.end);
+      if (start === null || end === null || !Array.isArray(rule.days)) {
+        return [];
       }
+
+      return rule.days.map(day => ({
+        ruleId: rule.id,
+        profileId: rule.profileId || null,
+        start: day * 1440 + start,
+        end: day * 1440 + (end > start ? end : end + 1440)
+      }));
+    });
+  }
+
+  /**
+   * Whether blocking is on under a schedule, when that next changes, and the
+   * current window (whose profile is switched to when it starts).
+   * A disabled schedule (or one without rules) never turns blocking off or switches profiles.
+   */
+  static getScheduleState(schedule, date = new Date()) {
+    const windows = this.getScheduleWindows(schedule);
+    if (!schedule?.enabled || windows.length === 0) {
+      return { active: true, nextChangeAt: null, windowKey: null, profileId: null };
+    }
+
+    const { WEEK_MINUTES } = CONSTANTS.SCHEDULE;
+    const { day, minutes } = this.getZonedTime(date, schedule.timezone);
+    const now = day * 1440 + minutes;
+
+    // Windows from late Saturday can spill into the start of the week
+    const current = windows.find(({ start, end }) =>
+      (now >= start && now < end) || (now + WEEK_MINUTES >= start && now + WEEK_MINUTES < end)
+    );
+    const active = Boolean(current);
+
+    const untilNext = Math.min(...windows.flatMap(({ start, end }) => [start, end])
+      .map(boundary => ((boundary - now) % WEEK_MINUTES + WEEK_MINUTES) % WEEK_MINUTES || WEEK_MINUTES));
+
+    const minuteStart = date.getTime() - date.getTime() % 60000;
+    return {
+      active,
+      nextChangeAt: minuteStart + untilNext * 60000,
+      windowKey: current ? `${current.ruleId}:${current.start}` : null,
+      profileId: current?.profileId || null
     };
   }
+
+  /**
+   * Normalize a URL for cache keys: drop the fragment, "www.", tracking
+   * parameters and trailing slashes, and sort the remaining query parameters
+   */
+  static normalizeUrlForCache(url) {
+    try {
+      const urlObj = new URL(url);
+      const isTrackingParam = name => CONSTANTS.CACHE.TRACKING_PARAMS.some(param =>
+        param.endsWith('*') ? name.startsWith(param.slice(0, -1)) : name === param
+      );
+
+      const params = [...urlObj.searchParams.entries()]
+        .filter(([name]) => !isTrackingParam(name))
+        .sort(([a], [b]) => a.localeCompare(b));
+      const query = new URLSearchParams(params).toString();
+      const host = urlObj.host.toLowerCase().replace(/^www\./, '');
+      const path = urlObj.pathname.replace(/\/+$/, '') || '/';
+
+      return `${urlObj.protocol}//${host}${path}${query ? `?${query}` : ''}`;
+    } catch (error) {
+      return (url || '').trim().toLowerCase();
+    }
+  }
+
+  /**
+   * SHA-256 hex digest via SubtleCrypto
+   */
+  static async sha256(text) {
+    const data = new TextEncoder().encode(text);
+    const digest = await crypto.subtle.digest('SHA-256', data);
+    return Array.from(new Uint8Array(digest))
+      .map(byte => byte.toString(16).padStart(2, '0'))
+      .join('');
+  }
+
+  /**
+   * Generate cache key for page analysis from the normalized URL,
+   * a content fingerprint, the active goal set and the model
+   */
+  static async generateCacheKey(url, content, goals, settings = {}) {
+    const contentFingerprint = await this.sha256(
+      (content || '').replace(/\s+/g, ' ').trim().toLowerCase()
+    );
+    // Kept in priority order, since reordering changes the weights in the prompt
+    const goalSet = goals
+      .filter(goal => this.isGoalActive(goal))
+      .map(goal => [goal.id, goal.text, ...(goal.keywords || []), '!', ...(goal.antiPatterns || [])].join(':'))
+      .join('|');
+
+    return this.sha256([
+      this.normalizeUrlForCache(url),
+      contentFingerprint,
+      goalSet,
+      `${settings.provider || ''}/${settings.model || ''}`
+    ].join('\n'));
+  }
 }
 
 /**
- * OpenAI API provider
+ * Storage utility functions for Chrome extension
  */
-class OpenAIProvider extends LLMProvider {
-  constructor(apiKey, model = 'gpt-5-mini') {
-    super(apiKey, model);
-    this.baseUrl = CONSTANTS.PROVIDERS.openai.baseUrl;
+class StorageManager {
+  
+  /**
+   * Get goals from storage
+   */
+  static async getGoals() {
+    try {
+      const result = await chrome.storage.sync.get(CONSTANTS.STORAGE_KEYS.GOALS);
+      return result[CONSTANTS.STORAGE_KEYS.GOALS] || [];
+    } catch (error) {
+      console.error('Error getting goals:', error);
+      return [];
+    }
   }
 
-  getHeaders() {
-    return {
-      ...super.getHeaders(),
-      'Authorization': `Bearer ${this.apiKey}`
-    };
+  /**
+   * Get settings from storage
+   */
+  static async getSettings() {
+    try {
+      const result = await chrome.storage.sync.get(CONSTANTS.STORAGE_KEYS.SETTINGS);
+      return {
+        ...CONSTANTS.DEFAULT_SETTINGS,
+        ...this.migrateSettings(result[CONSTANTS.STORAGE_KEYS.SETTINGS])
+      };
+    } catch (error) {
+      console.error('Error getting settings:', error);
+      return CONSTANTS.DEFAULT_SETTINGS;
+    }
   }
 
-  async makeRequest(prompt) {
-    const requestBody = {
-      model: this.model,
-      messages: [
-        {
-          role: 'user',
-          content: prompt
-        }
-      ],
-      stream: false
+  /**
+   * Migrate settings saved by older versions.
+   * confidenceThreshold blocked at distraction >= T, i.e. alignment <= MAX - T; minAlignmentScore
+   * blocks below itself, so the equivalent is MAX + 1 - T (capped to the score range).
+   * rateLimit.lastRequestTime was rewritten on every page; the limiter now keeps its own state.
+   */
+  static migrateSettings(stored) {
+    if (!stored || typeof stored !== 'object') {
+      return stored;
+    }
+
+    const { confidenceThreshold, ...settings } = stored;
+    if (typeof confidenceThreshold === 'number' && settings.minAlignmentScore === undefined) {
+      settings.minAlignmentScore = Math.min(CONSTANTS.SCORING.MAX,
+        Math.max(CONSTANTS.SCORING.MIN, CONSTANTS.SCORING.MAX + 1 - confidenceThreshold));
+    }
+
+    if (settings.rateLimit) {
+      const { lastRequestTime, ...rateLimit } = settings.rateLimit;
+      settings.rateLimit = { ...CONSTANTS.DEFAULT_SETTINGS.rateLimit, ...rateLimit };
+    }
+
+    return settings;
+  }
+
+  /**
+   * Save settings to storage
+   */
+  static async setSettings(settings) {
+    try {
+      const currentSettings = await this.getSettings();
+      const updatedSettings = { ...currentSettings, ...settings };
+      
+      await chrome.storage.sync.set({
+        [CONSTANTS.STORAGE_KEYS.SETTINGS]: updatedSettings
+      });
+      return updatedSettings;
+    } catch (error) {
+      console.error('Error saving settings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Profiles before any were created: everything so far belongs to "Default"
+   */
+  static getDefaultProfiles() {
+    return {
+      activeId: CONSTANTS.PROFILES.DEFAULT_ID,
+      profiles: [{ id: CONSTANTS.PROFILES.DEFAULT_ID, name: CONSTANTS.PROFILES.DEFAULT_NAME, createdAt: 0 }]
     };
+  }
 
-    // GPT-5 specific parameters (no temperature, uses max_completion_tokens)
-    if (this.model.includes('gpt-5')) {
-      requestBody.max_completion_tokens = 20; // GPT-5 uses max_completion_tokens
-      requestBody.reasoning_effort = 'minimal'; // Fast analysis for web filtering
-      requestBody.verbosity = 'low'; // Concise responses
-      // Note: GPT-5 only supports temperature=1.0 (default), so we omit it
-    } else {
-      // For any remaining older models (shouldn't be used but just in case)
-      requestBody.max_tokens = 20;
-      requestBody.temperature = 0.1;
+  /**
+   * Get timed bypass state ({ date, used, active: { tabId: {...} }, history })
+   */
+  static async getBypassState() {
+    try {
+      const result = await chrome.storage.local.get(CONSTANTS.STORAGE_KEYS.BYPASSES);
+      return result[CONSTANTS.STORAGE_KEYS.BYPASSES] || { date: null, used: 0, active: {}, history: [] };
+    } catch (error) {
+      console.error('Error getting bypass state:', error);
+      return { date: null, used: 0, active: {}, history: [] };
     }
+  }
 
-    console.log('[Focus Guard] OpenAI API request body:', JSON.stringify(requestBody, null, 2));
-    console.log('[Focus Guard] Model being sent:', this.model);
+  /**
+   * Record an analysis verdict (with rationale) for the Statistics tab
+   */
+  static async recordVerdict(verdict) {
+    try {
+      const key = CONSTANTS.STORAGE_KEYS.RECENT_VERDICTS;
+      const result = await chrome.storage.local.get(key);
+      const verdicts = [verdict, ...(result[key] || [])]
+        .slice(0, CONSTANTS.VERDICT.RECENT_VERDICTS_COUNT);
 
-    const response = await fetch(`${this.baseUrl}/chat/completions`, {
-      method: 'POST',
-      headers: this.getHeaders(),
-      body: JSON.stringify(requestBody)
-    });
+      await chrome.storage.local.set({ [key]: verdicts });
+      return verdicts;
+    } catch (error) {
+      console.error('Error recording verdict:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get token usage for the last N local days
+   */
+  static async getTokenUsage(days = 7) {
+    try {
+      const keys = [];
+      const today = new Date();
+      
+      for (let i = 0; i < days; i++) {
+        const date = new Date(today);
+        date.setDate(date.getDate() - i);
+        keys.push(`tokenUsage_${Utils.getDateKey(date)}`);
+      }
+      
+      const result = await chrome.storage.local.get(keys);
+      return result;
+    } catch (error) {
+      console.error('Error getting token usage:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Calculate total token usage across all providers and days
+   */
+  static calculateTotalTokenUsage(tokenUsageData) {
+    const totals = {
+      inputTokens: 0,
+      outputTokens: 0,
+      totalTokens: 0,
+      requests: 0,
+      byProvider: {}
+    };
+    
+    Object.values(tokenUsageData).forEach(dayData => {
+      if (dayData && typeof dayData === 'object') {
+        Object.entries(dayData).forEach(([provider, usage]) => {
+          if (!totals.byProvider[provider]) {
+            totals.byProvider[provider] = {
+              inputTokens: 0,
+              outputTokens: 0,
+              totalTokens: 0,
+              requests: 0
+            };
+          }
+          
+          totals.inputTokens += usage.inputTokens || 0;
+          totals.outputTokens += usage.outputTokens || 0;
+          totals.totalTokens += usage.totalTokens || 0;
+          totals.requests += usage.requests || 0;
+          
+          totals.byProvider[provider].inputTokens += usage.inputTokens || 0;
+          totals.byProvider[provider].outputTokens += usage.outputTokens || 0;
+          totals.byProvider[provider].totalTokens += usage.totalTokens || 0;
+          totals.byProvider[provider].requests += usage.requests || 0;
+        });
+      }
+    });
+    
+    return totals;
+  }
+}
+
+/**
+ * Abstract base class for LLM providers
+ */
+class LLMProvider {
+  constructor(apiKey, model) {
+    this.apiKey = apiKey;
+    this.model = model;
+    this.structuredOutput = true; // False for endpoints known to reject structured-output requests
+  }
+
+  async makeRequest(prompt, { signal } = {}) {
+    throw new Error('makeRequest must be implemented by subclass');
+  }
+
+  /**
+   * OpenAI-style response_format requesting a verdict matching VERDICT_SCHEMA
+   */
+  getResponseFormat() {
+    return {
+      type: 'json_schema',
+      json_schema: {
+        name: 'page_verdict',
+        strict: true,
+        schema: VERDICT_SCHEMA
+      }
+    };
+  }
+
+  getHeaders() {
+    return {
+      'Content-Type': 'application/json'
+    };
+  }
+
+  async handleResponse(response) {
+    if (!response.ok) {
+      const errorText = await response.text();
+      const error = new Error(`HTTP ${response.status}: ${errorText}`);
+      error.status = response.status;
+      error.retryAfter = this.parseRetryAfter(response.headers.get('Retry-After'));
+      throw error;
+    }
+    return response.json();
+  }
+
+  /**
+   * Retry-After header (delay in seconds or an HTTP date) in milliseconds, or null
+   */
+  parseRetryAfter(value) {
+    if (!value) {
+      return null;
+    }
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+}
+
+/**
+ * OpenRouter API provider
+ */
+class OpenRouterProvider extends LLMProvider {
+  constructor(apiKey, model = 'openai/gpt-5-mini') {
+    super(apiKey, model);
+    this.baseUrl = CONSTANTS.PROVIDERS.openrouter.baseUrl;
+  }
+
+  getHeaders() {
+    return {
+      ...super.getHeaders(),
+      'Authorization': `Bearer ${this.apiKey}`,
+      'HTTP-Referer': 'https://focus-guard-extension.com',
+      'X-Title': 'Focus Guard Extension'
+    };
+  }
+
+  async makeRequest(prompt, { signal } = {}) {
+    const requestBody = {
+      model: this.model,
+      messages: [
+        {
+          role: 'user',
+          content: prompt
+        }
+      ],
+      max_tokens: CONSTANTS.API.MAX_OUTPUT_TOKENS,
+      temperature: 0.1,
+      stream: false
+    };
+
+    if (this.structuredOutput) {
+      requestBody.response_format = this.getResponseFormat();
+    }
+
+    // Add GPT-5 specific parameters if using GPT-5 models
+    if (this.model.includes('gpt-5')) {
+      requestBody.reasoning_effort = 'minimal'; // Fast analysis for web filtering
+      requestBody.verbosity = 'low'; // Concise responses
+    }
+
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: this.getHeaders(),
+      body: JSON.stringify(requestBody),
+      signal
+    });
+
+    const data = await this.handleResponse(response);
+    
+    return {
+      content: data.choices[0]?.message?.content || '',
+      tokenUsage: {
+        inputTokens: data.usage?.prompt_tokens || 0,
+        outputTokens: data.usage?.completion_tokens || 0,
+        totalTokens: data.usage?.total_tokens || 0
+      }
+    };
+  }
+}
+
+/**
+ * OpenAI API provider
+ */
+class OpenAIProvider extends LLMProvider {
+  constructor(apiKey, model = 'gpt-5-mini') {
+    super(apiKey, model);
+    this.baseUrl = CONSTANTS.PROVIDERS.openai.baseUrl;
+  }
+
+  getHeaders() {
+    return {
+      ...super.getHeaders(),
+      'Authorization': `Bearer ${this.apiKey}`
+    };
+  }
+
+  async makeRequest(prompt, { signal } = {}) {
+    const requestBody = {
+      model: this.model,
+      messages: [
+        {
+          role: 'user',
+          content: prompt
+        }
+      ],
+      stream: false
+    };
+
+    if (this.structuredOutput) {
+      requestBody.response_format = this.getResponseFormat();
+    }
+
+    // GPT-5 specific parameters (no temperature, uses max_completion_tokens)
+    if (this.model.includes('gpt-5')) {
+      requestBody.max_completion_tokens = CONSTANTS.API.MAX_OUTPUT_TOKENS; // GPT-5 uses max_completion_tokens
+      requestBody.reasoning_effort = 'minimal'; // Fast analysis for web filtering
+      requestBody.verbosity = 'low'; // Concise responses
+      // Note: GPT-5 only supports temperature=1.0 (default), so we omit it
+    } else {
+      // For any remaining older models (shouldn't be used but just in case)
+      requestBody.max_tokens = CONSTANTS.API.MAX_OUTPUT_TOKENS;
+      requestBody.temperature = 0.1;
+    }
+
+    console.log('[Focus Guard] OpenAI API request body:', JSON.stringify(requestBody, null, 2));
+    console.log('[Focus Guard] Model being sent:', this.model);
+
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: this.getHeaders(),
+      body: JSON.stringify(requestBody),
+      signal
+    });
+
+    const data = await this.handleResponse(response);
+    
+    return {
+      content: data.choices[0]?.message?.content || '',
+      tokenUsage: {
+        inputTokens: data.usage?.prompt_tokens || 0,
+        outputTokens: data.usage?.completion_tokens || 0,
+        totalTokens: data.usage?.total_tokens || 0
+      }
+    };
+  }
+}
+
+/**
+ * Anthropic API provider
+ */
+class AnthropicProvider extends LLMProvider {
+  constructor(apiKey, model = 'claude-sonnet-4') {
+    super(apiKey, model);
+    this.baseUrl = CONSTANTS.PROVIDERS.anthropic.baseUrl;
+  }
+
+  getHeaders() {
+    return {
+      ...super.getHeaders(),
+      'x-api-key': this.apiKey,
+      'anthropic-version': '2025-01-01' // Updated for Claude 4 support
+    };
+  }
+
+  async makeRequest(prompt, { signal } = {}) {
+    const requestBody = {
+      model: this.model,
+      max_tokens: CONSTANTS.API.MAX_OUTPUT_TOKENS,
+      temperature: 0.1,
+      messages: [
+        {
+          role: 'user',
+          content: prompt
+        }
+      ]
+    };
+
+    // Anthropic has no response_format, so force a tool call whose input is the verdict
+    if (this.structuredOutput) {
+      requestBody.tools = [{
+        name: 'record_verdict',
+        description: 'Record the verdict for this webpage',
+        input_schema: VERDICT_SCHEMA
+      }];
+      requestBody.tool_choice = { type: 'tool', name: 'record_verdict' };
+    }
+
+    const response = await fetch(`${this.baseUrl}/v1/messages`, {
+      method: 'POST',
+      headers: this.getHeaders(),
+      body: JSON.stringify(requestBody),
+      signal
+    });
+
+    const data = await this.handleResponse(response);
+    const toolUse = data.content?.find(block => block.type === 'tool_use');
+    const textBlock = data.content?.find(block => block.type === 'text');
+    
+    return {
+      content: toolUse ? JSON.stringify(toolUse.input) : (textBlock?.text || ''),
+      tokenUsage: {
+        inputTokens: data.usage?.input_tokens || 0,
+        outputTokens: data.usage?.output_tokens || 0,
+        totalTokens: (data.usage?.input_tokens || 0) + (data.usage?.output_tokens || 0)
+      }
+    };
+  }
+}
+
+/**
+ * Local / self-hosted provider for OpenAI-compatible endpoints
+ * (Ollama, llama.cpp server, vLLM, LM Studio)
+ */
+class LocalProvider extends LLMProvider {
+  constructor(apiKey, model, baseUrl = CONSTANTS.PROVIDERS.local.baseUrl) {
+    super(apiKey, model);
+    this.baseUrl = LocalProvider.normalizeBaseUrl(baseUrl);
+  }
+
+  /**
+   * Strip trailing slashes so paths can be appended safely
+   */
+  static normalizeBaseUrl(baseUrl) {
+    return (baseUrl || CONSTANTS.PROVIDERS.local.baseUrl).trim().replace(/\/+$/, '');
+  }
+
+  getHeaders() {
+    const headers = super.getHeaders();
+
+    // Most local servers run without auth, so the key is optional
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+
+    return headers;
+  }
+
+  async makeRequest(prompt, { signal } = {}) {
+    if (!this.model) {
+      throw new Error('No model selected for local provider');
+    }
+
+    const requestBody = {
+      model: this.model,
+      messages: [
+        {
+          role: 'user',
+          content: prompt
+        }
+      ],
+      max_tokens: CONSTANTS.API.MAX_OUTPUT_TOKENS,
+      temperature: 0.1,
+      stream: false
+    };
+
+    if (this.structuredOutput) {
+      requestBody.response_format = this.getResponseFormat();
+    }
+
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: this.getHeaders(),
+      body: JSON.stringify(requestBody),
+      signal
+    });
+
+    const data = await this.handleResponse(response);
+
+    return {
+      content: data.choices?.[0]?.message?.content || '',
+      tokenUsage: {
+        inputTokens: data.usage?.prompt_tokens || 0,
+        outputTokens: data.usage?.completion_tokens || 0,
+        totalTokens: data.usage?.total_tokens || 0
+      }
+    };
+  }
+
+  /**
+   * Discover available models from the endpoint.
+   * Tries the OpenAI-compatible /models route first, then Ollama's native /api/tags.
+   */
+  async listModels() {
+    const headers = this.getHeaders();
+    let lastError = null;
+
+    try {
+      const response = await fetch(`${this.baseUrl}/models`, { headers });
+      const data = await this.handleResponse(response);
+      if (Array.isArray(data.data)) {
+        return data.data.map(model => model.id).filter(Boolean);
+      }
+    } catch (error) {
+      lastError = error;
+    }
+
+    try {
+      // Ollama serves /api/tags from the server root, not under /v1
+      const rootUrl = this.baseUrl.replace(/\/v1$/, '');
+      const response = await fetch(`${rootUrl}/api/tags`, { headers });
+      const data = await this.handleResponse(response);
+      if (Array.isArray(data.models)) {
+        return data.models.map(model => model.name || model.model).filter(Boolean);
+      }
+    } catch (error) {
+      lastError = error;
+    }
+
+    throw new Error(`Could not list models from ${this.baseUrl}${lastError ? `: ${lastError.message}` : ''}`);
+  }
+}
+
+/**
+ * Persistent analysis cache backed by chrome.storage.local.
+ * Entries expire after CONSTANTS.API.CACHE_DURATION and the least recently
+ * used entries are evicted beyond CONSTANTS.CACHE.MAX_ENTRIES.
+ */
+class AnalysisCache {
+  constructor() {
+    this.entries = null; // Map in LRU order (oldest first), loaded lazily
+    this.loading = null;
+    this.writeChain = Promise.resolve();
+    this.persistTimer = null;
+  }
+
+  /**
+   * Load entries from storage once per service worker lifetime
+   */
+  async load() {
+    if (this.entries) {
+      return this.entries;
+    }
+
+    if (!this.loading) {
+      this.loading = chrome.storage.local.get(CONSTANTS.STORAGE_KEYS.ANALYSIS_CACHE)
+        .then(result => {
+          const stored = result[CONSTANTS.STORAGE_KEYS.ANALYSIS_CACHE] || {};
+          this.entries = new Map(
+            Object.entries(stored).sort(([, a], [, b]) => a.lastAccess - b.lastAccess)
+          );
+        })
+        .catch(error => {
+          console.error('[Focus Guard] Failed to load analysis cache:', error);
+          this.entries = new Map();
+        })
+        .finally(() => {
+          this.loading = null;
+        });
+    }
+
+    await this.loading;
+    return this.entries;
+  }
+
+  /**
+   * Get a cached result, or null if missing or expired
+   */
+  async get(key) {
+    const entries = await this.load();
+    const entry = entries.get(key);
+
+    if (!entry) {
+      return null;
+    }
+
+    entries.delete(key);
+
+    if (Date.now() - entry.createdAt >= CONSTANTS.API.CACHE_DURATION) {
+      this.schedulePersist();
+      return null;
+    }
+
+    // Re-insert to mark as most recently used
+    entry.lastAccess = Date.now();
+    entries.set(key, entry);
+    this.schedulePersist();
+
+    return entry.result;
+  }
+
+  /**
+   * Store a result, evicting least recently used entries over the size cap
+   */
+  async set(key, result) {
+    const entries = await this.load();
+    const now = Date.now();
+
+    entries.delete(key);
+    entries.set(key, { result, createdAt: now, lastAccess: now });
+
+    while (entries.size > CONSTANTS.CACHE.MAX_ENTRIES) {
+      entries.delete(entries.keys().next().value);
+    }
+
+    this.persist();
+  }
+
+  /**
+   * Clear all cached results
+   */
+  async clear() {
+    this.entries = new Map();
+    this.persist();
+  }
+
+  /**
+   * Drop the in-memory copy so the next access reloads from storage
+   */
+  reset() {
+    clearTimeout(this.persistTimer);
+    this.persistTimer = null;
+    this.entries = null;
+  }
+
+  /**
+   * Get cache statistics
+   */
+  async getStats() {
+    const entries = await this.load();
+    const now = Date.now();
+    let validEntries = 0;
+
+    for (const entry of entries.values()) {
+      if (now - entry.createdAt < CONSTANTS.API.CACHE_DURATION) {
+        validEntries++;
+      }
+    }
+
+    return {
+      totalEntries: entries.size,
+      validEntries,
+      expiredEntries: entries.size - validEntries
+    };
+  }
+
+  /**
+   * Persist after a short delay, batching the recency updates of consecutive hits
+   */
+  schedulePersist() {
+    if (!this.persistTimer) {
+      this.persistTimer = setTimeout(() => this.persist(), CONSTANTS.CACHE.PERSIST_DELAY);
+    }
+  }
+
+  /**
+   * Serialize writes so concurrent analyses don't interleave
+   */
+  persist() {
+    clearTimeout(this.persistTimer);
+    this.persistTimer = null;
+
+    if (!this.entries) {
+      return this.writeChain;
+    }
+
+    const snapshot = Object.fromEntries(this.entries);
+
+    this.writeChain = this.writeChain
+      .then(() => chrome.storage.local.set({ [CONSTANTS.STORAGE_KEYS.ANALYSIS_CACHE]: snapshot }))
+      .catch(error => {
+        console.error('[Focus Guard] Failed to persist analysis cache:', error);
+      });
+
+    return this.writeChain;
+  }
+}
+
+/**
+ * Local pre-classifier: a naive Bayes model per goal set and threshold, trained on the
+ * user's own LLM verdicts and feedback, plus a per-site tally. It only answers when
+ * confident; everything else (and a sample of what it could answer) goes to the LLM.
+ */
+class LocalClassifier {
+  constructor() {
+    this.models = null; // { [signature]: model }, loaded lazily
+    this.loading = null;
+    this.writeChain = Promise.resolve();
+    this.persistTimer = null;
+  }
+
+  /**
+   * Load models from storage once per service worker lifetime
+   */
+  async load() {
+    if (this.models) {
+      return this.models;
+    }
+
+    if (!this.loading) {
+      this.loading = chrome.storage.local.get(CONSTANTS.STORAGE_KEYS.CLASSIFIER)
+        .then(result => {
+          this.models = result[CONSTANTS.STORAGE_KEYS.CLASSIFIER] || {};
+        })
+        .catch(error => {
+          console.error('[Focus Guard] Failed to load classifier:', error);
+          this.models = {};
+        })
+        .finally(() => {
+          this.loading = null;
+        });
+    }
+
+    await this.loading;
+    return this.models;
+  }
+
+  /**
+   * Drop the in-memory copy so the next access reloads from storage
+   */
+  reset() {
+    clearTimeout(this.persistTimer);
+    this.persistTimer = null;
+    this.models = null;
+  }
+
+  /**
+   * Key for the goals (with their hints) and threshold a verdict was made against;
+   * block/allow labels don't carry over when either changes
+   */
+  async getSignature(goals, minAlignmentScore) {
+    const goalKeys = goals.map(goal =>
+      `${goal.id}:${goal.text}:${(goal.keywords || []).join(',')}:${(goal.antiPatterns || []).join(',')}`
+    );
+    return Utils.sha256(`${minAlignmentScore}|${goalKeys.join('|')}`);
+  }
+
+  /**
+   * Distinct lowercase words (3-30 letters) from the title, URL and start of the content
+   */
+  tokenize({ url, title, content }) {
+    let urlText = '';
+    try {
+      const urlObj = new URL(url);
+      urlText = `${urlObj.hostname} ${urlObj.pathname}`;
+    } catch (error) {
+      // Classify on text alone
+    }
+
+    const text = [title, urlText, (content || '').slice(0, CONSTANTS.CLASSIFIER.CONTENT_CHARS)].join(' ');
+    const words = text.toLowerCase().match(/[\p{L}\p{N}]{3,30}/gu) || [];
+    return [...new Set(words)];
+  }
+
+  /**
+   * Site key for the per-site tally
+   */
+  getSite(url) {
+    return Utils.getFeedbackDomain(url);
+  }
+
+  /**
+   * Predict a verdict, or return null when the model is not confident
+   * (or the page is picked for an LLM check)
+   */
+  async classify(goals, page, minAlignmentScore) {
+    const models = await this.load();
+    const model = models[await this.getSignature(goals, minAlignmentScore)];
+    if (!model) {
+      return null;
+    }
+
+    const verdict = this.predict(model, page);
+    return verdict && Math.random() >= CONSTANTS.CLASSIFIER.AUDIT_RATE ? verdict : null;
+  }
+
+  /**
+   * Confident verdict from a model, or null
+   */
+  predict(model, page) {
+    const { MIN_DOCS, MIN_DOCS_PER_CLASS, CONFIDENCE, SITE_MIN_VERDICTS, SITE_MAX_AGE_DAYS } = CONSTANTS.CLASSIFIER;
+
+    // Heuristic tier: a site with only one kind of recent verdict
+    const site = model.sites[this.getSite(page.url)];
+    const siteIsRecent = site && Date.now() - (site.updatedAt || 0) < SITE_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+    if (siteIsRecent && site.allow + site.block >= SITE_MIN_VERDICTS && (site.allow === 0 || site.block === 0)) {
+      return { shouldBlock: site.block > 0, confidence: 1, method: 'site' };
+    }
+
+    if (model.docs.allow + model.docs.block < MIN_DOCS ||
+        model.docs.allow < MIN_DOCS_PER_CLASS || model.docs.block < MIN_DOCS_PER_CLASS) {
+      return null;
+    }
+
+    // Naive Bayes with Laplace smoothing over distinct words
+    const vocabulary = Object.keys(model.tokens).length;
+    const totalDocs = model.docs.allow + model.docs.block;
+    const logScore = label => {
+      const prior = Math.log((model.docs[label] + 1) / (totalDocs + 2));
+      return this.tokenize(page).reduce((score, token) => {
+        const count = model.tokens[token]?.[label] || 0;
+        return score + Math.log((count + 1) / (model.totals[label] + vocabulary));
+      }, prior);
+    };
+
+    const probability = 1 / (1 + Math.exp(logScore('allow') - logScore('block')));
+    const confidence = Math.max(probability, 1 - probability);
+    if (confidence < CONFIDENCE) {
+      return null;
+    }
+
+    return { shouldBlock: probability >= 0.5, confidence, method: 'bayes' };
+  }
+
+  /**
+   * Learn from a verdict (serialized so concurrent analyses don't lose updates; written in batches)
+   */
+  train(goals, page, shouldBlock, minAlignmentScore) {
+    const run = this.writeChain.then(async () => {
+      const models = await this.load();
+      const signature = await this.getSignature(goals, minAlignmentScore);
+      const label = shouldBlock ? 'block' : 'allow';
+      const model = models[signature] || {
+        docs: { allow: 0, block: 0 },
+        totals: { allow: 0, block: 0 },
+        tokens: {},
+        sites: {}
+      };
+
+      model.docs[label] += 1;
+      this.tokenize(page).forEach(token => {
+        model.tokens[token] = model.tokens[token] || { allow: 0, block: 0 };
+        model.tokens[token][label] += 1;
+        model.totals[label] += 1;
+      });
+
+      // A stale tally starts over, so the site is judged on recent verdicts only
+      const site = this.getSite(page.url);
+      if (site) {
+        const { SITE_MAX_AGE_DAYS } = CONSTANTS.CLASSIFIER;
+        const tally = model.sites[site];
+        const isStale = !tally || Date.now() - (tally.updatedAt || 0) >= SITE_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+        model.sites[site] = isStale ? { allow: 0, block: 0 } : tally;
+        model.sites[site][label] += 1;
+        model.sites[site].updatedAt = Date.now();
+      }
+
+      model.updatedAt = Date.now();
+      this.prune(model);
+      models[signature] = model;
+
+      // Keep the most recently trained models only
+      const signatures = Object.keys(models)
+        .sort((a, b) => models[b].updatedAt - models[a].updatedAt);
+      signatures.slice(CONSTANTS.CLASSIFIER.MAX_MODELS).forEach(stale => delete models[stale]);
+
+      this.schedulePersist();
+    });
+
+    this.writeChain = run.catch(error => {
+      console.error('[Focus Guard] Failed to train classifier:', error);
+    });
+
+    return run;
+  }
+
+  /**
+   * Write the models after a short delay, batching consecutive training updates
+   */
+  schedulePersist() {
+    if (this.persistTimer) {
+      return;
+    }
+
+    this.persistTimer = setTimeout(() => {
+      this.persistTimer = null;
+      if (!this.models) {
+        return;
+      }
+
+      chrome.storage.local.set({ [CONSTANTS.STORAGE_KEYS.CLASSIFIER]: this.models }).catch(error => {
+        console.error('[Focus Guard] Failed to save classifier:', error);
+      });
+    }, CONSTANTS.CLASSIFIER.PERSIST_DELAY);
+  }
+
+  /**
+   * Cap vocabulary and site counts, dropping the rarest entries first
+   */
+  prune(model) {
+    const { MAX_TOKENS, MAX_SITES } = CONSTANTS.CLASSIFIER;
+    const total = counts => counts.allow + counts.block;
+
+    const tokens = Object.keys(model.tokens);
+    if (tokens.length > MAX_TOKENS) {
+      tokens
+        .sort((a, b) => total(model.tokens[a]) - total(model.tokens[b]))
+        .slice(0, tokens.length - Math.floor(MAX_TOKENS * 0.9))
+        .forEach(token => {
+          model.totals.allow -= model.tokens[token].allow;
+          model.totals.block -= model.tokens[token].block;
+          delete model.tokens[token];
+        });
+    }
+
+    const sites = Object.keys(model.sites);
+    if (sites.length > MAX_SITES) {
+      sites
+        .sort((a, b) => total(model.sites[a]) - total(model.sites[b]))
+        .slice(0, sites.length - MAX_SITES)
+        .forEach(site => delete model.sites[site]);
+    }
+  }
+}
+
+/**
+ * Token-bucket limiter for LLM requests with a wait queue (active tabs first) and daily/monthly caps.
+ * The bucket is kept in session storage so it survives service worker restarts without syncing.
+ */
+class RateLimiter {
+  constructor() {
+    this.bucket = null; // { tokens, updatedAt }, loaded lazily
+    this.loading = null;
+    this.queue = []; // Waiting requests in arrival order
+    this.drainTimer = null;
+    this.requestsPerMinute = CONSTANTS.DEFAULT_SETTINGS.rateLimit.requestsPerMinute;
+    this.usageChain = Promise.resolve();
+  }
+
+  /**
+   * Load the bucket from session storage once per service worker lifetime
+   */
+  async loadBucket() {
+    if (this.bucket) {
+      return this.bucket;
+    }
+
+    if (!this.loading) {
+      this.loading = chrome.storage.session.get(CONSTANTS.STORAGE_KEYS.RATE_LIMIT_BUCKET)
+        .then(result => result[CONSTANTS.STORAGE_KEYS.RATE_LIMIT_BUCKET])
+        .catch(error => {
+          console.error('[Focus Guard] Failed to load rate limit state:', error);
+          return null;
+        })
+        .then(bucket => {
+          this.bucket = bucket || { tokens: this.requestsPerMinute, updatedAt: Date.now() };
+        })
+        .finally(() => {
+          this.loading = null;
+        });
+    }
+
+    await this.loading;
+    return this.bucket;
+  }
+
+  /**
+   * Take a token if one has refilled; the bucket holds up to a minute's worth
+   */
+  takeToken() {
+    const now = Date.now();
+    const rate = this.requestsPerMinute / 60000; // Tokens per ms
+    this.bucket.tokens = Math.min(
+      this.requestsPerMinute,
+      this.bucket.tokens + (now - this.bucket.updatedAt) * rate
+    );
+    this.bucket.updatedAt = now;
+
+    const taken = this.bucket.tokens >= 1;
+    if (taken) {
+      this.bucket.tokens -= 1;
+    }
+
+    chrome.storage.session.set({ [CONSTANTS.STORAGE_KEYS.RATE_LIMIT_BUCKET]: this.bucket }).catch(error => {
+      console.error('[Focus Guard] Failed to save rate limit state:', error);
+    });
+    return taken;
+  }
+
+  /**
+   * Requests made today and this month, in local time ({ day, dayCount, month, monthCount })
+   */
+  async getUsage() {
+    const result = await chrome.storage.local.get(CONSTANTS.STORAGE_KEYS.REQUEST_USAGE);
+    const usage = result[CONSTANTS.STORAGE_KEYS.REQUEST_USAGE] || {};
+    const day = Utils.getDateKey();
+    const month = day.slice(0, 7);
+
+    return {
+      day,
+      dayCount: usage.day === day ? usage.dayCount : 0,
+      month,
+      monthCount: usage.month === month ? usage.monthCount : 0
+    };
+  }
+
+  /**
+   * Reason the daily or monthly cap blocks another request, or null
+   */
+  getCapReason(usage, { dailyCap, monthlyCap }) {
+    if (dailyCap > 0 && usage.dayCount >= dailyCap) {
+      return 'Daily request cap reached';
+    }
+    if (monthlyCap > 0 && usage.monthCount >= monthlyCap) {
+      return 'Monthly request cap reached';
+    }
+    return null;
+  }
+
+  /**
+   * Check the caps and count a request in one serialized step, so concurrent tabs can't
+   * overshoot them. Resolves to the reason when a cap is reached, else null.
+   */
+  recordRequest(caps) {
+    const run = this.usageChain.then(async () => {
+      const usage = await this.getUsage();
+      const reason = this.getCapReason(usage, caps);
+      if (reason) {
+        return reason;
+      }
+
+      usage.dayCount++;
+      usage.monthCount++;
+      await chrome.storage.local.set({ [CONSTANTS.STORAGE_KEYS.REQUEST_USAGE]: usage });
+      return null;
+    });
+
+    this.usageChain = run.catch(error => {
+      console.error('[Focus Guard] Failed to record request usage:', error);
+    });
+    return run.catch(() => null);
+  }
+
+  /**
+   * Reserve a request slot, returning { allowed } or { allowed: false, reason }.
+   * With the 'wait' policy an over-limit request queues for the next token.
+   */
+  async acquire(settings, { tabId, signal } = {}) {
+    const { requestsPerMinute, overLimit, dailyCap, monthlyCap } = {
+      ...CONSTANTS.DEFAULT_SETTINGS.rateLimit,
+      ...settings.rateLimit
+    };
+
+    // Quick check so capped requests don't queue for a token; recordRequest() decides
+    const capReason = this.getCapReason(await this.getUsage(), { dailyCap, monthlyCap });
+    if (capReason) {
+      return { allowed: false, reason: capReason };
+    }
+
+    this.requestsPerMinute = Math.max(1, requestsPerMinute);
+    await this.loadBucket();
+
+    let granted = this.queue.length === 0 && this.takeToken();
+    if (!granted && overLimit === 'wait') {
+      granted = await this.enqueue(tabId, signal);
+      if (!granted) {
+        return { allowed: false, reason: 'Timed out waiting for a request slot' };
+      }
+    }
+
+    if (!granted) {
+      return { allowed: false, reason: 'Rate limit exceeded' };
+    }
+
+    const reason = await this.recordRequest({ dailyCap, monthlyCap });
+    if (reason) {
+      // Another tab took the last request under the cap; give the token back
+      this.bucket.tokens = Math.min(this.requestsPerMinute, this.bucket.tokens + 1);
+      return { allowed: false, reason };
+    }
+    return { allowed: true };
+  }
+
+  /**
+   * Wait for a token; resolves false after MAX_WAIT and rejects if the signal fires
+   */
+  async enqueue(tabId, signal) {
+    const tab = tabId ? await chrome.tabs.get(tabId).catch(() => null) : null;
+
+    return new Promise((resolve, reject) => {
+      signal?.throwIfAborted();
+
+      const entry = {
+        tabId,
+        windowId: tab?.windowId,
+        active: Boolean(tab?.active),
+        enqueuedAt: Date.now(),
+        resolve,
+        onAbort: () => {
+          this.queue = this.queue.filter(queued => queued !== entry);
+          reject(signal.reason);
+        },
+        signal
+      };
+
+      signal?.addEventListener('abort', entry.onAbort, { once: true });
+      this.queue.push(entry);
+      this.drain();
+    });
+  }
+
+  /**
+   * Hand out refilled tokens to waiting requests, active tabs first, then oldest first
+   */
+  drain() {
+    clearTimeout(this.drainTimer);
+    this.drainTimer = null;
+
+    const settle = (entry, granted) => {
+      this.queue = this.queue.filter(queued => queued !== entry);
+      entry.signal?.removeEventListener('abort', entry.onAbort);
+      entry.resolve(granted);
+    };
+
+    const now = Date.now();
+    this.queue
+      .filter(entry => now - entry.enqueuedAt >= CONSTANTS.RATE_LIMIT.MAX_WAIT)
+      .forEach(entry => settle(entry, false));
+
+    while (this.queue.length > 0 && this.takeToken()) {
+      settle(this.queue.find(entry => entry.active) || this.queue[0], true);
+    }
+
+    if (this.queue.length > 0) {
+      const untilToken = (1 - this.bucket.tokens) * 60000 / this.requestsPerMinute;
+      const untilExpiry = Math.min(...this.queue.map(entry => entry.enqueuedAt + CONSTANTS.RATE_LIMIT.MAX_WAIT)) - now;
+      this.drainTimer = setTimeout(() => this.drain(), Math.max(10, Math.min(untilToken, untilExpiry)));
+    }
+  }
+
+  /**
+   * Keep queue priorities in step with the tab the user is looking at
+   */
+  handleTabActivated({ tabId, windowId }) {
+    this.queue.forEach(entry => {
+      if (entry.windowId === windowId) {
+        entry.active = entry.tabId === tabId;
+      }
+    });
+  }
+}
+
+/**
+ * Per-provider and model success/failure record, persisted for the options page.
+ * Keyed by both, so a fallback using another model of the same provider has its own backoff.
+ */
+class ProviderHealth {
+  constructor() {
+    this.writeChain = Promise.resolve();
+  }
+
+  /**
+   * Storage key for a provider and model
+   */
+  getKey({ provider, model }) {
+    return `${provider}|${model || ''}`;
+  }
+
+  /**
+   * Health records keyed by provider and model ({ provider, model, successes, ... })
+   */
+  async getAll() {
+    const result = await chrome.storage.local.get(CONSTANTS.STORAGE_KEYS.PROVIDER_HEALTH);
+    return result[CONSTANTS.STORAGE_KEYS.PROVIDER_HEALTH] || {};
+  }
+
+  /**
+   * Whether a provider's Retry-After asked us to stay away from a model for now
+   */
+  async isBackingOff(target) {
+    const health = (await this.getAll())[this.getKey(target)];
+    return Boolean(health?.retryAfterUntil && health.retryAfterUntil > Date.now());
+  }
+
+  /**
+   * Record the outcome of one request (serialized to avoid lost writes)
+   */
+  record(target, { ok, duration = 0, error = null }) {
+    const run = this.writeChain.then(async () => {
+      const all = await this.getAll();
+      const key = this.getKey(target);
+      const now = Date.now();
+      const health = {
+        successes: 0,
+        failures: 0,
+        consecutiveFailures: 0,
+        ...all[key],
+        provider: target.provider,
+        model: target.model || ''
+      };
+
+      if (ok) {
+        health.successes++;
+        health.consecutiveFailures = 0;
+        health.lastSuccessAt = now;
+        health.avgLatency = health.avgLatency
+          ? Math.round(health.avgLatency * 0.8 + duration * 0.2)
+          : duration;
+        delete health.retryAfterUntil;
+      } else {
+        health.failures++;
+        health.consecutiveFailures++;
+        health.lastFailureAt = now;
+        health.lastError = (error?.message || 'Unknown error').slice(0, 200);
+        health.lastStatus = error?.status || null;
+        if (error?.retryAfter) {
+          health.retryAfterUntil = now + error.retryAfter;
+        }
+      }
+
+      all[key] = health;
+      await chrome.storage.local.set({ [CONSTANTS.STORAGE_KEYS.PROVIDER_HEALTH]: all });
+    });
+
+    this.writeChain = run.catch(error => {
+      console.error('[Focus Guard] Failed to record provider health:', error);
+    });
+    return this.writeChain;
+  }
+}
+
+/**
+ * Main LLM Client class
+ */
+class LLMClient {
+  constructor() {
+    this.cache = new AnalysisCache();
+    this.health = new ProviderHealth();
+    this.rateLimiter = new RateLimiter();
+    this.plainOutputEndpoints = null; // "baseUrl|model" -> expiry of its plain-output fallback, loaded on first use
+  }
+
+  /**
+   * Endpoint and model pairs that rejected structured-output requests, without expired entries
+   */
+  async getPlainOutputEndpoints() {
+    if (!this.plainOutputEndpoints) {
+      const key = CONSTANTS.STORAGE_KEYS.PLAIN_OUTPUT_ENDPOINTS;
+      const result = await chrome.storage.local.get(key);
+      // Earlier versions stored a list of base URLs without expiry; those are dropped
+      const stored = Array.isArray(result[key]) ? {} : result[key] || {};
+      this.plainOutputEndpoints = new Map(Object.entries(stored));
+    }
+
+    const now = Date.now();
+    this.plainOutputEndpoints.forEach((expiresAt, endpoint) => {
+      if (expiresAt <= now) {
+        this.plainOutputEndpoints.delete(endpoint);
+      }
+    });
+    return this.plainOutputEndpoints;
+  }
+
+  /**
+   * Whether requests to this provider's endpoint and model should skip structured output
+   */
+  async usesPlainOutput(provider) {
+    return (await this.getPlainOutputEndpoints()).has(`${provider.baseUrl}|${provider.model}`);
+  }
+
+  /**
+   * Remember that a model rejects structured output, so requests for a while skip straight to the plain prompt
+   */
+  async rememberPlainOutput(provider) {
+    const endpoints = await this.getPlainOutputEndpoints();
+    endpoints.set(`${provider.baseUrl}|${provider.model}`, Date.now() + CONSTANTS.API.PLAIN_OUTPUT_TTL);
+
+    try {
+      await chrome.storage.local.set({
+        [CONSTANTS.STORAGE_KEYS.PLAIN_OUTPUT_ENDPOINTS]: Object.fromEntries(endpoints)
+      });
+    } catch (error) {
+      console.error('[Focus Guard] Failed to save structured output support:', error);
+    }
+  }
+
+  /**
+   * Create provider instance based on settings
+   */
+  createProvider(provider, apiKey, model, options = {}) {
+    switch (provider) {
+      case 'openrouter':
+        return new OpenRouterProvider(apiKey, model);
+      case 'openai':
+        return new OpenAIProvider(apiKey, model);
+      case 'anthropic':
+        return new AnthropicProvider(apiKey, model);
+      case 'local':
+        return new LocalProvider(apiKey, model, options.baseUrl);
+      default:
+        throw new Error(`Unknown provider: ${provider}`);
+    }
+  }
+
+  /**
+   * List models exposed by a provider's endpoint (local provider only)
+   */
+  async listModels(provider, apiKey, baseUrl) {
+    if (provider !== 'local') {
+      return CONSTANTS.PROVIDERS[provider]?.models || [];
+    }
+
+    const providerInstance = this.createProvider(provider, apiKey, '', { baseUrl });
+    return providerInstance.listModels();
+  }
+
+  /**
+   * Store token usage for analytics, per provider and per model for cost estimates.
+   * Buckets are local days, like the other daily counters; those written by versions that
+   * used UTC days are read as the local day of the same name.
+   */
+  async storeTokenUsage(tokenUsage, provider, model) {
+    try {
+      const key = `tokenUsage_${Utils.getDateKey()}`;
+      
+      const result = await chrome.storage.local.get(key);
+      const dailyUsage = result[key] || {};
+      
+      if (!dailyUsage[provider]) {
+        dailyUsage[provider] = {
+          inputTokens: 0,
+          outputTokens: 0,
+          totalTokens: 0,
+          requests: 0
+        };
+      }
+      
+      dailyUsage[provider].inputTokens += tokenUsage.inputTokens;
+      dailyUsage[provider].outputTokens += tokenUsage.outputTokens;
+      dailyUsage[provider].totalTokens += tokenUsage.totalTokens;
+      dailyUsage[provider].requests += 1;
+
+      const models = dailyUsage[provider].models || {};
+      const modelUsage = models[model] || { inputTokens: 0, outputTokens: 0, requests: 0 };
+      models[model] = {
+        inputTokens: modelUsage.inputTokens + tokenUsage.inputTokens,
+        outputTokens: modelUsage.outputTokens + tokenUsage.outputTokens,
+        requests: modelUsage.requests + 1
+      };
+      dailyUsage[provider].models = models;
+
+      await chrome.storage.local.set({ [key]: dailyUsage });
+    } catch (error) {
+      console.error('[Focus Guard] Failed to store token usage:', error);
+    }
+  }
+
+  /**
+   * Request a verdict, retrying once without structured output if the endpoint rejects it
+   * (a 400/422 whose body names the structured-output parameters). The fetch is aborted when
+   * the timeout expires or the caller's signal fires.
+   */
+  async requestVerdict(provider, prompt, { signal, timeout = CONSTANTS.API.TIMEOUT } = {}) {
+    const request = async () => {
+      signal?.throwIfAborted();
+
+      const controller = new AbortController();
+      const cancel = () => controller.abort(signal.reason);
+      signal?.addEventListener('abort', cancel, { once: true });
+
+      const timer = setTimeout(() => {
+        const error = new Error('Request timeout');
+        error.name = 'TimeoutError';
+        controller.abort(error);
+      }, timeout);
+
+      try {
+        return await provider.makeRequest(prompt, { signal: controller.signal });
+      } catch (error) {
+        // Report why the request was aborted rather than fetch's generic AbortError
+        throw controller.signal.aborted ? controller.signal.reason : error;
+      } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', cancel);
+      }
+    };
+
+    try {
+      return await request();
+    } catch (error) {
+      if (!provider.structuredOutput || !/^HTTP 4(00|22)\b/.test(error.message) ||
+          !/response_format|json_schema|\btools?\b|tool_choice/i.test(error.message)) {
+        throw error;
+      }
+
+      console.log('[Focus Guard] Structured output rejected, retrying with plain prompt:', error.message);
+      provider.structuredOutput = false;
+      const response = await request();
+
+      // Only a plain request that works shows structured output was the problem
+      await this.rememberPlainOutput(provider);
+      return response;
+    }
+  }
+
+  /**
+   * Request a verdict, retrying 429s, 5xx errors, timeouts and network failures with backoff
+   */
+  async requestWithRetries(provider, prompt, target, { signal, timeout }) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.requestVerdict(provider, prompt, { signal, timeout });
+      } catch (error) {
+        // A cancelled analysis says nothing about the provider's health
+        if (error.name === 'AbortError') {
+          throw error;
+        }
+
+        await this.health.record(target, { ok: false, error });
+
+        const delay = this.getRetryDelay(error, attempt);
+        if (delay === null) {
+          throw error;
+        }
+
+        console.log(`[Focus Guard] ${target.provider} (${target.model}) request failed, retrying in ${delay} ms:`, error.message);
+        await this.wait(delay, signal);
+      }
+    }
+  }
+
+  /**
+   * Resolve after a delay, rejecting early if the signal fires
+   */
+  wait(delay, signal) {
+    return new Promise((resolve, reject) => {
+      signal?.throwIfAborted();
+
+      const timer = setTimeout(resolve, delay);
+      signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      }, { once: true });
+    });
+  }
+
+  /**
+   * Request timeout for a provider: the user's setting, else the provider's default
+   */
+  getTimeout(provider, settings) {
+    const seconds = Number(settings.requestTimeouts?.[provider]);
+    if (seconds > 0) {
+      return seconds * 1000;
+    }
+
+    return CONSTANTS.PROVIDERS[provider]?.timeout || CONSTANTS.API.TIMEOUT;
+  }
+
+  /**
+   * Delay before retrying a failed request, or null to give up on this provider.
+   * Retry-After is honored; a longer wait than MAX_RETRY_DELAY moves on to the next provider.
+   */
+  getRetryDelay(error, attempt) {
+    const retryable = error.status
+      ? error.status === 429 || error.status >= 500
+      : error instanceof TypeError || error.name === 'TimeoutError';
+
+    if (!retryable || attempt >= CONSTANTS.API.RETRY_ATTEMPTS) {
+      return null;
+    }
+
+    if (typeof error.retryAfter === 'number') {
+      return error.retryAfter <= CONSTANTS.API.MAX_RETRY_DELAY ? error.retryAfter : null;
+    }
+
+    const backoff = CONSTANTS.API.RETRY_BASE_DELAY * 2 ** attempt;
+    return Math.min(Math.round(backoff * (1 + Math.random() * 0.25)), CONSTANTS.API.MAX_RETRY_DELAY);
+  }
+
+  /**
+   * Providers to try in order: the primary, then configured fallbacks (skipping ones missing a key)
+   */
+  getProviderChain(settings) {
+    const primary = { provider: settings.provider, model: settings.model, apiKey: settings.apiKey };
+    const fallbacks = (settings.fallbacks || []).slice(0, CONSTANTS.API.MAX_FALLBACKS);
+
+    return [primary, ...fallbacks].filter(entry => {
+      const providerConfig = CONSTANTS.PROVIDERS[entry.provider];
+      return providerConfig && (!providerConfig.keyRequired || entry.apiKey);
+    });
+  }
+
+  /**
+   * Estimated spend in USD today and this month (local days), from the daily token usage records
+   */
+  async getSpend(prices) {
+    const today = Utils.getDateKey();
+    const monthPrefix = today.slice(0, 8); // YYYY-MM-
+    const keys = Array.from({ length: Number(today.slice(8)) }, (_, i) =>
+      `tokenUsage_${monthPrefix}${String(i + 1).padStart(2, '0')}`
+    );
+
+    const result = await chrome.storage.local.get(keys);
+    return {
+      today: Utils.estimateCost(result[`tokenUsage_${today}`], prices),
+      month: keys.reduce((total, key) => total + Utils.estimateCost(result[key], prices), 0)
+    };
+  }
+
+  /**
+   * Once a spending budget is reached, move paid providers to a cheaper model
+   * or, in local-only mode, drop them from the chain
+   */
+  async applyBudget(chain, settings) {
+    const { dailyLimit, monthlyLimit, action, cheaperModel } = {
+      ...CONSTANTS.DEFAULT_SETTINGS.budget,
+      ...settings.budget
+    };
+
+    if (!(dailyLimit > 0) && !(monthlyLimit > 0)) {
+      return chain;
+    }
+
+    const spend = await this.getSpend(settings.prices);
+    const reached = (dailyLimit > 0 && spend.today >= dailyLimit) ||
+      (monthlyLimit > 0 && spend.month >= monthlyLimit);
+
+    if (!reached) {
+      return chain;
+    }
+
+    console.log('[Focus Guard] Spending budget reached', { spend, action });
+
+    if (action === 'local') {
+      return chain.filter(entry => entry.provider === 'local');
+    }
+
+    return chain.map((entry, index) => {
+      if (entry.provider === 'local') {
+        return entry;
+      }
+
+      const model = index === 0 && cheaperModel
+        ? cheaperModel
+        : Utils.getCheapestModel(entry.provider, settings.prices);
+      return model ? { ...entry, model } : entry;
+    });
+  }
+
+  /**
+   * Model to use for a provider, falling back to a sensible default when none is set
+   */
+  resolveModel(provider, model) {
+    if ((model && model.trim() !== '') || provider === 'local') {
+      return model;
+    }
+
+    const fallbackModel = CONSTANTS.PRICING.DEFAULT_MODELS[provider] || 'gpt-5-mini';
+
+    console.log('[Focus Guard] No model set, using fallback:', fallbackModel);
+    return fallbackModel;
+  }
+
+  /**
+   * Ask one provider of the chain for a verdict
+   */
+  async requestAnalysis(entry, prompt, goals, settings, signal) {
+    const modelToUse = this.resolveModel(entry.provider, entry.model);
+
+    console.log('[Focus Guard] Sending LLM analysis request', {
+      provider: entry.provider,
+      model: modelToUse,
+      originalModel: entry.model,
+      promptLength: prompt.length
+    });
+
+    const provider = this.createProvider(entry.provider, entry.apiKey, modelToUse, {
+      baseUrl: settings.localBaseUrl
+    });
+    provider.structuredOutput = !(await this.usesPlainOutput(provider));
+
+    const target = { provider: entry.provider, model: modelToUse };
+    const startTime = Date.now();
+    const response = await this.requestWithRetries(provider, prompt, target, {
+      signal,
+      timeout: this.getTimeout(entry.provider, settings)
+    });
+    const duration = Date.now() - startTime;
+
+    console.log('[Focus Guard] LLM response received', { duration, response });
+
+    // Store token usage
+    if (response.tokenUsage) {
+      await this.storeTokenUsage(response.tokenUsage, entry.provider, modelToUse);
+    }
+
+    // Parse structured verdict (falls back to a bare score)
+    const verdict = Utils.parseVerdict(response.content);
+    if (!verdict) {
+      const error = new Error('Invalid verdict in response');
+      await this.health.record(target, { ok: false, error });
+      throw error;
+    }
+
+    await this.health.record(target, { ok: true, duration });
+
+    const alignmentScore = verdict.score;
+    const matchedGoalId = goals.some(goal => goal.id === verdict.matchedGoalId)
+      ? verdict.matchedGoalId
+      : null;
+
+    return {
+      alignmentScore,
+      shouldBlock: Utils.shouldBlockForScore(alignmentScore, settings),
+      reasoning: verdict.rationale || `Goal alignment: ${alignmentScore}/100`,
+      rationale: verdict.rationale,
+      category: verdict.category,
+      matchedGoalId,
+      structured: verdict.structured,
+      provider: entry.provider,
+      model: modelToUse,
+      duration,
+      tokenUsage: response.tokenUsage
+    };
+  }
+
+  /**
+   * Analyze page content using LLM
+   */
+  async analyzePageContent(title, content, goals, settings, context = {}) {
+    try {
+      // Validate inputs
+      const chain = this.getProviderChain(settings);
+      if (chain.length === 0) {
+        throw new Error('LLM provider not configured');
+      }
+
+      if (!goals || goals.length === 0) {
+        console.log('[Focus Guard] No goals set, allowing page');
+        return {
+          alignmentScore: null,
+          shouldBlock: false,
+          reasoning: 'No goals configured'
+        };
+      }
+
+      // Check persistent cache before spending a request
+      const cacheKey = settings.enableCache !== false && context.url
+        ? await Utils.generateCacheKey(context.url, content, goals, settings)
+        : null;
+
+      if (cacheKey) {
+        const cached = await this.cache.get(cacheKey);
+        if (cached) {
+          console.log('[Focus Guard] Using cached analysis result');
+          return {
+            ...cached,
+            // Re-derive the decision in case the threshold changed since caching
+            shouldBlock: Utils.shouldBlockForScore(cached.alignmentScore, settings),
+            cached: true
+          };
+        }
+      }
+
+      // Spending budgets can switch to cheaper models or local providers only
+      const budgetChain = await this.applyBudget(chain, settings);
+      if (budgetChain.length === 0) {
+        console.log('[Focus Guard] Spending budget reached and no local provider configured, allowing page');
+        return {
+          alignmentScore: null,
+          shouldBlock: false,
+          reasoning: 'Spending budget reached',
+          budgetReached: true
+        };
+      }
+
+      // Reserve a request slot; the over-limit policy decides pages that don't get one
+      const slot = await this.rateLimiter.acquire(settings, { tabId: context.tabId, signal: context.signal });
+      if (!slot.allowed) {
+        const shouldBlock = settings.rateLimit?.overLimit === 'block';
+        console.log(`[Focus Guard] ${slot.reason}, ${shouldBlock ? 'blocking' : 'allowing'} page`);
+        return {
+          alignmentScore: null,
+          shouldBlock,
+          reasoning: slot.reason,
+          rationale: shouldBlock ? `${slot.reason}; pages are blocked until requests are available again.` : undefined,
+          rateLimited: true
+        };
+      }
+
+      // Create prompt
+      const prompt = Utils.createAnalysisPrompt(title, content, goals, context.feedbackExamples);
+
+      // Try each provider in turn; the last one is tried even if it asked us to back off
+      let result = null;
+      let lastError = null;
+      for (const [index, entry] of budgetChain.entries()) {
+        const target = { provider: entry.provider, model: this.resolveModel(entry.provider, entry.model) };
+        if (index < budgetChain.length - 1 && await this.health.isBackingOff(target)) {
+          console.log('[Focus Guard] Skipping provider that asked to back off:', target);
+          continue;
+        }
+
+        try {
+          result = await this.requestAnalysis(entry, prompt, goals, settings, context.signal);
+          result.failover = index > 0;
+          break;
+        } catch (error) {
+          if (error.name === 'AbortError') {
+            throw error;
+          }
+
+          lastError = error;
+          console.warn(`[Focus Guard] ${entry.provider} failed:`, error.message);
+        }
+      }
+
+      if (!result) {
+        throw lastError;
+      }
+
+      if (cacheKey) {
+        await this.cache.set(cacheKey, result);
+      }
+
+      return result;
+
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        console.log('[Focus Guard] LLM analysis cancelled:', error.message);
+        return {
+          alignmentScore: null,
+          shouldBlock: false,
+          reasoning: 'Analysis cancelled',
+          cancelled: true
+        };
+      }
+
+      console.error('[Focus Guard] LLM analysis failed:', error);
+      
+      // Fail-open: allow page when analysis fails
+      return {
+        alignmentScore: null,
+        shouldBlock: false,
+        reasoning: `Analysis failed: ${error.message}`,
+        error: error.message
+      };
+    }
+  }
+}
+
+/**
+ * Pomodoro-style focus sessions: focus intervals separated by breaks, driven by chrome.alarms
+ */
+class FocusSessionManager {
+  constructor() {
+    this.updateChain = Promise.resolve();
+    this.pendingSummary = null; // Set by finish(), written by update()
+  }
+
+  /**
+   * Get the running session, if any
+   */
+  async getSession() {
+    try {
+      const result = await chrome.storage.local.get(CONSTANTS.STORAGE_KEYS.FOCUS_SESSION);
+      return result[CONSTANTS.STORAGE_KEYS.FOCUS_SESSION] || null;
+    } catch (error) {
+      console.error('[Focus Guard] Failed to load focus session:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Start a session of durationMinutes of focus time for a subset of goals
+   */
+  async start({ durationMinutes, goalIds = [] }, settings) {
+    const { MIN_MINUTES, MAX_MINUTES } = CONSTANTS.FOCUS_SESSION;
+    const minutes = parseInt(durationMinutes);
+
+    if (!minutes || minutes < MIN_MINUTES || minutes > MAX_MINUTES) {
+      throw new Error(`Session length must be between ${MIN_MINUTES} and ${MAX_MINUTES} minutes`);
+    }
+
+    return this.update(current => {
+      if (current) {
+        throw new Error('A focus session is already running');
+      }
+
+      const now = Date.now();
+      const session = {
+        id: 'session_' + now,
+        startedAt: now,
+        durationMinutes: minutes,
+        goalIds: Array.isArray(goalIds) ? goalIds : [],
+        focusIntervalMs: (settings.focusInterval || CONSTANTS.DEFAULT_SETTINGS.focusInterval) * 60000,
+        breakMs: (settings.breakDuration ?? CONSTANTS.DEFAULT_SETTINGS.breakDuration) * 60000,
+        focusRemainingMs: minutes * 60000,
+        stats: { analyzed: 0, blocked: 0, bypassed: 0, onGoalMs: 0 },
+        currentPage: null // { tabId, onGoal, since } for on-goal time
+      };
+
+      this.beginFocus(session, now);
+      return session;
+    });
+  }
+
+  /**
+   * End the running session early
+   */
+  async stop() {
+    return this.update(session => {
+      if (!session) return null;
+
+      const now = Date.now();
+      if (session.phase === 'focus') {
+        session.focusRemainingMs -= Math.min(now, session.phaseEndsAt) - session.phaseStartedAt;
+      }
+
+      return this.finish(session, now, true);
+    });
+  }
+
+  /**
+   * Advance past every phase boundary that has already been reached
+   * (also catches up after the browser or worker was asleep)
+   */
+  async advance() {
+    return this.update(session => {
+      const now = Date.now();
+
+      while (session && session.phaseEndsAt <= now) {
+        const boundary = session.phaseEndsAt;
+
+        if (session.phase === 'break') {
+          this.beginFocus(session, boundary);
+          continue;
+        }
+
+        this.closePageSegment(session, boundary);
+        session.focusRemainingMs -= boundary - session.phaseStartedAt;
+
+        if (session.focusRemainingMs <= 0) {
+          return this.finish(session, boundary, false);
+        }
+
+        if (session.breakMs > 0) {
+          session.phase = 'break';
+          session.phaseStartedAt = boundary;
+          session.phaseEndsAt = boundary + session.breakMs;
+        } else {
+          this.beginFocus(session, boundary);
+        }
+      }
+
+      return session;
+    });
+  }
+
+  /**
+   * Handle the phase and badge alarms
+   */
+  async handleAlarm(alarm) {
+    if (alarm.name === CONSTANTS.FOCUS_SESSION.PHASE_ALARM) {
+      await this.advance();
+    } else if (alarm.name === CONSTANTS.FOCUS_SESSION.TICK_ALARM) {
+      await this.updateBadge(await this.getSession());
+    }
+  }
+
+  /**
+   * Goals the current session focuses on (all active goals outside a session)
+   */
+  filterGoals(session, goals) {
+    if (!session?.goalIds?.length) {
+      return goals;
+    }
+
+    const sessionGoals = goals.filter(goal => session.goalIds.includes(goal.id));
+    return sessionGoals.length > 0 ? sessionGoals : goals;
+  }
+
+  /**
+   * Count a checked page and track on-goal time during a focus phase
+   */
+  async recordPageResult(tabId, result) {
+    if ((await this.getSession())?.phase !== 'focus') return;
+
+    await this.update(session => {
+      if (session?.phase !== 'focus') return session;
+
+      const now = Date.now();
+      session.stats.analyzed += 1;
+      if (result.shouldBlock) {
+        session.stats.blocked += 1;
+      }
+
+      this.closePageSegment(session, now);
+      session.currentPage = { tabId, onGoal: !result.shouldBlock, since: now };
+      return session;
+    });
+  }
+
+  /**
+   * Count a bypass; time on a bypassed page is not on-goal
+   */
+  async recordBypass(tabId) {
+    if ((await this.getSession())?.phase !== 'focus') return;
+
+    await this.update(session => {
+      if (session?.phase !== 'focus') return session;
+
+      const now = Date.now();
+      session.stats.bypassed += 1;
+      this.closePageSegment(session, now);
+      session.currentPage = { tabId, onGoal: false, since: now };
+      return session;
+    });
+  }
+
+  /**
+   * Start a focus interval at the given time
+   */
+  beginFocus(session, now) {
+    session.phase = 'focus';
+    session.phaseStartedAt = now;
+    session.phaseEndsAt = now + Math.min(session.focusIntervalMs, session.focusRemainingMs);
+  }
+
+  /**
+   * Add the time since the last checked page to on-goal time if it passed
+   */
+  closePageSegment(session, now) {
+    if (session.currentPage?.onGoal) {
+      session.stats.onGoalMs += Math.max(0, now - session.currentPage.since);
+    }
+    session.currentPage = null;
+  }
+
+  /**
+   * Write the session summary and clear the session
+   */
+  finish(session, now, endedEarly) {
+    this.closePageSegment(session, now);
+
+    const summary = {
+      id: session.id,
+      startedAt: session.startedAt,
+      endedAt: now,
+      durationMinutes: session.durationMinutes,
+      focusMinutes: Math.round((session.durationMinutes * 60000 - Math.max(0, session.focusRemainingMs)) / 60000),
+      goalIds: session.goalIds,
+      pagesAnalyzed: session.stats.analyzed,
+      pagesBlocked: session.stats.blocked,
+      bypasses: session.stats.bypassed,
+      onGoalMinutes: Math.round(session.stats.onGoalMs / 60000),
+      endedEarly
+    };
+
+    this.pendingSummary = summary;
+    return null;
+  }
+
+  /**
+   * Apply a change to the session (serialized), then persist it and sync alarms and badge
+   */
+  update(mutator) {
+    const run = this.updateChain.then(async () => {
+      const session = mutator(await this.getSession());
+      const key = CONSTANTS.STORAGE_KEYS.FOCUS_SESSION;
+
+      if (session) {
+        await chrome.storage.local.set({ [key]: session });
+      } else {
+        await chrome.storage.local.remove(key);
+      }
+
+      if (this.pendingSummary) {
+        await this.saveSummary(this.pendingSummary);
+        this.pendingSummary = null;
+      }
+
+      await this.syncAlarms(session);
+      await this.updateBadge(session);
+      return session;
+    });
+
+    this.updateChain = run.catch(error => {
+      console.error('[Focus Guard] Failed to update focus session:', error);
+    });
+
+    return run;
+  }
+
+  /**
+   * Store the latest summary for the popup and keep a short history
+   */
+  async saveSummary(summary) {
+    const historyKey = CONSTANTS.STORAGE_KEYS.FOCUS_HISTORY;
+    const result = await chrome.storage.local.get(historyKey);
+    const history = [summary, ...(result[historyKey] || [])]
+      .slice(0, CONSTANTS.FOCUS_SESSION.HISTORY_COUNT);
+
+    await chrome.storage.local.set({
+      [CONSTANTS.STORAGE_KEYS.FOCUS_SUMMARY]: summary,
+      [historyKey]: history
+    });
+
+    console.log('[Focus Guard] Focus session ended', summary);
+  }
+
+  /**
+   * Keep the phase alarm on the next boundary and the badge tick running while active
+   */
+  async syncAlarms(session) {
+    const { PHASE_ALARM, TICK_ALARM } = CONSTANTS.FOCUS_SESSION;
+
+    if (!session) {
+      await Promise.all([chrome.alarms.clear(PHASE_ALARM), chrome.alarms.clear(TICK_ALARM)]);
+      return;
+    }
+
+    await chrome.alarms.create(PHASE_ALARM, { when: session.phaseEndsAt });
+    if (!(await chrome.alarms.get(TICK_ALARM))) {
+      await chrome.alarms.create(TICK_ALARM, { periodInMinutes: 1 });
+    }
+  }
+
+  /**
+   * Show minutes left in the current phase on the toolbar badge
+   */
+  async updateBadge(session) {
+    try {
+      if (!session) {
+        await chrome.action.setBadgeText({ text: '' });
+        return;
+      }
+
+      const minutesLeft = Math.max(0, Math.ceil((session.phaseEndsAt - Date.now()) / 60000));
+      await chrome.action.setBadgeBackgroundColor({
+        color: CONSTANTS.FOCUS_SESSION.BADGE_COLORS[session.phase]
+      });
+      await chrome.action.setBadgeText({ text: `${minutesLeft}m` });
+    } catch (error) {
+      console.error('[Focus Guard] Failed to update badge:', error);
+    }
+  }
+}
+
+/**
+ * Goal profiles. The active profile's goals, whitelist, blocklist, threshold and model
+ * live in the usual storage keys so every reader keeps working unchanged; switching
+ * stashes them in a per-profile snapshot and loads the target profile's snapshot.
+ */
+class ProfileManager {
+  constructor() {
+    this.switchChain = Promise.resolve();
+  }
+
+  /**
+   * Get profiles ({ activeId, profiles: [{ id, name, createdAt }] })
+   */
+  async getProfiles() {
+    try {
+      const result = await chrome.storage.sync.get(CONSTANTS.STORAGE_KEYS.PROFILES);
+      return result[CONSTANTS.STORAGE_KEYS.PROFILES] || StorageManager.getDefaultProfiles();
+    } catch (error) {
+      console.error('[Focus Guard] Failed to get profiles:', error);
+      return StorageManager.getDefaultProfiles();
+    }
+  }
+
+  /**
+   * ID of the active profile
+   */
+  async getActiveId() {
+    return (await this.getProfiles()).activeId;
+  }
+
+  /**
+   * Make a profile active (serialized so overlapping switches can't mix snapshots)
+   */
+  switchTo(profileId) {
+    const run = this.switchChain.then(async () => {
+      const { GOALS, WHITELIST, BLOCKLIST, SETTINGS, PROFILES, PROFILE_DATA } = CONSTANTS.STORAGE_KEYS;
+      const state = await this.getProfiles();
+
+      if (!state.profiles.some(profile => profile.id === profileId)) {
+        throw new Error('Profile not found');
+      }
+
+      if (state.activeId === profileId) {
+        return state;
+      }
+
+      const [syncData, localData] = await Promise.all([
+        chrome.storage.sync.get([GOALS, WHITELIST, SETTINGS]),
+        chrome.storage.local.get([BLOCKLIST, PROFILE_DATA])
+      ]);
+      const settings = { ...CONSTANTS.DEFAULT_SETTINGS, ...StorageManager.migrateSettings(syncData[SETTINGS]) };
+      const snapshots = localData[PROFILE_DATA] || {};
+
+      snapshots[state.activeId] = {
+        goals: syncData[GOALS] || [],
+        whitelist: syncData[WHITELIST] || [],
+        blocklist: localData[BLOCKLIST] || [],
+        minAlignmentScore: settings.minAlignmentScore,
+        provider: settings.provider,
+        model: settings.model
+      };
+
+      // A profile that was never active starts with empty lists and the current threshold and model
+      const next = snapshots[profileId] || {};
+      delete snapshots[profileId];
+
+      const profileSettings = {
+        minAlignmentScore: next.minAlignmentScore ?? settings.minAlignmentScore,
+        // Models only carry over within the same provider
+        model: next.model && next.provider === settings.provider ? next.model : settings.model
+      };
+      const nextState = { ...state, activeId: profileId };
+
+      await chrome.storage.local.set({
+        [BLOCKLIST]: next.blocklist || [],
+        [PROFILE_DATA]: snapshots
+      });
+
+      // Re-read settings and change only the profile's keys, so saves made meanwhile aren't lost
+      const latest = (await chrome.storage.sync.get(SETTINGS))[SETTINGS];
+      await chrome.storage.sync.set({
+        [GOALS]: next.goals || [],
+        [WHITELIST]: next.whitelist || [],
+        [SETTINGS]: { ...StorageManager.migrateSettings(latest), ...profileSettings },
+        [PROFILES]: nextState
+      });
+
+      console.log('[Focus Guard] Switched profile:', state.activeId, '->', profileId);
+      return nextState;
+    });
+
+    this.switchChain = run.catch(error => {
+      console.error('[Focus Guard] Failed to switch profile:', error);
+    });
+
+    return run;
+  }
+}
+
+/**
+ * Weekly blocking schedules. The state is recomputed from the clock on every check;
+ * an alarm on the next boundary keeps the stored state (shown in the popup) current.
+ */
+class ScheduleManager {
+  constructor(profiles) {
+    this.profiles = profiles;
+  }
+
+  /**
+   * Whether the schedule allows blocking right now
+   */
+  isActive(settings) {
+    return Utils.getScheduleState(settings.schedule).active;
+  }
+
+  /**
+   * Re-evaluate the schedule, store its state and arm the alarm for the next boundary
+   */
+  async sync(settings) {
+    const { ALARM, MAX_ALARM_DELAY_MINUTES } = CONSTANTS.SCHEDULE;
+    const key = CONSTANTS.STORAGE_KEYS.SCHEDULE_STATE;
+
+    try {
+      const state = Utils.getScheduleState(settings.schedule);
+
+      if (!state.nextChangeAt) {
+        await Promise.all([chrome.alarms.clear(ALARM), chrome.storage.local.remove(key)]);
+        return state;
+      }
+
+      const previous = (await chrome.storage.local.get(key))[key];
+      if (previous?.active !== state.active || previous?.nextChangeAt !== state.nextChangeAt ||
+          previous?.windowKey !== state.windowKey) {
+        if (previous && previous.active !== state.active) {
+          console.log(`[Focus Guard] Scheduled blocking ${state.active ? 'started' : 'ended'}`);
+        }
+        await chrome.storage.local.set({ [key]: state });
+      }
+
+      // Switch once when a window bound to a profile starts; manual switches inside it stick
+      if (state.profileId && state.windowKey !== previous?.windowKey) {
+        await this.profiles.switchTo(state.profileId).catch(error => {
+          console.error('[Focus Guard] Scheduled profile switch failed:', error);
+        });
+      }
+
+      // Wall-clock boundaries can move with DST, so never sleep longer than the cap
+      await chrome.alarms.create(ALARM, {
+        when: Math.min(state.nextChangeAt, Date.now() + MAX_ALARM_DELAY_MINUTES * 60000)
+      });
+      return state;
+    } catch (error) {
+      console.error('[Focus Guard] Failed to sync schedule:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Handle the schedule boundary alarm
+   */
+  async handleAlarm(alarm) {
+    if (alarm.name !== CONSTANTS.SCHEDULE.ALARM) return;
+
+    // The worker may have just woken up, so read settings rather than trusting memory
+    await this.sync(await StorageManager.getSettings());
+  }
+}
+
+/**
+ * Usage counters in local storage. Every change goes through one queue in the background so
+ * concurrent tabs can't lose increments. Holds all-time totals, per-profile totals and per-day buckets:
+ *   { totalRequests, blockedPages, bypassedPages, savedCalls, byProfile: { id: {...} }, days: { 'YYYY-MM-DD': {...} } }
+ */
+class AnalyticsStore {
+  constructor() {
+    this.writeChain = Promise.resolve();
+  }
+
+  /**
+   * Empty counters
+   */
+  createEmpty() {
+    const analytics = { byProfile: {}, days: {} };
+    CONSTANTS.ANALYTICS.COUNTERS.forEach(counter => {
+      analytics[counter] = 0;
+    });
+    return analytics;
+  }
+
+  /**
+   * Apply a change to the counters (serialized). Totals still in sync storage from
+   * earlier versions are picked up and moved to local storage on the first change.
+   */
+  update(mutator) {
+    const run = this.writeChain.then(async () => {
+      const key = CONSTANTS.STORAGE_KEYS.ANALYTICS;
+      const stored = (await chrome.storage.local.get(key))[key];
+      const legacy = stored ? null : (await chrome.storage.sync.get(key))[key];
+      const analytics = mutator({ ...this.createEmpty(), ...(stored || legacy) });
+
+      await chrome.storage.local.set({ [key]: analytics });
+      if (legacy) {
+        await chrome.storage.sync.remove(key);
+        console.log('[Focus Guard] Moved analytics from sync to local storage');
+      }
+      return analytics;
+    });
+
+    this.writeChain = run.catch(error => {
+      console.error('[Focus Guard] Failed to update analytics:', error);
+    });
+
+    return run;
+  }
+
+  /**
+   * One-time move of the totals out of sync storage
+   */
+  async migrate() {
+    const key = CONSTANTS.STORAGE_KEYS.ANALYTICS;
+    const stored = await chrome.storage.local.get(key);
+    if (!stored[key]) {
+      await this.update(analytics => analytics);
+    }
+  }
+
+  /**
+   * Add to the counters for today, also counting towards a profile's totals when given
+   */
+  increment(updates, profileId = null) {
+    return this.update(analytics => {
+      const today = Utils.getDateKey();
+      const dayTotals = analytics.days[today] = analytics.days[today] || {};
+      const profileTotals = profileId
+        ? analytics.byProfile[profileId] = analytics.byProfile[profileId] || {}
+        : null;
+
+      Object.entries(updates).forEach(([counter, amount]) => {
+        if (typeof amount !== 'number') return;
+
+        analytics[counter] = (analytics[counter] || 0) + amount;
+        dayTotals[counter] = (dayTotals[counter] || 0) + amount;
+        if (profileTotals) {
+          profileTotals[counter] = (profileTotals[counter] || 0) + amount;
+        }
+      });
+
+      const cutoff = new Date();
+      cutoff.setDate(cutoff.getDate() - CONSTANTS.ANALYTICS.RETENTION_DAYS);
+      const cutoffKey = Utils.getDateKey(cutoff);
+      Object.keys(analytics.days)
+        .filter(dayKey => dayKey < cutoffKey)
+        .forEach(dayKey => delete analytics.days[dayKey]);
+
+      return analytics;
+    });
+  }
+
+  /**
+   * Reset all counters, including per-profile totals and daily buckets
+   */
+  reset() {
+    return this.update(() => this.createEmpty());
+  }
+}
+
+/**
+ * Active-tab time tracking. Time on the focused tab of the focused window (while the user isn't idle)
+ * is credited to its domain as on-goal, off-goal or unknown, following the latest verdict for the page.
+ * The current stretch lives in session storage so it survives the worker sleeping; totals are kept
+ * per local day as { domains: { domain: { on, off, unknown } }, hours: { 0-23: { on, off, unknown } } } in ms.
+ */
+class AttentionTracker {
+  constructor() {
+    this.updateChain = Promise.resolve();
+  }
+
+  /**
+   * Arm idle detection and the periodic flush, then pick up the current tab
+   */
+  async start() {
+    try {
+      chrome.idle.setDetectionInterval(CONSTANTS.ATTENTION.IDLE_SECONDS);
+      if (!(await chrome.alarms.get(CONSTANTS.ATTENTION.FLUSH_ALARM))) {
+        await chrome.alarms.create(CONSTANTS.ATTENTION.FLUSH_ALARM, { periodInMinutes: 1 });
+      }
+    } catch (error) {
+      console.error('[Focus Guard] Failed to start time tracking:', error);
+    }
+
+    await this.refresh();
+  }
+
+  /**
+   * Apply a change to the tracking state (serialized to avoid lost writes)
+   */
+  update(mutator) {
+    const update = this.updateChain.then(async () => {
+      const key = CONSTANTS.STORAGE_KEYS.ATTENTION_STATE;
+      const result = await chrome.storage.session.get(key);
+      const state = result[key] || { current: null, tabs: {}, domains: {} };
+
+      await mutator(state, Date.now());
+      await chrome.storage.session.set({ [key]: state });
+    });
+
+    this.updateChain = update.catch(error => {
+      console.error('[Focus Guard] Failed to update time tracking:', error);
+    });
+
+    return this.updateChain;
+  }
+
+  /**
+   * Re-evaluate what is being looked at: the active tab of the focused window, unless idle or disabled.
+   * Settings are read from storage, since a freshly woken worker may not have loaded them yet.
+   */
+  async refresh({ idleState } = {}) {
+    let tab = null;
+
+    try {
+      const settings = await StorageManager.getSettings();
+      if (settings.trackTime !== false) {
+        const state = idleState || await chrome.idle.queryState(CONSTANTS.ATTENTION.IDLE_SECONDS);
+        const window = state === 'active' ? await chrome.windows.getLastFocused() : null;
+
+        if (window?.focused) {
+          [tab] = await chrome.tabs.query({ active: true, windowId: window.id });
+        }
+      }
+    } catch (error) {
+      console.error('[Focus Guard] Failed to find the active tab:', error);
+    }
+
+    const domain = tab && /^https?:/.test(tab.url || '') ? Utils.getFeedbackDomain(tab.url) : null;
+
+    return this.update(async (state, now) => {
+      await this.flush(state, now);
+
+      if (!domain) {
+        state.current = null;
+      } else if (state.current?.tabId !== tab.id || state.current.domain !== domain) {
+        state.current = { tabId: tab.id, domain, since: now };
+      }
+    });
+  }
+
+  /**
+   * Remember the latest verdict for a tab and its site; later time there is classified by it
+   */
+  recordVerdict(tabId, url, onGoal) {
+    const domain = Utils.getFeedbackDomain(url);
+    if (tabId === undefined || !domain) {
+      return Promise.resolve();
+    }
+
+    return this.update(async (state, now) => {
+      // Time before the verdict keeps its previous classification
+      await this.flush(state, now);
+
+      state.tabs[tabId] = { domain, onGoal };
+
+      // Re-insert so the object stays ordered by recency, then drop the oldest sites
+      delete state.domains[domain];
+      state.domains[domain] = onGoal;
+      const domains = Object.keys(state.domains);
+      domains
+        .slice(0, Math.max(0, domains.length - CONSTANTS.ATTENTION.MAX_VERDICT_DOMAINS))
+        .forEach(stale => delete state.domains[stale]);
+    });
+  }
+
+  /**
+   * Forget a closed tab
+   */
+  removeTab(tabId) {
+    return this.update(async (state, now) => {
+      if (state.current?.tabId === tabId) {
+        await this.flush(state, now);
+        state.current = null;
+      }
+      delete state.tabs[tabId];
+    });
+  }
+
+  /**
+   * Periodically credit the running stretch so reports stay current
+   */
+  async handleAlarm(alarm) {
+    if (alarm.name !== CONSTANTS.ATTENTION.FLUSH_ALARM) return;
+
+    await this.update((state, now) => this.flush(state, now));
+  }
+
+  /**
+   * Classification of time on a tab: its own latest verdict, else the site's
+   */
+  getStatus(state, { tabId, domain }) {
+    const tabVerdict = state.tabs[tabId];
+    if (tabVerdict?.domain === domain) {
+      return tabVerdict.onGoal ? 'on' : 'off';
+    }
+
+    if (domain in state.domains) {
+      return state.domains[domain] ? 'on' : 'off';
+    }
+
+    return 'unknown';
+  }
+
+  /**
+   * Credit the time since the current stretch started (or was last flushed)
+   */
+  async flush(state, now) {
+    const current = state.current;
+    if (!current) return;
+
+    const elapsed = Math.min(now - current.since, CONSTANTS.ATTENTION.MAX_SEGMENT_MS);
+    current.since = now;
+
+    if (elapsed > 0) {
+      await this.addTime(current.domain, this.getStatus(state, current), now - elapsed, now);
+    }
+  }
+
+  /**
+   * Add a stretch to the daily totals, split at local hour boundaries
+   */
+  async addTime(domain, status, start, end) {
+    const key = CONSTANTS.STORAGE_KEYS.ATTENTION;
+    const result = await chrome.storage.local.get(key);
+    const days = result[key] || {};
+    const emptyTotals = () => ({ on: 0, off: 0, unknown: 0 });
+
+    let cursor = start;
+    while (cursor < end) {
+      const date = new Date(cursor);
+      const hour = date.getHours();
+      const hourEnd = new Date(date.getFullYear(), date.getMonth(), date.getDate(), hour + 1).getTime();
+      const sliceEnd = Math.min(end, hourEnd);
+      const dayKey = Utils.getDateKey(date);
+
+      const day = days[dayKey] = days[dayKey] || { domains: {}, hours: {} };
+      const domainTotals = day.domains[domain] = day.domains[domain] || emptyTotals();
+      const hourTotals = day.hours[hour] = day.hours[hour] || emptyTotals();
+      domainTotals[status] += sliceEnd - cursor;
+      hourTotals[status] += sliceEnd - cursor;
+
+      cursor = sliceEnd;
+    }
+
+    const cutoff = new Date();
+    cutoff.setDate(cutoff.getDate() - CONSTANTS.ATTENTION.RETENTION_DAYS);
+    const cutoffKey = Utils.getDateKey(cutoff);
+    Object.keys(days)
+      .filter(dayKey => dayKey < cutoffKey)
+      .forEach(dayKey => delete days[dayKey]);
+
+    await chrome.storage.local.set({ [key]: days });
+  }
+}
+
+/**
+ * Background Service Worker for Focus Guard extension
+ */
+class BackgroundService {
+  constructor() {
+    this.llmClient = new LLMClient();
+    this.focusSessions = new FocusSessionManager();
+    this.profiles = new ProfileManager();
+    this.classifier = new LocalClassifier();
+    this.attention = new AttentionTracker();
+    this.analytics = new AnalyticsStore();
+    this.schedule = new ScheduleManager(this.profiles);
+    this.pendingAnalyses = new Map(); // tabId -> AbortController for the in-flight LLM analysis
+    this.shieldDeadlines = new Map(); // tabId -> timeout for pre-render verdicts
+    this.blocklistRules = null; // Compiled blocklist, rebuilt when storage changes
+    this.whitelistRules = null; // Compiled whitelist, rebuilt when storage changes
+    this.ruleHitChain = Promise.resolve();
+    this.bypassChain = Promise.resolve();
+    this.feedbackChain = Promise.resolve();
+    this.historyAdds = 0; // Entries recorded since the last history retention pass
+    this.settings = {};
+    this.settingsReady = null; // Resolves once settings are loaded; events that wake the worker wait on it
+    
+    this.ready = this.initialize(); // Resolves (never rejects) once start-up work is done; messages wait on it
+  }
+
+  /**
+   * Initialize background service
+   */
+  async initialize() {
+    try {
+      console.log('[Focus Guard] Background service initializing...');
+      
+      // Load initial settings
+      this.settingsReady = StorageManager.getSettings();
+      this.settings = await this.settingsReady;
+      console.log('[Focus Guard] Settings loaded:', this.settings);
+
+      // Counters used to live in sync storage
+      await this.analytics.migrate().catch(() => {
+        // Logged by the analytics queue; later increments retry the move
+      });
+
+      // Register or remove the document_start shield for pre-render mode
+      await this.updateShieldRegistration();
+
+      // Catch up on focus session phases that ended while the worker was asleep
+      await this.focusSessions.advance();
+
+      // Resume time tracking on whatever tab is active now
+      await this.attention.start();
+
+      // Drop history entries past their retention period
+      VerdictHistory.prune(this.settings.historyRetentionDays).catch(error => {
+        console.error('[Focus Guard] Failed to prune history:', error);
+      });
+
+      // Re-arm the schedule alarm and refresh the stored schedule state
+      await this.schedule.sync(this.settings);
+
+      console.log('[Focus Guard] Background service initialized successfully');
+    } catch (error) {
+      console.error('[Focus Guard] Failed to initialize background service:', error);
+    }
+  }
+
+  /**
+   * Handle messages from content scripts and popup
+   */
+  async handleMessage(message, sender, sendResponse) {
+    try {
+      const { type, payload } = message;
+
+      switch (type) {
+        case CONSTANTS.MESSAGE_TYPES.ANALYZE_PAGE:
+          await this.handlePageAnalysis(payload, sender, sendResponse);
+          this.clearShieldDeadline(sender.tab?.id);
+          break;
+
+        case CONSTANTS.MESSAGE_TYPES.GET_GOALS:
+          await this.handleGetGoals(sendResponse);
+          break;
+
+        case CONSTANTS.MESSAGE_TYPES.BYPASS_PAGE:
+          sendResponse(await this.handlePageBypass(payload, sender));
+          break;
+
+        case CONSTANTS.MESSAGE_TYPES.PAGE_FEEDBACK:
+          sendResponse(await this.handlePageFeedback(payload));
+          break;
+
+        case CONSTANTS.MESSAGE_TYPES.REANALYZE_PAGE:
+          sendResponse(await this.handleReanalyze(payload));
+          break;
+
+        case CONSTANTS.MESSAGE_TYPES.RESET_ANALYTICS:
+          sendResponse({ analytics: await this.analytics.reset() });
+          break;
+
+        case CONSTANTS.MESSAGE_TYPES.START_FOCUS_SESSION:
+          sendResponse({ session: await this.focusSessions.start(payload || {}, await StorageManager.getSettings()) });
+          break;
+
+        case CONSTANTS.MESSAGE_TYPES.STOP_FOCUS_SESSION:
+          await this.focusSessions.stop();
+          sendResponse({ success: true });
+          break;
+
+        case CONSTANTS.MESSAGE_TYPES.GET_FOCUS_SESSION:
+          sendResponse({ session: await this.focusSessions.getSession() });
+          break;
+
+        case CONSTANTS.MESSAGE_TYPES.SWITCH_PROFILE:
+          sendResponse({ profiles: await this.profiles.switchTo(payload?.profileId) });
+          break;
+
+        case CONSTANTS.MESSAGE_TYPES.TOGGLE_EXTENSION:
+          await this.handleExtensionToggle(payload);
+          sendResponse({ success: true });
+          break;
+
+        case 'VALIDATE_API_KEY':
+          await this.handleApiValidation(payload, sendResponse);
+          break;
+
+        case CONSTANTS.MESSAGE_TYPES.RECORD_RULE_HIT:
+          await this.recordRuleHit(payload?.list, payload?.rule);
+          sendResponse({ success: true });
+          break;
+
+        case CONSTANTS.MESSAGE_TYPES.LIST_MODELS:
+          await this.handleListModels(payload, sendResponse);
+          break;
+
+        case CONSTANTS.MESSAGE_TYPES.UPDATE_SETTINGS:
+          await this.handleUpdateSettings(payload, sendResponse);
+          break;
+
+        case CONSTANTS.MESSAGE_TYPES.GET_SETTINGS:
+          await this.handleGetSettings(sendResponse);
+          break;
+
+        default:
+          console.log('[Focus Guard] Unknown message type:', type);
+          sendResponse({ error: 'Unknown message type' });
+      }
+    } catch (error) {
+      console.error('[Focus Guard] Failed to handle message:', error);
+      sendResponse({ error: error.message });
+    }
+  }
+
+  /**
+   * Handle page analysis request
+   */
+  async handlePageAnalysis(payload, sender, sendResponse) {
+    const { url, title, content, timestamp } = payload;
+    const tabId = sender.tab?.id;
+
+    console.log('[Focus Guard] Handling page analysis for:', { url, title, tabId });
+
+    if (!tabId) {
+      console.error('[Focus Guard] No tab ID available');
+      sendResponse({ error: 'No tab ID available' });
+      return;
+    }
+
+    try {
+      // A running focus session turns blocking on even if the extension is disabled
+      const session = await this.focusSessions.getSession();
+
+      // Check if extension is enabled
+      if (!this.settings.enabled && !session) {
+        console.log('[Focus Guard] Extension disabled, allowing page');
+        sendResponse({
+          type: CONSTANTS.MESSAGE_TYPES.ANALYSIS_RESULT,
+          payload: {
+            shouldBlock: false,
+            alignmentScore: null,
+            reasoning: 'Extension disabled'
+          }
+        });
+        return;
+      }
+
+      // Nothing is blocked outside scheduled hours (a focus session overrides the schedule)
+      if (!session && !this.schedule.isActive(this.settings)) {
+        console.log('[Focus Guard] Outside scheduled hours, allowing page');
+        sendResponse({
+          type: CONSTANTS.MESSAGE_TYPES.ANALYSIS_RESULT,
+          payload: {
+            shouldBlock: false,
+            alignmentScore: null,
+            reasoning: 'Outside scheduled hours',
+            source: 'schedule'
+          }
+        });
+        return;
+      }
+
+      // Blocking relaxes during focus session breaks
+      if (session?.phase === 'break') {
+        console.log('[Focus Guard] Focus session break, allowing page');
+        sendResponse({
+          type: CONSTANTS.MESSAGE_TYPES.ANALYSIS_RESULT,
+          payload: {
+            shouldBlock: false,
+            alignmentScore: null,
+            reasoning: 'Focus session break',
+            source: 'break'
+          }
+        });
+        return;
+      }
+
+      // A "Continue anyway" covers the site in this tab until it expires
+      const bypass = await this.getActiveBypass(tabId, url);
+      if (bypass) {
+        console.log('[Focus Guard] Bypass active, allowing page until', new Date(bypass.expiresAt));
+        this.attention.recordVerdict(tabId, url, false);
+        sendResponse({
+          type: CONSTANTS.MESSAGE_TYPES.ANALYSIS_RESULT,
+          payload: {
+            shouldBlock: false,
+            alignmentScore: null,
+            reasoning: 'Bypass active',
+            source: 'bypass',
+            bypassExpiresAt: bypass.expiresAt
+          }
+        });
+        return;
+      }
+
+      // Blocklist rules win over the whitelist and never reach the LLM
+      const blocklistRule = await this.findBlocklistMatch(url);
+      if (blocklistRule) {
+        console.log('[Focus Guard] Blocklist rule matched, blocking page:', blocklistRule);
+        await this.analytics.increment({ blockedPages: 1 }, await this.profiles.getActiveId());
+        await this.focusSessions.recordPageResult(tabId, { shouldBlock: true });
+        this.recordRuleHit('blocklist', blocklistRule);
+        this.attention.recordVerdict(tabId, url, false);
+        this.recordHistory({ url, title }, {
+          shouldBlock: true,
+          rationale: `Matched blocklist rule "${blocklistRule}".`,
+          source: 'blocklist'
+        });
+        sendResponse({
+          type: CONSTANTS.MESSAGE_TYPES.ANALYSIS_RESULT,
+          payload: {
+            shouldBlock: true,
+            alignmentScore: null,
+            reasoning: `Blocklist rule ${blocklistRule}`,
+            rationale: `Matched blocklist rule "${blocklistRule}".`,
+            source: 'blocklist',
+            matchedRule: blocklistRule
+          }
+        });
+        return;
+      }
+
+      // Check if the URL matches a whitelist rule
+      const whitelistRule = await this.findWhitelistMatch(url);
+      if (whitelistRule) {
+        console.log('[Focus Guard] Whitelist rule matched, allowing page:', whitelistRule);
+        await this.focusSessions.recordPageResult(tabId, { shouldBlock: false });
+        this.recordRuleHit('whitelist', whitelistRule);
+        this.attention.recordVerdict(tabId, url, true);
+        this.recordHistory({ url, title }, {
+          shouldBlock: false,
+          rationale: `Matched whitelist rule "${whitelistRule}".`,
+          source: 'whitelist'
+        });
+        sendResponse({
+          type: CONSTANTS.MESSAGE_TYPES.ANALYSIS_RESULT,
+          payload: {
+            shouldBlock: false,
+            alignmentScore: null,
+            reasoning: `Whitelist rule ${whitelistRule}`,
+            source: 'whitelist',
+            matchedRule: whitelistRule
+          }
+        });
+        return;
+      }
+
+      console.log('[Focus Guard] Extension enabled, proceeding with analysis');
+
+      // Get current goals and settings
+      const [goals, currentSettings, feedback] = await Promise.all([
+        StorageManager.getGoals(),
+        StorageManager.getSettings(),
+        this.getFeedbackContext(url)
+      ]);
+
+      // Update settings cache
+      this.settings = currentSettings;
+
+      const analysisGoals = this.getAnalysisGoals(goals, session);
+
+      // Obvious matches on a goal's related topics or "not this" patterns never reach the LLM
+      const hintMatch = Utils.matchGoalHints(analysisGoals, { url, title });
+      if (hintMatch) {
+        const { shouldBlock, goal, hint } = hintMatch;
+        console.log('[Focus Guard] Goal hint matched:', { hint, goalId: goal.id, shouldBlock });
+
+        await this.analytics.increment({
+          savedCalls: 1,
+          ...(shouldBlock ? { blockedPages: 1 } : {})
+        }, await this.profiles.getActiveId());
+        await this.focusSessions.recordPageResult(tabId, { shouldBlock });
+
+        const hintResult = {
+          shouldBlock,
+          alignmentScore: null,
+          reasoning: `Goal hint ${hint}`,
+          rationale: shouldBlock
+            ? `Matches "${hint}", which you excluded from the goal "${goal.text}".`
+            : `Matches "${hint}", related to the goal "${goal.text}".`,
+          source: 'goal-hint',
+          matchedGoalId: goal.id
+        };
+        this.recordHistory({ url, title }, hintResult);
+        this.attention.recordVerdict(tabId, url, !shouldBlock);
+
+        sendResponse({
+          type: CONSTANTS.MESSAGE_TYPES.ANALYSIS_RESULT,
+          payload: hintResult
+        });
+        return;
+      }
+
+      // Confident local verdicts, learned from past decisions, also skip the LLM
+      const localVerdict = currentSettings.localClassifier !== false && analysisGoals.length > 0
+        ? await this.classifier.classify(analysisGoals, { url, title, content }, currentSettings.minAlignmentScore)
+        : null;
+      if (localVerdict) {
+        const { shouldBlock, confidence, method } = localVerdict;
+        console.log('[Focus Guard] Local classifier verdict:', localVerdict);
+
+        await this.analytics.increment({
+          savedCalls: 1,
+          ...(shouldBlock ? { blockedPages: 1 } : {})
+        }, await this.profiles.getActiveId());
+        await this.focusSessions.recordPageResult(tabId, { shouldBlock });
+
+        const verdictText = shouldBlock ? 'blocked' : 'allowed';
+        const localResult = {
+          shouldBlock,
+          alignmentScore: null,
+          reasoning: `Local classifier (${method})`,
+          rationale: method === 'site'
+            ? `Pages on this site have always been ${verdictText} before.`
+            : `Similar pages were ${verdictText} before (${Math.round(confidence * 100)}% confident).`,
+          source: 'local'
+        };
+        this.recordHistory({ url, title }, localResult);
+        this.attention.recordVerdict(tabId, url, !shouldBlock);
+
+        sendResponse({
+          type: CONSTANTS.MESSAGE_TYPES.ANALYSIS_RESULT,
+          payload: localResult
+        });
+        return;
+      }
+
+      // Past feedback for this site shifts its threshold and calibrates the prompt
+      const analysisSettings = {
+        ...currentSettings,
+        minAlignmentScore: Utils.getEffectiveMinScore(currentSettings, feedback.entry)
+      };
 
-    const data = await this.handleResponse(response);
-    
-    return {
-      content: data.choices[0]?.message?.content || '',
-      tokenUsage: {
-        inputTokens: data.usage?.prompt_tokens || 0,
-        outputTokens: data.usage?.completion_tokens || 0,
-        totalTokens: data.usage?.total_tokens || 0
+      // Perform LLM analysis (a newer analysis for the same tab supersedes this one)
+      this.cancelAnalysis(tabId, 'Superseded by a newer analysis');
+      const controller = new AbortController();
+      this.pendingAnalyses.set(tabId, controller);
+
+      let result;
+      try {
+        result = await this.llmClient.analyzePageContent(
+          title,
+          content,
+          analysisGoals,
+          analysisSettings,
+          { url, tabId, feedbackExamples: feedback.examples, signal: controller.signal }
+        );
+      } finally {
+        if (this.pendingAnalyses.get(tabId) === controller) {
+          this.pendingAnalyses.delete(tabId);
+        }
       }
-    };
-  }
-}
 
-/**
- * Anthropic API provider
- */
-class AnthropicProvider extends LLMProvider {
-  constructor(apiKey, model = 'claude-sonnet-4') {
-    super(apiKey, model);
-    this.baseUrl = CONSTANTS.PROVIDERS.anthropic.baseUrl;
-  }
+      // The page this was for is gone; don't count it or send a verdict
+      if (result.cancelled) {
+        sendResponse({ error: 'Analysis cancelled' });
+        return;
+      }
 
-  getHeaders() {
-    return {
-      ...super.getHeaders(),
-      'x-api-key': this.apiKey,
-      'anthropic-version': '2025-01-01' // Updated for Claude 4 support
-    };
-  }
+      // Update analytics
+      await this.analytics.increment({
+        totalRequests: 1,
+        ...(result.shouldBlock ? { blockedPages: 1 } : {})
+      }, await this.profiles.getActiveId());
+      await this.focusSessions.recordPageResult(tabId, result);
+      this.recordHistory({ url, title }, result);
 
-  async makeRequest(prompt) {
-    const response = await fetch(`${this.baseUrl}/v1/messages`, {
-      method: 'POST',
-      headers: this.getHeaders(),
-      body: JSON.stringify({
-        model: this.model,
-        max_tokens: 20,
-        temperature: 0.1,
-        messages: [
-          {
-            role: 'user',
-            content: prompt
-          }
-        ]
-      })
-    });
+      // Fail-open results (errors, limits, no goals) say nothing about the page
+      if (typeof result.alignmentScore === 'number') {
+        this.attention.recordVerdict(tabId, url, !result.shouldBlock);
+      }
 
-    const data = await this.handleResponse(response);
-    
-    return {
-      content: data.content[0]?.text || '',
-      tokenUsage: {
-        inputTokens: data.usage?.input_tokens || 0,
-        outputTokens: data.usage?.output_tokens || 0,
-        totalTokens: (data.usage?.input_tokens || 0) + (data.usage?.output_tokens || 0)
+      // Fresh LLM verdicts train the local classifier
+      if (result.category && !result.cached) {
+        this.classifier.train(analysisGoals, { url, title, content }, result.shouldBlock, currentSettings.minAlignmentScore);
       }
-    };
-  }
-}
 
-/**
- * Main LLM Client class
- */
-class LLMClient {
-  constructor() {
-    this.cache = new Map();
-  }
+      // Only LLM verdicts carry a category; skip disabled/whitelisted/failed results
+      if (result.category) {
+        await StorageManager.recordVerdict({
+          url,
+          title,
+          timestamp: Date.now(),
+          alignmentScore: result.alignmentScore,
+          shouldBlock: result.shouldBlock,
+          category: result.category,
+          matchedGoalId: result.matchedGoalId,
+          rationale: result.rationale
+        });
+      }
 
-  /**
-   * Create provider instance based on settings
-   */
-  createProvider(provider, apiKey, model) {
-    switch (provider) {
-      case 'openrouter':
-        return new OpenRouterProvider(apiKey, model);
-      case 'openai':
-        return new OpenAIProvider(apiKey, model);
-      case 'anthropic':
-        return new AnthropicProvider(apiKey, model);
-      default:
-        throw new Error(`Unknown provider: ${provider}`);
+      console.log('[Focus Guard] Page analysis completed', {
+        url,
+        alignmentScore: result.alignmentScore,
+        shouldBlock: result.shouldBlock,
+        category: result.category,
+        rationale: result.rationale,
+        tabId
+      });
+
+      // Send result to content script
+      sendResponse({
+        type: CONSTANTS.MESSAGE_TYPES.ANALYSIS_RESULT,
+        payload: result
+      });
+
+    } catch (error) {
+      console.error('[Focus Guard] Page analysis failed:', error);
+      
+      // Fail-open: allow page on error
+      sendResponse({
+        type: CONSTANTS.MESSAGE_TYPES.ANALYSIS_RESULT,
+        payload: {
+          shouldBlock: false,
+          alignmentScore: null,
+          reasoning: `Analysis failed: ${error.message}`,
+          error: error.message
+        }
+      });
     }
   }
 
   /**
-   * Store token usage for analytics
+   * Handle get goals request
    */
-  async storeTokenUsage(tokenUsage, provider) {
+  async handleGetGoals(sendResponse) {
     try {
-      const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD format
-      const key = `tokenUsage_${today}`;
-      
-      const result = await chrome.storage.local.get(key);
-      const dailyUsage = result[key] || {};
-      
-      if (!dailyUsage[provider]) {
-        dailyUsage[provider] = {
-          inputTokens: 0,
-          outputTokens: 0,
-          totalTokens: 0,
-          requests: 0
-        };
-      }
-      
-      dailyUsage[provider].inputTokens += tokenUsage.inputTokens;
-      dailyUsage[provider].outputTokens += tokenUsage.outputTokens;
-      dailyUsage[provider].totalTokens += tokenUsage.totalTokens;
-      dailyUsage[provider].requests += 1;
-      
-      await chrome.storage.local.set({ [key]: dailyUsage });
+      const goals = await StorageManager.getGoals();
+      sendResponse({ goals });
     } catch (error) {
-      console.error('[Focus Guard] Failed to store token usage:', error);
+      console.error('[Focus Guard] Failed to get goals:', error);
+      sendResponse({ error: error.message, goals: [] });
     }
   }
 
   /**
-   * Analyze page content using LLM
+   * Handle page bypass: grant a timed bypass if today's budget allows it
    */
-  async analyzePageContent(title, content, goals, settings) {
+  async handlePageBypass(payload, sender) {
+    const { url, title, alignmentScore, justification = '', timestamp } = payload;
+    const tabId = sender.tab?.id;
+
     try {
-      // Validate inputs
-      if (!settings.provider || !settings.apiKey) {
-        throw new Error('LLM provider not configured');
+      if (!tabId) {
+        return { success: false, error: 'No tab ID available' };
       }
 
-      if (!goals || goals.length === 0) {
-        console.log('[Focus Guard] No goals set, allowing page');
-        return {
-          confidence: 0,
-          shouldBlock: false,
-          reasoning: 'No goals configured'
-        };
+      const settings = await StorageManager.getSettings();
+      const reason = justification.trim();
+      const minLength = CONSTANTS.BYPASS.MIN_JUSTIFICATION_LENGTH;
+
+      if (settings.bypassFriction === 'justification' && reason.length < minLength) {
+        return { success: false, error: `Please write at least ${minLength} characters about why you need this page` };
       }
 
-      // Check rate limiting
-      if (Utils.isRateLimited(settings)) {
-        console.log('[Focus Guard] Rate limit exceeded, allowing page');
+      const durationMinutes = settings.bypassDuration || CONSTANTS.DEFAULT_SETTINGS.bypassDuration;
+      const grant = await this.updateBypassState(state => {
+        const remaining = Utils.getRemainingBypasses(state, settings);
+        if (remaining <= 0) {
+          return { success: false, error: 'No bypasses left today' };
+        }
+
+        const expiresAt = Date.now() + durationMinutes * 60000;
+        state.used += 1;
+        state.active[tabId] = { url, host: new URL(url).hostname, expiresAt };
+        state.history = [
+          { url, alignmentScore, justification: reason, timestamp: timestamp || Date.now() },
+          ...(state.history || [])
+        ].slice(0, CONSTANTS.BYPASS.HISTORY_COUNT);
+
         return {
-          confidence: 0,
-          shouldBlock: false,
-          reasoning: 'Rate limit exceeded'
+          success: true,
+          expiresAt,
+          remaining: Number.isFinite(remaining) ? remaining - 1 : null
         };
-      }
+      });
 
-      // Create prompt
-      const prompt = Utils.createAnalysisPrompt(title, content, goals);
-      
-      // Ensure we have a valid model
-      let modelToUse = settings.model;
-      if (!modelToUse || modelToUse.trim() === '') {
-        if (settings.provider === 'openai') {
-          modelToUse = 'gpt-5-mini';
-        } else if (settings.provider === 'openrouter') {
-          modelToUse = 'openai/gpt-5-mini';
-        } else if (settings.provider === 'anthropic') {
-          modelToUse = 'claude-sonnet-4';
-        } else {
-          modelToUse = 'gpt-5-mini';
-        }
-        console.log('[Focus Guard] No model set, using fallback:', modelToUse);
+      if (!grant.success) {
+        console.log('[Focus Guard] Bypass refused:', grant.error);
+        return grant;
       }
 
-      console.log('[Focus Guard] Sending LLM analysis request', {
-        provider: settings.provider,
-        model: modelToUse,
-        originalModel: settings.model,
-        promptLength: prompt.length,
-        fullSettings: settings
-      });
+      // Re-block the tab when the bypass runs out (alarms survive worker restarts)
+      await chrome.alarms.create(CONSTANTS.BYPASS.ALARM_PREFIX + tabId, { when: grant.expiresAt });
 
-      // Create provider and make request
-      const provider = this.createProvider(settings.provider, settings.apiKey, modelToUse);
-      
-      const startTime = Date.now();
-      const response = await Promise.race([
-        provider.makeRequest(prompt),
-        new Promise((_, reject) => 
-          setTimeout(() => reject(new Error('Request timeout')), CONSTANTS.API.TIMEOUT)
-        )
-      ]);
-      const duration = Date.now() - startTime;
+      // Update analytics
+      await this.analytics.increment({
+        bypassedPages: 1
+      }, await this.profiles.getActiveId());
 
-      console.log('[Focus Guard] LLM response received', { duration, response });
+      await this.focusSessions.recordBypass(tabId);
+      await VerdictHistory.markBypassed(url).catch(error => {
+        console.error('[Focus Guard] Failed to mark history entry as bypassed:', error);
+      });
 
-      // Store token usage
-      if (response.tokenUsage) {
-        await this.storeTokenUsage(response.tokenUsage, settings.provider);
+      // Bypassing an AI verdict counts as "this shouldn't have been blocked"
+      if (typeof alignmentScore === 'number') {
+        await this.recordFeedback({ url, title, alignmentScore, verdict: 'allow' });
       }
+      await this.trainFromFeedback(payload, false);
 
-      // Parse confidence score
-      const confidence = Utils.parseConfidenceScore(response.content);
-      if (confidence === null) {
-        throw new Error('Invalid confidence score in response');
-      }
+      console.log('[Focus Guard] Page bypassed by user', {
+        url,
+        alignmentScore,
+        tabId,
+        expiresAt: new Date(grant.expiresAt),
+        remaining: grant.remaining
+      });
 
-      const result = {
-        confidence,
-        shouldBlock: confidence >= settings.confidenceThreshold,
-        reasoning: `AI confidence: ${confidence}%`,
-        provider: settings.provider,
-        model: settings.model,
-        duration
-      };
+      return grant;
+    } catch (error) {
+      console.error('[Focus Guard] Failed to handle page bypass:', error);
+      return { success: false, error: error.message };
+    }
+  }
 
-      return result;
+  /**
+   * Handle "this was correctly blocked" feedback from the overlay
+   */
+  async handlePageFeedback(payload) {
+    const { url, title, alignmentScore, verdict } = payload || {};
+
+    if (!url || !['allow', 'block'].includes(verdict)) {
+      return { success: false, error: 'Invalid feedback' };
+    }
 
+    try {
+      await this.recordFeedback({ url, title, alignmentScore, verdict });
+      await this.trainFromFeedback(payload, verdict === 'block');
+      console.log('[Focus Guard] Feedback recorded', { url, verdict });
+      return { success: true };
     } catch (error) {
-      console.error('[Focus Guard] LLM analysis failed:', error);
-      
-      // Fail-open: allow page when analysis fails
-      return {
-        confidence: 0,
-        shouldBlock: false,
-        reasoning: `Analysis failed: ${error.message}`,
-        error: error.message
-      };
+      console.error('[Focus Guard] Failed to record feedback:', error);
+      return { success: false, error: error.message };
     }
   }
-}
 
-/**
- * Background Service Worker for Focus Guard extension
- */
-class BackgroundService {
-  constructor() {
-    this.llmClient = new LLMClient();
-    this.pendingAnalyses = new Map();
-    this.settings = {};
-    
-    this.initialize();
+  /**
+   * Re-run the AI analysis of a history entry against the current goals, skipping the cache.
+   * Page text isn't kept in the history, so the verdict rests on the title and URL.
+   */
+  async handleReanalyze(payload) {
+    const { url, title = '' } = payload || {};
+
+    if (!url) {
+      return { error: 'No URL to analyze' };
+    }
+
+    try {
+      const [goals, settings, session, feedback] = await Promise.all([
+        StorageManager.getGoals(),
+        StorageManager.getSettings(),
+        this.focusSessions.getSession(),
+        this.getFeedbackContext(url)
+      ]);
+
+      const result = await this.llmClient.analyzePageContent(
+        title,
+        `URL: ${url}\n(The page text is not available; judge from the title and URL.)`,
+        this.getAnalysisGoals(goals, session),
+        {
+          ...settings,
+          enableCache: false,
+          minAlignmentScore: Utils.getEffectiveMinScore(settings, feedback.entry)
+        },
+        { url, feedbackExamples: feedback.examples }
+      );
+
+      await this.recordHistory({ url, title }, { ...result, source: 'reanalysis' });
+      console.log('[Focus Guard] Page re-analyzed', { url, alignmentScore: result.alignmentScore });
+      return { result };
+    } catch (error) {
+      console.error('[Focus Guard] Failed to re-analyze page:', error);
+      return { error: error.message };
+    }
   }
 
   /**
-   * Initialize background service
+   * Store a verdict in the history, applying the retention limits every few entries
    */
-  async initialize() {
+  async recordHistory({ url, title }, result) {
+    let source = result.source || 'ai';
+    if (!result.source) {
+      if (result.cached) {
+        source = 'cache';
+      } else if (result.error) {
+        source = 'error';
+      } else if (result.rateLimited) {
+        source = 'rate-limit';
+      } else if (result.budgetReached) {
+        source = 'budget';
+      }
+    }
+
     try {
-      console.log('[Focus Guard] Background service initializing...');
-      
-      // Load initial settings
-      this.settings = await StorageManager.getSettings();
-      console.log('[Focus Guard] Settings loaded:', this.settings);
-      
-      // Set up message listeners
-      chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-        try {
-          console.log('[Focus Guard] Received message:', message.type, 'from tab:', sender.tab?.id);
-          this.handleMessage(message, sender, sendResponse).catch(error => {
-            console.error('[Focus Guard] Error in handleMessage:', error);
-            sendResponse({ error: error.message });
-          });
-          return true; // Keep message channel open for async responses
-        } catch (error) {
-          console.error('[Focus Guard] Error in message listener:', error);
-          sendResponse({ error: error.message });
-          return false;
-        }
+      await VerdictHistory.add({
+        url,
+        title: (title || '').slice(0, 300),
+        score: typeof result.alignmentScore === 'number' ? result.alignmentScore : null,
+        decision: result.shouldBlock ? 'block' : 'allow',
+        source,
+        category: result.category || null,
+        rationale: result.rationale || result.reasoning || '',
+        provider: result.provider || null,
+        model: result.model || null,
+        latency: result.cached ? null : result.duration ?? null,
+        tokens: result.cached ? null : result.tokenUsage || null
       });
 
-      console.log('[Focus Guard] Background service initialized successfully');
+      this.historyAdds += 1;
+      if (this.historyAdds >= CONSTANTS.HISTORY.PRUNE_INTERVAL) {
+        this.historyAdds = 0;
+        await VerdictHistory.prune(this.settings.historyRetentionDays || CONSTANTS.DEFAULT_SETTINGS.historyRetentionDays);
+      }
     } catch (error) {
-      console.error('[Focus Guard] Failed to initialize background service:', error);
+      console.error('[Focus Guard] Failed to record history:', error);
     }
   }
 
   /**
-   * Handle messages from content scripts and popup
+   * Goals a page is judged against: active ones, narrowed to the focus session's subset
    */
-  async handleMessage(message, sender, sendResponse) {
-    try {
-      const { type, payload } = message;
-
-      switch (type) {
-        case CONSTANTS.MESSAGE_TYPES.ANALYZE_PAGE:
-          await this.handlePageAnalysis(payload, sender, sendResponse);
-          break;
+  getAnalysisGoals(goals, session) {
+    return this.focusSessions.filterGoals(session, goals.filter(goal => Utils.isGoalActive(goal)));
+  }
 
-        case CONSTANTS.MESSAGE_TYPES.GET_GOALS:
-          await this.handleGetGoals(sendResponse);
-          break;
+  /**
+   * Teach the local classifier from a bypass or confirmed block of an AI or local verdict
+   */
+  async trainFromFeedback({ url, title, source }, shouldBlock) {
+    if (source && source !== 'local') {
+      return;
+    }
 
-        case CONSTANTS.MESSAGE_TYPES.BYPASS_PAGE:
-          await this.handlePageBypass(payload, sender);
-          sendResponse({ success: true });
-          break;
+    const [goals, session, settings] = await Promise.all([
+      StorageManager.getGoals(),
+      this.focusSessions.getSession(),
+      StorageManager.getSettings()
+    ]);
+    const analysisGoals = this.getAnalysisGoals(goals, session);
 
-        case CONSTANTS.MESSAGE_TYPES.TOGGLE_EXTENSION:
-          await this.handleExtensionToggle(payload);
-          sendResponse({ success: true });
-          break;
+    if (analysisGoals.length > 0) {
+      await this.classifier.train(analysisGoals, { url, title }, shouldBlock, settings.minAlignmentScore);
+    }
+  }
 
-        case 'VALIDATE_API_KEY':
-          await this.handleApiValidation(payload, sendResponse);
-          break;
+  /**
+   * Store a feedback event under its site (serialized to avoid lost writes)
+   */
+  recordFeedback({ url, title, alignmentScore, verdict }) {
+    const domain = Utils.getFeedbackDomain(url);
+    if (!domain) {
+      return Promise.resolve();
+    }
 
-        case CONSTANTS.MESSAGE_TYPES.UPDATE_SETTINGS:
-          await this.handleUpdateSettings(payload, sendResponse);
-          break;
+    const update = this.feedbackChain.then(async () => {
+      const key = CONSTANTS.STORAGE_KEYS.FEEDBACK;
+      const result = await chrome.storage.local.get(key);
+      const feedback = result[key] || {};
+      const entry = feedback[domain] || { domain, bypasses: 0, confirmations: 0, examples: [] };
 
-        case CONSTANTS.MESSAGE_TYPES.GET_SETTINGS:
-          await this.handleGetSettings(sendResponse);
-          break;
+      if (verdict === 'block') {
+        entry.confirmations += 1;
+      } else {
+        entry.bypasses += 1;
+      }
 
-        default:
-          console.log('[Focus Guard] Unknown message type:', type);
-          sendResponse({ error: 'Unknown message type' });
+      entry.examples = [
+        { url, title: (title || '').slice(0, 200), alignmentScore, verdict, timestamp: Date.now() },
+        ...entry.examples
+      ].slice(0, CONSTANTS.FEEDBACK.MAX_EXAMPLES_PER_DOMAIN);
+      entry.updatedAt = Date.now();
+      feedback[domain] = entry;
+
+      // Forget the least recently updated sites beyond the cap
+      const domains = Object.keys(feedback);
+      if (domains.length > CONSTANTS.FEEDBACK.MAX_DOMAINS) {
+        domains
+          .sort((a, b) => feedback[a].updatedAt - feedback[b].updatedAt)
+          .slice(0, domains.length - CONSTANTS.FEEDBACK.MAX_DOMAINS)
+          .forEach(stale => delete feedback[stale]);
       }
-    } catch (error) {
-      console.error('[Focus Guard] Failed to handle message:', error);
-      sendResponse({ error: error.message });
-    }
+
+      await chrome.storage.local.set({ [key]: feedback });
+    });
+
+    this.feedbackChain = update.catch(error => {
+      console.error('[Focus Guard] Failed to store feedback:', error);
+    });
+
+    return update;
   }
 
   /**
-   * Handle page analysis request
+   * Learned feedback for a URL's site plus few-shot examples (this site first, then recent others)
    */
-  async handlePageAnalysis(payload, sender, sendResponse) {
-    const { url, title, content, timestamp } = payload;
-    const tabId = sender.tab?.id;
+  async getFeedbackContext(url) {
+    try {
+      const result = await chrome.storage.local.get(CONSTANTS.STORAGE_KEYS.FEEDBACK);
+      const feedback = result[CONSTANTS.STORAGE_KEYS.FEEDBACK] || {};
+      const domain = Utils.getFeedbackDomain(url);
+      const entry = feedback[domain] || null;
 
-    console.log('[Focus Guard] Handling page analysis for:', { url, title, tabId });
+      const otherExamples = Object.values(feedback)
+        .filter(other => other.domain !== domain)
+        .flatMap(other => other.examples)
+        .sort((a, b) => b.timestamp - a.timestamp);
 
-    if (!tabId) {
-      console.error('[Focus Guard] No tab ID available');
-      sendResponse({ error: 'No tab ID available' });
-      return;
+      const examples = [...(entry?.examples || []), ...otherExamples]
+        .slice(0, CONSTANTS.FEEDBACK.PROMPT_EXAMPLES);
+
+      return { entry, examples };
+    } catch (error) {
+      console.error('[Focus Guard] Failed to load feedback:', error);
+      return { entry: null, examples: [] };
     }
+  }
 
-    try {
-      // Check if extension is enabled
-      if (!this.settings.enabled) {
-        console.log('[Focus Guard] Extension disabled, allowing page');
-        sendResponse({
-          type: CONSTANTS.MESSAGE_TYPES.ANALYSIS_RESULT,
-          payload: {
-            shouldBlock: false,
-            confidence: 0,
-            reasoning: 'Extension disabled'
-          }
-        });
-        return;
-      }
+  /**
+   * Apply a change to the persisted bypass state (serialized, resets the budget daily)
+   */
+  updateBypassState(mutator) {
+    const update = this.bypassChain.then(async () => {
+      const state = await StorageManager.getBypassState();
+      const today = Utils.getDateKey();
 
-      // Check if domain is whitelisted
-      const isWhitelisted = await this.isDomainWhitelisted(url);
-      console.log('[Focus Guard] Whitelist check result:', { url, isWhitelisted });
-      if (isWhitelisted) {
-        console.log('[Focus Guard] Domain is whitelisted, allowing page');
-        sendResponse({
-          type: CONSTANTS.MESSAGE_TYPES.ANALYSIS_RESULT,
-          payload: {
-            shouldBlock: false,
-            confidence: 0,
-            reasoning: 'Domain whitelisted'
-          }
-        });
-        return;
+      if (state.date !== today) {
+        state.date = today;
+        state.used = 0;
       }
 
-      console.log('[Focus Guard] Extension enabled, proceeding with analysis');
+      state.active = state.active || {};
+      const result = mutator(state);
+      await chrome.storage.local.set({ [CONSTANTS.STORAGE_KEYS.BYPASSES]: state });
+      return result;
+    });
 
-      // Get current goals and settings
-      const [goals, currentSettings] = await Promise.all([
-        StorageManager.getGoals(),
-        StorageManager.getSettings()
-      ]);
+    this.bypassChain = update.catch(error => {
+      console.error('[Focus Guard] Failed to update bypass state:', error);
+    });
 
-      // Update settings cache
-      this.settings = currentSettings;
+    return update;
+  }
 
-      // Update rate limit timestamp
-      const updatedSettings = Utils.updateRateLimit(currentSettings);
-      await StorageManager.setSettings(updatedSettings);
+  /**
+   * Get the unexpired bypass covering this tab and URL's host, if any
+   */
+  async getActiveBypass(tabId, url) {
+    try {
+      const state = await StorageManager.getBypassState();
+      const bypass = state.active?.[tabId];
 
-      // Perform LLM analysis
-      const result = await this.llmClient.analyzePageContent(
-        title,
-        content,
-        goals.filter(goal => goal.isActive),
-        currentSettings
-      );
+      if (!bypass || bypass.expiresAt <= Date.now()) {
+        return null;
+      }
 
-      // Update analytics
-      await StorageManager.updateAnalytics({
-        totalRequests: 1,
-        ...(result.shouldBlock ? { blockedPages: 1 } : {})
-      });
+      return new URL(url).hostname === bypass.host ? bypass : null;
+    } catch (error) {
+      console.error('[Focus Guard] Failed to check bypass:', error);
+      return null;
+    }
+  }
 
-      console.log('[Focus Guard] Page analysis completed', {
-        url,
-        confidence: result.confidence,
-        shouldBlock: result.shouldBlock,
-        tabId
-      });
+  /**
+   * A bypass ran out: forget it and ask the tab to re-check its page
+   */
+  async handleBypassAlarm(alarm) {
+    if (!alarm.name.startsWith(CONSTANTS.BYPASS.ALARM_PREFIX)) {
+      return;
+    }
 
-      // Send result to content script
-      sendResponse({
-        type: CONSTANTS.MESSAGE_TYPES.ANALYSIS_RESULT,
-        payload: result
-      });
+    const tabId = Number(alarm.name.slice(CONSTANTS.BYPASS.ALARM_PREFIX.length));
+    await this.clearBypass(tabId);
 
+    try {
+      await chrome.tabs.sendMessage(tabId, { type: CONSTANTS.MESSAGE_TYPES.BYPASS_EXPIRED });
+      console.log('[Focus Guard] Bypass expired, re-checking tab', tabId);
     } catch (error) {
-      console.error('[Focus Guard] Page analysis failed:', error);
-      
-      // Fail-open: allow page on error
-      sendResponse({
-        type: CONSTANTS.MESSAGE_TYPES.ANALYSIS_RESULT,
-        payload: {
-          shouldBlock: false,
-          confidence: 0,
-          reasoning: `Analysis failed: ${error.message}`,
-          error: error.message
-        }
-      });
+      // Tab was closed or navigated somewhere without the content script
     }
   }
 
   /**
-   * Handle get goals request
+   * Drop the bypass for a tab
    */
-  async handleGetGoals(sendResponse) {
+  async clearBypass(tabId) {
     try {
-      const goals = await StorageManager.getGoals();
-      sendResponse({ goals });
+      const current = await StorageManager.getBypassState();
+      if (!current.active?.[tabId]) {
+        return;
+      }
+
+      await chrome.alarms.clear(CONSTANTS.BYPASS.ALARM_PREFIX + tabId);
+      await this.updateBypassState(state => {
+        delete state.active[tabId];
+      });
     } catch (error) {
-      console.error('[Focus Guard] Failed to get goals:', error);
-      sendResponse({ error: error.message, goals: [] });
+      console.error('[Focus Guard] Failed to clear bypass:', error);
     }
   }
 
   /**
-   * Handle page bypass
+   * Drop all bypasses (tab IDs don't survive a browser restart)
    */
-  async handlePageBypass(payload, sender) {
-    const { url, confidence, timestamp } = payload;
-    const tabId = sender.tab?.id;
-
+  async clearActiveBypasses() {
     try {
-      // Update analytics
-      await StorageManager.updateAnalytics({
-        bypassedPages: 1
-      });
+      const alarms = await chrome.alarms.getAll();
+      await Promise.all(alarms
+        .filter(alarm => alarm.name.startsWith(CONSTANTS.BYPASS.ALARM_PREFIX))
+        .map(alarm => chrome.alarms.clear(alarm.name)));
 
-      console.log('[Focus Guard] Page bypassed by user', {
-        url,
-        confidence,
-        tabId,
-        timestamp
+      await this.updateBypassState(state => {
+        state.active = {};
       });
-      
     } catch (error) {
-      console.error('[Focus Guard] Failed to handle page bypass:', error);
+      console.error('[Focus Guard] Failed to clear bypasses:', error);
     }
   }
 
@@ -978,7 +4393,14 @@ class BackgroundService {
    */
   async handleApiValidation(payload, sendResponse) {
     try {
-      const { provider, apiKey } = payload;
+      const { provider, apiKey, baseUrl } = payload;
+
+      // Local endpoints have no key format to check, so probe the server instead
+      if (provider === 'local') {
+        const models = await this.llmClient.listModels(provider, apiKey, baseUrl);
+        sendResponse({ success: true, models });
+        return;
+      }
       
       if (!provider || !apiKey) {
         sendResponse({
@@ -1011,6 +4433,20 @@ class BackgroundService {
     }
   }
 
+  /**
+   * Handle model discovery request
+   */
+  async handleListModels(payload, sendResponse) {
+    try {
+      const { provider, apiKey, baseUrl } = payload;
+      const models = await this.llmClient.listModels(provider, apiKey, baseUrl);
+      sendResponse({ success: true, models });
+    } catch (error) {
+      console.error('[Focus Guard] Failed to list models:', error);
+      sendResponse({ success: false, error: error.message, models: [] });
+    }
+  }
+
   /**
    * Handle update settings
    */
@@ -1039,88 +4475,222 @@ class BackgroundService {
   }
 
   /**
-   * Check if domain is whitelisted
+   * Whether pages should be hidden until a verdict arrives
+   */
+  isPrerenderActive() {
+    return this.settings.enabled !== false && this.settings.blockingMode === 'prerender';
+  }
+
+  /**
+   * Keep the document_start shield registered only while pre-render mode is on
    */
-  async isDomainWhitelisted(url) {
+  async updateShieldRegistration() {
+    if (!chrome.scripting?.registerContentScripts) {
+      return;
+    }
+
+    const id = CONSTANTS.CONTENT.SHIELD_SCRIPT_ID;
+
     try {
-      const result = await chrome.storage.sync.get(CONSTANTS.STORAGE_KEYS.WHITELIST);
-      const whitelist = result[CONSTANTS.STORAGE_KEYS.WHITELIST] || [];
-      const domain = this.extractDomain(url);
-      
-      console.log('[Focus Guard] Whitelist debug:', {
-        url,
-        domain,
-        whitelist,
-        storageKey: CONSTANTS.STORAGE_KEYS.WHITELIST,
-        rawResult: result
-      });
-      
-      if (!domain) return false;
-      
-      // Check exact match first
-      if (whitelist.includes(domain)) {
-        console.log('[Focus Guard] Exact whitelist match found:', domain);
-        return true;
+      const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [id] });
+      const isRegistered = registered.length > 0;
+
+      if (this.isPrerenderActive() && !isRegistered) {
+        await chrome.scripting.registerContentScripts([{
+          id,
+          matches: ['http://*/*', 'https://*/*'],
+          js: CONSTANTS.CONTENT.SHIELD_SCRIPTS,
+          css: CONSTANTS.CONTENT.SHIELD_STYLES,
+          runAt: 'document_start'
+        }]);
+        console.log('[Focus Guard] Pre-render shield registered');
+      } else if (!this.isPrerenderActive() && isRegistered) {
+        await chrome.scripting.unregisterContentScripts({ ids: [id] });
+        console.log('[Focus Guard] Pre-render shield unregistered');
       }
-      
-      // Check if any whitelisted domain is a parent domain
-      const parentMatch = whitelist.some(whitelistedDomain => {
-        const isMatch = domain === whitelistedDomain || domain.endsWith('.' + whitelistedDomain);
-        console.log('[Focus Guard] Checking parent match:', { domain, whitelistedDomain, isMatch });
-        return isMatch;
+    } catch (error) {
+      console.error('[Focus Guard] Failed to update shield registration:', error);
+    }
+  }
+
+  /**
+   * Start the verdict deadline when a top-level navigation commits.
+   * If no verdict has been delivered when it expires, the tab applies the fail mode.
+   */
+  async handleNavigationCommitted(details) {
+    const { tabId, frameId, url } = details;
+
+    if (frameId !== 0) {
+      return;
+    }
+
+    this.clearShieldDeadline(tabId);
+    this.cancelAnalysis(tabId, 'Tab navigated away');
+
+    // This event often wakes the worker, before initialize() has loaded settings
+    await this.settingsReady;
+    if (!this.isPrerenderActive() || !/^https?:/.test(url)) {
+      return;
+    }
+
+    this.clearShieldDeadline(tabId);
+
+    const maxWait = Math.max(1, Number(this.settings.prerenderMaxWait) || CONSTANTS.DEFAULT_SETTINGS.prerenderMaxWait);
+    const deadline = setTimeout(() => {
+      this.shieldDeadlines.delete(tabId);
+      console.log('[Focus Guard] Verdict deadline reached', { tabId, url, failMode: this.settings.prerenderFailMode });
+
+      chrome.tabs.sendMessage(tabId, {
+        type: CONSTANTS.MESSAGE_TYPES.SHIELD_TIMEOUT,
+        payload: { failMode: this.settings.prerenderFailMode }
+      }).catch(() => {
+        // Tab closed or navigated away before the deadline
       });
-      
-      console.log('[Focus Guard] Final whitelist result:', parentMatch);
-      return parentMatch;
+    }, maxWait * 1000);
+
+    this.shieldDeadlines.set(tabId, deadline);
+  }
+
+  /**
+   * Abort a tab's in-flight LLM analysis so it stops using (and billing) the provider
+   */
+  cancelAnalysis(tabId, reason) {
+    const controller = this.pendingAnalyses.get(tabId);
+    if (!controller) {
+      return;
+    }
+
+    this.pendingAnalyses.delete(tabId);
+    controller.abort(new DOMException(reason, 'AbortError'));
+    console.log('[Focus Guard] Cancelled analysis', { tabId, reason });
+  }
+
+  /**
+   * Cancel a pending verdict deadline for a tab
+   */
+  clearShieldDeadline(tabId) {
+    if (tabId === undefined || !this.shieldDeadlines.has(tabId)) {
+      return;
+    }
+
+    clearTimeout(this.shieldDeadlines.get(tabId));
+    this.shieldDeadlines.delete(tabId);
+  }
+
+  /**
+   * Handle storage changes
+   */
+  handleStorageChange(changes, areaName) {
+    try {
+      if (areaName === 'local' && changes[CONSTANTS.STORAGE_KEYS.BLOCKLIST]) {
+        this.blocklistRules = null;
+      }
+
+      if (areaName === 'sync' && changes[CONSTANTS.STORAGE_KEYS.WHITELIST]) {
+        this.whitelistRules = null;
+      }
+
+      if (areaName === 'sync' && changes[CONSTANTS.STORAGE_KEYS.SETTINGS]) {
+        const newSettings = changes[CONSTANTS.STORAGE_KEYS.SETTINGS].newValue;
+        if (newSettings) {
+          this.settings = { ...CONSTANTS.DEFAULT_SETTINGS, ...StorageManager.migrateSettings(newSettings) };
+          this.updateShieldRegistration();
+        }
+
+        const oldSettings = changes[CONSTANTS.STORAGE_KEYS.SETTINGS].oldValue;
+        if (JSON.stringify(newSettings?.schedule) !== JSON.stringify(oldSettings?.schedule)) {
+          this.schedule.sync(this.settings);
+        }
+
+        if (newSettings?.trackTime !== oldSettings?.trackTime) {
+          this.attention.refresh();
+        }
+
+        // Drop cached results when caching is switched off
+        if (newSettings?.enableCache === false && oldSettings?.enableCache !== false) {
+          this.llmClient.cache.clear();
+        }
+      }
+
+      // Classifier was reset from the options page
+      if (areaName === 'local' && changes[CONSTANTS.STORAGE_KEYS.CLASSIFIER] &&
+          !changes[CONSTANTS.STORAGE_KEYS.CLASSIFIER].newValue) {
+        this.classifier.reset();
+      }
+
+      // Cache was cleared from another context (e.g. "Reset All Data")
+      if (areaName === 'local' && changes[CONSTANTS.STORAGE_KEYS.ANALYSIS_CACHE] &&
+          !changes[CONSTANTS.STORAGE_KEYS.ANALYSIS_CACHE].newValue) {
+        this.llmClient.cache.reset();
+      }
+
+      // Remembered structured-output support was cleared ("Reset All Data")
+      if (areaName === 'local' && changes[CONSTANTS.STORAGE_KEYS.PLAIN_OUTPUT_ENDPOINTS] &&
+          !changes[CONSTANTS.STORAGE_KEYS.PLAIN_OUTPUT_ENDPOINTS].newValue) {
+        this.llmClient.plainOutputEndpoints = null;
+      }
     } catch (error) {
-      console.error('[Focus Guard] Error checking whitelist:', error);
-      return false;
+      console.error('[Focus Guard] Failed to handle storage change:', error);
     }
   }
 
   /**
-   * Extract domain from URL
+   * Find the blocklist rule matching a URL, if any
    */
-  extractDomain(url) {
+  async findBlocklistMatch(url) {
     try {
-      if (!url) return null;
-      
-      // Handle relative URLs
-      if (!url.includes('://')) {
-        url = 'https://' + url;
+      if (!this.blocklistRules) {
+        const result = await chrome.storage.local.get(CONSTANTS.STORAGE_KEYS.BLOCKLIST);
+        this.blocklistRules = UrlRules.compile(result[CONSTANTS.STORAGE_KEYS.BLOCKLIST] || []);
       }
-      
-      const urlObj = new URL(url);
-      return this.normalizeDomain(urlObj.hostname);
+
+      const match = UrlRules.findMatch(this.blocklistRules, url);
+      return match ? match.raw : null;
     } catch (error) {
-      // Fallback to manual parsing
-      return this.normalizeDomain(url);
+      console.error('[Focus Guard] Error checking blocklist:', error);
+      return null;
     }
   }
 
   /**
-   * Normalize domain (remove protocol, www, trailing slash, etc.)
+   * Find the whitelist rule matching a URL, if any
    */
-  normalizeDomain(input) {
-    if (!input || typeof input !== 'string') {
-      return '';
+  async findWhitelistMatch(url) {
+    try {
+      if (!this.whitelistRules) {
+        const result = await chrome.storage.sync.get(CONSTANTS.STORAGE_KEYS.WHITELIST);
+        this.whitelistRules = UrlRules.compile(result[CONSTANTS.STORAGE_KEYS.WHITELIST] || []);
+      }
+
+      const match = UrlRules.findMatch(this.whitelistRules, url);
+      return match ? match.raw : null;
+    } catch (error) {
+      console.error('[Focus Guard] Error checking whitelist:', error);
+      return null;
     }
-    
-    let domain = input.toLowerCase().trim();
-    
-    // Remove protocol
-    domain = domain.replace(/^https?:\/\//, '');
-    
-    // Remove www prefix
-    domain = domain.replace(/^www\./, '');
-    
-    // Remove path, query, and fragment
-    domain = domain.split('/')[0].split('?')[0].split('#')[0];
-    
-    // Remove port
-    domain = domain.split(':')[0];
-    
-    return domain;
+  }
+
+  /**
+   * Count a whitelist/blocklist rule match (updates are serialized to avoid lost writes)
+   */
+  recordRuleHit(list, rule) {
+    if (!['whitelist', 'blocklist'].includes(list) || typeof rule !== 'string') {
+      return Promise.resolve();
+    }
+
+    this.ruleHitChain = this.ruleHitChain.then(async () => {
+      const key = CONSTANTS.STORAGE_KEYS.RULE_HITS;
+      const result = await chrome.storage.local.get(key);
+      const hits = result[key] || { whitelist: {}, blocklist: {} };
+      const entry = hits[list][rule] || { count: 0, lastHit: null };
+
+      hits[list][rule] = { count: entry.count + 1, lastHit: Date.now() };
+      await chrome.storage.local.set({ [key]: hits });
+    }).catch(error => {
+      console.error('[Focus Guard] Failed to record rule hit:', error);
+    });
+
+    return this.ruleHitChain;
   }
 }
 
@@ -1145,12 +4715,78 @@ chrome.runtime.onInstalled.addListener(async (details) => {
       
       // Open options page for first-time setup
       chrome.runtime.openOptionsPage();
+    } else if (details.reason === 'update') {
+      // Persist any settings migrations (getSettings applies them on read)
+      await StorageManager.setSettings({});
     }
   } catch (error) {
     console.error('[Focus Guard] Failed to handle installation:', error);
   }
 });
 
+// Messages and storage changes can be what wakes the worker, so these listeners are registered
+// right away and wait for initialization themselves
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (!backgroundService) {
+    return false;
+  }
+
+  console.log('[Focus Guard] Received message:', message.type, 'from tab:', sender.tab?.id);
+  backgroundService.ready
+    .then(() => backgroundService.handleMessage(message, sender, sendResponse))
+    .catch(error => {
+      console.error('[Focus Guard] Error in handleMessage:', error);
+      sendResponse({ error: error.message });
+    });
+  return true; // Keep message channel open for async responses
+});
+
+// Keep cached settings and the analysis cache in sync with storage
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  backgroundService?.ready.then(() => backgroundService.handleStorageChange(changes, areaName));
+});
+
 chrome.runtime.onStartup.addListener(() => {
   console.log('[Focus Guard] Extension startup');
+  backgroundService?.clearActiveBypasses();
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  backgroundService?.handleBypassAlarm(alarm);
+  backgroundService?.focusSessions.handleAlarm(alarm);
+  backgroundService?.schedule.handleAlarm(alarm);
+  backgroundService?.attention.handleAlarm(alarm);
+});
+
+// Start pre-render verdict deadlines as soon as a navigation commits
+chrome.webNavigation.onCommitted.addListener((details) => {
+  backgroundService?.handleNavigationCommitted(details);
+});
+
+// Queued LLM requests for the tab being looked at go first; time tracking follows it
+chrome.tabs.onActivated.addListener((activeInfo) => {
+  backgroundService?.llmClient.rateLimiter.handleTabActivated(activeInfo);
+  backgroundService?.attention.refresh();
+});
+
+// Same-tab navigations (including in-page ones) move tracked time to the new site
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (changeInfo.url && tab.active) {
+    backgroundService?.attention.refresh();
+  }
+});
+
+chrome.windows.onFocusChanged.addListener(() => {
+  backgroundService?.attention.refresh();
+});
+
+chrome.idle.onStateChanged.addListener((idleState) => {
+  backgroundService?.attention.refresh({ idleState });
+});
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  backgroundService?.cancelAnalysis(tabId, 'Tab closed');
+  backgroundService?.clearShieldDeadline(tabId);
+  backgroundService?.clearBypass(tabId);
+  backgroundService?.attention.removeTab(tabId);
 });
\ No newline at end of file
@@ -11,7 +11,15 @@ class ContentAnalyzer {
     this.isAnalyzing = false;
     this.isBlocked = false;
     this.analysisResult = null;
-    this.originalPageContent = null;
+    this.overlayHost = null;
+    this.overlayRoot = null; // Closed shadow root, only reachable through this reference
+    this.pageState = null; // Page state saved while the overlay is shown
+    this.pausedMedia = [];
+    this.bypassCountdownTimer = null;
+
+    this.handleOverlayKeydown = this.handleOverlayKeydown.bind(this);
+    this.handleFocusIn = this.handleFocusIn.bind(this);
+    this.handleMediaPlay = this.handleMediaPlay.bind(this);
     
     this.initialize();
   }
@@ -26,6 +34,7 @@ class ContentAnalyzer {
       // Check if we should analyze this URL
       if (!Utils.shouldAnalyzeUrl(window.location.href)) {
         console.log('[Focus Guard] Skipping analysis for URL', { url: window.location.href });
+        this.releaseShield();
         return;
       }
       
@@ -36,6 +45,9 @@ class ContentAnalyzer {
         this.handleMessage(message, sender, sendResponse);
       });
 
+      // The shield's own max-wait timer (it may already have expired before this script ran)
+      globalThis.FocusGuardShield?.onTimeout(payload => this.handleShieldTimeout(payload));
+
       // Wait for page to be fully loaded
       if (document.readyState === 'loading') {
         document.addEventListener('DOMContentLoaded', () => {
@@ -53,12 +65,15 @@ class ContentAnalyzer {
    * Schedule page analysis with delay
    */
   scheduleAnalysis() {
+    // The page is hidden while shielded, so there's no reason to wait for it to settle
+    const delay = this.isShielded() ? 0 : CONSTANTS.CONTENT.ANALYSIS_DELAY;
+
     // Debounce analysis to handle dynamic content loading
     setTimeout(() => {
       if (!this.isAnalyzing && !this.isBlocked) {
         this.analyzeCurrentPage();
       }
-    }, CONSTANTS.CONTENT.ANALYSIS_DELAY);
+    }, delay);
   }
 
   /**
@@ -74,10 +89,27 @@ class ContentAnalyzer {
       this.isAnalyzing = true;
       console.log('[Focus Guard] Starting page analysis...');
       
+      const url = Utils.getCurrentUrl();
+
+      // Whitelisted pages don't need their content extracted (blocklist rules still win)
+      const whitelistRule = await StorageManager.findWhitelistMatch(url);
+      if (whitelistRule && !(await StorageManager.findBlocklistMatch(url))) {
+        console.log('[Focus Guard] Whitelist rule matched, skipping analysis:', whitelistRule);
+        this.releaseShield();
+        chrome.runtime.sendMessage({
+          type: CONSTANTS.MESSAGE_TYPES.RECORD_RULE_HIT,
+          payload: { list: 'whitelist', rule: whitelistRule }
+        }, () => {
+          if (chrome.runtime.lastError) {
+            console.error('[Focus Guard] Failed to record whitelist hit:', chrome.runtime.lastError);
+          }
+        });
+        return;
+      }
+
       // Extract page content
       const title = Utils.getPageTitle();
       const content = Utils.extractPageContent();
-      const url = Utils.getCurrentUrl();
 
       console.log('[Focus Guard] Content extracted', { 
         title, 
@@ -89,6 +121,7 @@ class ContentAnalyzer {
       // Validate extracted content
       if (!content || content.trim().length < 50) {
         console.log('[Focus Guard] Insufficient content for analysis', { url, contentLength: content.length });
+        this.releaseShield();
         return;
       }
 
@@ -108,6 +141,7 @@ class ContentAnalyzer {
       chrome.runtime.sendMessage(message, (response) => {
         if (chrome.runtime.lastError) {
           console.error('[Focus Guard] Error sending message to background:', chrome.runtime.lastError);
+          this.releaseShield(); // Fail open if the background is unreachable
         } else {
           console.log('[Focus Guard] Message sent successfully, response:', response);
           // Handle the response directly since it contains the analysis result
@@ -137,6 +171,14 @@ class ContentAnalyzer {
         case CONSTANTS.MESSAGE_TYPES.BYPASS_PAGE:
           this.handleBypass();
           break;
+
+        case CONSTANTS.MESSAGE_TYPES.SHIELD_TIMEOUT:
+          this.handleShieldTimeout(message.payload);
+          break;
+
+        case CONSTANTS.MESSAGE_TYPES.BYPASS_EXPIRED:
+          this.handleBypassExpired();
+          break;
         
         default:
           Utils.log('warn', 'Unknown message type', { type: message.type });
@@ -160,6 +202,46 @@ class ContentAnalyzer {
       // Ensure page is not blocked
       this.unblockPage();
     }
+
+    this.releaseShield();
+  }
+
+  /**
+   * Whether the pre-render shield is currently hiding the page
+   */
+  isShielded() {
+    return globalThis.FocusGuardShield?.isActive() === true;
+  }
+
+  /**
+   * Reveal the page hidden by the pre-render shield
+   */
+  releaseShield() {
+    if (this.isShielded()) {
+      globalThis.FocusGuardShield.release();
+    }
+  }
+
+  /**
+   * No verdict arrived within the configured max wait
+   */
+  handleShieldTimeout(payload) {
+    if (!this.isShielded()) {
+      return;
+    }
+
+    Utils.log('warn', 'Timed out waiting for analysis', { failMode: payload?.failMode });
+
+    // Fail closed: block until the verdict (if any) arrives and says otherwise
+    if (payload?.failMode === 'closed') {
+      this.blockPage({
+        shouldBlock: true,
+        alignmentScore: null,
+        rationale: 'Focus Guard could not check this page in time.'
+      });
+    }
+
+    this.releaseShield();
   }
 
   /**
@@ -173,14 +255,13 @@ class ContentAnalyzer {
     try {
       this.isBlocked = true;
       
-      // Store original page content
-      this.originalPageContent = document.body.innerHTML;
-      
-      // Create and inject blocking overlay
+      // Create and inject blocking overlay, then freeze the page underneath
       this.createBlockingOverlay(result);
+      this.lockPage();
       
       Utils.log('info', 'Page blocked', { 
-        confidence: result.confidence, 
+        alignmentScore: result.alignmentScore, 
+        rationale: result.rationale,
         url: window.location.href 
       });
 
@@ -197,26 +278,54 @@ class ContentAnalyzer {
     // Remove any existing overlay
     this.removeBlockingOverlay();
 
+    // The host lives outside <body> and renders everything in a closed shadow
+    // root, so the page's DOM, styles and scripts are never touched
+    const host = document.createElement('div');
+    host.id = CONSTANTS.UI.BLOCKING_OVERLAY_ID;
+    // Cover the page right away, before the shadow stylesheet has loaded
+    host.style.cssText = 'all: initial; position: fixed; inset: 0; z-index: 2147483647; ' +
+      'color-scheme: light dark; background: Canvas;';
+
+    const root = host.attachShadow({ mode: 'closed' });
+
+    const stylesheet = document.createElement('link');
+    stylesheet.rel = 'stylesheet';
+    stylesheet.href = chrome.runtime.getURL('src/content/blocker.css');
+    root.appendChild(stylesheet);
+
     const overlay = document.createElement('div');
-    overlay.id = CONSTANTS.UI.BLOCKING_OVERLAY_ID;
     overlay.className = 'focus-guard-overlay';
+    overlay.setAttribute('role', 'dialog');
+    overlay.setAttribute('aria-modal', 'true');
+    overlay.setAttribute('aria-labelledby', 'focus-guard-title');
     
     overlay.innerHTML = `
       <div class="focus-guard-content">
         <div class="focus-guard-header">
           <div class="focus-guard-icon"></div>
-          <h1 class="focus-guard-title">Page blocked</h1>
+          <h1 class="focus-guard-title" id="focus-guard-title">Page blocked</h1>
         </div>
         
         <div class="focus-guard-body">
           <p class="focus-guard-message">
-            This page appears to distract from your current goals.
+            ${result.source === 'blocklist'
+              ? 'This page is on your blocklist.'
+              : 'This page appears to distract from your current goals.'}
           </p>
           
           <div class="focus-guard-details">
+            ${typeof result.alignmentScore === 'number' ? `
             <div class="focus-guard-confidence">
-              <strong>Confidence:</strong> ${result.confidence}% likely distraction
+              <strong>Goal alignment:</strong> ${result.alignmentScore}/100
             </div>
+            ` : ''}
+
+            ${result.rationale ? `
+            <div class="focus-guard-rationale">
+              <strong>Why:</strong> ${this.escapeHtml(result.rationale)}
+              ${result.category ? `<span class="focus-guard-category">${this.escapeHtml(result.category.replace(/_/g, ' '))}</span>` : ''}
+            </div>
+            ` : ''}
             
             <div class="focus-guard-goals">
               <strong>Your current goals:</strong>
@@ -227,14 +336,22 @@ class ContentAnalyzer {
           </div>
         </div>
         
+        <div class="focus-guard-bypass-gate" id="focus-guard-bypass-gate"></div>
+
         <div class="focus-guard-actions">
-          <button class="focus-guard-btn focus-guard-btn-bypass" id="focus-guard-bypass">
+          <button class="focus-guard-btn focus-guard-btn-bypass" id="focus-guard-bypass" disabled>
             Continue anyway
           </button>
           <button class="focus-guard-btn focus-guard-btn-secondary" id="focus-guard-back">
             Go back
           </button>
         </div>
+
+        ${typeof result.alignmentScore === 'number' ? `
+        <div class="focus-guard-feedback">
+          <button class="focus-guard-link" id="focus-guard-confirm">This was correctly blocked</button>
+        </div>
+        ` : ''}
         
         <div class="focus-guard-footer">
           <small>Focus Guard</small>
@@ -242,22 +359,33 @@ class ContentAnalyzer {
       </div>
     `;
 
-    // Insert overlay into page
-    console.log('[Focus Guard] Clearing document body');
-    document.body.innerHTML = '';
-    console.log('[Focus Guard] Appending overlay to body');
-    document.body.appendChild(overlay);
+    // Insert overlay on top of the page
+    root.appendChild(overlay);
+    document.documentElement.appendChild(host);
+    this.overlayHost = host;
+    this.overlayRoot = root;
 
     // Add event listeners
-    console.log('[Focus Guard] Adding event listeners');
-    document.getElementById('focus-guard-bypass').addEventListener('click', () => {
+    root.getElementById('focus-guard-bypass').addEventListener('click', () => {
       this.handleBypass();
     });
 
-    document.getElementById('focus-guard-back').addEventListener('click', () => {
+    root.getElementById('focus-guard-back').addEventListener('click', () => {
       window.history.back();
     });
 
+    root.getElementById('focus-guard-confirm')?.addEventListener('click', (event) => {
+      this.handleConfirmBlock(event.currentTarget);
+    });
+
+    // Keep keystrokes typed into the overlay away from the page's shortcuts
+    ['keydown', 'keyup', 'keypress'].forEach(type => {
+      host.addEventListener(type, (event) => event.stopPropagation());
+    });
+
+    // Apply the daily budget and any countdown / justification before bypassing
+    this.setupBypassGate();
+
     // Load and display current goals
     console.log('[Focus Guard] Loading goals for overlay');
     this.loadGoalsForOverlay();
@@ -274,12 +402,12 @@ class ContentAnalyzer {
         type: CONSTANTS.MESSAGE_TYPES.GET_GOALS
       });
 
-      const goalsList = document.getElementById('focus-guard-goals-list');
+      const goalsList = this.overlayRoot?.getElementById('focus-guard-goals-list');
       if (!goalsList) return;
 
-      if (response.goals && response.goals.length > 0) {
-        goalsList.innerHTML = response.goals
-          .filter(goal => goal.isActive)
+      const activeGoals = (response.goals || []).filter(goal => Utils.isGoalActive(goal));
+      if (activeGoals.length > 0) {
+        goalsList.innerHTML = activeGoals
           .map(goal => `<div class="focus-guard-goal-item">• ${this.escapeHtml(goal.text)}</div>`)
           .join('');
       } else {
@@ -287,7 +415,7 @@ class ContentAnalyzer {
       }
     } catch (error) {
       Utils.log('error', 'Failed to load goals for overlay', error);
-      const goalsList = document.getElementById('focus-guard-goals-list');
+      const goalsList = this.overlayRoot?.getElementById('focus-guard-goals-list');
       if (goalsList) {
         goalsList.innerHTML = '<div class="focus-guard-error">Failed to load goals</div>';
       }
@@ -300,25 +428,183 @@ class ContentAnalyzer {
   handleBypass() {
     try {
       Utils.log('info', 'User bypassed page block', { url: window.location.href });
+
+      const justification = this.overlayRoot?.getElementById('focus-guard-justification')?.value || '';
       
-      // Notify background script of bypass
+      // Ask the background script for a timed bypass; it enforces the daily budget
       chrome.runtime.sendMessage({
         type: CONSTANTS.MESSAGE_TYPES.BYPASS_PAGE,
         payload: {
           url: window.location.href,
-          confidence: this.analysisResult?.confidence,
+          title: document.title,
+          alignmentScore: this.analysisResult?.alignmentScore,
+          source: this.analysisResult?.source,
+          justification,
           timestamp: Date.now()
         }
-      });
+      }, (response) => {
+        if (chrome.runtime.lastError || !response?.success) {
+          const error = response?.error || chrome.runtime.lastError?.message || 'Bypass failed';
+          Utils.log('warn', 'Bypass refused', { error });
+          this.setBypassStatus(error, true);
+          return;
+        }
 
-      // Unblock page
-      this.unblockPage();
+        // Unblock page until the bypass expires
+        this.unblockPage();
+      });
       
     } catch (error) {
       Utils.log('error', 'Failed to handle bypass', error);
     }
   }
 
+  /**
+   * Tell the background the block was right, so this site is judged more strictly
+   */
+  handleConfirmBlock(button) {
+    button.disabled = true;
+
+    chrome.runtime.sendMessage({
+      type: CONSTANTS.MESSAGE_TYPES.PAGE_FEEDBACK,
+      payload: {
+        url: window.location.href,
+        title: document.title,
+        alignmentScore: this.analysisResult?.alignmentScore,
+        source: this.analysisResult?.source,
+        verdict: 'block'
+      }
+    }, (response) => {
+      if (chrome.runtime.lastError || !response?.success) {
+        Utils.log('warn', 'Failed to send feedback', response?.error || chrome.runtime.lastError);
+        button.disabled = false;
+        return;
+      }
+
+      button.textContent = 'Thanks, Focus Guard will remember this';
+    });
+  }
+
+  /**
+   * Show today's bypass budget and hold the bypass button behind the configured friction
+   */
+  async setupBypassGate() {
+    const root = this.overlayRoot;
+    const button = root?.getElementById('focus-guard-bypass');
+    const gate = root?.getElementById('focus-guard-bypass-gate');
+    if (!button || !gate) return;
+
+    try {
+      const [settings, bypassState] = await Promise.all([
+        StorageManager.getSettings(),
+        StorageManager.getBypassState()
+      ]);
+
+      // The overlay may have been replaced while settings were loading
+      if (root !== this.overlayRoot) return;
+
+      const remaining = Utils.getRemainingBypasses(bypassState, settings);
+      const duration = settings.bypassDuration || CONSTANTS.DEFAULT_SETTINGS.bypassDuration;
+
+      if (remaining <= 0) {
+        button.textContent = 'No bypasses left today';
+        this.setBypassStatus('You have used all of today\'s bypasses.');
+        return;
+      }
+
+      const budget = Number.isFinite(remaining)
+        ? `${remaining} of ${settings.dailyBypassLimit} bypasses left today. `
+        : '';
+      this.setBypassStatus(`${budget}Continuing unblocks this site for ${duration} minutes.`);
+
+      if (settings.bypassFriction === 'justification') {
+        const minLength = CONSTANTS.BYPASS.MIN_JUSTIFICATION_LENGTH;
+        const field = document.createElement('div');
+        field.className = 'focus-guard-justification';
+        field.innerHTML = `
+          <label for="focus-guard-justification">Why do you need this page right now?</label>
+          <textarea id="focus-guard-justification" rows="2" maxlength="300"
+            placeholder="At least ${minLength} characters"></textarea>
+        `;
+        gate.prepend(field);
+
+        const textarea = field.querySelector('textarea');
+        textarea.addEventListener('input', () => {
+          button.disabled = textarea.value.trim().length < minLength;
+        });
+        textarea.focus();
+      } else if (settings.bypassFriction === 'countdown') {
+        let secondsLeft = settings.bypassCountdown || CONSTANTS.DEFAULT_SETTINGS.bypassCountdown;
+        button.textContent = `Continue anyway (${secondsLeft})`;
+
+        this.bypassCountdownTimer = setInterval(() => {
+          secondsLeft--;
+          if (secondsLeft > 0) {
+            button.textContent = `Continue anyway (${secondsLeft})`;
+            return;
+          }
+
+          this.clearBypassCountdown();
+          button.textContent = 'Continue anyway';
+          button.disabled = false;
+        }, 1000);
+      } else {
+        button.disabled = false;
+      }
+    } catch (error) {
+      Utils.log('error', 'Failed to set up bypass controls', error);
+      button.disabled = false;
+    }
+  }
+
+  /**
+   * Show a message under the bypass controls
+   */
+  setBypassStatus(message, isError = false) {
+    const gate = this.overlayRoot?.getElementById('focus-guard-bypass-gate');
+    if (!gate) return;
+
+    let status = gate.querySelector('.focus-guard-bypass-status');
+    if (!status) {
+      status = document.createElement('p');
+      status.className = 'focus-guard-bypass-status';
+      gate.appendChild(status);
+    }
+
+    status.textContent = message;
+    status.classList.toggle('focus-guard-bypass-error', isError);
+  }
+
+  /**
+   * Stop the bypass button countdown
+   */
+  clearBypassCountdown() {
+    if (this.bypassCountdownTimer) {
+      clearInterval(this.bypassCountdownTimer);
+      this.bypassCountdownTimer = null;
+    }
+  }
+
+  /**
+   * The timed bypass for this tab ran out: block again or re-check the page
+   */
+  handleBypassExpired() {
+    Utils.log('info', 'Bypass expired', { url: window.location.href });
+
+    if (this.isBlocked) {
+      return;
+    }
+
+    // This page was blocked and bypassed: restore the block as it was
+    if (this.analysisResult?.shouldBlock) {
+      this.blockPage(this.analysisResult);
+      return;
+    }
+
+    // This page loaded while the bypass was active, so it was never checked
+    this.analyzeCurrentPage();
+  }
+
   /**
    * Unblock the current page
    */
@@ -328,14 +614,9 @@ class ContentAnalyzer {
     }
 
     try {
-      // Remove blocking overlay
+      // Remove blocking overlay and hand the page back exactly as it was
       this.removeBlockingOverlay();
-      
-      // Restore original page content
-      if (this.originalPageContent) {
-        document.body.innerHTML = this.originalPageContent;
-        this.originalPageContent = null;
-      }
+      this.unlockPage();
       
       this.isBlocked = false;
       
@@ -350,9 +631,134 @@ class ContentAnalyzer {
    * Remove blocking overlay
    */
   removeBlockingOverlay() {
-    const existingOverlay = document.getElementById(CONSTANTS.UI.BLOCKING_OVERLAY_ID);
-    if (existingOverlay) {
-      existingOverlay.remove();
+    this.clearBypassCountdown();
+
+    if (this.overlayHost) {
+      this.overlayHost.remove();
+    }
+
+    this.overlayHost = null;
+    this.overlayRoot = null;
+  }
+
+  /**
+   * Lock scrolling, trap focus in the overlay and pause media while blocked
+   */
+  lockPage() {
+    if (this.pageState) {
+      return;
+    }
+
+    const html = document.documentElement;
+    const body = document.body;
+
+    this.pageState = {
+      htmlOverflow: html.style.overflow,
+      bodyOverflow: body?.style.overflow,
+      bodyInert: body?.inert,
+      activeElement: document.activeElement
+    };
+
+    // Scroll lock
+    html.style.overflow = 'hidden';
+    if (body) {
+      body.style.overflow = 'hidden';
+      // Keep the page out of the tab order and away from assistive tech
+      body.inert = true;
+    }
+
+    // Focus trap
+    document.addEventListener('keydown', this.handleOverlayKeydown, true);
+    document.addEventListener('focusin', this.handleFocusIn, true);
+    this.overlayRoot?.getElementById('focus-guard-back')?.focus();
+
+    // Media pause
+    this.pausedMedia = Array.from(document.querySelectorAll('video, audio'))
+      .filter(media => !media.paused);
+    this.pausedMedia.forEach(media => media.pause());
+    document.addEventListener('play', this.handleMediaPlay, true);
+  }
+
+  /**
+   * Restore scrolling, focus and media to their state before blocking
+   */
+  unlockPage() {
+    if (!this.pageState) {
+      return;
+    }
+
+    const { htmlOverflow, bodyOverflow, bodyInert, activeElement } = this.pageState;
+    const body = document.body;
+
+    document.documentElement.style.overflow = htmlOverflow;
+    if (body) {
+      body.style.overflow = bodyOverflow || '';
+      body.inert = bodyInert || false;
+    }
+
+    document.removeEventListener('keydown', this.handleOverlayKeydown, true);
+    document.removeEventListener('focusin', this.handleFocusIn, true);
+    document.removeEventListener('play', this.handleMediaPlay, true);
+
+    if (activeElement && typeof activeElement.focus === 'function') {
+      activeElement.focus({ preventScroll: true });
+    }
+
+    // Resume only what was playing when the page got blocked
+    this.pausedMedia.forEach(media => {
+      media.play().catch(() => {
+        // Autoplay policies may refuse; the user can press play themselves
+      });
+    });
+
+    this.pausedMedia = [];
+    this.pageState = null;
+  }
+
+  /**
+   * Keep Tab / Shift+Tab cycling between the overlay's buttons
+   */
+  handleOverlayKeydown(event) {
+    if (event.key !== 'Tab' || !this.overlayRoot) {
+      return;
+    }
+
+    const focusable = Array.from(this.overlayRoot.querySelectorAll('textarea, button:not([disabled])'));
+    if (focusable.length === 0) {
+      return;
+    }
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const active = this.overlayRoot.activeElement;
+
+    if (!focusable.includes(active)) {
+      event.preventDefault();
+      first.focus();
+    } else if (event.shiftKey && active === first) {
+      event.preventDefault();
+      last.focus();
+    } else if (!event.shiftKey && active === last) {
+      event.preventDefault();
+      first.focus();
+    }
+  }
+
+  /**
+   * Pull focus back into the overlay if the page grabs it
+   */
+  handleFocusIn(event) {
+    if (this.overlayHost && event.target !== this.overlayHost) {
+      this.overlayRoot.getElementById('focus-guard-back')?.focus();
+    }
+  }
+
+  /**
+   * Pause media the page tries to start while blocked
+   */
+  handleMediaPlay(event) {
+    if (event.target instanceof HTMLMediaElement) {
+      event.target.pause();
     }
   }
 
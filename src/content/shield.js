@@ -0,0 +1,102 @@
+// Firefox compatibility: ensure chrome API is available
+if (typeof browser !== 'undefined' && typeof chrome === 'undefined') {
+  globalThis.chrome = browser;
+}
+
+/**
+ * Pre-render shield.
+ * Registered by the background service at document_start when the blocking
+ * mode is "prerender": hides the page and holds back media playback until
+ * content.js receives a verdict and releases it.
+ *
+ * It also keeps its own prerenderMaxWait timer, so the page is not left hidden
+ * when the background's timeout message arrives before content.js is listening.
+ */
+(() => {
+  if (globalThis.FocusGuardShield) {
+    return;
+  }
+
+  const SHIELD_ID = 'focus-guard-shield';
+  const SHIELDED_CLASS = 'focus-guard-shielded';
+  const SETTINGS_KEY = 'focus_guard_settings'; // CONSTANTS.STORAGE_KEYS.SETTINGS (constants.js loads later)
+  const DEFAULT_MAX_WAIT = 5; // CONSTANTS.DEFAULT_SETTINGS.prerenderMaxWait
+
+  let timedOut = null; // { failMode } once the max wait has passed
+  let timeoutHandler = null; // Set by content.js once it is running
+
+  /**
+   * Pause any media that tries to start while the page is hidden
+   */
+  const pauseMedia = (event) => {
+    if (event.target instanceof HTMLMediaElement) {
+      event.target.pause();
+    }
+  };
+
+  const shield = document.createElement('div');
+  shield.id = SHIELD_ID;
+  shield.setAttribute('role', 'status');
+  shield.textContent = 'Checking this page against your goals…';
+
+  document.documentElement.classList.add(SHIELDED_CLASS);
+  document.documentElement.appendChild(shield);
+  document.addEventListener('play', pauseMedia, true);
+
+  /**
+   * Apply the fail mode: content.js does it when running; otherwise fail open
+   * here, or keep the page hidden (fail closed) until content.js takes over
+   */
+  const expire = (failMode) => {
+    if (!shield.isConnected) {
+      return;
+    }
+
+    timedOut = { failMode };
+    if (timeoutHandler) {
+      timeoutHandler(timedOut);
+    } else if (failMode === 'closed') {
+      shield.textContent = 'Focus Guard could not check this page in time.';
+    } else {
+      globalThis.FocusGuardShield.release();
+    }
+  };
+
+  const startedAt = Date.now();
+  chrome.storage.sync.get(SETTINGS_KEY)
+    .then(result => result[SETTINGS_KEY] || {})
+    .catch(() => ({}))
+    .then(settings => {
+      const maxWait = Math.max(1, Number(settings.prerenderMaxWait) || DEFAULT_MAX_WAIT);
+      const remaining = maxWait * 1000 - (Date.now() - startedAt);
+      setTimeout(() => expire(settings.prerenderFailMode), Math.max(0, remaining));
+    });
+
+  globalThis.FocusGuardShield = {
+    /**
+     * Whether the page is still hidden
+     */
+    isActive() {
+      return shield.isConnected;
+    },
+
+    /**
+     * Hand timeouts to content.js; called at once if the max wait already passed
+     */
+    onTimeout(handler) {
+      timeoutHandler = handler;
+      if (timedOut && shield.isConnected) {
+        handler(timedOut);
+      }
+    },
+
+    /**
+     * Remove the shield and let the page render
+     */
+    release() {
+      document.removeEventListener('play', pauseMedia, true);
+      document.documentElement.classList.remove(SHIELDED_CLASS);
+      shield.remove();
+    }
+  };
+})();
@@ -12,8 +12,24 @@ class OptionsController {
     this.analytics = {};
     this.goals = [];
     this.whitelist = [];
+    this.blocklist = [];
+    this.ruleHits = { whitelist: {}, blocklist: {} };
+    this.feedback = {};
+    this.classifierStats = { docs: 0, allow: 0, block: 0, sites: 0 };
+    this.providerHealth = {};
+    this.requestUsage = { dayCount: 0, monthCount: 0 };
+    this.spendUsage = {}; // Daily token usage records covering the spend chart and this month
+    this.attention = {}; // Tracked time per local day, for the focus report
+    this.historyEntries = []; // Verdict history entries shown in the History tab
+    this.historyHasMore = false;
+    this.historyFilterTimeout = null;
+    this.pendingImport = null; // Validated backup awaiting confirmation in the Data tab
+    this.scheduleDays = new Set([1, 2, 3, 4, 5]); // Days selected for the next time window
+    this.profiles = StorageManager.getDefaultProfiles();
     this.saveTimeout = null;
     this.providerSettings = {}; // Store per-provider settings
+    this.localModels = []; // Models discovered from the local endpoint
+    this.pendingUpdates = {};
     this.currentTab = 'ai-provider';
     
     this.initializeEventListeners();
@@ -41,6 +57,15 @@ class OptionsController {
       this.handleModelChange(e.target.value);
     });
 
+    // Local server URL and model discovery
+    const localBaseUrlInput = document.getElementById('local-base-url');
+    localBaseUrlInput.addEventListener('input', () => this.handleLocalBaseUrlChange());
+    localBaseUrlInput.addEventListener('blur', () => this.refreshLocalModels());
+
+    document.getElementById('refresh-models-btn').addEventListener('click', () => {
+      this.refreshLocalModels();
+    });
+
     // API key input
     const apiKeyInput = document.getElementById('api-key');
     apiKeyInput.addEventListener('input', () => this.handleApiKeyChange());
@@ -51,20 +76,117 @@ class OptionsController {
       this.toggleKeyVisibility();
     });
 
-    // Confidence threshold
-    const thresholdSlider = document.getElementById('confidence-threshold');
+    // Fallback providers
+    document.getElementById('fallback-provider').addEventListener('change', () => {
+      this.updateFallbackModels();
+    });
+
+    document.getElementById('add-fallback-btn').addEventListener('click', () => {
+      this.handleAddFallback();
+    });
+
+    ['fallback-model', 'fallback-key'].forEach(id => {
+      document.getElementById(id).addEventListener('input', () => this.clearFallbackError());
+    });
+
+    // Minimum alignment score
+    const thresholdSlider = document.getElementById('min-alignment-score');
     thresholdSlider.addEventListener('input', (e) => {
       this.handleThresholdChange(parseInt(e.target.value));
     });
 
+    // Blocking mode and pre-render options
+    document.getElementById('blocking-mode').addEventListener('change', (e) => {
+      this.handleBlockingModeChange(e.target.value);
+    });
+
+    document.getElementById('prerender-max-wait').addEventListener('input', (e) => {
+      this.handlePrerenderMaxWaitChange(parseInt(e.target.value));
+    });
+
+    document.getElementById('prerender-fail-mode').addEventListener('change', (e) => {
+      this.debouncedSave({ prerenderFailMode: e.target.value });
+    });
+
+    // Bypass settings
+    document.getElementById('bypass-duration').addEventListener('input', (e) => {
+      this.handleNumberSettingChange('bypassDuration', parseInt(e.target.value), 1, 120);
+    });
+
+    document.getElementById('daily-bypass-limit').addEventListener('input', (e) => {
+      this.handleNumberSettingChange('dailyBypassLimit', parseInt(e.target.value), 0, 50);
+    });
+
+    document.getElementById('bypass-friction').addEventListener('change', (e) => {
+      this.handleBypassFrictionChange(e.target.value);
+    });
+
+    document.getElementById('bypass-countdown').addEventListener('input', (e) => {
+      this.handleNumberSettingChange('bypassCountdown', parseInt(e.target.value), 3, 120);
+    });
+
+    // Focus session settings
+    document.getElementById('focus-interval').addEventListener('input', (e) => {
+      this.handleNumberSettingChange('focusInterval', parseInt(e.target.value), 5, 240);
+    });
+
+    document.getElementById('break-duration').addEventListener('input', (e) => {
+      this.handleNumberSettingChange('breakDuration', parseInt(e.target.value), 0, 60);
+    });
+
     // Extension enable/disable
     document.getElementById('enable-extension').addEventListener('change', (e) => {
       this.handleExtensionToggle(e.target.checked);
     });
 
+    // Spending budget
+    document.getElementById('daily-budget').addEventListener('input', (e) => {
+      this.handleBudgetChange('dailyLimit', parseFloat(e.target.value));
+    });
+
+    document.getElementById('monthly-budget').addEventListener('input', (e) => {
+      this.handleBudgetChange('monthlyLimit', parseFloat(e.target.value));
+    });
+
+    document.getElementById('budget-action').addEventListener('change', (e) => {
+      this.handleBudgetChange('action', e.target.value);
+      document.getElementById('cheaper-model-group').classList.toggle('hidden', e.target.value !== 'cheaper');
+    });
+
+    document.getElementById('cheaper-model').addEventListener('change', (e) => {
+      this.handleBudgetChange('cheaperModel', e.target.value);
+    });
+
+    document.getElementById('add-price-btn').addEventListener('click', () => {
+      this.handleAddPrice();
+    });
+
+    document.getElementById('price-model').addEventListener('input', () => this.clearPriceError());
+
+    document.getElementById('reset-prices-btn').addEventListener('click', () => {
+      this.resetPrices();
+    });
+
+    // Per-provider request timeout
+    document.getElementById('request-timeout').addEventListener('input', (e) => {
+      this.handleRequestTimeoutChange(parseInt(e.target.value));
+    });
+
     // Rate limit
     document.getElementById('rate-limit').addEventListener('input', (e) => {
-      this.handleRateLimitChange(parseInt(e.target.value));
+      this.handleRateLimitChange('requestsPerMinute', parseInt(e.target.value), 1, CONSTANTS.RATE_LIMIT.MAX_REQUESTS_PER_MINUTE);
+    });
+
+    document.getElementById('over-limit-policy').addEventListener('change', (e) => {
+      this.handleRateLimitChange('overLimit', e.target.value);
+    });
+
+    document.getElementById('daily-cap').addEventListener('input', (e) => {
+      this.handleRateLimitChange('dailyCap', parseInt(e.target.value), 0, CONSTANTS.RATE_LIMIT.MAX_DAILY_CAP);
+    });
+
+    document.getElementById('monthly-cap').addEventListener('input', (e) => {
+      this.handleRateLimitChange('monthlyCap', parseInt(e.target.value), 0, CONSTANTS.RATE_LIMIT.MAX_MONTHLY_CAP);
     });
 
     // Cache enable/disable
@@ -88,6 +210,19 @@ class OptionsController {
     
     document.getElementById('import-file').addEventListener('change', (e) => {
       this.importData(e.target.files[0]);
+      e.target.value = ''; // Allow choosing the same file again
+    });
+
+    document.getElementById('import-mode').addEventListener('change', () => {
+      this.updateImportPreview();
+    });
+
+    document.getElementById('confirm-import-btn').addEventListener('click', () => {
+      this.confirmImport();
+    });
+
+    document.getElementById('cancel-import-btn').addEventListener('click', () => {
+      this.closeImportReport();
     });
     
     document.getElementById('reset-all').addEventListener('click', () => {
@@ -108,6 +243,132 @@ class OptionsController {
     document.getElementById('domain-input').addEventListener('input', () => {
       this.clearDomainError();
     });
+
+    // Blocklist management
+    document.getElementById('add-blocklist-btn').addEventListener('click', () => {
+      this.handleAddBlocklistRule();
+    });
+    
+    document.getElementById('blocklist-input').addEventListener('keypress', (e) => {
+      if (e.key === 'Enter') {
+        this.handleAddBlocklistRule();
+      }
+    });
+    
+    document.getElementById('blocklist-input').addEventListener('input', () => {
+      this.clearBlocklistError();
+    });
+    
+    document.getElementById('blocklist-filter').addEventListener('input', () => {
+      this.updateBlocklist();
+    });
+    
+    document.getElementById('import-hosts-btn').addEventListener('click', () => {
+      document.getElementById('import-hosts-file').click();
+    });
+    
+    document.getElementById('import-hosts-file').addEventListener('change', (e) => {
+      this.importHostsFile(e.target.files[0]);
+      e.target.value = '';
+    });
+    
+    document.getElementById('clear-blocklist-btn').addEventListener('click', () => {
+      this.clearBlocklist();
+    });
+
+    // Profiles
+    const profileInput = document.getElementById('profile-input');
+    profileInput.addEventListener('keypress', (e) => {
+      if (e.key === 'Enter') {
+        this.handleAddProfile();
+      }
+    });
+    profileInput.addEventListener('input', () => this.clearProfileError());
+
+    document.getElementById('add-profile-btn').addEventListener('click', () => {
+      this.handleAddProfile();
+    });
+
+    // Schedule
+    document.getElementById('schedule-enabled').addEventListener('change', (e) => {
+      this.saveSchedule({ enabled: e.target.checked });
+    });
+
+    document.getElementById('schedule-timezone').addEventListener('change', (e) => {
+      this.handleTimezoneChange(e.target.value.trim());
+    });
+
+    document.getElementById('add-schedule-btn').addEventListener('click', () => {
+      this.handleAddScheduleRule();
+    });
+
+    ['schedule-start', 'schedule-end'].forEach(id => {
+      document.getElementById(id).addEventListener('input', () => this.clearScheduleError());
+    });
+
+    // Learned preferences
+    document.getElementById('clear-feedback-btn').addEventListener('click', () => {
+      this.clearFeedback();
+    });
+
+    // Local pre-classifier
+    document.getElementById('local-classifier').addEventListener('change', (e) => {
+      this.debouncedSave({ localClassifier: e.target.checked });
+    });
+
+    document.getElementById('reset-classifier-btn').addEventListener('click', () => {
+      this.resetClassifier();
+    });
+
+    // Analytics export (defaults to the charted period)
+    document.getElementById('export-from').value = this.getRecentDayKeys(CONSTANTS.ANALYTICS.CHART_DAYS)[0];
+    document.getElementById('export-to').value = Utils.getDateKey();
+
+    ['export-from', 'export-to', 'export-daily', 'export-tokens', 'export-verdicts'].forEach(id => {
+      document.getElementById(id).addEventListener('change', () => this.clearExportError());
+    });
+
+    document.getElementById('export-analytics-btn').addEventListener('click', () => {
+      this.exportAnalytics();
+    });
+
+    // Focus report
+    document.getElementById('track-time').addEventListener('change', (e) => {
+      this.debouncedSave({ trackTime: e.target.checked });
+    });
+
+    document.getElementById('report-period').addEventListener('change', () => {
+      this.updateAttentionReport();
+    });
+
+    // Verdict history
+    ['history-search', 'history-domain'].forEach(id => {
+      document.getElementById(id).addEventListener('input', () => {
+        clearTimeout(this.historyFilterTimeout);
+        this.historyFilterTimeout = setTimeout(() => this.loadHistory(), 300);
+      });
+    });
+
+    ['history-decision', 'history-from', 'history-to'].forEach(id => {
+      document.getElementById(id).addEventListener('change', () => this.loadHistory());
+    });
+
+    document.getElementById('history-more-btn').addEventListener('click', () => {
+      this.loadHistory(true);
+    });
+
+    document.getElementById('history-retention').addEventListener('input', (e) => {
+      this.handleNumberSettingChange(
+        'historyRetentionDays',
+        parseInt(e.target.value),
+        CONSTANTS.HISTORY.MIN_RETENTION_DAYS,
+        CONSTANTS.HISTORY.MAX_RETENTION_DAYS
+      );
+    });
+
+    document.getElementById('clear-history-btn').addEventListener('click', () => {
+      this.clearHistory();
+    });
   }
 
   /**
@@ -115,12 +376,22 @@ class OptionsController {
    */
   async loadData() {
     try {
-      [this.settings, this.analytics, this.goals, this.whitelist, this.tokenUsage] = await Promise.all([
+      [this.settings, this.analytics, this.goals, this.whitelist, this.blocklist, this.ruleHits, this.feedback, this.classifierStats, this.providerHealth, this.requestUsage, this.spendUsage, this.tokenUsage, this.recentVerdicts, this.attention, this.profiles] = await Promise.all([
         StorageManager.getSettings(),
         StorageManager.getAnalytics(),
         StorageManager.getGoals(),
         StorageManager.getWhitelist(),
-        StorageManager.getTokenUsage(7) // Last 7 days
+        StorageManager.getBlocklist(),
+        StorageManager.getRuleHits(),
+        StorageManager.getFeedback(),
+        StorageManager.getClassifierStats(),
+        StorageManager.getProviderHealth(),
+        StorageManager.getRequestUsage(),
+        StorageManager.getTokenUsage(Math.max(CONSTANTS.PRICING.CHART_DAYS, new Date().getDate())),
+        StorageManager.getTokenUsage(7), // Last 7 days
+        StorageManager.getRecentVerdicts(),
+        StorageManager.getAttention(),
+        StorageManager.getProfiles()
       ]);
 
       // Initialize provider settings cache with current settings
@@ -133,6 +404,11 @@ class OptionsController {
 
       console.log('[Focus Guard] Options page loaded settings:', this.settings);
       this.updateUI();
+      this.loadHistory();
+
+      if (this.settings.provider === 'local') {
+        this.refreshLocalModels();
+      }
     } catch (error) {
       Utils.log('error', 'Failed to load options data', error);
       this.showStatus('Failed to load settings', 'error');
@@ -146,12 +422,28 @@ class OptionsController {
     this.updateProviderSelection();
     this.updateModelSelection();
     this.updateApiKey();
+    this.updateFallbacks();
+    this.updateProviderHealth();
+    this.updateBudget();
+    this.updatePrices();
     this.updateThreshold();
+    this.updateBlockingMode();
+    this.updateBypassSettings();
+    this.updateFocusSessionSettings();
     this.updateExtensionToggle();
     this.updateAdvancedSettings();
     this.updateStatistics();
     this.updateTokenUsage();
+    this.updateSpend();
+    this.updateAttentionReport();
+    this.updateRecentVerdicts();
     this.updateWhitelist();
+    this.updateBlocklist();
+    this.updateProfiles();
+    this.updateSchedule();
+    this.updateFeedback();
+    this.updateClassifier();
+    this.updateHistorySettings();
     this.updateProviderDocs();
   }
 
@@ -165,9 +457,23 @@ class OptionsController {
     // Just update the dependent UI elements directly
     this.updateModelSelection();
     this.updateApiKey();
+    this.updateRequestTimeout();
+    this.updateLocalBaseUrl();
     this.updateProviderDocs();
   }
 
+  /**
+   * Show the server URL field for providers with a configurable endpoint
+   */
+  updateLocalBaseUrl() {
+    const group = document.getElementById('local-base-url-group');
+    const input = document.getElementById('local-base-url');
+    const isCustom = CONSTANTS.PROVIDERS[this.settings.provider]?.customBaseUrl === true;
+
+    group.classList.toggle('hidden', !isCustom);
+    input.value = this.settings.localBaseUrl || CONSTANTS.DEFAULT_SETTINGS.localBaseUrl;
+  }
+
   /**
    * Update model selection based on provider
    */
@@ -182,23 +488,46 @@ class OptionsController {
     }
 
     modelSelect.disabled = false;
-    const models = CONSTANTS.PROVIDERS[provider].models;
+    const models = provider === 'local'
+      ? this.getLocalModelOptions()
+      : CONSTANTS.PROVIDERS[provider].models;
+
+    if (models.length === 0) {
+      modelSelect.disabled = true;
+      modelSelect.innerHTML = '<option value="">No models found - check the server URL</option>';
+      return;
+    }
     
     modelSelect.innerHTML = models.map(model => 
-      `<option value="${model}" ${model === this.settings.model ? 'selected' : ''}>${model}</option>`
+      `<option value="${this.escapeHtml(model)}" ${model === this.settings.model ? 'selected' : ''}>${this.escapeHtml(model)}</option>`
     ).join('');
   }
 
+  /**
+   * Discovered local models, keeping the saved model selectable even if the server is offline
+   */
+  getLocalModelOptions() {
+    const models = [...this.localModels];
+    if (this.settings.model && !models.includes(this.settings.model)) {
+      models.unshift(this.settings.model);
+    }
+    return models;
+  }
+
   /**
    * Update API key field
    */
   updateApiKey() {
     const apiKeyInput = document.getElementById('api-key');
     const toggleBtn = document.getElementById('toggle-key-visibility');
+    const providerConfig = CONSTANTS.PROVIDERS[this.settings.provider];
     
-    if (this.settings.provider && CONSTANTS.PROVIDERS[this.settings.provider]?.keyRequired) {
+    if (providerConfig) {
       apiKeyInput.disabled = false;
       toggleBtn.disabled = false;
+      apiKeyInput.placeholder = providerConfig.keyRequired
+        ? 'Enter your API key...'
+        : 'Optional - only if your server requires one';
       apiKeyInput.value = this.settings.apiKey || '';
     } else {
       apiKeyInput.disabled = true;
@@ -208,17 +537,263 @@ class OptionsController {
   }
 
   /**
-   * Update confidence threshold
+   * Update the request timeout for the selected provider
+   */
+  updateRequestTimeout() {
+    const provider = this.settings.provider;
+    const defaultTimeout = (CONSTANTS.PROVIDERS[provider]?.timeout || CONSTANTS.API.TIMEOUT) / 1000;
+
+    document.getElementById('request-timeout').value = this.settings.requestTimeouts?.[provider] || defaultTimeout;
+  }
+
+  /**
+   * Handle request timeout change for the selected provider
+   */
+  handleRequestTimeoutChange(seconds) {
+    const provider = this.settings.provider;
+    if (!provider || Number.isNaN(seconds) ||
+        seconds < CONSTANTS.API.MIN_TIMEOUT_SECONDS || seconds > CONSTANTS.API.MAX_TIMEOUT_SECONDS) {
+      return;
+    }
+
+    this.settings.requestTimeouts = { ...this.settings.requestTimeouts, [provider]: seconds };
+    this.debouncedSave({ requestTimeouts: this.settings.requestTimeouts });
+  }
+
+  /**
+   * Update the fallback provider list
+   */
+  updateFallbacks() {
+    const fallbacks = this.settings.fallbacks || [];
+    const listContainer = document.getElementById('fallback-list');
+    const emptyState = document.getElementById('empty-fallbacks');
+
+    document.getElementById('fallback-count').textContent = fallbacks.length;
+    document.getElementById('add-fallback-btn').disabled = fallbacks.length >= CONSTANTS.API.MAX_FALLBACKS;
+    this.updateFallbackModels();
+
+    if (fallbacks.length === 0) {
+      listContainer.style.display = 'none';
+      emptyState.style.display = 'block';
+      return;
+    }
+
+    listContainer.style.display = 'block';
+    emptyState.style.display = 'none';
+
+    listContainer.innerHTML = fallbacks.map((fallback, index) => `
+      <div class="whitelist-item">
+        <span class="whitelist-domain">
+          ${index + 1}. ${this.escapeHtml(CONSTANTS.PROVIDERS[fallback.provider]?.name || fallback.provider)}
+          · ${this.escapeHtml(fallback.model || 'default model')}
+        </span>
+        ${index > 0 ? `<button class="whitelist-remove fallback-up" data-index="${index}">Move up</button>` : ''}
+        <button class="whitelist-remove fallback-remove" data-index="${index}">Remove</button>
+      </div>
+    `).join('');
+
+    listContainer.querySelectorAll('.fallback-up').forEach(btn => {
+      btn.addEventListener('click', (e) => this.handleMoveFallback(Number(e.target.dataset.index)));
+    });
+    listContainer.querySelectorAll('.fallback-remove').forEach(btn => {
+      btn.addEventListener('click', (e) => this.handleRemoveFallback(Number(e.target.dataset.index)));
+    });
+  }
+
+  /**
+   * Suggest known models for the fallback provider being added
+   */
+  updateFallbackModels() {
+    const provider = document.getElementById('fallback-provider').value;
+    const models = provider === 'local' ? this.localModels : CONSTANTS.PROVIDERS[provider]?.models || [];
+
+    document.getElementById('fallback-models').innerHTML = models
+      .map(model => `<option value="${this.escapeHtml(model)}"></option>`)
+      .join('');
+    document.getElementById('fallback-key').disabled = !CONSTANTS.PROVIDERS[provider]?.keyRequired;
+  }
+
+  /**
+   * Handle adding a provider to the end of the fallback order
+   */
+  async handleAddFallback() {
+    const provider = document.getElementById('fallback-provider').value;
+    const modelInput = document.getElementById('fallback-model');
+    const keyInput = document.getElementById('fallback-key');
+    const fallbacks = this.settings.fallbacks || [];
+    const providerConfig = CONSTANTS.PROVIDERS[provider];
+
+    if (!providerConfig) {
+      this.showFallbackError('Select a provider');
+      return;
+    }
+
+    if (providerConfig.keyRequired && !keyInput.value.trim()) {
+      this.showFallbackError(`${providerConfig.name} needs an API key`);
+      return;
+    }
+
+    if (fallbacks.length >= CONSTANTS.API.MAX_FALLBACKS) {
+      this.showFallbackError(`You can only have up to ${CONSTANTS.API.MAX_FALLBACKS} fallback providers`);
+      return;
+    }
+
+    const fallback = {
+      provider,
+      model: modelInput.value.trim(),
+      apiKey: providerConfig.keyRequired ? keyInput.value.trim() : ''
+    };
+
+    this.clearFallbackError();
+    if (await this.saveFallbacks([...fallbacks, fallback])) {
+      modelInput.value = '';
+      keyInput.value = '';
+    }
+  }
+
+  /**
+   * Handle moving a fallback provider one place earlier
+   */
+  async handleMoveFallback(index) {
+    const fallbacks = [...(this.settings.fallbacks || [])];
+    [fallbacks[index - 1], fallbacks[index]] = [fallbacks[index], fallbacks[index - 1]];
+    await this.saveFallbacks(fallbacks);
+  }
+
+  /**
+   * Handle removing a fallback provider
+   */
+  async handleRemoveFallback(index) {
+    await this.saveFallbacks((this.settings.fallbacks || []).filter((_, i) => i !== index));
+  }
+
+  /**
+   * Persist the fallback order, returning whether it was saved
+   */
+  async saveFallbacks(fallbacks) {
+    try {
+      this.settings = await StorageManager.setSettings({ fallbacks });
+      this.updateFallbacks();
+      this.showStatus('All changes saved', 'saved');
+      return true;
+    } catch (error) {
+      Utils.log('error', 'Failed to save fallback providers', error);
+      this.showStatus('Failed to save changes', 'error');
+      return false;
+    }
+  }
+
+  /**
+   * Show fallback provider error message
+   */
+  showFallbackError(message) {
+    const errorElement = document.getElementById('fallback-error');
+    errorElement.textContent = message;
+    errorElement.classList.remove('hidden');
+  }
+
+  /**
+   * Clear fallback provider error message
+   */
+  clearFallbackError() {
+    document.getElementById('fallback-error').classList.add('hidden');
+  }
+
+  /**
+   * Update the per-provider and model request health display
+   */
+  updateProviderHealth() {
+    const entries = Object.entries(this.providerHealth || {});
+    const listContainer = document.getElementById('provider-health-list');
+    const emptyState = document.getElementById('empty-provider-health');
+
+    if (entries.length === 0) {
+      listContainer.style.display = 'none';
+      emptyState.style.display = 'block';
+      return;
+    }
+
+    listContainer.style.display = 'block';
+    emptyState.style.display = 'none';
+
+    const now = Date.now();
+    listContainer.innerHTML = entries.map(([key, health]) => {
+      // Records from before health was kept per model are keyed by provider alone
+      const provider = health.provider || key;
+      const name = CONSTANTS.PROVIDERS[provider]?.name || provider;
+      let status = 'Healthy';
+      if (health.retryAfterUntil > now) {
+        status = `Backing off until ${new Date(health.retryAfterUntil).toLocaleTimeString()}`;
+      } else if (health.consecutiveFailures > 0) {
+        status = `Failing (${health.consecutiveFailures} in a row)`;
+      }
+
+      const details = [
+        `${health.successes} ok`,
+        `${health.failures} failed`,
+        health.avgLatency ? `~${health.avgLatency} ms` : null,
+        health.lastError ? `last error ${Utils.formatTimestamp(health.lastFailureAt)}: ${health.lastError}` : null
+      ].filter(Boolean).join(' · ');
+
+      return `
+        <div class="whitelist-item">
+          <span class="whitelist-domain">${this.escapeHtml(health.model ? `${name} · ${health.model}` : name)}: ${this.escapeHtml(status)}</span>
+          <span class="rule-hits">${this.escapeHtml(details)}</span>
+        </div>
+      `;
+    }).join('');
+  }
+
+  /**
+   * Update minimum alignment score
    */
   updateThreshold() {
-    const thresholdSlider = document.getElementById('confidence-threshold');
+    const thresholdSlider = document.getElementById('min-alignment-score');
     const thresholdValue = document.getElementById('threshold-value');
     
-    const threshold = this.settings.confidenceThreshold || CONSTANTS.DEFAULT_SETTINGS.confidenceThreshold;
+    const threshold = this.settings.minAlignmentScore ?? CONSTANTS.DEFAULT_SETTINGS.minAlignmentScore;
     thresholdSlider.value = threshold;
     thresholdValue.textContent = threshold;
   }
 
+  /**
+   * Update blocking mode and pre-render options
+   */
+  updateBlockingMode() {
+    const mode = this.settings.blockingMode || CONSTANTS.DEFAULT_SETTINGS.blockingMode;
+
+    document.getElementById('blocking-mode').value = mode;
+    document.getElementById('prerender-options').classList.toggle('hidden', mode !== 'prerender');
+    document.getElementById('prerender-max-wait').value =
+      this.settings.prerenderMaxWait || CONSTANTS.DEFAULT_SETTINGS.prerenderMaxWait;
+    document.getElementById('prerender-fail-mode').value =
+      this.settings.prerenderFailMode || CONSTANTS.DEFAULT_SETTINGS.prerenderFailMode;
+  }
+
+  /**
+   * Update bypass settings
+   */
+  updateBypassSettings() {
+    const defaults = CONSTANTS.DEFAULT_SETTINGS;
+    const friction = this.settings.bypassFriction || defaults.bypassFriction;
+
+    document.getElementById('bypass-duration').value = this.settings.bypassDuration || defaults.bypassDuration;
+    document.getElementById('daily-bypass-limit').value = this.settings.dailyBypassLimit ?? defaults.dailyBypassLimit;
+    document.getElementById('bypass-friction').value = friction;
+    document.getElementById('bypass-countdown').value = this.settings.bypassCountdown || defaults.bypassCountdown;
+    document.getElementById('bypass-countdown-group').classList.toggle('hidden', friction !== 'countdown');
+  }
+
+  /**
+   * Update focus session settings
+   */
+  updateFocusSessionSettings() {
+    const defaults = CONSTANTS.DEFAULT_SETTINGS;
+
+    document.getElementById('focus-interval').value = this.settings.focusInterval || defaults.focusInterval;
+    document.getElementById('break-duration').value = this.settings.breakDuration ?? defaults.breakDuration;
+  }
+
   /**
    * Update extension toggle
    */
@@ -234,7 +809,13 @@ class OptionsController {
     const rateLimitInput = document.getElementById('rate-limit');
     const cacheCheckbox = document.getElementById('enable-cache');
     
-    rateLimitInput.value = this.settings.rateLimit?.requestsPerMinute || 20;
+    const rateLimit = { ...CONSTANTS.DEFAULT_SETTINGS.rateLimit, ...this.settings.rateLimit };
+    rateLimitInput.value = rateLimit.requestsPerMinute;
+    document.getElementById('over-limit-policy').value = rateLimit.overLimit;
+    document.getElementById('daily-cap').value = rateLimit.dailyCap;
+    document.getElementById('monthly-cap').value = rateLimit.monthlyCap;
+    document.getElementById('request-usage').textContent =
+      `0 = unlimited. Used so far: ${this.requestUsage.dayCount} today, ${this.requestUsage.monthCount} this month.`;
     cacheCheckbox.checked = this.settings.enableCache !== false;
   }
 
@@ -246,6 +827,47 @@ class OptionsController {
     document.getElementById('blocked-pages').textContent = this.analytics.blockedPages || 0;
     document.getElementById('bypassed-pages').textContent = this.analytics.bypassedPages || 0;
     document.getElementById('current-goals').textContent = this.goals.length || 0;
+    document.getElementById('saved-calls').textContent = this.analytics.savedCalls || 0;
+    this.updateActivityChart();
+  }
+
+  /**
+   * Update the daily activity chart: pages checked per day, with the blocked share in red
+   */
+  updateActivityChart() {
+    const days = this.getRecentDayKeys(CONSTANTS.ANALYTICS.CHART_DAYS).map(dayKey => {
+      const counts = this.analytics.days?.[dayKey] || {};
+      return {
+        dayKey,
+        checked: (counts.totalRequests || 0) + (counts.savedCalls || 0),
+        blocked: counts.blockedPages || 0,
+        bypassed: counts.bypassedPages || 0
+      };
+    });
+
+    // Blocklist blocks never reach a check, so a day can have more blocks than checks
+    const maxPages = Math.max(0, ...days.map(({ checked, blocked }) => Math.max(checked, blocked)));
+    const totals = days.reduce((sum, day) => ({
+      checked: sum.checked + day.checked,
+      blocked: sum.blocked + day.blocked,
+      bypassed: sum.bypassed + day.bypassed
+    }), { checked: 0, blocked: 0, bypassed: 0 });
+
+    document.getElementById('activity-chart').innerHTML = maxPages > 0
+      ? days.map(({ dayKey, checked, blocked, bypassed }) => {
+        const pages = Math.max(checked, blocked);
+        return `
+          <div class="spend-bar activity-bar" title="${dayKey}: ${checked} checked, ${blocked} blocked, ${bypassed} bypassed">
+            <div class="spend-bar-fill" style="height: ${Math.round(((pages - blocked) / maxPages) * 100)}%"></div>
+            <div class="spend-bar-fill blocked-bar-fill" style="height: ${Math.round((blocked / maxPages) * 100)}%"></div>
+          </div>
+        `;
+      }).join('')
+      : '<div class="no-usage">No activity in the last 30 days</div>';
+
+    document.getElementById('activity-summary').textContent = maxPages > 0
+      ? `${totals.checked} pages checked, ${totals.blocked} blocked, ${totals.bypassed} bypassed`
+      : '';
   }
 
   /**
@@ -311,6 +933,44 @@ class OptionsController {
     `).join('');
   }
 
+  /**
+   * Update recent decisions list with the model's rationale
+   */
+  updateRecentVerdicts() {
+    const listContainer = document.getElementById('recent-verdicts-list');
+    const verdicts = this.recentVerdicts || [];
+
+    if (verdicts.length === 0) {
+      listContainer.innerHTML = '<div class="no-usage">No pages analyzed yet</div>';
+      return;
+    }
+
+    listContainer.innerHTML = verdicts.map(verdict => `
+      <div class="verdict-item">
+        <div class="verdict-header">
+          <span class="verdict-title" title="${this.escapeHtml(verdict.url)}">${this.escapeHtml(verdict.title || verdict.url)}</span>
+          <span class="verdict-decision ${verdict.shouldBlock ? 'blocked' : 'allowed'}">
+            ${verdict.shouldBlock ? 'Blocked' : 'Allowed'}${typeof verdict.alignmentScore === 'number' ? ` · ${verdict.alignmentScore}/100` : ''}
+          </span>
+        </div>
+        <div class="verdict-rationale">${this.escapeHtml(verdict.rationale || 'No rationale provided')}</div>
+        <div class="verdict-meta">
+          ${this.escapeHtml((verdict.category || 'other').replace(/_/g, ' '))} · ${Utils.formatTimestamp(verdict.timestamp)}
+        </div>
+      </div>
+    `).join('');
+  }
+
+  /**
+   * Escape HTML for security
+   */
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text || '';
+    // innerHTML leaves quotes alone; escape them too so the result is safe inside attribute values
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+  }
+
   /**
    * Format token count for display
    */
@@ -324,13 +984,384 @@ class OptionsController {
   }
 
   /**
-   * Get display name for provider
+   * Format an amount in USD, showing tiny non-zero amounts as "<$0.01"
    */
-  getProviderDisplayName(provider) {
-    const displayNames = {
+  formatCost(amount) {
+    if (amount > 0 && amount < 0.01) {
+      return '<$0.01';
+    }
+    return `$${amount.toFixed(2)}`;
+  }
+
+  /**
+   * Update spend totals, the daily spend chart and spend per model
+   */
+  updateSpend() {
+    const prices = this.settings.prices;
+    const today = Utils.getDateKey();
+    const days = [];
+
+    for (let i = CONSTANTS.PRICING.CHART_DAYS - 1; i >= 0; i--) {
+      const date = new Date();
+      date.setDate(date.getDate() - i);
+      const day = Utils.getDateKey(date);
+      days.push({ day, cost: Utils.estimateCost(this.spendUsage[`tokenUsage_${day}`], prices) });
+    }
+
+    const monthSpend = Object.entries(this.spendUsage || {})
+      .filter(([key]) => key.startsWith(`tokenUsage_${today.slice(0, 7)}`))
+      .reduce((total, [, usage]) => total + Utils.estimateCost(usage, prices), 0);
+    const periodSpend = days.reduce((total, { cost }) => total + cost, 0);
+
+    document.getElementById('spend-today').textContent = this.formatCost(days[days.length - 1].cost);
+    document.getElementById('spend-month').textContent = this.formatCost(monthSpend);
+    document.getElementById('spend-period').textContent = this.formatCost(periodSpend);
+
+    // Daily bars, scaled to the most expensive day
+    const maxCost = Math.max(...days.map(({ cost }) => cost));
+    const chart = document.getElementById('spend-chart');
+    chart.innerHTML = maxCost > 0
+      ? days.map(({ day, cost }) => `
+          <div class="spend-bar" title="${day}: ${this.formatCost(cost)}">
+            <div class="spend-bar-fill" style="height: ${Math.round((cost / maxCost) * 100)}%"></div>
+          </div>
+        `).join('')
+      : '<div class="no-usage">No spend in the last 30 days</div>';
+
+    // Spend per model over the chart period
+    const byModel = {};
+    days.forEach(({ day }) => {
+      Object.entries(Utils.estimateCostByModel(this.spendUsage[`tokenUsage_${day}`], prices)).forEach(([model, cost]) => {
+        byModel[model] = (byModel[model] || 0) + cost;
+      });
+    });
+
+    const models = Object.entries(byModel)
+      .filter(([, cost]) => cost > 0)
+      .sort(([, a], [, b]) => b - a);
+
+    document.getElementById('spend-by-model').innerHTML = models.map(([model, cost]) => `
+      <div class="provider-usage">
+        <div class="provider-name">${this.escapeHtml(model)}</div>
+        <div class="spend-share">
+          <div class="spend-share-fill" style="width: ${Math.round((cost / periodSpend) * 100)}%"></div>
+        </div>
+        <span class="provider-stat">
+          <span class="stat-number">${this.formatCost(cost)}</span>
+        </span>
+      </div>
+    `).join('');
+  }
+
+  /**
+   * Format milliseconds as "1h 05m", "12m" or "<1m"
+   */
+  formatDuration(ms) {
+    const minutes = Math.floor(ms / 60000);
+    if (minutes < 1) {
+      return ms > 0 ? '<1m' : '0m';
+    }
+    if (minutes < 60) {
+      return `${minutes}m`;
+    }
+    return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+  }
+
+  /**
+   * Share of classified time that was on-goal (unknown time is left out), or null without any
+   */
+  getFocusRatio({ on, off }) {
+    return on + off > 0 ? on / (on + off) : null;
+  }
+
+  /**
+   * Local date keys of `count` days ending `daysAgo` days before today, oldest first
+   */
+  getRecentDayKeys(count, daysAgo = 0) {
+    const keys = [];
+    for (let i = count - 1; i >= 0; i--) {
+      const date = new Date();
+      date.setDate(date.getDate() - daysAgo - i);
+      keys.push(Utils.getDateKey(date));
+    }
+    return keys;
+  }
+
+  /**
+   * Sum tracked time over some days, in total and per site
+   */
+  summarizeAttention(dayKeys) {
+    const totals = { on: 0, off: 0, unknown: 0 };
+    const domains = {};
+
+    dayKeys.forEach(dayKey => {
+      Object.entries(this.attention[dayKey]?.domains || {}).forEach(([domain, time]) => {
+        const entry = domains[domain] = domains[domain] || { on: 0, off: 0, unknown: 0 };
+        Object.keys(totals).forEach(status => {
+          entry[status] += time[status] || 0;
+          totals[status] += time[status] || 0;
+        });
+      });
+    });
+
+    return { totals, domains };
+  }
+
+  /**
+   * Update the focus report: totals, focus ratio trend, hour-of-day heatmap and top distractions
+   */
+  updateAttentionReport() {
+    const { TREND_DAYS, TREND_WEEKS, TOP_DOMAINS } = CONSTANTS.ATTENTION;
+    const weekly = document.getElementById('report-period').value === 'week';
+    const periodKeys = this.getRecentDayKeys(weekly ? 7 : 1);
+    const { totals, domains } = this.summarizeAttention(periodKeys);
+    const ratio = this.getFocusRatio(totals);
+
+    document.getElementById('track-time').checked = this.settings.trackTime !== false;
+    document.getElementById('on-goal-time').textContent = this.formatDuration(totals.on);
+    document.getElementById('off-goal-time').textContent = this.formatDuration(totals.off);
+    document.getElementById('focus-ratio').textContent = ratio === null ? '–' : `${Math.round(ratio * 100)}%`;
+
+    // Focus ratio per day, or per week in the weekly report
+    const buckets = weekly
+      ? Array.from({ length: TREND_WEEKS }, (_, i) => {
+        const keys = this.getRecentDayKeys(7, (TREND_WEEKS - 1 - i) * 7);
+        return { label: `Week of ${keys[0]}`, ratio: this.getFocusRatio(this.summarizeAttention(keys).totals) };
+      })
+      : this.getRecentDayKeys(TREND_DAYS).map(dayKey => ({
+        label: dayKey,
+        ratio: this.getFocusRatio(this.summarizeAttention([dayKey]).totals)
+      }));
+
+    document.getElementById('focus-trend-heading').textContent = weekly
+      ? `Focus Ratio Trend (Last ${TREND_WEEKS} Weeks)`
+      : `Focus Ratio Trend (Last ${TREND_DAYS} Days)`;
+    document.getElementById('focus-trend').innerHTML = buckets.some(bucket => bucket.ratio !== null)
+      ? buckets.map(({ label, ratio: bucketRatio }) => `
+          <div class="spend-bar" title="${label}: ${bucketRatio === null ? 'no data' : `${Math.round(bucketRatio * 100)}% on-goal`}">
+            <div class="spend-bar-fill focus-bar-fill" style="height: ${bucketRatio === null ? 0 : Math.round(bucketRatio * 100)}%"></div>
+          </div>
+        `).join('')
+      : '<div class="no-usage">No tracked time yet</div>';
+
+    // One row per day, one cell per hour: red to green by focus ratio, stronger with more time
+    const rows = periodKeys.map(dayKey => ({
+      dayKey,
+      hours: Array.from({ length: 24 }, (_, hour) => this.attention[dayKey]?.hours?.[hour] || { on: 0, off: 0, unknown: 0 })
+    }));
+    const maxTime = Math.max(0, ...rows.flatMap(row => row.hours.map(time => time.on + time.off + time.unknown)));
+    const heatmap = document.getElementById('attention-heatmap');
+
+    if (maxTime === 0) {
+      heatmap.innerHTML = '<div class="no-usage">No tracked time yet</div>';
+    } else {
+      const cells = rows.map(({ dayKey, hours }) => {
+        const dayName = CONSTANTS.SCHEDULE.DAY_NAMES[new Date(`${dayKey}T00:00:00`).getDay()];
+        return `<span class="heatmap-label">${dayName}</span>` + hours.map((time, hour) => {
+          const total = time.on + time.off + time.unknown;
+          const hourRatio = this.getFocusRatio(time);
+          const [r, g, b] = hourRatio === null
+            ? [153, 153, 153]
+            : [211 + (46 - 211) * hourRatio, 47 + (125 - 47) * hourRatio, 47 + (50 - 47) * hourRatio].map(Math.round);
+          const style = total > 0 ? ` style="background: rgba(${r}, ${g}, ${b}, ${(0.2 + 0.8 * total / maxTime).toFixed(2)})"` : '';
+          const title = `${dayName} ${String(hour).padStart(2, '0')}:00 – ${this.formatDuration(time.on)} on-goal, ${this.formatDuration(time.off)} off-goal`;
+          return `<span class="heatmap-cell" title="${title}"${style}></span>`;
+        }).join('');
+      }).join('');
+
+      const hourLabels = Array.from({ length: 24 }, (_, hour) =>
+        `<span class="heatmap-label">${hour % 6 === 0 ? hour : ''}</span>`
+      ).join('');
+
+      heatmap.innerHTML = cells + '<span></span>' + hourLabels;
+    }
+
+    // Sites with the most off-goal time
+    const distractions = Object.entries(domains)
+      .filter(([, time]) => time.off > 0)
+      .sort(([, a], [, b]) => b.off - a.off)
+      .slice(0, TOP_DOMAINS);
+
+    document.getElementById('top-distractions').innerHTML = distractions.length > 0
+      ? distractions.map(([domain, time]) => `
+          <div class="provider-usage">
+            <div class="provider-name">${this.escapeHtml(domain)}</div>
+            <div class="spend-share">
+              <div class="spend-share-fill" style="width: ${Math.round((time.off / totals.off) * 100)}%"></div>
+            </div>
+            <span class="provider-stat">
+              <span class="stat-number">${this.formatDuration(time.off)}</span>
+            </span>
+          </div>
+        `).join('')
+      : '<div class="no-usage">No off-goal time in this period</div>';
+  }
+
+  /**
+   * Update spending budget settings
+   */
+  updateBudget() {
+    const budget = { ...CONSTANTS.DEFAULT_SETTINGS.budget, ...this.settings.budget };
+    const prices = this.settings.prices;
+
+    document.getElementById('daily-budget').value = budget.dailyLimit;
+    document.getElementById('monthly-budget').value = budget.monthlyLimit;
+    document.getElementById('budget-action').value = budget.action;
+    document.getElementById('cheaper-model-group').classList.toggle('hidden', budget.action !== 'cheaper');
+
+    // Priced models of the primary provider, cheapest first
+    const costPerPage = model => Utils.getTokenCost(CONSTANTS.PRICING.TYPICAL_REQUEST, Utils.getModelPrice(model, prices));
+    const models = (CONSTANTS.PROVIDERS[this.settings.provider]?.models || [])
+      .filter(model => Utils.getModelPrice(model, prices))
+      .sort((a, b) => costPerPage(a) - costPerPage(b));
+
+    const cheaperSelect = document.getElementById('cheaper-model');
+    cheaperSelect.innerHTML = '<option value="">Cheapest priced model</option>' + models
+      .map(model => `<option value="${this.escapeHtml(model)}">${this.escapeHtml(model)} (~${this.formatCost(costPerPage(model) * 1000)} per 1,000 pages)</option>`)
+      .join('');
+    cheaperSelect.value = models.includes(budget.cheaperModel) ? budget.cheaperModel : '';
+
+    const spendToday = Utils.estimateCost(this.spendUsage[`tokenUsage_${Utils.getDateKey()}`], prices);
+    document.getElementById('budget-spend').textContent = `0 = no limit. Spent so far today: ${this.formatCost(spendToday)}.`;
+  }
+
+  /**
+   * Handle a spending budget setting change, ignoring invalid amounts
+   */
+  handleBudgetChange(key, value) {
+    if (typeof value === 'number' && (Number.isNaN(value) || value < 0)) {
+      return;
+    }
+
+    this.settings.budget = { ...CONSTANTS.DEFAULT_SETTINGS.budget, ...this.settings.budget, [key]: value };
+    this.debouncedSave({ budget: this.settings.budget });
+  }
+
+  /**
+   * Update the editable price table: known models plus any custom prices
+   */
+  updatePrices() {
+    const prices = this.settings.prices || {};
+    const models = [...new Set([...Object.keys(CONSTANTS.PRICING.MODELS), ...Object.keys(prices)])];
+    const listContainer = document.getElementById('price-list');
+
+    listContainer.innerHTML = models.map((model, index) => {
+      const price = Utils.getModelPrice(model, prices);
+      const costPerPage = Utils.getTokenCost(CONSTANTS.PRICING.TYPICAL_REQUEST, price);
+
+      return `
+        <div class="whitelist-item price-item">
+          <span class="whitelist-domain">${this.escapeHtml(model)}</span>
+          <input type="number" class="form-input price-field" min="0" step="0.01" value="${price.input}" data-index="${index}" data-field="input" aria-label="Input price for ${this.escapeHtml(model)}">
+          <input type="number" class="form-input price-field" min="0" step="0.01" value="${price.output}" data-index="${index}" data-field="output" aria-label="Output price for ${this.escapeHtml(model)}">
+          <span class="rule-hits">~${this.formatCost(costPerPage * 1000)} per 1,000 pages</span>
+        </div>
+      `;
+    }).join('');
+
+    listContainer.querySelectorAll('.price-field').forEach(input => {
+      input.addEventListener('change', (e) => {
+        this.handlePriceChange(models[Number(e.target.dataset.index)], e.target.dataset.field, parseFloat(e.target.value));
+      });
+    });
+
+    document.getElementById('reset-prices-btn').disabled = Object.keys(prices).length === 0;
+  }
+
+  /**
+   * Handle editing one price of a model
+   */
+  async handlePriceChange(model, field, value) {
+    if (Number.isNaN(value) || value < 0) {
+      this.updatePrices();
+      return;
+    }
+
+    const price = { ...Utils.getModelPrice(model, this.settings.prices), [field]: value };
+    await this.savePrices({ ...this.settings.prices, [model]: price });
+  }
+
+  /**
+   * Handle adding a price for a model without a default one
+   */
+  async handleAddPrice() {
+    const modelInput = document.getElementById('price-model');
+    const inputPrice = parseFloat(document.getElementById('price-input').value);
+    const outputPrice = parseFloat(document.getElementById('price-output').value);
+    const model = modelInput.value.trim();
+
+    if (!model) {
+      this.showPriceError('Please enter a model');
+      return;
+    }
+
+    if ([inputPrice, outputPrice].some(price => Number.isNaN(price) || price < 0)) {
+      this.showPriceError('Enter input and output prices of 0 or more');
+      return;
+    }
+
+    this.clearPriceError();
+    if (await this.savePrices({ ...this.settings.prices, [model]: { input: inputPrice, output: outputPrice } })) {
+      modelInput.value = '';
+      document.getElementById('price-input').value = '';
+      document.getElementById('price-output').value = '';
+    }
+  }
+
+  /**
+   * Drop all custom prices and go back to the defaults
+   */
+  async resetPrices() {
+    if (!confirm('Reset all model prices to their defaults?')) {
+      return;
+    }
+
+    await this.savePrices({});
+  }
+
+  /**
+   * Persist custom prices, returning whether they were saved
+   */
+  async savePrices(prices) {
+    try {
+      this.settings = await StorageManager.setSettings({ prices });
+      this.updatePrices();
+      this.updateBudget();
+      this.updateSpend();
+      this.showStatus('All changes saved', 'saved');
+      return true;
+    } catch (error) {
+      Utils.log('error', 'Failed to save prices', error);
+      this.showStatus('Failed to save changes', 'error');
+      return false;
+    }
+  }
+
+  /**
+   * Show price error message
+   */
+  showPriceError(message) {
+    const errorElement = document.getElementById('price-error');
+    errorElement.textContent = message;
+    errorElement.classList.remove('hidden');
+  }
+
+  /**
+   * Clear price error message
+   */
+  clearPriceError() {
+    document.getElementById('price-error').classList.add('hidden');
+  }
+
+  /**
+   * Get display name for provider
+   */
+  getProviderDisplayName(provider) {
+    const displayNames = {
       openrouter: 'OpenRouter',
       openai: 'OpenAI',
-      anthropic: 'Anthropic'
+      anthropic: 'Anthropic',
+      local: 'Local'
     };
     return displayNames[provider] || provider;
   }
@@ -385,79 +1416,910 @@ class OptionsController {
       listContainer.style.display = 'block';
       emptyState.style.display = 'none';
       
-      listContainer.innerHTML = this.whitelist.map(domain => `
+      listContainer.innerHTML = this.whitelist.map((rule, index) => `
         <div class="whitelist-item">
-          <span class="whitelist-domain">${domain}</span>
-          <button class="whitelist-remove" data-domain="${domain}">Remove</button>
+          <span class="whitelist-domain">${this.escapeHtml(rule)}</span>
+          ${this.renderRuleHits('whitelist', rule)}
+          <button class="whitelist-remove" data-index="${index}">Remove</button>
         </div>
       `).join('');
       
-      // Add remove event listeners
+      // Add remove event listeners (by index, since rules may contain quotes)
       listContainer.querySelectorAll('.whitelist-remove').forEach(btn => {
         btn.addEventListener('click', (e) => {
-          this.handleRemoveDomain(e.target.dataset.domain);
+          this.handleRemoveDomain(this.whitelist[Number(e.target.dataset.index)]);
         });
       });
     }
-    
-    // Update add button state
-    const addBtn = document.getElementById('add-domain-btn');
-    addBtn.disabled = count >= maxCount;
+    
+    // Update add button state
+    const addBtn = document.getElementById('add-domain-btn');
+    addBtn.disabled = count >= maxCount;
+  }
+
+  /**
+   * Render the hit counter shown next to a whitelist/blocklist rule
+   */
+  renderRuleHits(list, rule) {
+    const hits = this.ruleHits?.[list]?.[rule];
+    if (!hits) {
+      return '<span class="rule-hits">No hits yet</span>';
+    }
+
+    const lastHit = new Date(hits.lastHit).toLocaleDateString();
+    return `<span class="rule-hits" title="Last matched ${lastHit}">${hits.count} ${hits.count === 1 ? 'hit' : 'hits'}</span>`;
+  }
+
+  /**
+   * Handle adding rule to whitelist
+   */
+  async handleAddDomain() {
+    const input = document.getElementById('domain-input');
+    const domain = input.value.trim();
+    
+    if (!domain) {
+      this.showDomainError('Please enter a domain or rule');
+      return;
+    }
+    
+    try {
+      this.whitelist = await StorageManager.addToWhitelist(domain);
+      input.value = '';
+      this.updateWhitelist();
+      this.clearDomainError();
+      this.showStatus('Rule added to whitelist', 'saved');
+    } catch (error) {
+      console.error('[Focus Guard] Failed to add domain:', error);
+      this.showDomainError(error.message);
+    }
+  }
+
+  /**
+   * Handle removing rule from whitelist
+   */
+  async handleRemoveDomain(domain) {
+    try {
+      this.whitelist = await StorageManager.removeFromWhitelist(domain);
+      this.updateWhitelist();
+      this.showStatus('Rule removed from whitelist', 'saved');
+    } catch (error) {
+      console.error('[Focus Guard] Failed to remove domain:', error);
+      this.showStatus('Failed to remove domain', 'error');
+    }
+  }
+
+  /**
+   * Show domain error message
+   */
+  showDomainError(message) {
+    const errorElement = document.getElementById('domain-error');
+    errorElement.textContent = message;
+    errorElement.classList.remove('hidden');
+  }
+
+  /**
+   * Clear domain error message
+   */
+  clearDomainError() {
+    const errorElement = document.getElementById('domain-error');
+    errorElement.classList.add('hidden');
+  }
+
+  /**
+   * Update blocklist display (filtered, capped to keep large hosts imports responsive)
+   */
+  updateBlocklist() {
+    const maxShown = 200;
+    const count = this.blocklist.length;
+    const filter = document.getElementById('blocklist-filter').value.trim().toLowerCase();
+    const matching = filter
+      ? this.blocklist.filter(rule => rule.toLowerCase().includes(filter))
+      : this.blocklist;
+    
+    document.getElementById('blocklist-count').textContent = count;
+    
+    const listContainer = document.getElementById('blocklist-list');
+    const emptyState = document.getElementById('empty-blocklist');
+    const overflow = document.getElementById('blocklist-overflow');
+    
+    document.getElementById('blocklist-filter').style.display = count === 0 ? 'none' : 'block';
+    document.getElementById('clear-blocklist-btn').disabled = count === 0;
+    document.getElementById('add-blocklist-btn').disabled = count >= CONSTANTS.UI.MAX_BLOCKLIST_COUNT;
+    
+    if (count === 0) {
+      listContainer.style.display = 'none';
+      emptyState.style.display = 'block';
+      overflow.classList.add('hidden');
+      return;
+    }
+    
+    listContainer.style.display = 'block';
+    emptyState.style.display = 'none';
+    
+    const shown = matching.slice(0, maxShown);
+    listContainer.innerHTML = shown.map((rule, index) => `
+      <div class="whitelist-item">
+        <span class="whitelist-domain">${this.escapeHtml(rule)}</span>
+        ${this.renderRuleHits('blocklist', rule)}
+        <button class="whitelist-remove" data-index="${index}">Remove</button>
+      </div>
+    `).join('');
+    
+    // Regex rules may contain quotes, so look rules up by index rather than attribute
+    listContainer.querySelectorAll('.whitelist-remove').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        this.handleRemoveBlocklistRule(shown[Number(e.target.dataset.index)]);
+      });
+    });
+    
+    if (matching.length > maxShown) {
+      overflow.textContent = `Showing ${maxShown} of ${matching.length} matching rules. Use the filter to find others.`;
+      overflow.classList.remove('hidden');
+    } else {
+      overflow.classList.add('hidden');
+    }
+  }
+
+  /**
+   * Update the profiles tab
+   */
+  updateProfiles() {
+    const { activeId, profiles } = this.profiles;
+    const byProfile = this.analytics.byProfile || {};
+
+    document.getElementById('profile-count').textContent = profiles.length;
+    document.getElementById('add-profile-btn').disabled = profiles.length >= CONSTANTS.PROFILES.MAX_PROFILES;
+
+    const listContainer = document.getElementById('profile-list');
+    listContainer.innerHTML = profiles.map((profile, index) => {
+      const stats = byProfile[profile.id] || {};
+      const isActive = profile.id === activeId;
+
+      return `
+        <div class="whitelist-item">
+          <span class="profile-name">
+            ${this.escapeHtml(profile.name)}
+            ${isActive ? '<span class="profile-active">Active</span>' : ''}
+          </span>
+          <span class="rule-hits">${stats.totalRequests || 0} analyzed · ${stats.blockedPages || 0} blocked · ${stats.bypassedPages || 0} bypassed</span>
+          ${isActive ? '' : `<button class="whitelist-remove profile-switch" data-index="${index}">Switch</button>`}
+          <button class="whitelist-remove profile-rename" data-index="${index}">Rename</button>
+          ${isActive ? '' : `<button class="whitelist-remove profile-remove" data-index="${index}">Remove</button>`}
+        </div>
+      `;
+    }).join('');
+
+    const profileAt = (e) => profiles[Number(e.target.dataset.index)];
+    listContainer.querySelectorAll('.profile-switch').forEach(btn => {
+      btn.addEventListener('click', (e) => this.handleSwitchProfile(profileAt(e).id));
+    });
+    listContainer.querySelectorAll('.profile-rename').forEach(btn => {
+      btn.addEventListener('click', (e) => this.handleRenameProfile(profileAt(e)));
+    });
+    listContainer.querySelectorAll('.profile-remove').forEach(btn => {
+      btn.addEventListener('click', (e) => this.handleRemoveProfile(profileAt(e)));
+    });
+
+    // Profile choices for schedule windows
+    const profileSelect = document.getElementById('schedule-profile');
+    const selected = profileSelect.value;
+    profileSelect.innerHTML = '<option value="">Keep current profile</option>' + profiles
+      .map(profile => `<option value="${profile.id}">Switch to ${this.escapeHtml(profile.name)}</option>`)
+      .join('');
+    profileSelect.value = profiles.some(profile => profile.id === selected) ? selected : '';
+  }
+
+  /**
+   * Name of a profile by ID, or null if it no longer exists
+   */
+  getProfileName(profileId) {
+    return this.profiles.profiles.find(profile => profile.id === profileId)?.name || null;
+  }
+
+  /**
+   * Handle adding a profile
+   */
+  async handleAddProfile() {
+    const input = document.getElementById('profile-input');
+
+    try {
+      this.profiles = await StorageManager.addProfile(input.value);
+      input.value = '';
+      this.clearProfileError();
+      this.updateProfiles();
+      this.showStatus('Profile added', 'saved');
+    } catch (error) {
+      this.showProfileError(error.message);
+    }
+  }
+
+  /**
+   * Handle switching the active profile (done by the background), then reload everything
+   */
+  async handleSwitchProfile(profileId) {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: CONSTANTS.MESSAGE_TYPES.SWITCH_PROFILE,
+        payload: { profileId }
+      });
+
+      if (response?.error) {
+        throw new Error(response.error);
+      }
+
+      await this.loadData();
+      this.showStatus(`Switched to ${this.getProfileName(profileId)}`, 'saved');
+    } catch (error) {
+      Utils.log('error', 'Failed to switch profile', error);
+      this.showProfileError(error.message || 'Failed to switch profile');
+    }
+  }
+
+  /**
+   * Handle renaming a profile
+   */
+  async handleRenameProfile(profile) {
+    const name = prompt('Rename profile', profile.name);
+    if (name === null || name.trim() === profile.name) {
+      return;
+    }
+
+    try {
+      this.profiles = await StorageManager.renameProfile(profile.id, name);
+      this.clearProfileError();
+      this.updateProfiles();
+      this.updateSchedule();
+      this.showStatus('Profile renamed', 'saved');
+    } catch (error) {
+      this.showProfileError(error.message);
+    }
+  }
+
+  /**
+   * Handle removing a profile
+   */
+  async handleRemoveProfile(profile) {
+    if (!confirm(`Remove the "${profile.name}" profile with its goals and rules? This cannot be undone.`)) {
+      return;
+    }
+
+    try {
+      this.profiles = await StorageManager.removeProfile(profile.id);
+      this.settings = await StorageManager.getSettings();
+      this.clearProfileError();
+      this.updateProfiles();
+      this.updateSchedule();
+      this.showStatus('Profile removed', 'saved');
+    } catch (error) {
+      this.showProfileError(error.message);
+    }
+  }
+
+  /**
+   * Show profile error message
+   */
+  showProfileError(message) {
+    const errorElement = document.getElementById('profile-error');
+    errorElement.textContent = message;
+    errorElement.classList.remove('hidden');
+  }
+
+  /**
+   * Clear profile error message
+   */
+  clearProfileError() {
+    document.getElementById('profile-error').classList.add('hidden');
+  }
+
+  /**
+   * Update the schedule tab
+   */
+  updateSchedule() {
+    const schedule = this.getSchedule();
+    const dayNames = CONSTANTS.SCHEDULE.DAY_NAMES;
+
+    document.getElementById('schedule-enabled').checked = schedule.enabled;
+    document.getElementById('schedule-timezone').value = schedule.timezone;
+    document.getElementById('schedule-count').textContent = schedule.rules.length;
+    document.getElementById('add-schedule-btn').disabled = schedule.rules.length >= CONSTANTS.SCHEDULE.MAX_RULES;
+
+    const datalist = document.getElementById('schedule-timezones');
+    if (!datalist.children.length && typeof Intl.supportedValuesOf === 'function') {
+      datalist.innerHTML = Intl.supportedValuesOf('timeZone')
+        .map(zone => `<option value="${zone}"></option>`)
+        .join('');
+    }
+
+    // Monday-first day toggles
+    const dayOrder = [1, 2, 3, 4, 5, 6, 0];
+    const dayContainer = document.getElementById('schedule-days');
+    dayContainer.innerHTML = dayOrder.map(day => `
+      <button class="schedule-day ${this.scheduleDays.has(day) ? 'active' : ''}" data-day="${day}">${dayNames[day]}</button>
+    `).join('');
+    dayContainer.querySelectorAll('.schedule-day').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const day = Number(btn.dataset.day);
+        if (!this.scheduleDays.delete(day)) {
+          this.scheduleDays.add(day);
+        }
+        btn.classList.toggle('active', this.scheduleDays.has(day));
+        this.clearScheduleError();
+      });
+    });
+
+    const listContainer = document.getElementById('schedule-list');
+    const emptyState = document.getElementById('empty-schedule');
+
+    if (schedule.rules.length === 0) {
+      listContainer.style.display = 'none';
+      emptyState.style.display = 'block';
+    } else {
+      listContainer.style.display = 'block';
+      emptyState.style.display = 'none';
+      listContainer.innerHTML = schedule.rules.map((rule, index) => `
+        <div class="whitelist-item">
+          <span class="whitelist-domain">${this.describeScheduleDays(rule.days)} ${rule.start}-${rule.end}</span>
+          ${rule.profileId && this.getProfileName(rule.profileId)
+            ? `<span class="rule-hits">${this.escapeHtml(this.getProfileName(rule.profileId))}</span>`
+            : ''}
+          <button class="whitelist-remove" data-index="${index}">Remove</button>
+        </div>
+      `).join('');
+
+      listContainer.querySelectorAll('.whitelist-remove').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+          this.handleRemoveScheduleRule(schedule.rules[Number(e.target.dataset.index)].id);
+        });
+      });
+    }
+
+    this.updateScheduleStatus();
+  }
+
+  /**
+   * Describe whether blocking is on right now and until when
+   */
+  updateScheduleStatus() {
+    const schedule = this.getSchedule();
+    const status = document.getElementById('schedule-status');
+
+    if (!schedule.enabled) {
+      status.textContent = 'Blocking is not limited to a schedule.';
+      return;
+    }
+
+    const state = Utils.getScheduleState(schedule);
+    if (!state.nextChangeAt) {
+      status.textContent = 'Add a time window below; until then blocking stays on.';
+      return;
+    }
+
+    const until = Utils.formatScheduleTime(state.nextChangeAt, schedule.timezone);
+    status.textContent = state.active
+      ? `Blocking is on until ${until}.`
+      : `Blocking is off until ${until}.`;
+  }
+
+  /**
+   * Current schedule with defaults filled in
+   */
+  getSchedule() {
+    return { ...CONSTANTS.DEFAULT_SETTINGS.schedule, ...this.settings.schedule };
+  }
+
+  /**
+   * Short label for a set of days ("Weekdays", "Mon, Wed")
+   */
+  describeScheduleDays(days) {
+    const sorted = [...days].sort((a, b) => ((a + 6) % 7) - ((b + 6) % 7));
+    const key = sorted.join(',');
+
+    if (key === '1,2,3,4,5') return 'Weekdays';
+    if (key === '6,0') return 'Weekends';
+    if (sorted.length === 7) return 'Every day';
+    return sorted.map(day => CONSTANTS.SCHEDULE.DAY_NAMES[day]).join(', ');
+  }
+
+  /**
+   * Save schedule changes immediately
+   */
+  async saveSchedule(updates) {
+    try {
+      this.settings = await StorageManager.setSettings({
+        schedule: { ...this.getSchedule(), ...updates }
+      });
+      this.updateSchedule();
+      this.showStatus('All changes saved', 'saved');
+    } catch (error) {
+      Utils.log('error', 'Failed to save schedule', error);
+      this.showStatus('Failed to save changes', 'error');
+    }
+  }
+
+  /**
+   * Handle time zone change, rejecting names Intl does not know
+   */
+  handleTimezoneChange(timezone) {
+    const errorElement = document.getElementById('schedule-timezone-error');
+
+    if (timezone) {
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      } catch (error) {
+        errorElement.textContent = `Unknown time zone: ${timezone}`;
+        errorElement.classList.remove('hidden');
+        return;
+      }
+    }
+
+    errorElement.classList.add('hidden');
+    this.saveSchedule({ timezone });
+  }
+
+  /**
+   * Handle adding a time window to the schedule
+   */
+  async handleAddScheduleRule() {
+    const schedule = this.getSchedule();
+    const start = document.getElementById('schedule-start').value;
+    const end = document.getElementById('schedule-end').value;
+
+    if (this.scheduleDays.size === 0) {
+      this.showScheduleError('Select at least one day');
+      return;
+    }
+
+    if (Utils.parseScheduleTime(start) === null || Utils.parseScheduleTime(end) === null) {
+      this.showScheduleError('Enter a start and end time');
+      return;
+    }
+
+    if (start === end) {
+      this.showScheduleError('Start and end time must differ');
+      return;
+    }
+
+    if (schedule.rules.length >= CONSTANTS.SCHEDULE.MAX_RULES) {
+      this.showScheduleError(`You can only have up to ${CONSTANTS.SCHEDULE.MAX_RULES} time windows`);
+      return;
+    }
+
+    const rule = {
+      id: StorageManager.generateId(),
+      days: [...this.scheduleDays].sort(),
+      start,
+      end,
+      profileId: document.getElementById('schedule-profile').value || null
+    };
+
+    this.clearScheduleError();
+    await this.saveSchedule({ rules: [...schedule.rules, rule] });
+  }
+
+  /**
+   * Handle removing a time window from the schedule
+   */
+  async handleRemoveScheduleRule(ruleId) {
+    const schedule = this.getSchedule();
+    await this.saveSchedule({ rules: schedule.rules.filter(rule => rule.id !== ruleId) });
+  }
+
+  /**
+   * Show schedule error message
+   */
+  showScheduleError(message) {
+    const errorElement = document.getElementById('schedule-error');
+    errorElement.textContent = message;
+    errorElement.classList.remove('hidden');
+  }
+
+  /**
+   * Clear schedule error message
+   */
+  clearScheduleError() {
+    document.getElementById('schedule-error').classList.add('hidden');
+  }
+
+  /**
+   * Handle adding a rule to the blocklist
+   */
+  async handleAddBlocklistRule() {
+    const input = document.getElementById('blocklist-input');
+    const rule = input.value.trim();
+    
+    if (!rule) {
+      this.showBlocklistError('Please enter a rule');
+      return;
+    }
+    
+    try {
+      this.blocklist = await StorageManager.addToBlocklist(rule);
+      input.value = '';
+      this.updateBlocklist();
+      this.clearBlocklistError();
+      this.showStatus('Rule added to blocklist', 'saved');
+    } catch (error) {
+      console.error('[Focus Guard] Failed to add blocklist rule:', error);
+      this.showBlocklistError(error.message);
+    }
+  }
+
+  /**
+   * Handle removing a rule from the blocklist
+   */
+  async handleRemoveBlocklistRule(rule) {
+    try {
+      this.blocklist = await StorageManager.removeFromBlocklist(rule);
+      this.updateBlocklist();
+      this.showStatus('Rule removed from blocklist', 'saved');
+    } catch (error) {
+      console.error('[Focus Guard] Failed to remove blocklist rule:', error);
+      this.showStatus('Failed to remove rule', 'error');
+    }
+  }
+
+  /**
+   * Import domains from a hosts file into the blocklist
+   */
+  async importHostsFile(file) {
+    if (!file) return;
+
+    try {
+      const { rules, skipped } = UrlRules.parseHostsFile(await file.text());
+      if (rules.length === 0) {
+        this.showBlocklistError('No domains found in this file');
+        return;
+      }
+
+      const { blocklist, added } = await StorageManager.importBlocklist(rules);
+      this.blocklist = blocklist;
+      this.updateBlocklist();
+      this.clearBlocklistError();
+
+      const skippedNote = skipped > 0 ? ` (${skipped} invalid entries skipped)` : '';
+      this.showStatus(`Imported ${added} new rules${skippedNote}`, 'saved');
+    } catch (error) {
+      console.error('[Focus Guard] Failed to import hosts file:', error);
+      this.showBlocklistError(error.message);
+    }
+  }
+
+  /**
+   * Remove every blocklist rule
+   */
+  async clearBlocklist() {
+    if (!confirm(`Remove all ${this.blocklist.length} blocklist rules?`)) {
+      return;
+    }
+
+    try {
+      this.blocklist = await StorageManager.setBlocklist([]);
+      this.updateBlocklist();
+      this.showStatus('Blocklist cleared', 'saved');
+    } catch (error) {
+      console.error('[Focus Guard] Failed to clear blocklist:', error);
+      this.showStatus('Failed to clear blocklist', 'error');
+    }
+  }
+
+  /**
+   * Show blocklist error message
+   */
+  showBlocklistError(message) {
+    const errorElement = document.getElementById('blocklist-error');
+    errorElement.textContent = message;
+    errorElement.classList.remove('hidden');
+  }
+
+  /**
+   * Clear blocklist error message
+   */
+  clearBlocklistError() {
+    document.getElementById('blocklist-error').classList.add('hidden');
+  }
+
+  /**
+   * Update learned preferences display, most recently updated first
+   */
+  updateFeedback() {
+    const entries = Object.values(this.feedback || {})
+      .sort((a, b) => b.updatedAt - a.updatedAt);
+    const listContainer = document.getElementById('feedback-list');
+    const emptyState = document.getElementById('empty-feedback');
+
+    document.getElementById('feedback-count').textContent = entries.length;
+    document.getElementById('clear-feedback-btn').disabled = entries.length === 0;
+
+    if (entries.length === 0) {
+      listContainer.style.display = 'none';
+      emptyState.style.display = 'block';
+      return;
+    }
+
+    listContainer.style.display = 'block';
+    emptyState.style.display = 'none';
+
+    listContainer.innerHTML = entries.map((entry, index) => {
+      const adjustment = Utils.getThresholdAdjustment(entry);
+      const adjustmentText = adjustment === 0
+        ? 'Threshold unchanged'
+        : `Threshold ${adjustment > 0 ? '+' : '−'}${Math.abs(adjustment)} (${adjustment > 0 ? 'stricter' : 'more lenient'})`;
+
+      return `
+        <div class="feedback-item">
+          <div class="feedback-header">
+            <span class="whitelist-domain">${this.escapeHtml(entry.domain)}</span>
+            <span class="feedback-adjustment ${adjustment > 0 ? 'stricter' : adjustment < 0 ? 'lenient' : ''}">${adjustmentText}</span>
+            <button class="whitelist-remove" data-index="${index}">Delete</button>
+          </div>
+          <div class="feedback-meta">
+            ${entry.bypasses} bypassed · ${entry.confirmations} confirmed as distracting
+          </div>
+          <ul class="feedback-examples">
+            ${entry.examples.map(example => `
+              <li>
+                ${example.verdict === 'block' ? 'Confirmed' : 'Bypassed'}:
+                ${this.escapeHtml(example.title || example.url)}
+                ${typeof example.alignmentScore === 'number' ? `(${example.alignmentScore}/100)` : ''}
+                <span class="feedback-meta">${Utils.formatTimestamp(example.timestamp)}</span>
+              </li>
+            `).join('')}
+          </ul>
+        </div>
+      `;
+    }).join('');
+
+    listContainer.querySelectorAll('.whitelist-remove').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        this.handleRemoveFeedback(entries[Number(e.target.dataset.index)].domain);
+      });
+    });
+  }
+
+  /**
+   * Forget learned feedback for one site
+   */
+  async handleRemoveFeedback(domain) {
+    try {
+      this.feedback = await StorageManager.removeFeedback(domain);
+      this.updateFeedback();
+      this.showStatus(`Forgot feedback for ${domain}`, 'saved');
+    } catch (error) {
+      console.error('[Focus Guard] Failed to remove feedback:', error);
+      this.showStatus('Failed to delete feedback', 'error');
+    }
   }
 
   /**
-   * Handle adding domain to whitelist
+   * Forget all learned feedback
    */
-  async handleAddDomain() {
-    const input = document.getElementById('domain-input');
-    const domain = input.value.trim();
-    
-    if (!domain) {
-      this.showDomainError('Please enter a domain');
+  async clearFeedback() {
+    if (!confirm('Forget everything Focus Guard has learned from your feedback?')) {
       return;
     }
-    
-    try {
-      this.whitelist = await StorageManager.addToWhitelist(domain);
-      input.value = '';
-      this.updateWhitelist();
-      this.clearDomainError();
-      this.showStatus('Domain added to whitelist', 'saved');
-    } catch (error) {
-      console.error('[Focus Guard] Failed to add domain:', error);
-      this.showDomainError(error.message);
+
+    if (await StorageManager.clearFeedback()) {
+      this.feedback = {};
+      this.updateFeedback();
+      this.showStatus('Learned preferences cleared', 'saved');
+    } else {
+      this.showStatus('Failed to clear learned preferences', 'error');
     }
   }
 
   /**
-   * Handle removing domain from whitelist
+   * Update the local pre-classifier toggle and training summary
    */
-  async handleRemoveDomain(domain) {
+  updateClassifier() {
+    const { docs, allow, block, sites } = this.classifierStats;
+
+    document.getElementById('local-classifier').checked = this.settings.localClassifier !== false;
+    document.getElementById('reset-classifier-btn').disabled = docs === 0;
+    document.getElementById('classifier-stats').textContent = docs === 0
+      ? 'Nothing learned yet'
+      : `Learned from ${docs} page${docs === 1 ? '' : 's'} (${allow} allowed, ${block} blocked) across ${sites} site${sites === 1 ? '' : 's'}. ` +
+        `It starts deciding after ${CONSTANTS.CLASSIFIER.MIN_DOCS} pages per goal set and threshold.`;
+  }
+
+  /**
+   * Forget everything the local pre-classifier has learned
+   */
+  async resetClassifier() {
+    if (!confirm('Reset the local pre-classifier? It will relearn from future AI verdicts.')) {
+      return;
+    }
+
+    if (await StorageManager.resetClassifier()) {
+      this.classifierStats = { docs: 0, allow: 0, block: 0, sites: 0 };
+      this.updateClassifier();
+      this.showStatus('Local classifier reset', 'saved');
+    } else {
+      this.showStatus('Failed to reset local classifier', 'error');
+    }
+  }
+
+  /**
+   * Update the history retention setting
+   */
+  updateHistorySettings() {
+    document.getElementById('history-retention').value =
+      this.settings.historyRetentionDays || CONSTANTS.DEFAULT_SETTINGS.historyRetentionDays;
+  }
+
+  /**
+   * Current History tab filters, with dates as local-day timestamp bounds
+   */
+  getHistoryFilters() {
+    const from = document.getElementById('history-from').value;
+    const to = document.getElementById('history-to').value;
+
+    return {
+      text: document.getElementById('history-search').value,
+      decision: document.getElementById('history-decision').value,
+      domain: document.getElementById('history-domain').value,
+      from: from ? new Date(`${from}T00:00:00`).getTime() : 0,
+      to: to ? new Date(`${to}T23:59:59.999`).getTime() : Infinity
+    };
+  }
+
+  /**
+   * Query the verdict history with the current filters (append loads the next page)
+   */
+  async loadHistory(append = false) {
     try {
-      this.whitelist = await StorageManager.removeFromWhitelist(domain);
-      this.updateWhitelist();
-      this.showStatus('Domain removed from whitelist', 'saved');
+      const [page, count, domains] = await Promise.all([
+        VerdictHistory.query({
+          ...this.getHistoryFilters(),
+          offset: append ? this.historyEntries.length : 0
+        }),
+        VerdictHistory.count(),
+        VerdictHistory.getDomains()
+      ]);
+
+      this.historyEntries = append ? [...this.historyEntries, ...page.entries] : page.entries;
+      this.historyHasMore = page.hasMore;
+
+      document.getElementById('history-count').textContent = count;
+      document.getElementById('history-domains').innerHTML = domains
+        .map(domain => `<option value="${this.escapeHtml(domain)}"></option>`)
+        .join('');
+
+      this.updateHistory();
     } catch (error) {
-      console.error('[Focus Guard] Failed to remove domain:', error);
-      this.showStatus('Failed to remove domain', 'error');
+      Utils.log('error', 'Failed to load history', error);
+      this.showStatus('Failed to load history', 'error');
     }
   }
 
   /**
-   * Show domain error message
+   * Update the History tab list
    */
-  showDomainError(message) {
-    const errorElement = document.getElementById('domain-error');
-    errorElement.textContent = message;
-    errorElement.classList.remove('hidden');
+  updateHistory() {
+    const listContainer = document.getElementById('history-list');
+    const emptyState = document.getElementById('empty-history');
+    const sourceLabels = {
+      ai: 'AI',
+      cache: 'Cached AI verdict',
+      reanalysis: 'Re-analysis',
+      local: 'Local classifier',
+      'goal-hint': 'Goal hint',
+      whitelist: 'Whitelist',
+      blocklist: 'Blocklist',
+      'rate-limit': 'Rate limit',
+      budget: 'Budget',
+      error: 'Error'
+    };
+
+    document.getElementById('history-more-btn').classList.toggle('hidden', !this.historyHasMore);
+
+    if (this.historyEntries.length === 0) {
+      listContainer.style.display = 'none';
+      emptyState.style.display = 'block';
+      return;
+    }
+
+    listContainer.style.display = 'block';
+    emptyState.style.display = 'none';
+
+    listContainer.innerHTML = this.historyEntries.map((entry, index) => {
+      const meta = [
+        Utils.formatTimestamp(entry.timestamp),
+        sourceLabels[entry.source] || entry.source,
+        entry.provider && `${this.getProviderDisplayName(entry.provider)} ${entry.model || ''}`.trim(),
+        typeof entry.latency === 'number' && `${(entry.latency / 1000).toFixed(1)}s`,
+        entry.tokens && `${this.formatTokenCount(entry.tokens.totalTokens)} tokens`,
+        entry.category && entry.category.replace(/_/g, ' '),
+        entry.bypassed && 'Bypassed'
+      ].filter(Boolean).join(' · ');
+
+      const decision = entry.decision === 'block' ? 'Blocked' : 'Allowed';
+      const score = typeof entry.score === 'number' ? ` · ${entry.score}/100` : '';
+
+      return `
+        <div class="whitelist-item history-item">
+          <div class="verdict-header">
+            <span class="verdict-title" title="${this.escapeHtml(entry.url)}">${this.escapeHtml(entry.title || entry.url)}</span>
+            <span class="verdict-decision ${entry.decision === 'block' ? 'blocked' : 'allowed'}">${decision}${score}</span>
+          </div>
+          <div class="verdict-rationale">${this.escapeHtml(entry.rationale || 'No rationale provided')}</div>
+          <div class="verdict-meta">${this.escapeHtml(meta)}</div>
+          <div class="history-actions">
+            <button class="whitelist-remove" data-action="reanalyze" data-index="${index}">Re-analyze</button>
+            <button class="whitelist-remove" data-action="whitelist" data-index="${index}" ${entry.domain ? '' : 'disabled'}>Whitelist ${this.escapeHtml(entry.domain)}</button>
+            <button class="whitelist-remove" data-action="blocklist" data-index="${index}" ${entry.domain ? '' : 'disabled'}>Blocklist ${this.escapeHtml(entry.domain)}</button>
+          </div>
+        </div>
+      `;
+    }).join('');
+
+    // Row actions (by index, since URLs may contain quotes)
+    listContainer.querySelectorAll('.history-actions button').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        this.handleHistoryAction(e.target.dataset.action, this.historyEntries[Number(e.target.dataset.index)], e.target);
+      });
+    });
   }
 
   /**
-   * Clear domain error message
+   * Handle a History row action: re-analyze the page or add its domain to the whitelist/blocklist
    */
-  clearDomainError() {
-    const errorElement = document.getElementById('domain-error');
-    errorElement.classList.add('hidden');
+  async handleHistoryAction(action, entry, button) {
+    if (!entry) return;
+
+    try {
+      if (action === 'reanalyze') {
+        button.disabled = true;
+        button.textContent = 'Analyzing...';
+
+        const response = await chrome.runtime.sendMessage({
+          type: CONSTANTS.MESSAGE_TYPES.REANALYZE_PAGE,
+          payload: { url: entry.url, title: entry.title }
+        });
+
+        if (response?.error || response?.result?.error) {
+          throw new Error(response.error || response.result.error);
+        }
+
+        const { shouldBlock, alignmentScore } = response.result;
+        const score = typeof alignmentScore === 'number' ? ` (${alignmentScore}/100)` : '';
+        await this.loadHistory();
+        this.showStatus(`Re-analyzed: ${shouldBlock ? 'blocked' : 'allowed'}${score}`, 'saved');
+      } else if (action === 'whitelist') {
+        this.whitelist = await StorageManager.addToWhitelist(entry.domain);
+        this.updateWhitelist();
+        this.showStatus(`${entry.domain} added to whitelist`, 'saved');
+      } else if (action === 'blocklist') {
+        this.blocklist = await StorageManager.addToBlocklist(entry.domain);
+        this.updateBlocklist();
+        this.showStatus(`${entry.domain} added to blocklist`, 'saved');
+      }
+    } catch (error) {
+      Utils.log('error', `History ${action} failed`, error);
+      this.showStatus(error.message || 'Action failed', 'error');
+
+      if (action === 'reanalyze') {
+        button.disabled = false;
+        button.textContent = 'Re-analyze';
+      }
+    }
+  }
+
+  /**
+   * Delete the whole verdict history
+   */
+  async clearHistory() {
+    if (!confirm('Delete the whole verdict history?')) {
+      return;
+    }
+
+    try {
+      await VerdictHistory.clear();
+      await this.loadHistory();
+      this.showStatus('History cleared', 'saved');
+    } catch (error) {
+      Utils.log('error', 'Failed to clear history', error);
+      this.showStatus('Failed to clear history', 'error');
+    }
   }
 
   /**
@@ -509,8 +2371,15 @@ class OptionsController {
     
     // Update UI immediately with new provider
     this.updateModelSelection();
+    this.updateBudget();
     this.updateApiKey();
+    this.updateRequestTimeout();
+    this.updateLocalBaseUrl();
     this.updateProviderDocs();
+
+    if (provider === 'local') {
+      this.refreshLocalModels();
+    }
     
     // Save to storage with debounce
     this.debouncedSave({
@@ -520,6 +2389,60 @@ class OptionsController {
     });
   }
 
+  /**
+   * Handle local server URL change
+   */
+  handleLocalBaseUrlChange() {
+    const localBaseUrl = document.getElementById('local-base-url').value.trim();
+
+    this.settings.localBaseUrl = localBaseUrl;
+    this.debouncedSave({ localBaseUrl });
+    this.clearApiStatus();
+  }
+
+  /**
+   * Fetch the model list from the configured local server
+   */
+  async refreshLocalModels() {
+    if (this.settings.provider !== 'local') {
+      return;
+    }
+
+    this.showApiStatus('Fetching models from server...', 'loading');
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: CONSTANTS.MESSAGE_TYPES.LIST_MODELS,
+        payload: {
+          provider: 'local',
+          apiKey: this.settings.apiKey,
+          baseUrl: this.settings.localBaseUrl
+        }
+      });
+
+      if (!response.success) {
+        this.localModels = [];
+        this.updateModelSelection();
+        this.showApiStatus(response.error || 'Could not reach local server', 'error');
+        return;
+      }
+
+      this.localModels = response.models;
+
+      // Pick the first discovered model if none is selected yet
+      if (!this.settings.model && this.localModels.length > 0) {
+        this.settings.model = this.localModels[0];
+        this.debouncedSave({ model: this.settings.model });
+      }
+
+      this.updateModelSelection();
+      this.showApiStatus(`Found ${this.localModels.length} model(s)`, 'success');
+    } catch (error) {
+      Utils.log('error', 'Failed to list local models', error);
+      this.showApiStatus('Failed to fetch models', 'error');
+    }
+  }
+
   /**
    * Handle model change
    */
@@ -550,7 +2473,47 @@ class OptionsController {
    */
   handleThresholdChange(threshold) {
     document.getElementById('threshold-value').textContent = threshold;
-    this.debouncedSave({ confidenceThreshold: threshold });
+    this.debouncedSave({ minAlignmentScore: threshold });
+  }
+
+  /**
+   * Handle blocking mode change
+   */
+  handleBlockingModeChange(blockingMode) {
+    this.settings.blockingMode = blockingMode;
+    document.getElementById('prerender-options').classList.toggle('hidden', blockingMode !== 'prerender');
+    this.debouncedSave({ blockingMode });
+  }
+
+  /**
+   * Handle pre-render max wait change
+   */
+  handlePrerenderMaxWaitChange(prerenderMaxWait) {
+    if (!prerenderMaxWait || prerenderMaxWait < 1 || prerenderMaxWait > 30) {
+      return;
+    }
+
+    this.debouncedSave({ prerenderMaxWait });
+  }
+
+  /**
+   * Handle a numeric setting change, ignoring out-of-range values
+   */
+  handleNumberSettingChange(key, value, min, max) {
+    if (Number.isNaN(value) || value < min || value > max) {
+      return;
+    }
+
+    this.debouncedSave({ [key]: value });
+  }
+
+  /**
+   * Handle bypass friction change
+   */
+  handleBypassFrictionChange(bypassFriction) {
+    this.settings.bypassFriction = bypassFriction;
+    document.getElementById('bypass-countdown-group').classList.toggle('hidden', bypassFriction !== 'countdown');
+    this.debouncedSave({ bypassFriction });
   }
 
   /**
@@ -561,15 +2524,15 @@ class OptionsController {
   }
 
   /**
-   * Handle rate limit change
+   * Handle a rate limit setting change, ignoring numbers outside [min, max]
    */
-  handleRateLimitChange(requestsPerMinute) {
-    this.debouncedSave({
-      rateLimit: {
-        ...this.settings.rateLimit,
-        requestsPerMinute
-      }
-    });
+  handleRateLimitChange(key, value, min, max) {
+    if (typeof value === 'number' && (Number.isNaN(value) || value < min || value > max)) {
+      return;
+    }
+
+    this.settings.rateLimit = { ...this.settings.rateLimit, [key]: value };
+    this.debouncedSave({ rateLimit: this.settings.rateLimit });
   }
 
   /**
@@ -586,6 +2549,11 @@ class OptionsController {
     const provider = this.settings.provider;
     const apiKey = this.settings.apiKey;
 
+    if (provider === 'local') {
+      this.refreshLocalModels();
+      return;
+    }
+
     if (!provider || !apiKey) {
       return;
     }
@@ -671,14 +2639,15 @@ class OptionsController {
     }
 
     try {
-      await StorageManager.updateAnalytics({
-        totalRequests: -this.analytics.totalRequests,
-        blockedPages: -this.analytics.blockedPages,
-        bypassedPages: -this.analytics.bypassedPages
-      });
+      // The background owns the counters, so the reset is queued behind pending updates
+      const response = await chrome.runtime.sendMessage({ type: CONSTANTS.MESSAGE_TYPES.RESET_ANALYTICS });
+      if (response?.error) {
+        throw new Error(response.error);
+      }
 
-      this.analytics = { totalRequests: 0, blockedPages: 0, bypassedPages: 0 };
+      this.analytics = response.analytics;
       this.updateStatistics();
+      this.updateProfiles();
       this.showStatus('Statistics reset successfully', 'saved');
     } catch (error) {
       Utils.log('error', 'Failed to reset statistics', error);
@@ -687,48 +2656,298 @@ class OptionsController {
   }
 
   /**
-   * Export data
+   * Export a versioned backup
    */
   async exportData() {
     try {
-      const data = await StorageManager.exportData();
-      const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-      const url = URL.createObjectURL(blob);
-      
-      const link = document.createElement('a');
-      link.href = url;
-      link.download = `focus-guard-settings-${new Date().toISOString().split('T')[0]}.json`;
-      link.click();
-      
-      URL.revokeObjectURL(url);
-      this.showStatus('Settings exported successfully', 'saved');
+      const backup = await Backup.create();
+      this.downloadFile(
+        `focus-guard-backup-${new Date().toISOString().split('T')[0]}.json`,
+        JSON.stringify(backup, null, 2),
+        'application/json'
+      );
+      this.showStatus('Backup exported successfully', 'saved');
     } catch (error) {
       Utils.log('error', 'Failed to export data', error);
-      this.showStatus('Failed to export settings', 'error');
+      this.showStatus('Failed to export backup', 'error');
+    }
+  }
+
+  /**
+   * Save text as a file through a temporary download link
+   */
+  downloadFile(filename, content, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+
+    // Revoking right away can cancel a download the browser has not started yet
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * Local date keys from..to (YYYY-MM-DD, inclusive)
+   */
+  getDayKeysBetween(from, to) {
+    const keys = [];
+    for (const date = new Date(`${from}T00:00:00`); Utils.getDateKey(date) <= to; date.setDate(date.getDate() + 1)) {
+      keys.push(Utils.getDateKey(date));
+    }
+    return keys;
+  }
+
+  /**
+   * Gather the selected export datasets for a date range as rows:
+   * daily counters and tracked time, token usage per provider, and page verdicts
+   */
+  async collectAnalyticsExport(from, to, datasets) {
+    const data = {};
+
+    if (datasets.daily) {
+      const [analytics, attention] = await Promise.all([
+        StorageManager.getAnalytics(),
+        StorageManager.getAttention()
+      ]);
+      const toMinutes = ms => Math.round(ms / 60000);
+
+      data.daily = this.getDayKeysBetween(from, to).map(date => {
+        const counts = analytics.days?.[date] || {};
+        const time = Object.values(attention[date]?.domains || {}).reduce((sum, domainTime) => ({
+          on: sum.on + (domainTime.on || 0),
+          off: sum.off + (domainTime.off || 0),
+          unknown: sum.unknown + (domainTime.unknown || 0)
+        }), { on: 0, off: 0, unknown: 0 });
+
+        return {
+          date,
+          pagesAnalyzed: counts.totalRequests || 0,
+          blockedPages: counts.blockedPages || 0,
+          bypassedPages: counts.bypassedPages || 0,
+          savedCalls: counts.savedCalls || 0,
+          onGoalMinutes: toMinutes(time.on),
+          offGoalMinutes: toMinutes(time.off),
+          unclassifiedMinutes: toMinutes(time.unknown)
+        };
+      });
+    }
+
+    if (datasets.tokens) {
+      const usage = await StorageManager.getTokenUsageBetween(from, to);
+
+      data.tokens = Object.entries(usage).flatMap(([date, dayUsage]) =>
+        Object.entries(dayUsage).map(([provider, providerUsage]) => ({
+          date,
+          provider,
+          requests: providerUsage.requests || 0,
+          inputTokens: providerUsage.inputTokens || 0,
+          outputTokens: providerUsage.outputTokens || 0,
+          totalTokens: providerUsage.totalTokens || 0,
+          estimatedCostUsd: Number(Utils.estimateCost({ [provider]: providerUsage }, this.settings.prices).toFixed(6))
+        }))
+      );
+    }
+
+    if (datasets.verdicts) {
+      const { entries } = await VerdictHistory.query({
+        from: new Date(`${from}T00:00:00`).getTime(),
+        to: new Date(`${to}T23:59:59.999`).getTime(),
+        limit: CONSTANTS.HISTORY.MAX_ENTRIES
+      });
+
+      data.verdicts = entries.reverse().map(entry => ({
+        timestamp: new Date(entry.timestamp).toISOString(),
+        url: entry.url,
+        title: entry.title,
+        domain: entry.domain,
+        decision: entry.decision,
+        score: entry.score,
+        source: entry.source,
+        category: entry.category,
+        provider: entry.provider,
+        model: entry.model,
+        latencyMs: entry.latency,
+        inputTokens: entry.tokens?.inputTokens ?? null,
+        outputTokens: entry.tokens?.outputTokens ?? null,
+        bypassed: entry.bypassed,
+        rationale: entry.rationale
+      }));
+    }
+
+    return data;
+  }
+
+  /**
+   * Export analytics for the chosen date range as one JSON file or one CSV file per dataset
+   */
+  async exportAnalytics() {
+    const from = document.getElementById('export-from').value;
+    const to = document.getElementById('export-to').value;
+    const format = document.getElementById('export-format').value;
+    const columns = {
+      daily: ['date', 'pagesAnalyzed', 'blockedPages', 'bypassedPages', 'savedCalls', 'onGoalMinutes', 'offGoalMinutes', 'unclassifiedMinutes'],
+      tokens: ['date', 'provider', 'requests', 'inputTokens', 'outputTokens', 'totalTokens', 'estimatedCostUsd'],
+      verdicts: ['timestamp', 'url', 'title', 'domain', 'decision', 'score', 'source', 'category', 'provider', 'model',
+        'latencyMs', 'inputTokens', 'outputTokens', 'bypassed', 'rationale']
+    };
+    const datasets = {
+      daily: document.getElementById('export-daily').checked,
+      tokens: document.getElementById('export-tokens').checked,
+      verdicts: document.getElementById('export-verdicts').checked
+    };
+
+    if (!from || !to || from > to) {
+      this.showExportError('Please choose a start date on or before the end date');
+      return;
+    }
+
+    if (this.getDayKeysBetween(from, to).length > CONSTANTS.ANALYTICS.MAX_EXPORT_DAYS) {
+      this.showExportError(`Please choose a range of at most ${CONSTANTS.ANALYTICS.MAX_EXPORT_DAYS} days`);
+      return;
+    }
+
+    if (!Object.values(datasets).some(Boolean)) {
+      this.showExportError('Please choose at least one dataset');
+      return;
+    }
+
+    try {
+      const data = await this.collectAnalyticsExport(from, to, datasets);
+      const suffix = `${from}-to-${to}`;
+
+      if (format === 'json') {
+        this.downloadFile(
+          `focus-guard-analytics-${suffix}.json`,
+          JSON.stringify({ from, to, exportedAt: new Date().toISOString(), ...data }, null, 2),
+          'application/json'
+        );
+      } else {
+        // Byte order mark so spreadsheets read page titles as UTF-8
+        Object.entries(data).forEach(([dataset, rows]) => {
+          this.downloadFile(`focus-guard-${dataset}-${suffix}.csv`, '\ufeff' + Utils.toCsv(rows, columns[dataset]), 'text/csv');
+        });
+      }
+
+      this.clearExportError();
+      this.showStatus('Analytics exported successfully', 'saved');
+    } catch (error) {
+      Utils.log('error', 'Failed to export analytics', error);
+      this.showExportError('Failed to export analytics');
     }
   }
 
   /**
-   * Import data
+   * Show analytics export error message
+   */
+  showExportError(message) {
+    const errorElement = document.getElementById('export-error');
+    errorElement.textContent = message;
+    errorElement.classList.remove('hidden');
+  }
+
+  /**
+   * Clear analytics export error message
+   */
+  clearExportError() {
+    document.getElementById('export-error').classList.add('hidden');
+  }
+
+  /**
+   * Read a backup file and show its validation report or import preview
    */
   async importData(file) {
     if (!file) return;
 
     try {
-      const text = await file.text();
-      const data = JSON.parse(text);
-      
-      await StorageManager.importData(data);
-      
+      const { backup, errors, warnings } = Backup.parse(await file.text());
+      this.pendingImport = backup;
+
+      const source = backup
+        ? [backup.exportedAt && `Exported ${new Date(backup.exportedAt).toLocaleString()}`,
+           backup.extensionVersion && `version ${backup.extensionVersion}`].filter(Boolean).join(' · ')
+        : '';
+
+      document.getElementById('import-report-title').textContent = backup
+        ? `Import Preview: ${file.name}`
+        : `${file.name} can't be imported`;
+      document.getElementById('import-source').textContent = source;
+      this.renderImportList('import-errors', errors);
+      this.renderImportList('import-warnings', warnings);
+      document.getElementById('import-preview').classList.toggle('hidden', !backup);
+      document.getElementById('import-report').classList.remove('hidden');
+
+      await this.updateImportPreview();
+    } catch (error) {
+      Utils.log('error', 'Failed to import data', error);
+      this.showStatus('Failed to read the backup file', 'error');
+    }
+  }
+
+  /**
+   * Fill a report list, hiding it when empty
+   */
+  renderImportList(elementId, lines) {
+    const list = document.getElementById(elementId);
+    list.innerHTML = lines.map(line => `<li>${this.escapeHtml(line)}</li>`).join('');
+    list.classList.toggle('hidden', lines.length === 0);
+  }
+
+  /**
+   * Show what the pending backup would change in the selected import mode
+   */
+  async updateImportPreview() {
+    const confirmButton = document.getElementById('confirm-import-btn');
+    confirmButton.classList.toggle('hidden', !this.pendingImport);
+    if (!this.pendingImport) {
+      return;
+    }
+
+    const mode = document.getElementById('import-mode').value;
+    const { summary, errors } = await Backup.plan(this.pendingImport, mode);
+
+    this.renderImportList('import-changes', summary);
+    this.renderImportList('import-errors', errors);
+    confirmButton.disabled = errors.length > 0;
+    confirmButton.textContent = mode === 'replace' ? 'Replace Data' : 'Merge Data';
+  }
+
+  /**
+   * Apply the pending backup in the selected mode
+   */
+  async confirmImport() {
+    if (!this.pendingImport) return;
+
+    const mode = document.getElementById('import-mode').value;
+    if (mode === 'replace' && !confirm('Replace your current data with this backup? This cannot be undone.')) {
+      return;
+    }
+
+    try {
+      await Backup.apply(this.pendingImport, mode);
+      this.closeImportReport();
+
       // Reload data and update UI
       await this.loadData();
-      this.showStatus('Settings imported successfully', 'saved');
+      await this.loadHistory();
+      this.showStatus('Backup imported successfully', 'saved');
     } catch (error) {
       Utils.log('error', 'Failed to import data', error);
-      this.showStatus('Failed to import settings. Please check the file format.', 'error');
+      this.renderImportList('import-errors', [error.message]);
+      this.showStatus('Failed to import backup', 'error');
     }
   }
 
+  /**
+   * Discard the pending backup and hide the report
+   */
+  closeImportReport() {
+    this.pendingImport = null;
+    document.getElementById('import-report').classList.add('hidden');
+  }
+
   /**
    * Reset all data
    */
@@ -744,6 +2963,7 @@ class OptionsController {
 
     try {
       await StorageManager.clearAllData();
+      await VerdictHistory.clear();
       
       // Reload default settings
       await this.loadData();
@@ -759,14 +2979,20 @@ class OptionsController {
    */
   debouncedSave(updates) {
     this.showStatus('Saving...', 'saving');
+
+    // Merge with updates still waiting so rapid edits to different fields aren't lost
+    this.pendingUpdates = { ...this.pendingUpdates, ...updates };
     
     if (this.saveTimeout) {
       clearTimeout(this.saveTimeout);
     }
 
     this.saveTimeout = setTimeout(async () => {
+      const pending = this.pendingUpdates;
+      this.pendingUpdates = {};
+
       try {
-        this.settings = await StorageManager.setSettings(updates);
+        this.settings = await StorageManager.setSettings(pending);
         this.showStatus('All changes saved', 'saved');
       } catch (error) {
         Utils.log('error', 'Failed to save settings', error);
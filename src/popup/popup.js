@@ -11,6 +11,14 @@ class PopupController {
     this.goals = [];
     this.settings = {};
     this.analytics = {};
+    this.session = null;
+    this.focusSummary = null;
+    this.scheduleState = null;
+    this.profiles = StorageManager.getDefaultProfiles();
+    this.sessionMinutes = CONSTANTS.FOCUS_SESSION.PRESETS[0];
+    this.countdownTimer = null;
+    this.editingGoalId = null;
+    this.draggedGoalId = null;
     
     this.initializeEventListeners();
     this.loadData();
@@ -42,6 +50,55 @@ class PopupController {
     document.getElementById('settings-btn').addEventListener('click', () => {
       chrome.runtime.openOptionsPage();
     });
+
+    // Profile switcher
+    document.getElementById('profile-select').addEventListener('change', (e) => {
+      this.switchProfile(e.target.value);
+    });
+
+    // Focus session controls
+    document.querySelectorAll('.duration-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        document.getElementById('session-custom-minutes').value = '';
+        this.selectSessionMinutes(parseInt(btn.dataset.minutes));
+      });
+    });
+
+    document.getElementById('session-custom-minutes').addEventListener('input', (e) => {
+      const minutes = parseInt(e.target.value);
+      this.selectSessionMinutes(minutes || CONSTANTS.FOCUS_SESSION.PRESETS[0], !!minutes);
+    });
+
+    document.getElementById('start-session-btn').addEventListener('click', () => {
+      this.startFocusSession();
+    });
+
+    document.getElementById('stop-session-btn').addEventListener('click', () => {
+      this.stopFocusSession();
+    });
+
+    // The background updates the session on phase changes; keep the popup in sync
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== 'local') return;
+
+      if (changes[CONSTANTS.STORAGE_KEYS.FOCUS_SESSION]) {
+        this.session = changes[CONSTANTS.STORAGE_KEYS.FOCUS_SESSION].newValue || null;
+        this.updateFocusSession();
+        this.updateExtensionStatus();
+      }
+
+      if (changes[CONSTANTS.STORAGE_KEYS.SCHEDULE_STATE]) {
+        this.scheduleState = changes[CONSTANTS.STORAGE_KEYS.SCHEDULE_STATE].newValue || null;
+        this.updateExtensionStatus();
+      }
+
+      if (changes[CONSTANTS.STORAGE_KEYS.FOCUS_SUMMARY]) {
+        this.focusSummary = changes[CONSTANTS.STORAGE_KEYS.FOCUS_SUMMARY].newValue || null;
+        this.updateFocusSummary();
+      }
+    });
+
+    window.addEventListener('unload', () => this.stopCountdown());
   }
 
   /**
@@ -49,12 +106,25 @@ class PopupController {
    */
   async loadData() {
     try {
-      [this.goals, this.settings, this.analytics] = await Promise.all([
+      const [goals, settings, analytics, focusSummary, scheduleState, profiles, sessionResponse] = await Promise.all([
         StorageManager.getGoals(),
         StorageManager.getSettings(),
-        StorageManager.getAnalytics()
+        StorageManager.getAnalytics(),
+        StorageManager.getFocusSummary(),
+        StorageManager.getScheduleState(),
+        StorageManager.getProfiles(),
+        chrome.runtime.sendMessage({ type: CONSTANTS.MESSAGE_TYPES.GET_FOCUS_SESSION })
+          .catch(() => null)
       ]);
 
+      this.goals = goals;
+      this.settings = settings;
+      this.analytics = analytics;
+      this.focusSummary = focusSummary;
+      this.scheduleState = scheduleState;
+      this.profiles = profiles;
+      this.session = sessionResponse?.session || null;
+
       this.updateUI();
     } catch (error) {
       Utils.log('error', 'Failed to load popup data', error);
@@ -67,10 +137,13 @@ class PopupController {
    */
   updateUI() {
     this.updateExtensionStatus();
+    this.updateProfileSelect();
     this.updateGoalsList();
     this.updateGoalsCount();
     this.updateStats();
     this.updateGoalInput();
+    this.updateFocusSession();
+    this.updateFocusSummary();
   }
 
   /**
@@ -82,14 +155,25 @@ class PopupController {
     const toggleBtn = document.getElementById('toggle-extension');
     const toggleText = document.getElementById('toggle-text');
 
-    if (this.settings.enabled) {
+    if (this.session) {
+      statusDot.className = 'status-dot enabled';
+      statusText.textContent = this.session.phase === 'break' ? 'On a break' : 'Focus session';
+    } else if (this.settings.enabled && this.scheduleState?.active === false) {
+      const until = Utils.formatScheduleTime(this.scheduleState.nextChangeAt, this.settings.schedule?.timezone);
+      statusDot.className = 'status-dot disabled';
+      statusText.textContent = `Off until ${until}`;
+    } else if (this.settings.enabled) {
       statusDot.className = 'status-dot enabled';
       statusText.textContent = 'Enabled';
-      toggleBtn.className = 'toggle-btn enabled';
-      toggleText.textContent = 'Disable Extension';
     } else {
       statusDot.className = 'status-dot disabled';
       statusText.textContent = 'Disabled';
+    }
+
+    if (this.settings.enabled) {
+      toggleBtn.className = 'toggle-btn enabled';
+      toggleText.textContent = 'Disable Extension';
+    } else {
       toggleBtn.className = 'toggle-btn disabled';
       toggleText.textContent = 'Enable Extension';
     }
@@ -111,36 +195,186 @@ class PopupController {
     goalsList.style.display = 'flex';
     emptyState.style.display = 'none';
 
-    goalsList.innerHTML = this.goals.map(goal => this.createGoalHTML(goal)).join('');
+    goalsList.innerHTML = this.goals.map((goal, index) => this.createGoalHTML(goal, index)).join('');
+
+    const goalIdOf = (e) => e.target.closest('.goal-item').dataset.goalId;
 
     // Add event listeners to delete buttons
     goalsList.querySelectorAll('.delete-btn').forEach(btn => {
       btn.addEventListener('click', (e) => {
-        const goalId = e.target.closest('.goal-item').dataset.goalId;
-        this.removeGoal(goalId);
+        this.removeGoal(goalIdOf(e));
+      });
+    });
+
+    goalsList.querySelectorAll('.goal-toggle').forEach(toggle => {
+      toggle.addEventListener('change', (e) => {
+        this.setGoalActive(goalIdOf(e), e.target.checked);
+      });
+    });
+
+    goalsList.querySelectorAll('.edit-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        this.editingGoalId = goalIdOf(e);
+        this.updateGoalsList();
       });
     });
+
+    // Arrow keys on the drag handle move a goal without a mouse
+    goalsList.querySelectorAll('.goal-handle').forEach(handle => {
+      handle.addEventListener('keydown', (e) => {
+        if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+          e.preventDefault();
+          this.moveGoalBy(goalIdOf(e), e.key === 'ArrowUp' ? -1 : 1);
+        }
+      });
+    });
+
+    goalsList.querySelectorAll('.goal-item[draggable="true"]').forEach(item => {
+      item.addEventListener('dragstart', (e) => {
+        this.draggedGoalId = item.dataset.goalId;
+        item.classList.add('dragging');
+        e.dataTransfer.effectAllowed = 'move';
+      });
+
+      item.addEventListener('dragend', () => {
+        this.draggedGoalId = null;
+        item.classList.remove('dragging');
+      });
+
+      item.addEventListener('dragover', (e) => {
+        if (this.draggedGoalId) {
+          e.preventDefault();
+        }
+      });
+
+      item.addEventListener('drop', (e) => {
+        e.preventDefault();
+        const rect = item.getBoundingClientRect();
+        const after = e.clientY > rect.top + rect.height / 2;
+        this.moveGoal(this.draggedGoalId, item.dataset.goalId, after);
+      });
+    });
+
+    this.initializeGoalEditor(goalsList);
   }
 
   /**
    * Create HTML for a single goal item
    */
-  createGoalHTML(goal) {
+  createGoalHTML(goal, index) {
+    if (goal.id === this.editingGoalId) {
+      return `
+        <div class="goal-item editing" data-goal-id="${goal.id}">
+          <div class="goal-content">
+            <input type="text" class="goal-edit-input" maxlength="${CONSTANTS.UI.MAX_GOAL_LENGTH}">
+            <input type="text" class="goal-edit-input goal-keywords-input" placeholder="Related topics or sites, comma-separated">
+            <input type="text" class="goal-edit-input goal-anti-input" placeholder="Not this, comma-separated">
+            <label class="goal-edit-expiry">
+              Expires
+              <input type="date" class="goal-expiry-input">
+            </label>
+          </div>
+          <div class="goal-actions">
+            <button class="goal-btn save-btn" title="Save">✓</button>
+            <button class="goal-btn cancel-btn" title="Cancel">×</button>
+          </div>
+        </div>
+      `;
+    }
+
     const createdDate = new Date(goal.createdAt).toLocaleDateString();
-    
+    const isExpired = goal.expiresAt && goal.expiresAt <= Date.now();
+    const isPaused = goal.isActive === false;
+
+    let status = '';
+    if (isExpired) {
+      status = ' · Expired';
+    } else if (goal.expiresAt) {
+      status = ` · Until ${new Date(goal.expiresAt).toLocaleDateString()}`;
+    }
+    if (isPaused) {
+      status += ' · Paused';
+    }
+
     return `
-      <div class="goal-item" data-goal-id="${goal.id}">
+      <div class="goal-item ${isPaused || isExpired ? 'inactive' : ''}" data-goal-id="${goal.id}" draggable="true">
+        <button class="goal-handle" title="Drag or use arrow keys to reorder">⋮⋮</button>
+        <input type="checkbox" class="goal-toggle" title="Active" ${isPaused ? '' : 'checked'}>
         <div class="goal-content">
           <div class="goal-text">${this.escapeHtml(goal.text)}</div>
-          <div class="goal-meta">${createdDate}</div>
+          <div class="goal-meta">#${index + 1} · ${createdDate}${status}</div>
+          ${this.createGoalHintsHTML(goal)}
         </div>
         <div class="goal-actions">
+          <button class="goal-btn edit-btn" title="Edit goal">✎</button>
           <button class="goal-btn delete-btn" title="Remove goal">×</button>
         </div>
       </div>
     `;
   }
 
+  /**
+   * Related topics and "not this" patterns under a goal
+   */
+  createGoalHintsHTML(goal) {
+    const parts = [];
+    if (goal.keywords?.length) {
+      parts.push(`Related: ${this.escapeHtml(goal.keywords.join(', '))}`);
+    }
+    if (goal.antiPatterns?.length) {
+      parts.push(`Not: ${this.escapeHtml(goal.antiPatterns.join(', '))}`);
+    }
+
+    return parts.length ? `<div class="goal-meta goal-hints">${parts.join(' · ')}</div>` : '';
+  }
+
+  /**
+   * Fill in and wire up the inline editor, if a goal is being edited
+   */
+  initializeGoalEditor(goalsList) {
+    const editor = goalsList.querySelector('.goal-item.editing');
+    if (!editor) return;
+
+    const goal = this.goals.find(item => item.id === this.editingGoalId);
+    const [textInput, keywordsInput, antiInput] = editor.querySelectorAll('.goal-edit-input');
+    const expiryInput = editor.querySelector('.goal-expiry-input');
+
+    // Set values as properties so goal text never needs attribute escaping
+    textInput.value = goal.text;
+    keywordsInput.value = (goal.keywords || []).join(', ');
+    antiInput.value = (goal.antiPatterns || []).join(', ');
+    expiryInput.value = goal.expiresAt ? Utils.getDateKey(new Date(goal.expiresAt)) : '';
+    expiryInput.min = Utils.getDateKey();
+    textInput.focus();
+    textInput.select();
+
+    const cancel = () => {
+      this.editingGoalId = null;
+      this.clearError();
+      this.updateGoalsList();
+    };
+
+    const save = () => this.saveGoalEdit(goal.id, {
+      text: textInput.value,
+      keywords: this.parseHintList(keywordsInput.value),
+      antiPatterns: this.parseHintList(antiInput.value)
+    }, expiryInput.value);
+
+    [textInput, keywordsInput, antiInput].forEach(input => {
+      input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+          save();
+        } else if (e.key === 'Escape') {
+          e.preventDefault();
+          cancel();
+        }
+      });
+    });
+
+    editor.querySelector('.save-btn').addEventListener('click', save);
+    editor.querySelector('.cancel-btn').addEventListener('click', cancel);
+  }
+
   /**
    * Update goals counter
    */
@@ -247,6 +481,101 @@ class PopupController {
     }
   }
 
+  /**
+   * Split a comma-separated hint list
+   */
+  parseHintList(value) {
+    return value.split(',').map(hint => hint.trim()).filter(Boolean);
+  }
+
+  /**
+   * Save an inline goal edit; the expiry date runs to the end of that local day
+   */
+  async saveGoalEdit(goalId, updates, expiryDate) {
+    let expiresAt = null;
+    if (expiryDate) {
+      const [year, month, day] = expiryDate.split('-').map(Number);
+      expiresAt = new Date(year, month - 1, day, 23, 59, 59, 999).getTime();
+    }
+
+    try {
+      const updatedGoal = await StorageManager.updateGoal(goalId, { ...updates, expiresAt });
+      this.goals = this.goals.map(goal => goal.id === goalId ? updatedGoal : goal);
+      this.editingGoalId = null;
+      this.clearError();
+      this.updateUI();
+    } catch (error) {
+      Utils.log('error', 'Failed to update goal', error);
+      this.showError(error.message || 'Failed to update goal. Please try again.');
+    }
+  }
+
+  /**
+   * Pause or resume a goal
+   */
+  async setGoalActive(goalId, isActive) {
+    try {
+      const updatedGoal = await StorageManager.setGoalActive(goalId, isActive);
+      this.goals = this.goals.map(goal => goal.id === goalId ? updatedGoal : goal);
+      this.updateUI();
+    } catch (error) {
+      Utils.log('error', 'Failed to toggle goal', error);
+      this.showError('Failed to update goal. Please try again.');
+      this.updateGoalsList();
+    }
+  }
+
+  /**
+   * Move a dragged goal before or after another goal
+   */
+  moveGoal(goalId, targetId, after) {
+    if (!goalId || goalId === targetId) return;
+
+    const ids = this.goals.map(goal => goal.id).filter(id => id !== goalId);
+    const targetIndex = ids.indexOf(targetId);
+    if (targetIndex === -1) return;
+
+    ids.splice(after ? targetIndex + 1 : targetIndex, 0, goalId);
+    this.reorderGoals(ids);
+  }
+
+  /**
+   * Move a goal up (-1) or down (+1) one place
+   */
+  moveGoalBy(goalId, offset) {
+    const ids = this.goals.map(goal => goal.id);
+    const index = ids.indexOf(goalId);
+    const newIndex = index + offset;
+    if (index === -1 || newIndex < 0 || newIndex >= ids.length) return;
+
+    [ids[index], ids[newIndex]] = [ids[newIndex], ids[index]];
+    this.reorderGoals(ids).then(() => {
+      document.querySelector(`.goal-item[data-goal-id="${goalId}"] .goal-handle`)?.focus();
+    });
+  }
+
+  /**
+   * Save a new goal order (highest priority first)
+   */
+  async reorderGoals(goalIds) {
+    const previous = this.goals;
+    const goalsById = new Map(previous.map(goal => [goal.id, goal]));
+    if (goalIds.every((id, index) => previous[index]?.id === id)) return;
+
+    // Show the new order right away and roll back if saving fails
+    this.goals = goalIds.map(id => goalsById.get(id));
+    this.updateGoalsList();
+
+    try {
+      this.goals = await StorageManager.reorderGoals(goalIds);
+    } catch (error) {
+      Utils.log('error', 'Failed to reorder goals', error);
+      this.goals = previous;
+      this.updateGoalsList();
+      this.showError('Failed to reorder goals. Please try again.');
+    }
+  }
+
   /**
    * Toggle extension enabled/disabled
    */
@@ -276,6 +605,248 @@ class PopupController {
     }
   }
 
+  /**
+   * Update the profile switcher
+   */
+  updateProfileSelect() {
+    const select = document.getElementById('profile-select');
+    select.innerHTML = this.profiles.profiles
+      .map(profile => `<option value="${profile.id}">${this.escapeHtml(profile.name)}</option>`)
+      .join('');
+    select.value = this.profiles.activeId;
+  }
+
+  /**
+   * Switch to another profile (the background swaps goals, lists and settings), then reload
+   */
+  async switchProfile(profileId) {
+    const select = document.getElementById('profile-select');
+
+    try {
+      select.disabled = true;
+
+      const response = await chrome.runtime.sendMessage({
+        type: CONSTANTS.MESSAGE_TYPES.SWITCH_PROFILE,
+        payload: { profileId }
+      });
+
+      if (response?.error) {
+        throw new Error(response.error);
+      }
+
+      await this.loadData();
+      Utils.log('info', 'Profile switched', { profileId });
+    } catch (error) {
+      Utils.log('error', 'Failed to switch profile', error);
+      select.value = this.profiles.activeId;
+      this.showError('Failed to switch profile. Please try again.');
+    } finally {
+      select.disabled = false;
+    }
+  }
+
+  /**
+   * Select the length of the next focus session
+   */
+  selectSessionMinutes(minutes, custom = false) {
+    this.sessionMinutes = minutes;
+    document.querySelectorAll('.duration-btn').forEach(btn => {
+      btn.classList.toggle('active', !custom && parseInt(btn.dataset.minutes) === minutes);
+    });
+    this.clearSessionError();
+  }
+
+  /**
+   * Show either the start form or the running session
+   */
+  updateFocusSession() {
+    const startForm = document.getElementById('session-start');
+    const activeView = document.getElementById('session-active');
+    const phaseBadge = document.getElementById('session-phase');
+
+    if (!this.session) {
+      this.stopCountdown();
+      startForm.classList.remove('hidden');
+      activeView.classList.add('hidden');
+      phaseBadge.classList.add('hidden');
+      this.updateSessionGoals();
+      return;
+    }
+
+    startForm.classList.add('hidden');
+    activeView.classList.remove('hidden');
+    phaseBadge.classList.remove('hidden');
+    phaseBadge.textContent = this.session.phase === 'break' ? 'Break' : 'Focus';
+
+    const { stats } = this.session;
+    const focusLeft = Math.ceil(this.session.focusRemainingMs / 60000);
+    document.getElementById('session-detail').textContent = this.session.phase === 'break'
+      ? `Break - ${focusLeft} min of focus left`
+      : `${stats.blocked} blocked · ${stats.bypassed} bypassed`;
+
+    this.updateCountdown();
+    if (!this.countdownTimer) {
+      this.countdownTimer = setInterval(() => this.updateCountdown(), 1000);
+    }
+  }
+
+  /**
+   * Render the time left in the current phase
+   */
+  updateCountdown() {
+    if (!this.session) return;
+
+    const remaining = Math.max(0, this.session.phaseEndsAt - Date.now());
+    const minutes = Math.floor(remaining / 60000);
+    const seconds = Math.floor((remaining % 60000) / 1000);
+    document.getElementById('session-countdown').textContent =
+      `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+  }
+
+  /**
+   * Stop the popup countdown timer
+   */
+  stopCountdown() {
+    if (this.countdownTimer) {
+      clearInterval(this.countdownTimer);
+      this.countdownTimer = null;
+    }
+  }
+
+  /**
+   * Render the goal checklist for the next session (all active goals by default)
+   */
+  updateSessionGoals() {
+    const container = document.getElementById('session-goals');
+    const activeGoals = this.goals.filter(goal => Utils.isGoalActive(goal));
+    const unchecked = new Set(
+      [...container.querySelectorAll('input:not(:checked)')].map(input => input.value)
+    );
+
+    container.innerHTML = activeGoals.map(goal => `
+      <label class="session-goal">
+        <input type="checkbox" value="${goal.id}" ${unchecked.has(goal.id) ? '' : 'checked'}>
+        <span>${this.escapeHtml(goal.text)}</span>
+      </label>
+    `).join('');
+  }
+
+  /**
+   * Render the summary of the last finished session
+   */
+  updateFocusSummary() {
+    const card = document.getElementById('session-summary');
+    const summary = this.focusSummary;
+
+    if (!summary) {
+      card.classList.add('hidden');
+      return;
+    }
+
+    const ended = summary.endedEarly ? 'Session ended early' : 'Session complete';
+    card.innerHTML = `
+      <button class="goal-btn" id="dismiss-summary-btn" title="Dismiss">×</button>
+      <div><strong>${ended}</strong></div>
+      <div>${summary.focusMinutes} min focused · ${summary.onGoalMinutes} min on-goal</div>
+      <div>${summary.pagesAnalyzed} pages checked · ${summary.pagesBlocked} blocked · ${summary.bypasses} bypassed</div>
+    `;
+    card.classList.remove('hidden');
+
+    document.getElementById('dismiss-summary-btn').addEventListener('click', async () => {
+      this.focusSummary = null;
+      this.updateFocusSummary();
+      await StorageManager.dismissFocusSummary();
+    });
+  }
+
+  /**
+   * Start a focus session with the selected length and goals
+   */
+  async startFocusSession() {
+    const { MIN_MINUTES, MAX_MINUTES } = CONSTANTS.FOCUS_SESSION;
+    if (this.sessionMinutes < MIN_MINUTES || this.sessionMinutes > MAX_MINUTES) {
+      this.showSessionError(`Session length must be between ${MIN_MINUTES} and ${MAX_MINUTES} minutes.`);
+      return;
+    }
+
+    const goalIds = [...document.querySelectorAll('#session-goals input:checked')]
+      .map(input => input.value);
+    const startBtn = document.getElementById('start-session-btn');
+
+    try {
+      startBtn.disabled = true;
+
+      const response = await chrome.runtime.sendMessage({
+        type: CONSTANTS.MESSAGE_TYPES.START_FOCUS_SESSION,
+        payload: { durationMinutes: this.sessionMinutes, goalIds }
+      });
+
+      if (response?.error) {
+        throw new Error(response.error);
+      }
+
+      this.session = response.session;
+      this.focusSummary = null;
+      this.clearSessionError();
+      this.updateFocusSession();
+      this.updateFocusSummary();
+      this.updateExtensionStatus();
+
+      Utils.log('info', 'Focus session started', { minutes: this.sessionMinutes, goalIds });
+    } catch (error) {
+      Utils.log('error', 'Failed to start focus session', error);
+      this.showSessionError(error.message || 'Failed to start focus session.');
+    } finally {
+      startBtn.disabled = false;
+    }
+  }
+
+  /**
+   * End the running focus session early
+   */
+  async stopFocusSession() {
+    const stopBtn = document.getElementById('stop-session-btn');
+
+    try {
+      stopBtn.disabled = true;
+
+      const response = await chrome.runtime.sendMessage({
+        type: CONSTANTS.MESSAGE_TYPES.STOP_FOCUS_SESSION
+      });
+
+      if (response?.error) {
+        throw new Error(response.error);
+      }
+
+      this.session = null;
+      this.focusSummary = await StorageManager.getFocusSummary();
+      this.updateFocusSession();
+      this.updateFocusSummary();
+      this.updateExtensionStatus();
+    } catch (error) {
+      Utils.log('error', 'Failed to stop focus session', error);
+      this.showSessionError('Failed to end focus session. Please try again.');
+    } finally {
+      stopBtn.disabled = false;
+    }
+  }
+
+  /**
+   * Show focus session error message
+   */
+  showSessionError(message) {
+    const errorElement = document.getElementById('session-error');
+    errorElement.textContent = message;
+    errorElement.classList.remove('hidden');
+  }
+
+  /**
+   * Clear focus session error message
+   */
+  clearSessionError() {
+    document.getElementById('session-error').classList.add('hidden');
+  }
+
   /**
    * Show error message
    */
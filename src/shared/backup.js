@@ -0,0 +1,802 @@
+/**
+ * Versioned backups of goals, whitelist/blocklist rules, settings and the verdict history
+ * (used by the options page)
+ *
+ * Backup shape (schema 2):
+ *   { format: 'focus-guard-backup', schemaVersion: 2, exportedAt: ISO date, extensionVersion,
+ *     goals, whitelist, blocklist, settings, history }
+ *
+ * Importing runs parse (JSON -> migrate -> validate), then plan() describes what a merge or
+ * replace would change before apply() writes it. Sections missing from a backup are left
+ * alone. API keys are never exported; imports keep the keys already configured, but only
+ * for a provider whose endpoint the import leaves unchanged.
+ */
+class Backup {
+
+  /**
+   * Collect the current data into a backup
+   */
+  static async create() {
+    const [goals, whitelist, blocklist, settings, history] = await Promise.all([
+      StorageManager.getGoals(),
+      StorageManager.getWhitelist(),
+      StorageManager.getBlocklist(),
+      StorageManager.getSettings(),
+      VerdictHistory.query({ limit: CONSTANTS.HISTORY.MAX_ENTRIES })
+    ]);
+    const { apiKey, ...exportedSettings } = settings;
+
+    return {
+      format: CONSTANTS.BACKUP.FORMAT,
+      schemaVersion: CONSTANTS.BACKUP.SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      extensionVersion: chrome.runtime.getManifest().version,
+      goals,
+      whitelist,
+      blocklist,
+      settings: {
+        ...exportedSettings,
+        fallbacks: (settings.fallbacks || []).map(({ apiKey: fallbackKey, ...fallback }) => fallback)
+      },
+      history: history.entries.map(({ id, ...entry }) => entry)
+    };
+  }
+
+  /**
+   * Read a backup file's text. Returns { backup, errors, warnings }; backup is null
+   * when the file cannot be imported.
+   */
+  static parse(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      return { backup: null, errors: [`The file is not valid JSON: ${error.message}`], warnings: [] };
+    }
+
+    try {
+      data = this.migrate(data);
+    } catch (error) {
+      return { backup: null, errors: [error.message], warnings: [] };
+    }
+
+    const result = this.validate(data);
+    return result.errors.length > 0 ? { ...result, backup: null } : result;
+  }
+
+  /**
+   * Schema version of parsed backup data, throwing when it isn't a backup at all
+   */
+  static getSchemaVersion(data) {
+    if (!this.isPlainObject(data)) {
+      throw new Error('The file does not contain a Focus Guard backup');
+    }
+
+    if (data.format === CONSTANTS.BACKUP.FORMAT) {
+      if (!Number.isInteger(data.schemaVersion) || data.schemaVersion < 1) {
+        throw new Error('schemaVersion: must be a whole number of at least 1');
+      }
+      return data.schemaVersion;
+    }
+
+    // Exports from before versioned backups: { goals, settings, analytics, exportedAt, version: '1.0.0' }
+    if (data.format === undefined && ('goals' in data || 'settings' in data)) {
+      return 1;
+    }
+
+    throw new Error('The file does not contain a Focus Guard backup');
+  }
+
+  /**
+   * Bring backup data up to the current schema, one version at a time
+   */
+  static migrate(data) {
+    let version = this.getSchemaVersion(data);
+    if (version > CONSTANTS.BACKUP.SCHEMA_VERSION) {
+      throw new Error(`This backup uses schema ${version}, which is newer than this version of Focus Guard supports (${CONSTANTS.BACKUP.SCHEMA_VERSION}). Update the extension to import it.`);
+    }
+
+    const steps = {
+      // 1 -> 2: add the header; analytics are no longer part of backups
+      1: ({ version: appVersion, analytics, exportedAt, ...rest }) => ({
+        ...rest,
+        format: CONSTANTS.BACKUP.FORMAT,
+        schemaVersion: 2,
+        exportedAt: Number.isFinite(exportedAt) ? new Date(exportedAt).toISOString() : null,
+        extensionVersion: typeof appVersion === 'string' ? appVersion : null
+      })
+    };
+
+    let backup = data;
+    for (; version < CONSTANTS.BACKUP.SCHEMA_VERSION; version++) {
+      backup = steps[version](backup);
+    }
+    return backup;
+  }
+
+  /**
+   * Check a current-schema backup strictly. Returns { backup (normalized), errors, warnings };
+   * errors are prefixed with the path of the offending value ("goals[2].text: ...").
+   */
+  static validate(data) {
+    const errors = [];
+    const warnings = [];
+    const sections = ['goals', 'whitelist', 'blocklist', 'settings', 'history'];
+    const header = ['format', 'schemaVersion', 'exportedAt', 'extensionVersion'];
+
+    const backup = {
+      format: CONSTANTS.BACKUP.FORMAT,
+      schemaVersion: CONSTANTS.BACKUP.SCHEMA_VERSION,
+      exportedAt: typeof data.exportedAt === 'string' ? data.exportedAt : null,
+      extensionVersion: typeof data.extensionVersion === 'string' ? data.extensionVersion : null
+    };
+
+    if ('goals' in data) {
+      backup.goals = this.validateGoals(data.goals, errors);
+    }
+
+    if ('whitelist' in data) {
+      backup.whitelist = this.validateRules(data.whitelist, 'whitelist', CONSTANTS.UI.MAX_WHITELIST_COUNT, errors);
+    }
+
+    if ('blocklist' in data) {
+      backup.blocklist = this.validateRules(data.blocklist, 'blocklist', CONSTANTS.UI.MAX_BLOCKLIST_COUNT, errors);
+    }
+
+    if ('settings' in data) {
+      backup.settings = this.validateSettings(data.settings, errors, warnings);
+    }
+
+    if ('history' in data) {
+      backup.history = this.validateHistory(data.history, errors);
+    }
+
+    Object.keys(data)
+      .filter(key => !sections.includes(key) && !header.includes(key))
+      .forEach(key => warnings.push(`"${key}" is not part of a backup and will be ignored`));
+
+    if (!sections.some(section => section in backup)) {
+      errors.push('The backup contains no goals, rules, settings or history');
+    }
+
+    const limit = CONSTANTS.BACKUP.MAX_REPORTED_ERRORS;
+    if (errors.length > limit) {
+      const hidden = errors.length - limit;
+      errors.splice(limit, hidden, `…and ${hidden} more ${hidden === 1 ? 'problem' : 'problems'}`);
+    }
+
+    return { backup, errors, warnings };
+  }
+
+  /**
+   * Validate goals, filling in defaults for optional fields
+   */
+  static validateGoals(goals, errors) {
+    if (!Array.isArray(goals)) {
+      errors.push('goals: must be a list');
+      return [];
+    }
+
+    if (goals.length > CONSTANTS.UI.MAX_GOALS_COUNT) {
+      errors.push(`goals: at most ${CONSTANTS.UI.MAX_GOALS_COUNT} goals are allowed, found ${goals.length}`);
+    }
+
+    const ids = new Set();
+    return goals.reduce((valid, goal, index) => {
+      const path = `goals[${index}]`;
+      if (!this.isPlainObject(goal)) {
+        errors.push(`${path}: must be an object`);
+        return valid;
+      }
+
+      const problems = [];
+      const textError = StorageManager.validateGoalText(goal.text);
+      if (textError) {
+        problems.push(`${path}.text: ${textError}`);
+      }
+
+      const id = goal.id === undefined ? StorageManager.generateId() : goal.id;
+      if (typeof id !== 'string' || !id) {
+        problems.push(`${path}.id: must be a non-empty string`);
+      } else if (ids.has(id)) {
+        problems.push(`${path}.id: "${id}" is used by more than one goal`);
+      }
+      ids.add(id);
+
+      if ('isActive' in goal && typeof goal.isActive !== 'boolean') {
+        problems.push(`${path}.isActive: must be true or false`);
+      }
+
+      ['createdAt', 'updatedAt'].forEach(field => {
+        if (field in goal && !Number.isFinite(goal[field])) {
+          problems.push(`${path}.${field}: must be a timestamp`);
+        }
+      });
+
+      if (goal.expiresAt != null && !Number.isFinite(goal.expiresAt)) {
+        problems.push(`${path}.expiresAt: must be a timestamp or null`);
+      }
+
+      const hints = {};
+      ['keywords', 'antiPatterns'].forEach(field => {
+        if (field in goal) {
+          try {
+            hints[field] = StorageManager.normalizeGoalHints(goal[field]);
+          } catch (error) {
+            problems.push(`${path}.${field}: ${error.message}`);
+          }
+        }
+      });
+
+      errors.push(...problems);
+      if (problems.length === 0) {
+        valid.push({
+          id,
+          text: goal.text.trim(),
+          createdAt: goal.createdAt ?? Date.now(),
+          ...(goal.updatedAt !== undefined && { updatedAt: goal.updatedAt }),
+          isActive: goal.isActive ?? true,
+          expiresAt: goal.expiresAt ?? null,
+          ...hints
+        });
+      }
+      return valid;
+    }, []);
+  }
+
+  /**
+   * Validate and normalize a whitelist or blocklist
+   */
+  static validateRules(rules, section, maxCount, errors) {
+    if (!Array.isArray(rules)) {
+      errors.push(`${section}: must be a list`);
+      return [];
+    }
+
+    if (rules.length > maxCount) {
+      errors.push(`${section}: at most ${maxCount} rules are allowed, found ${rules.length}`);
+    }
+
+    const normalized = rules.reduce((valid, rule, index) => {
+      const error = UrlRules.validateRule(rule);
+      if (error) {
+        errors.push(`${section}[${index}]: ${error}`);
+      } else {
+        valid.push(UrlRules.normalizeRule(rule));
+      }
+      return valid;
+    }, []);
+
+    return [...new Set(normalized)];
+  }
+
+  /**
+   * Validate settings against the shape of DEFAULT_SETTINGS (the API key is never imported)
+   */
+  static validateSettings(settings, errors, warnings) {
+    if (!this.isPlainObject(settings)) {
+      errors.push('settings: must be an object');
+      return {};
+    }
+
+    const { apiKey, ...migrated } = StorageManager.migrateSettings(settings);
+    const defaults = CONSTANTS.DEFAULT_SETTINGS;
+
+    return Object.entries(migrated).reduce((valid, [key, value]) => {
+      if (!(key in defaults)) {
+        warnings.push(`settings.${key} is not a known setting and will be ignored`);
+        return valid;
+      }
+
+      const checked = this.validateSettingValue(key, value, defaults[key], errors, warnings);
+      if (checked !== undefined) {
+        valid[key] = checked;
+      }
+      return valid;
+    }, {});
+  }
+
+  /**
+   * Check one setting (key is a dotted path such as "budget.action") against its default,
+   * returning the value to import or undefined after reporting an error
+   */
+  static validateSettingValue(key, value, defaultValue, errors, warnings) {
+    const path = `settings.${key}`;
+    const fail = (message) => {
+      errors.push(`${path}: ${message}`);
+      return undefined;
+    };
+
+    if (Array.isArray(defaultValue)) {
+      if (!Array.isArray(value)) {
+        return fail('must be a list');
+      }
+
+      if (key === 'fallbacks') {
+        return this.validateFallbacks(value, path, errors);
+      }
+      if (key === 'schedule.rules') {
+        return this.validateScheduleRules(value, path, errors);
+      }
+      return value;
+    }
+
+    if (this.isPlainObject(defaultValue)) {
+      if (!this.isPlainObject(value)) {
+        return fail('must be an object');
+      }
+
+      // Free-form maps: per-provider timeouts and per-model prices
+      if (Object.keys(defaultValue).length === 0) {
+        return this.validateSettingMap(key, value, path, errors);
+      }
+
+      let valid = true;
+      const result = { ...defaultValue };
+      Object.entries(value).forEach(([subKey, subValue]) => {
+        if (!(subKey in defaultValue)) {
+          warnings.push(`${path}.${subKey} is not a known setting and will be ignored`);
+          return;
+        }
+
+        const checked = this.validateSettingValue(`${key}.${subKey}`, subValue, defaultValue[subKey], errors, warnings);
+        if (checked === undefined) {
+          valid = false;
+        } else {
+          result[subKey] = checked;
+        }
+      });
+      return valid ? result : undefined;
+    }
+
+    if (typeof value !== typeof defaultValue) {
+      return fail(`must be a ${typeof defaultValue}, found ${value === null ? 'null' : typeof value}`);
+    }
+
+    if (typeof value === 'number' && (!Number.isFinite(value) || value < 0)) {
+      return fail('must be a number of 0 or more');
+    }
+
+    const range = this.getSettingRanges()[key];
+    if (range && (value < range[0] || value > range[1])) {
+      return fail(`must be between ${range[0]} and ${range[1]}`);
+    }
+
+    if (key === 'provider' && !CONSTANTS.PROVIDERS[value]) {
+      return fail(`"${value}" is not a known provider`);
+    }
+
+    if (key === 'localBaseUrl' && !this.isHttpUrl(value)) {
+      return fail('must be an http or https URL');
+    }
+
+    const choices = CONSTANTS.BACKUP.SETTING_CHOICES[key];
+    if (choices && !choices.includes(value)) {
+      return fail(`must be one of ${choices.join(', ')}`);
+    }
+
+    return value;
+  }
+
+  /**
+   * Allowed [min, max] of numeric settings, the same bounds the options page enforces
+   */
+  static getSettingRanges() {
+    return {
+      minAlignmentScore: [CONSTANTS.SCORING.MIN, CONSTANTS.SCORING.MAX],
+      historyRetentionDays: [CONSTANTS.HISTORY.MIN_RETENTION_DAYS, CONSTANTS.HISTORY.MAX_RETENTION_DAYS],
+      prerenderMaxWait: [1, 30],
+      bypassDuration: [1, 120],
+      dailyBypassLimit: [0, 50],
+      bypassCountdown: [3, 120],
+      focusInterval: [5, 240],
+      breakDuration: [0, 60],
+      'rateLimit.requestsPerMinute': [1, CONSTANTS.RATE_LIMIT.MAX_REQUESTS_PER_MINUTE],
+      'rateLimit.dailyCap': [0, CONSTANTS.RATE_LIMIT.MAX_DAILY_CAP],
+      'rateLimit.monthlyCap': [0, CONSTANTS.RATE_LIMIT.MAX_MONTHLY_CAP]
+    };
+  }
+
+  /**
+   * Validate the requestTimeouts (provider -> seconds) and prices (model -> { input, output }) maps
+   */
+  static validateSettingMap(key, map, path, errors) {
+    let valid = true;
+    const isAmount = (value) => Number.isFinite(value) && value >= 0;
+    const { MIN_TIMEOUT_SECONDS, MAX_TIMEOUT_SECONDS } = CONSTANTS.API;
+
+    Object.entries(map).forEach(([name, value]) => {
+      if (key === 'requestTimeouts' &&
+          !(Number.isFinite(value) && value >= MIN_TIMEOUT_SECONDS && value <= MAX_TIMEOUT_SECONDS)) {
+        errors.push(`${path}.${name}: must be between ${MIN_TIMEOUT_SECONDS} and ${MAX_TIMEOUT_SECONDS} seconds`);
+        valid = false;
+      } else if (key === 'prices' && !(this.isPlainObject(value) && isAmount(value.input) && isAmount(value.output))) {
+        errors.push(`${path}.${name}: must have input and output prices of 0 or more`);
+        valid = false;
+      }
+    });
+
+    return valid ? map : undefined;
+  }
+
+  /**
+   * Validate fallback providers, dropping any API keys
+   */
+  static validateFallbacks(fallbacks, path, errors) {
+    let valid = true;
+    const result = fallbacks.map((fallback, index) => {
+      if (!this.isPlainObject(fallback) || !CONSTANTS.PROVIDERS[fallback.provider] ||
+          typeof fallback.model !== 'string' || !fallback.model.trim()) {
+        errors.push(`${path}[${index}]: must name a known provider and a model`);
+        valid = false;
+        return null;
+      }
+      return { provider: fallback.provider, model: fallback.model.trim() };
+    });
+
+    return valid ? result : undefined;
+  }
+
+  /**
+   * Validate schedule rules ({ id, days, start, end, profileId })
+   */
+  static validateScheduleRules(rules, path, errors) {
+    let valid = true;
+    const result = rules.map((rule, index) => {
+      const rulePath = `${path}[${index}]`;
+      const problems = [];
+
+      if (!this.isPlainObject(rule)) {
+        problems.push(`${rulePath}: must be an object`);
+      } else {
+        if (!Array.isArray(rule.days) || rule.days.length === 0 ||
+            !rule.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+          problems.push(`${rulePath}.days: must list days from 0 (Sunday) to 6`);
+        }
+        ['start', 'end'].forEach(field => {
+          if (Utils.parseScheduleTime(rule[field]) === null) {
+            problems.push(`${rulePath}.${field}: must be a time such as 09:00`);
+          }
+        });
+        if (rule.profileId != null && typeof rule.profileId !== 'string') {
+          problems.push(`${rulePath}.profileId: must be a profile ID or null`);
+        }
+      }
+
+      errors.push(...problems);
+      valid = valid && problems.length === 0;
+      return problems.length === 0
+        ? { ...rule, id: typeof rule.id === 'string' && rule.id ? rule.id : StorageManager.generateId(), profileId: rule.profileId ?? null }
+        : null;
+    });
+
+    return valid ? result : undefined;
+  }
+
+  /**
+   * Validate verdict history entries (see verdict-history.js for the entry shape). Only the
+   * known fields are imported; the domain is derived from the URL when the entries are added.
+   */
+  static validateHistory(history, errors) {
+    if (!Array.isArray(history)) {
+      errors.push('history: must be a list');
+      return [];
+    }
+
+    const isCount = (value) => Number.isFinite(value) && value >= 0;
+
+    return history.reduce((valid, entry, index) => {
+      const path = `history[${index}]`;
+      if (!this.isPlainObject(entry)) {
+        errors.push(`${path}: must be an object`);
+        return valid;
+      }
+
+      const problems = [];
+      if (typeof entry.url !== 'string' || !entry.url) {
+        problems.push(`${path}.url: must be a non-empty string`);
+      }
+      if (!Number.isFinite(entry.timestamp)) {
+        problems.push(`${path}.timestamp: must be a timestamp`);
+      }
+      if (!['allow', 'block'].includes(entry.decision)) {
+        problems.push(`${path}.decision: must be "allow" or "block"`);
+      }
+      if (entry.title != null && typeof entry.title !== 'string') {
+        problems.push(`${path}.title: must be a string`);
+      }
+      if (entry.score != null &&
+          !(Number.isFinite(entry.score) && entry.score >= CONSTANTS.SCORING.MIN && entry.score <= CONSTANTS.SCORING.MAX)) {
+        problems.push(`${path}.score: must be a number between ${CONSTANTS.SCORING.MIN} and ${CONSTANTS.SCORING.MAX} or null`);
+      }
+      ['source', 'category', 'rationale', 'provider', 'model'].forEach(field => {
+        if (entry[field] != null && typeof entry[field] !== 'string') {
+          problems.push(`${path}.${field}: must be a string or null`);
+        }
+      });
+      if (entry.latency != null && !isCount(entry.latency)) {
+        problems.push(`${path}.latency: must be a number of 0 or more or null`);
+      }
+      if (entry.tokens != null && !(this.isPlainObject(entry.tokens) &&
+          ['inputTokens', 'outputTokens', 'totalTokens'].every(field => entry.tokens[field] == null || isCount(entry.tokens[field])))) {
+        problems.push(`${path}.tokens: must have token counts of 0 or more, or be null`);
+      }
+      if (entry.bypassed != null && typeof entry.bypassed !== 'boolean') {
+        problems.push(`${path}.bypassed: must be true or false`);
+      }
+
+      errors.push(...problems);
+      if (problems.length === 0) {
+        const tokens = entry.tokens && {
+          inputTokens: entry.tokens.inputTokens ?? 0,
+          outputTokens: entry.tokens.outputTokens ?? 0,
+          totalTokens: entry.tokens.totalTokens ?? (entry.tokens.inputTokens ?? 0) + (entry.tokens.outputTokens ?? 0)
+        };
+
+        valid.push({
+          timestamp: entry.timestamp,
+          url: entry.url,
+          title: entry.title ?? '',
+          score: entry.score ?? null,
+          decision: entry.decision,
+          source: entry.source ?? null,
+          category: entry.category ?? null,
+          rationale: entry.rationale ?? '',
+          provider: entry.provider ?? null,
+          model: entry.model ?? null,
+          latency: entry.latency ?? null,
+          tokens: tokens || null,
+          bypassed: entry.bypassed ?? false
+        });
+      }
+      return valid;
+    }, []);
+  }
+
+  /**
+   * Work out what importing a backup ('merge' or 'replace') would change, without writing.
+   * Returns { changes, summary: readable lines, errors }.
+   */
+  static async plan(backup, mode) {
+    const replace = mode === 'replace';
+    const count = (total, singular, plural = singular + 's') => `${total} ${total === 1 ? singular : plural}`;
+    const changes = {};
+    const summary = [];
+    const errors = [];
+
+    const [goals, whitelist, blocklist, settings, profiles] = await Promise.all([
+      StorageManager.getGoals(),
+      StorageManager.getWhitelist(),
+      StorageManager.getBlocklist(),
+      StorageManager.getSettings(),
+      StorageManager.getProfiles()
+    ]);
+
+    if (backup.goals) {
+      if (replace) {
+        changes.goals = backup.goals;
+        summary.push(goals.length > 0
+          ? `${count(goals.length, 'goal')} will be replaced by ${backup.goals.length} from the backup`
+          : `${count(backup.goals.length, 'goal')} will be added`);
+      } else {
+        const imported = new Map(backup.goals.map(goal => [goal.id, goal]));
+        const texts = new Set(goals.map(goal => goal.text.toLowerCase()));
+        let updated = 0;
+
+        const kept = goals.map(goal => {
+          const replacement = imported.get(goal.id);
+          if (replacement && JSON.stringify(replacement) !== JSON.stringify(goal)) {
+            updated++;
+            return replacement;
+          }
+          return goal;
+        });
+        const added = backup.goals.filter(goal =>
+          !goals.some(current => current.id === goal.id) && !texts.has(goal.text.toLowerCase())
+        );
+
+        changes.goals = [...kept, ...added];
+        if (added.length > 0) {
+          summary.push(`${count(added.length, 'goal')} will be added`);
+        }
+        if (updated > 0) {
+          summary.push(`${count(updated, 'goal')} will be updated`);
+        }
+      }
+
+      if (changes.goals.length > CONSTANTS.UI.MAX_GOALS_COUNT) {
+        errors.push(`Merging would leave ${changes.goals.length} goals; at most ${CONSTANTS.UI.MAX_GOALS_COUNT} are allowed`);
+      } else {
+        const sizeError = StorageManager.validateGoalsSize(changes.goals);
+        if (sizeError) {
+          errors.push(sizeError);
+        }
+      }
+    }
+
+    [
+      ['whitelist', whitelist, CONSTANTS.UI.MAX_WHITELIST_COUNT],
+      ['blocklist', blocklist, CONSTANTS.UI.MAX_BLOCKLIST_COUNT]
+    ].forEach(([section, current, maxCount]) => {
+      if (!backup[section]) {
+        return;
+      }
+
+      const result = replace ? backup[section] : [...new Set([...current, ...backup[section]])];
+      const before = new Set(current);
+      const after = new Set(result);
+      const added = result.filter(rule => !before.has(rule)).length;
+      const removed = current.filter(rule => !after.has(rule)).length;
+
+      changes[section] = result;
+      if (added > 0) {
+        summary.push(`${count(added, `${section} rule`)} will be added`);
+      }
+      if (removed > 0) {
+        summary.push(`${count(removed, `${section} rule`)} will be removed`);
+      }
+      if (result.length > maxCount) {
+        errors.push(`Merging would leave ${result.length} ${section} rules; at most ${maxCount} are allowed`);
+      }
+    });
+
+    if (backup.settings) {
+      const base = replace ? CONSTANTS.DEFAULT_SETTINGS : settings;
+      const next = { ...base, ...backup.settings };
+
+      // A key is only kept for the endpoint it was entered for: the local provider's goes to
+      // whatever server localBaseUrl names, so a backup must not be able to redirect it
+      const baseUrlChanged = this.normalizeBaseUrl(next.localBaseUrl) !== this.normalizeBaseUrl(settings.localBaseUrl);
+      const keepsEndpoint = (provider) => provider !== 'local' || !baseUrlChanged;
+
+      next.apiKey = next.provider === settings.provider && keepsEndpoint(next.provider) ? settings.apiKey : '';
+      next.fallbacks = this.restoreFallbackKeys(next.fallbacks || [], settings.fallbacks || [], keepsEndpoint);
+
+      const providerName = (provider) => CONSTANTS.PROVIDERS[provider]?.name || provider;
+      if (next.provider !== settings.provider) {
+        summary.push(`The AI provider will change from ${providerName(settings.provider)} to ${providerName(next.provider)}` +
+          (CONSTANTS.PROVIDERS[next.provider]?.keyRequired ? '; its API key must be entered again' : ''));
+      }
+      if (baseUrlChanged) {
+        summary.push(`The local server will change from ${settings.localBaseUrl} to ${next.localBaseUrl}` +
+          (settings.apiKey || (settings.fallbacks || []).some(fallback => fallback.provider === 'local' && fallback.apiKey)
+            ? '; API keys for it must be entered again'
+            : ''));
+      }
+
+      // Schedule rules pointing at profiles that don't exist here stop switching profiles
+      const profileIds = new Set(profiles.profiles.map(profile => profile.id));
+      const rules = next.schedule?.rules || [];
+      const detached = rules.filter(rule => rule.profileId && !profileIds.has(rule.profileId)).length;
+      if (detached > 0) {
+        next.schedule = {
+          ...next.schedule,
+          rules: rules.map(rule =>
+            rule.profileId && !profileIds.has(rule.profileId) ? { ...rule, profileId: null } : rule
+          )
+        };
+        summary.push(`${count(detached, 'schedule rule')} will no longer switch profiles (the profile doesn't exist here)`);
+      }
+
+      const changed = Object.keys(next).filter(key => JSON.stringify(next[key]) !== JSON.stringify(settings[key]));
+      changes.settings = next;
+      if (changed.length > 0) {
+        summary.push(`${count(changed.length, 'setting')} will change: ${changed.join(', ')}`);
+      }
+    }
+
+    if (backup.history) {
+      const retentionDays = changes.settings?.historyRetentionDays ?? settings.historyRetentionDays;
+      const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+      let entries = backup.history.filter(entry => entry.timestamp >= cutoff);
+      const expired = backup.history.length - entries.length;
+
+      if (replace) {
+        const existing = await VerdictHistory.count();
+        changes.history = { clear: true, entries, retentionDays };
+        if (existing > 0) {
+          summary.push(`${count(existing, 'history entry', 'history entries')} will be deleted`);
+        }
+      } else {
+        const { entries: current } = await VerdictHistory.query({ limit: CONSTANTS.HISTORY.MAX_ENTRIES });
+        const known = new Set(current.map(entry => `${entry.timestamp}|${entry.url}`));
+        entries = entries.filter(entry => !known.has(`${entry.timestamp}|${entry.url}`));
+        changes.history = { clear: false, entries, retentionDays };
+      }
+
+      if (entries.length > 0) {
+        summary.push(`${count(entries.length, 'history entry', 'history entries')} will be added`);
+      }
+      if (expired > 0) {
+        summary.push(`${count(expired, 'history entry', 'history entries')} older than the ${retentionDays}-day retention period will be skipped`);
+      }
+    }
+
+    if (summary.length === 0) {
+      summary.push('Nothing will change: your data already matches this backup');
+    }
+
+    return { changes, summary, errors };
+  }
+
+  /**
+   * Give imported fallbacks the API keys already configured for the same provider (and model),
+   * unless keepsEndpoint(provider) says the import moves that provider to another server
+   */
+  static restoreFallbackKeys(fallbacks, currentFallbacks, keepsEndpoint) {
+    return fallbacks.map(fallback => {
+      if (!keepsEndpoint(fallback.provider)) {
+        return { ...fallback, apiKey: '' };
+      }
+
+      const match =
+        currentFallbacks.find(current => current.provider === fallback.provider && current.model === fallback.model) ||
+        currentFallbacks.find(current => current.provider === fallback.provider);
+      return { ...fallback, apiKey: match?.apiKey || '' };
+    });
+  }
+
+  /**
+   * Local server URL as the local provider uses it (trailing slashes stripped)
+   */
+  static normalizeBaseUrl(baseUrl) {
+    return (baseUrl || CONSTANTS.DEFAULT_SETTINGS.localBaseUrl).trim().replace(/\/+$/, '');
+  }
+
+  /**
+   * Whether a string is an absolute http(s) URL
+   */
+  static isHttpUrl(value) {
+    try {
+      return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Import a validated backup ('merge' or 'replace'), returning the applied plan
+   */
+  static async apply(backup, mode) {
+    const plan = await this.plan(backup, mode);
+    if (plan.errors.length > 0) {
+      throw new Error(plan.errors[0]);
+    }
+
+    const { changes } = plan;
+    if (changes.goals && !(await StorageManager.setGoals(changes.goals))) {
+      throw new Error('Failed to save goals');
+    }
+
+    if (changes.whitelist) {
+      await StorageManager.setWhitelist(changes.whitelist);
+    }
+
+    if (changes.blocklist) {
+      await StorageManager.setBlocklist(changes.blocklist);
+    }
+
+    if (changes.settings) {
+      await StorageManager.setSettings(changes.settings);
+    }
+
+    if (changes.history) {
+      if (changes.history.clear) {
+        await VerdictHistory.clear();
+      }
+      if (changes.history.entries.length > 0) {
+        await VerdictHistory.addAll(changes.history.entries);
+        await VerdictHistory.prune(changes.history.retentionDays);
+      }
+    }
+
+    return plan;
+  }
+
+  /**
+   * Whether a value is a plain (non-array, non-null) object
+   */
+  static isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+  }
+}
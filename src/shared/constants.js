@@ -10,7 +10,26 @@ const CONSTANTS = {
     GOALS: 'focus_guard_goals',
     SETTINGS: 'focus_guard_settings',
     ANALYTICS: 'focus_guard_analytics',
-    WHITELIST: 'focus_guard_whitelist'
+    WHITELIST: 'focus_guard_whitelist',
+    BLOCKLIST: 'focus_guard_blocklist',
+    RULE_HITS: 'focus_guard_rule_hits',
+    BYPASSES: 'focus_guard_bypasses',
+    FEEDBACK: 'focus_guard_feedback',
+    FOCUS_SESSION: 'focus_guard_focus_session',
+    FOCUS_SUMMARY: 'focus_guard_focus_summary',
+    FOCUS_HISTORY: 'focus_guard_focus_history',
+    SCHEDULE_STATE: 'focus_guard_schedule_state',
+    PROFILES: 'focus_guard_profiles',
+    PROFILE_DATA: 'focus_guard_profile_data',
+    CLASSIFIER: 'focus_guard_classifier',
+    PROVIDER_HEALTH: 'focus_guard_provider_health',
+    RATE_LIMIT_BUCKET: 'focus_guard_rate_limit_bucket',
+    REQUEST_USAGE: 'focus_guard_request_usage',
+    ATTENTION: 'focus_guard_attention',
+    ATTENTION_STATE: 'focus_guard_attention_state',
+    RECENT_VERDICTS: 'focus_guard_recent_verdicts',
+    ANALYSIS_CACHE: 'focus_guard_analysis_cache',
+    PLAIN_OUTPUT_ENDPOINTS: 'focus_guard_plain_output_endpoints'
   },
 
   // Message types for cross-component communication
@@ -23,19 +42,60 @@ const CONSTANTS = {
     UPDATE_SETTINGS: 'UPDATE_SETTINGS',
     GET_SETTINGS: 'GET_SETTINGS',
     TOGGLE_EXTENSION: 'TOGGLE_EXTENSION',
-    BYPASS_PAGE: 'BYPASS_PAGE'
+    BYPASS_PAGE: 'BYPASS_PAGE',
+    LIST_MODELS: 'LIST_MODELS',
+    RECORD_RULE_HIT: 'RECORD_RULE_HIT',
+    SHIELD_TIMEOUT: 'SHIELD_TIMEOUT',
+    BYPASS_EXPIRED: 'BYPASS_EXPIRED',
+    PAGE_FEEDBACK: 'PAGE_FEEDBACK',
+    START_FOCUS_SESSION: 'START_FOCUS_SESSION',
+    STOP_FOCUS_SESSION: 'STOP_FOCUS_SESSION',
+    GET_FOCUS_SESSION: 'GET_FOCUS_SESSION',
+    SWITCH_PROFILE: 'SWITCH_PROFILE',
+    REANALYZE_PAGE: 'REANALYZE_PAGE',
+    RESET_ANALYTICS: 'RESET_ANALYTICS'
   },
 
   // Default settings
   DEFAULT_SETTINGS: {
     enabled: true,
-    confidenceThreshold: 75,
+    minAlignmentScore: 25, // Block pages whose alignment score falls below this
     provider: 'openrouter',
     model: 'openai/gpt-5-mini',
     apiKey: '',
+    fallbacks: [], // { provider, model, apiKey } tried in order when the primary provider fails
+    localBaseUrl: 'http://localhost:11434/v1',
+    requestTimeouts: {}, // Seconds per provider, overriding its default timeout
+    prices: {}, // Model -> { input, output } in USD per million tokens, overriding PRICING.MODELS
+    budget: {
+      dailyLimit: 0, // USD per day (0 = no limit)
+      monthlyLimit: 0, // USD per month (0 = no limit)
+      action: 'cheaper', // Once reached: 'cheaper' model or 'local' providers only
+      cheaperModel: '' // Model for the primary provider; empty picks its cheapest priced model
+    },
+    enableCache: true,
+    historyRetentionDays: 90, // Days to keep entries in the verdict history
+    trackTime: true, // Track time on the active tab for the focus reports
+    localClassifier: true, // Decide confident cases locally before calling the LLM
+    blockingMode: 'overlay', // 'overlay' (after load) or 'prerender' (hide until analyzed)
+    prerenderMaxWait: 5, // Seconds to keep a page hidden while waiting for a verdict
+    prerenderFailMode: 'open', // 'open' reveals the page on timeout, 'closed' blocks it
+    bypassDuration: 10, // Minutes a "Continue anyway" lasts before the tab is re-blocked
+    dailyBypassLimit: 5, // Bypasses allowed per day (0 = unlimited)
+    bypassFriction: 'none', // 'none', 'countdown' or 'justification'
+    bypassCountdown: 10, // Seconds before "Continue anyway" becomes clickable
+    focusInterval: 25, // Minutes of focus between breaks in a focus session
+    breakDuration: 5, // Minutes per break (0 = no breaks)
+    schedule: {
+      enabled: false, // When enabled, pages are only blocked inside the rules' time windows
+      timezone: '', // IANA time zone; empty uses the browser's zone
+      rules: [] // { id, days: [0-6, 0 = Sunday], start: 'HH:MM', end: 'HH:MM', profileId }
+    },
     rateLimit: {
-      requestsPerMinute: 20,
-      lastRequestTime: 0
+      requestsPerMinute: 20, // Sustained rate; up to this many requests can also go out in a burst
+      overLimit: 'allow', // 'allow' or 'block' the page, or 'wait' for a free request slot
+      dailyCap: 0, // LLM requests per day (0 = unlimited)
+      monthlyCap: 0 // LLM requests per month (0 = unlimited)
     }
   },
 
@@ -81,6 +141,14 @@ const CONSTANTS = {
         'claude-sonnet-4'
       ],
       keyRequired: true
+    },
+    local: {
+      name: 'Local / Self-hosted',
+      baseUrl: 'http://localhost:11434/v1', // Ollama's OpenAI-compatible endpoint
+      models: [], // Discovered from the endpoint at runtime
+      keyRequired: false,
+      customBaseUrl: true,
+      timeout: 30000 // Local models can take a while to load and respond
     }
   },
 
@@ -89,7 +157,10 @@ const CONSTANTS = {
     MAX_CONTENT_LENGTH: 4000,
     UNWANTED_SELECTORS: ['script', 'style', 'nav', 'header', 'footer', 'aside', 'noscript'],
     CONTENT_SELECTORS: ['main', 'article', '[role="main"]', '.content', 'body'],
-    ANALYSIS_DELAY: 500 // ms to wait after page load
+    ANALYSIS_DELAY: 500, // ms to wait after page load
+    SHIELD_SCRIPT_ID: 'focus-guard-shield',
+    SHIELD_SCRIPTS: ['src/content/shield.js'],
+    SHIELD_STYLES: ['src/content/shield.css']
   },
 
   // UI settings
@@ -97,47 +168,271 @@ const CONSTANTS = {
     BLOCKING_OVERLAY_ID: 'focus-guard-overlay',
     MAX_GOAL_LENGTH: 200,
     MAX_GOALS_COUNT: 10,
-    MAX_WHITELIST_COUNT: 50
+    MAX_GOALS_BYTES: 8192, // All goals share one chrome.storage.sync item, which is capped at 8 KB
+    MAX_WHITELIST_COUNT: 50,
+    MAX_BLOCKLIST_COUNT: 10000
+  },
+
+  // Timed bypass settings
+  BYPASS: {
+    ALARM_PREFIX: 'focus-guard-bypass:',
+    MIN_JUSTIFICATION_LENGTH: 15,
+    HISTORY_COUNT: 50
+  },
+
+  // Focus sessions (Pomodoro-style)
+  FOCUS_SESSION: {
+    PHASE_ALARM: 'focus-guard-session-phase',
+    TICK_ALARM: 'focus-guard-session-tick',
+    PRESETS: [25, 50],
+    MIN_MINUTES: 5,
+    MAX_MINUTES: 240,
+    HISTORY_COUNT: 20,
+    BADGE_COLORS: {
+      focus: '#333333',
+      break: '#2e7d32'
+    }
+  },
+
+  // Weekly blocking schedules
+  SCHEDULE: {
+    ALARM: 'focus-guard-schedule',
+    DAY_NAMES: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'],
+    WEEK_MINUTES: 7 * 24 * 60,
+    MAX_RULES: 20,
+    MAX_ALARM_DELAY_MINUTES: 60 // Re-check at least hourly so DST shifts are picked up
+  },
+
+  // Local pre-classifier trained on the user's own past verdicts
+  CLASSIFIER: {
+    MIN_DOCS: 20, // Training pages needed before the classifier decides anything
+    MIN_DOCS_PER_CLASS: 5,
+    CONFIDENCE: 0.95, // Posterior needed to skip the LLM
+    SITE_MIN_VERDICTS: 5, // Unanimous verdicts on a site needed to trust the site alone
+    SITE_MAX_AGE_DAYS: 14, // A site tally without a fresh LLM verdict for this long is no longer trusted
+    AUDIT_RATE: 0.1, // Share of confident local verdicts still sent to the LLM, to keep learning
+    PERSIST_DELAY: 5000, // ms to batch training updates into one write
+    CONTENT_CHARS: 2000,
+    MAX_TOKENS: 5000, // Vocabulary size per model before rare tokens are pruned
+    MAX_SITES: 500,
+    MAX_MODELS: 5 // One model per goal set, least recently trained dropped first
   },
 
-  // Whitelist settings
-  WHITELIST: {
-    DOMAIN_REGEX: /^([a-zA-Z0-9]([a-zA-Z0-9\-]{0,61}[a-zA-Z0-9])?\.)+(com|org|net|edu|gov|mil|co|uk|ca|au|de|fr|jp|cn|in|br|ru|mx|es|it|nl|se|no|dk|fi|be|at|ch|pl|cz|hu|gr|pt|ie|il|za|tr|kr|th|my|sg|th|vn)$/i,
-    SUBDOMAIN_REGEX: /^([a-zA-Z0-9]([a-zA-Z0-9\-]{0,61}[a-zA-Z0-9])?\.)*/,
-    MAX_DOMAIN_LENGTH: 253
+  // Per-goal related topics/sites and "not this" patterns, sized so that the most goals
+  // with full hints still fit in UI.MAX_GOALS_BYTES
+  GOAL_HINTS: {
+    MAX_HINTS: 5,
+    MAX_HINT_LENGTH: 40
+  },
+
+  // Goal profiles: each bundles goals, whitelist, blocklist, threshold and model
+  PROFILES: {
+    DEFAULT_ID: 'default',
+    DEFAULT_NAME: 'Default',
+    MAX_PROFILES: 10,
+    MAX_NAME_LENGTH: 30
+  },
+
+  // Learning from bypasses and "correctly blocked" feedback
+  FEEDBACK: {
+    THRESHOLD_STEP: 5, // Points the per-site threshold moves per net feedback event
+    MAX_ADJUSTMENT: 20,
+    MAX_EXAMPLES_PER_DOMAIN: 5,
+    MAX_DOMAINS: 200,
+    PROMPT_EXAMPLES: 4
+  },
+
+  // Whitelist/blocklist rule settings (formats are documented in url-rules.js)
+  URL_RULES: {
+    MAX_RULE_LENGTH: 500
+  },
+
+  // Scoring model: the LLM rates goal ALIGNMENT from 0 (actively distracts)
+  // to 100 (directly supports the goals). Pages scoring below
+  // settings.minAlignmentScore are blocked.
+  SCORING: {
+    MIN: 0,
+    MAX: 100,
+    DEFAULT_MIN_ALIGNMENT: 25
   },
 
   // API settings
   API: {
-    TIMEOUT: 10000, // 10 seconds
-    RETRY_ATTEMPTS: 2,
-    CACHE_DURATION: 3600000 // 1 hour in milliseconds
+    TIMEOUT: 10000, // 10 seconds; default per-request timeout unless the provider sets its own
+    MIN_TIMEOUT_SECONDS: 2,
+    MAX_TIMEOUT_SECONDS: 120,
+    RETRY_ATTEMPTS: 2, // Retries per provider after a 429, 5xx, timeout or network error
+    RETRY_BASE_DELAY: 1000, // Doubled on each retry
+    MAX_RETRY_DELAY: 8000, // A longer Retry-After skips to the next provider instead of waiting
+    MAX_FALLBACKS: 3,
+    CACHE_DURATION: 3600000, // 1 hour in milliseconds
+    MAX_OUTPUT_TOKENS: 300, // Room for the JSON verdict and a one-sentence rationale
+    PLAIN_OUTPUT_TTL: 7 * 24 * 60 * 60 * 1000 // How long a model that rejected structured output gets plain prompts
+  },
+
+  // Estimated LLM prices in USD per million tokens; local models are free and users can override these
+  PRICING: {
+    DEFAULT_MODELS: { // Used when no model is set, and to price usage recorded before per-model tracking
+      openrouter: 'openai/gpt-5-mini',
+      openai: 'gpt-5-mini',
+      anthropic: 'claude-sonnet-4'
+    },
+    TYPICAL_REQUEST: { inputTokens: 1500, outputTokens: 150 }, // For comparing models by cost per page
+    CHART_DAYS: 30,
+    MODELS: {
+      'gpt-5': { input: 1.25, output: 10 },
+      'gpt-5-mini': { input: 0.25, output: 2 },
+      'gpt-5-nano': { input: 0.05, output: 0.4 },
+      'claude-opus-4.1': { input: 15, output: 75 },
+      'claude-sonnet-4': { input: 3, output: 15 },
+      'openai/gpt-5': { input: 1.25, output: 10 },
+      'openai/gpt-5-mini': { input: 0.25, output: 2 },
+      'openai/gpt-5-nano': { input: 0.05, output: 0.4 },
+      'anthropic/claude-opus-4.1': { input: 15, output: 75 },
+      'anthropic/claude-sonnet-4': { input: 3, output: 15 },
+      'google/gemini-2.5-pro': { input: 1.25, output: 10 },
+      'meta-llama/llama-3.3-70b-instruct': { input: 0.13, output: 0.4 },
+      'meta-llama/llama-4-maverick': { input: 0.15, output: 0.6 },
+      'deepseek/deepseek-r1': { input: 0.55, output: 2.19 },
+      'deepseek/deepseek-chat-v3': { input: 0.27, output: 1.1 }
+    }
+  },
+
+  // LLM request rate limiting
+  RATE_LIMIT: {
+    MAX_WAIT: 30000, // A request queued longer than this (ms) gives up and the page is allowed
+    MAX_REQUESTS_PER_MINUTE: 60,
+    MAX_DAILY_CAP: 10000,
+    MAX_MONTHLY_CAP: 100000
+  },
+
+  // Persistent analysis cache settings (TTL is API.CACHE_DURATION)
+  CACHE: {
+    MAX_ENTRIES: 500,
+    PERSIST_DELAY: 5000, // ms to batch recency updates from cache hits into one write
+    TRACKING_PARAMS: ['utm_*', 'fbclid', 'gclid', 'dclid', 'msclkid', 'mc_cid', 'mc_eid', 'ref_src']
+  },
+
+  // Structured verdict settings
+  VERDICT: {
+    CATEGORIES: [
+      'work',
+      'learning',
+      'reference',
+      'communication',
+      'news',
+      'social_media',
+      'entertainment',
+      'shopping',
+      'other'
+    ],
+    MAX_RATIONALE_LENGTH: 300,
+    RECENT_VERDICTS_COUNT: 50
+  },
+
+  // Usage counters (local storage, bucketed by local day)
+  ANALYTICS: {
+    COUNTERS: ['totalRequests', 'blockedPages', 'bypassedPages', 'savedCalls'],
+    RETENTION_DAYS: 90,
+    CHART_DAYS: 30,
+    MAX_EXPORT_DAYS: 366
+  },
+
+  // Active-tab time tracking for the focus reports
+  ATTENTION: {
+    FLUSH_ALARM: 'focus-guard-attention-flush',
+    IDLE_SECONDS: 60, // Inactivity after which the user counts as away
+    MAX_SEGMENT_MS: 5 * 60000, // Longest stretch credited at once (guards against missed sleep/idle events)
+    MAX_VERDICT_DOMAINS: 500,
+    RETENTION_DAYS: 56,
+    TREND_DAYS: 14,
+    TREND_WEEKS: 8,
+    TOP_DOMAINS: 10
+  },
+
+  // Verdict history (IndexedDB)
+  HISTORY: {
+    DB_NAME: 'focus_guard_history',
+    DB_VERSION: 2, // 2 dropped the stored page excerpts
+    STORE: 'verdicts',
+    MAX_ENTRIES: 5000,
+    MIN_RETENTION_DAYS: 1,
+    MAX_RETENTION_DAYS: 365,
+    PRUNE_INTERVAL: 50, // Entries added between retention passes
+    PAGE_SIZE: 50
+  },
+
+  // Backup files (versioned; older schemas are migrated on import)
+  BACKUP: {
+    FORMAT: 'focus-guard-backup',
+    SCHEMA_VERSION: 2, // 1 = the unversioned goals/settings/analytics export
+    MAX_REPORTED_ERRORS: 20,
+    SETTING_CHOICES: {
+      blockingMode: ['overlay', 'prerender'],
+      prerenderFailMode: ['open', 'closed'],
+      bypassFriction: ['none', 'countdown', 'justification'],
+      'budget.action': ['cheaper', 'local'],
+      'rateLimit.overLimit': ['allow', 'block', 'wait']
+    }
   }
 };
 
+// JSON schema requested from providers' structured-output / tool-calling modes
+const VERDICT_SCHEMA = {
+  type: 'object',
+  properties: {
+    score: {
+      type: 'integer',
+      minimum: 0,
+      maximum: 100,
+      description: 'Goal alignment from 0 (actively distracts) to 100 (directly supports the goals)'
+    },
+    category: {
+      type: 'string',
+      enum: CONSTANTS.VERDICT.CATEGORIES,
+      description: 'What kind of page this is'
+    },
+    matchedGoalId: {
+      type: ['string', 'null'],
+      description: 'ID of the goal this page serves best, or null if none'
+    },
+    rationale: {
+      type: 'string',
+      description: 'One sentence explaining the score'
+    }
+  },
+  required: ['score', 'category', 'matchedGoalId', 'rationale'],
+  additionalProperties: false
+};
+
 // Prompt template for LLM analysis
 const ANALYSIS_PROMPT = `TASK: Analyze if this webpage aligns with the user's current goals.
 
-USER GOALS:
+USER GOALS (highest priority first; a higher weight means the goal matters more):
 {goals}
 
 WEBPAGE INFO:
 Title: {title}
 Content: {content}
 
-INSTRUCTIONS:
+{feedback}INSTRUCTIONS:
 Think step by step to evaluate this webpage:
 
 1. GOAL ANALYSIS: What is the user trying to accomplish based on their goals?
 2. CONTENT ANALYSIS: What is this webpage primarily about?
-3. ALIGNMENT ASSESSMENT: How well does this webpage content relate to the user's goals?
+3. ALIGNMENT ASSESSMENT: How well does this webpage content relate to the user's goals, giving higher-weight goals more importance?
 4. DISTRACTION POTENTIAL: Could this webpage lead the user away from their goals?
 
-Rate from 0-100 how well this webpage supports the user's goals:
+Rate from 0-100 how well this webpage ALIGNS with the user's goals (higher = more aligned):
 - 0-20: Actively distracts from goals (social media, entertainment unrelated to goals)
 - 21-40: Likely distracts or provides no value toward goals  
 - 41-60: Neutral or unclear relationship to goals
 - 61-80: Likely helpful for achieving goals
 - 81-100: Directly supports goal achievement
 
-Think through your reasoning, then respond with only the final number (0-100).`;
\ No newline at end of file
+Think through your reasoning, then respond with only a JSON object in this exact shape:
+{"score": <0-100>, "category": "<category>", "matchedGoalId": "<goal id or null>", "rationale": "<one sentence>"}
+
+- category must be one of: {categories}
+- matchedGoalId must be the bracketed ID of the goal this page serves best, or null
+- rationale must be a single short sentence explaining the score`;
\ No newline at end of file
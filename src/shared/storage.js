@@ -44,12 +44,9 @@ class StorageManager {
       const goals = await this.getGoals();
       
       // Validate goal
-      if (!goalText || goalText.trim().length === 0) {
-        throw new Error('Goal text cannot be empty');
-      }
-      
-      if (goalText.length > CONSTANTS.UI.MAX_GOAL_LENGTH) {
-        throw new Error(`Goal text cannot exceed ${CONSTANTS.UI.MAX_GOAL_LENGTH} characters`);
+      const textError = this.validateGoalText(goalText);
+      if (textError) {
+        throw new Error(textError);
       }
       
       if (goals.length >= CONSTANTS.UI.MAX_GOALS_COUNT) {
@@ -64,7 +61,14 @@ class StorageManager {
       };
 
       goals.push(newGoal);
-      await this.setGoals(goals);
+      const sizeError = this.validateGoalsSize(goals);
+      if (sizeError) {
+        throw new Error(sizeError);
+      }
+
+      if (!(await this.setGoals(goals))) {
+        throw new Error('Failed to save goal');
+      }
       return newGoal;
     } catch (error) {
       console.error('Error adding goal:', error);
@@ -72,6 +76,159 @@ class StorageManager {
     }
   }
 
+  /**
+   * Validate goal text, returning an error message or null
+   */
+  static validateGoalText(goalText) {
+    if (typeof goalText !== 'string' || goalText.trim().length === 0) {
+      return 'Goal text cannot be empty';
+    }
+
+    if (goalText.trim().length > CONSTANTS.UI.MAX_GOAL_LENGTH) {
+      return `Goal text cannot exceed ${CONSTANTS.UI.MAX_GOAL_LENGTH} characters`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Check that goals fit in their sync storage item, returning an error message or null
+   */
+  static validateGoalsSize(goals) {
+    const bytes = new TextEncoder().encode(CONSTANTS.STORAGE_KEYS.GOALS + JSON.stringify(goals)).length;
+    if (bytes > CONSTANTS.UI.MAX_GOALS_BYTES) {
+      return 'Goals are too long to save; shorten some goal text, related topics or exclusions';
+    }
+
+    return null;
+  }
+
+  /**
+   * Clean up a list of goal hints (trimmed, de-duplicated), throwing on invalid input
+   */
+  static normalizeGoalHints(hints) {
+    if (!Array.isArray(hints)) {
+      throw new Error('Goal hints must be a list');
+    }
+
+    const { MAX_HINTS, MAX_HINT_LENGTH } = CONSTANTS.GOAL_HINTS;
+    const normalized = [...new Set(
+      hints.map(hint => String(hint).trim()).filter(Boolean)
+    )];
+
+    if (normalized.length > MAX_HINTS) {
+      throw new Error(`A goal can have at most ${MAX_HINTS} related topics and ${MAX_HINTS} exclusions`);
+    }
+
+    const tooLong = normalized.find(hint => hint.length > MAX_HINT_LENGTH);
+    if (tooLong) {
+      throw new Error(`"${tooLong.slice(0, 20)}…" is longer than ${MAX_HINT_LENGTH} characters`);
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Update a goal's text, expiry date (expiresAt: timestamp, or null for none),
+   * related topics/sites (keywords) and "not this" patterns (antiPatterns)
+   */
+  static async updateGoal(goalId, updates) {
+    try {
+      const goals = await this.getGoals();
+      const goal = goals.find(item => item.id === goalId);
+      if (!goal) {
+        throw new Error('Goal not found');
+      }
+
+      const changes = {};
+
+      if ('text' in updates) {
+        const textError = this.validateGoalText(updates.text);
+        if (textError) {
+          throw new Error(textError);
+        }
+        changes.text = updates.text.trim();
+      }
+
+      if ('expiresAt' in updates) {
+        const { expiresAt } = updates;
+        if (expiresAt !== null && !Number.isFinite(expiresAt)) {
+          throw new Error('Invalid expiry date');
+        }
+        if (expiresAt !== null && expiresAt <= Date.now() && expiresAt !== goal.expiresAt) {
+          throw new Error('Expiry date must be in the future');
+        }
+        changes.expiresAt = expiresAt;
+      }
+
+      if ('isActive' in updates) {
+        changes.isActive = Boolean(updates.isActive);
+      }
+
+      if ('keywords' in updates) {
+        changes.keywords = this.normalizeGoalHints(updates.keywords);
+      }
+
+      if ('antiPatterns' in updates) {
+        changes.antiPatterns = this.normalizeGoalHints(updates.antiPatterns);
+      }
+
+      const updatedGoal = { ...goal, ...changes, updatedAt: Date.now() };
+      const updatedGoals = goals.map(item => item.id === goalId ? updatedGoal : item);
+      const sizeError = this.validateGoalsSize(updatedGoals);
+      if (sizeError) {
+        throw new Error(sizeError);
+      }
+
+      const saved = await this.setGoals(updatedGoals);
+      if (!saved) {
+        throw new Error('Failed to save goal');
+      }
+
+      return updatedGoal;
+    } catch (error) {
+      console.error('Error updating goal:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Pause or resume a goal (paused goals are left out of the prompt)
+   */
+  static async setGoalActive(goalId, isActive) {
+    return this.updateGoal(goalId, { isActive });
+  }
+
+  /**
+   * Reorder goals by ID, highest priority first; the list must name every goal once
+   */
+  static async reorderGoals(goalIds) {
+    try {
+      const goals = await this.getGoals();
+      const goalsById = new Map(goals.map(goal => [goal.id, goal]));
+
+      const isComplete = Array.isArray(goalIds) &&
+        goalIds.length === goals.length &&
+        new Set(goalIds).size === goals.length &&
+        goalIds.every(id => goalsById.has(id));
+
+      if (!isComplete) {
+        throw new Error('Goal order must list every goal exactly once');
+      }
+
+      const reordered = goalIds.map(id => goalsById.get(id));
+      const saved = await this.setGoals(reordered);
+      if (!saved) {
+        throw new Error('Failed to save goal order');
+      }
+
+      return reordered;
+    } catch (error) {
+      console.error('Error reordering goals:', error);
+      throw error;
+    }
+  }
+
   /**
    * Remove a goal by ID
    */
@@ -95,7 +252,7 @@ class StorageManager {
       const result = await chrome.storage.sync.get(CONSTANTS.STORAGE_KEYS.SETTINGS);
       return {
         ...CONSTANTS.DEFAULT_SETTINGS,
-        ...result[CONSTANTS.STORAGE_KEYS.SETTINGS]
+        ...this.migrateSettings(result[CONSTANTS.STORAGE_KEYS.SETTINGS])
       };
     } catch (error) {
       console.error('Error getting settings:', error);
@@ -103,6 +260,31 @@ class StorageManager {
     }
   }
 
+  /**
+   * Migrate settings saved by older versions.
+   * confidenceThreshold blocked at distraction >= T, i.e. alignment <= MAX - T; minAlignmentScore
+   * blocks below itself, so the equivalent is MAX + 1 - T (capped to the score range).
+   * rateLimit.lastRequestTime was rewritten on every page; the limiter now keeps its own state.
+   */
+  static migrateSettings(stored) {
+    if (!stored || typeof stored !== 'object') {
+      return stored;
+    }
+
+    const { confidenceThreshold, ...settings } = stored;
+    if (typeof confidenceThreshold === 'number' && settings.minAlignmentScore === undefined) {
+      settings.minAlignmentScore = Math.min(CONSTANTS.SCORING.MAX,
+        Math.max(CONSTANTS.SCORING.MIN, CONSTANTS.SCORING.MAX + 1 - confidenceThreshold));
+    }
+
+    if (settings.rateLimit) {
+      const { lastRequestTime, ...rateLimit } = settings.rateLimit;
+      settings.rateLimit = { ...CONSTANTS.DEFAULT_SETTINGS.rateLimit, ...rateLimit };
+    }
+
+    return settings;
+  }
+
   /**
    * Save settings to storage
    */
@@ -122,43 +304,24 @@ class StorageManager {
   }
 
   /**
-   * Get analytics data
+   * Get analytics: totals, per-profile totals and daily buckets (updated only by the background)
    */
   static async getAnalytics() {
-    try {
-      const result = await chrome.storage.sync.get(CONSTANTS.STORAGE_KEYS.ANALYTICS);
-      return result[CONSTANTS.STORAGE_KEYS.ANALYTICS] || {
-        totalRequests: 0,
-        blockedPages: 0,
-        bypassedPages: 0
-      };
-    } catch (error) {
-      console.error('Error getting analytics:', error);
-      return { totalRequests: 0, blockedPages: 0, bypassedPages: 0 };
-    }
-  }
+    const empty = { totalRequests: 0, blockedPages: 0, bypassedPages: 0, savedCalls: 0, byProfile: {}, days: {} };
 
-  /**
-   * Update analytics
-   */
-  static async updateAnalytics(updates) {
     try {
-      const analytics = await this.getAnalytics();
-      const updatedAnalytics = { ...analytics };
-      
-      Object.keys(updates).forEach(key => {
-        if (typeof updates[key] === 'number') {
-          updatedAnalytics[key] = (updatedAnalytics[key] || 0) + updates[key];
-        }
-      });
+      const key = CONSTANTS.STORAGE_KEYS.ANALYTICS;
+      const result = await chrome.storage.local.get(key);
+      if (result[key]) {
+        return { ...empty, ...result[key] };
+      }
 
-      await chrome.storage.sync.set({
-        [CONSTANTS.STORAGE_KEYS.ANALYTICS]: updatedAnalytics
-      });
-      return updatedAnalytics;
+      // Not moved out of sync storage by the background yet
+      const legacy = await chrome.storage.sync.get(key);
+      return { ...empty, ...legacy[key] };
     } catch (error) {
-      console.error('Error updating analytics:', error);
-      throw error;
+      console.error('Error getting analytics:', error);
+      return empty;
     }
   }
 
@@ -170,7 +333,25 @@ class StorageManager {
       await chrome.storage.sync.remove([
         CONSTANTS.STORAGE_KEYS.GOALS,
         CONSTANTS.STORAGE_KEYS.SETTINGS,
-        CONSTANTS.STORAGE_KEYS.ANALYTICS
+        CONSTANTS.STORAGE_KEYS.ANALYTICS,
+        CONSTANTS.STORAGE_KEYS.PROFILES
+      ]);
+      await chrome.storage.local.remove([
+        CONSTANTS.STORAGE_KEYS.ANALYTICS,
+        CONSTANTS.STORAGE_KEYS.RECENT_VERDICTS,
+        CONSTANTS.STORAGE_KEYS.ANALYSIS_CACHE,
+        CONSTANTS.STORAGE_KEYS.PLAIN_OUTPUT_ENDPOINTS,
+        CONSTANTS.STORAGE_KEYS.BLOCKLIST,
+        CONSTANTS.STORAGE_KEYS.RULE_HITS,
+        CONSTANTS.STORAGE_KEYS.BYPASSES,
+        CONSTANTS.STORAGE_KEYS.FEEDBACK,
+        CONSTANTS.STORAGE_KEYS.FOCUS_SUMMARY,
+        CONSTANTS.STORAGE_KEYS.FOCUS_HISTORY,
+        CONSTANTS.STORAGE_KEYS.PROFILE_DATA,
+        CONSTANTS.STORAGE_KEYS.CLASSIFIER,
+        CONSTANTS.STORAGE_KEYS.PROVIDER_HEALTH,
+        CONSTANTS.STORAGE_KEYS.REQUEST_USAGE,
+        CONSTANTS.STORAGE_KEYS.ATTENTION
       ]);
       return true;
     } catch (error) {
@@ -187,57 +368,44 @@ class StorageManager {
   }
 
   /**
-   * Export all data for backup
+   * Get the most recent analysis verdicts, newest first.
+   * Verdicts recorded before the alignment scale carry a distraction score (confidence) instead.
    */
-  static async exportData() {
+  static async getRecentVerdicts() {
     try {
-      const [goals, settings, analytics] = await Promise.all([
-        this.getGoals(),
-        this.getSettings(),
-        this.getAnalytics()
-      ]);
-
-      return {
-        goals,
-        settings: { ...settings, apiKey: '' }, // Remove API key for security
-        analytics,
-        exportedAt: Date.now(),
-        version: '1.0.0'
-      };
+      const key = CONSTANTS.STORAGE_KEYS.RECENT_VERDICTS;
+      const result = await chrome.storage.local.get(key);
+      return (result[key] || []).map(({ confidence, ...verdict }) =>
+        typeof verdict.alignmentScore !== 'number' && typeof confidence === 'number'
+          ? { ...verdict, alignmentScore: CONSTANTS.SCORING.MAX - confidence }
+          : verdict
+      );
     } catch (error) {
-      console.error('Error exporting data:', error);
-      throw error;
+      console.error('Error getting recent verdicts:', error);
+      return [];
     }
   }
 
   /**
-   * Import data from backup (excluding API key)
+   * Record an analysis verdict (with rationale) for the Statistics tab
    */
-  static async importData(data) {
+  static async recordVerdict(verdict) {
     try {
-      if (!data || typeof data !== 'object') {
-        throw new Error('Invalid import data');
-      }
-
-      if (data.goals && Array.isArray(data.goals)) {
-        await this.setGoals(data.goals);
-      }
-
-      if (data.settings && typeof data.settings === 'object') {
-        // Don't import API key for security
-        const { apiKey, ...settingsToImport } = data.settings;
-        await this.setSettings(settingsToImport);
-      }
+      const key = CONSTANTS.STORAGE_KEYS.RECENT_VERDICTS;
+      const result = await chrome.storage.local.get(key);
+      const verdicts = [verdict, ...(result[key] || [])]
+        .slice(0, CONSTANTS.VERDICT.RECENT_VERDICTS_COUNT);
 
-      return true;
+      await chrome.storage.local.set({ [key]: verdicts });
+      return verdicts;
     } catch (error) {
-      console.error('Error importing data:', error);
-      throw error;
+      console.error('Error recording verdict:', error);
+      return [];
     }
   }
 
   /**
-   * Get token usage for the last N days
+   * Get token usage for the last N local days
    */
   static async getTokenUsage(days = 7) {
     try {
@@ -247,7 +415,7 @@ class StorageManager {
       for (let i = 0; i < days; i++) {
         const date = new Date(today);
         date.setDate(date.getDate() - i);
-        keys.push(`tokenUsage_${date.toISOString().split('T')[0]}`);
+        keys.push(`tokenUsage_${Utils.getDateKey(date)}`);
       }
       
       const result = await chrome.storage.local.get(keys);
@@ -258,6 +426,27 @@ class StorageManager {
     }
   }
 
+  /**
+   * Get token usage for the local days from..to (YYYY-MM-DD, inclusive), keyed by day
+   */
+  static async getTokenUsageBetween(from, to) {
+    try {
+      const days = [];
+
+      for (const date = new Date(`${from}T00:00:00`); Utils.getDateKey(date) <= to; date.setDate(date.getDate() + 1)) {
+        days.push(Utils.getDateKey(date));
+      }
+
+      const result = await chrome.storage.local.get(days.map(day => `tokenUsage_${day}`));
+      return Object.fromEntries(days
+        .filter(day => result[`tokenUsage_${day}`])
+        .map(day => [day, result[`tokenUsage_${day}`]]));
+    } catch (error) {
+      console.error('Error getting token usage:', error);
+      return {};
+    }
+  }
+
   /**
    * Calculate total token usage across all providers and days
    */
@@ -312,7 +501,7 @@ class StorageManager {
   }
 
   /**
-   * Save whitelist to storage
+   * Save whitelist rules to storage
    */
   static async setWhitelist(whitelist) {
     try {
@@ -322,25 +511,25 @@ class StorageManager {
       }
       
       if (whitelist.length > CONSTANTS.UI.MAX_WHITELIST_COUNT) {
-        throw new Error(`Whitelist cannot exceed ${CONSTANTS.UI.MAX_WHITELIST_COUNT} domains`);
+        throw new Error(`Whitelist cannot exceed ${CONSTANTS.UI.MAX_WHITELIST_COUNT} rules`);
       }
       
-      // Validate each domain
-      const validatedDomains = whitelist.map(domain => {
-        const normalized = this.normalizeDomain(domain);
-        if (!this.isValidDomain(normalized)) {
-          throw new Error(`Invalid domain: ${domain}`);
+      // Validate each rule
+      const validatedRules = whitelist.map(rule => {
+        const error = UrlRules.validateRule(rule);
+        if (error) {
+          throw new Error(`Invalid rule "${rule}": ${error}`);
         }
-        return normalized;
+        return UrlRules.normalizeRule(rule);
       });
       
       // Remove duplicates
-      const uniqueDomains = [...new Set(validatedDomains)];
+      const uniqueRules = [...new Set(validatedRules)];
       
       await chrome.storage.sync.set({
-        [CONSTANTS.STORAGE_KEYS.WHITELIST]: uniqueDomains
+        [CONSTANTS.STORAGE_KEYS.WHITELIST]: uniqueRules
       });
-      return uniqueDomains;
+      return uniqueRules;
     } catch (error) {
       console.error('Error saving whitelist:', error);
       throw error;
@@ -348,23 +537,24 @@ class StorageManager {
   }
 
   /**
-   * Add domain to whitelist
+   * Add a rule (domain, path prefix, query or regex) to the whitelist
    */
-  static async addToWhitelist(domain) {
+  static async addToWhitelist(rule) {
     try {
       const whitelist = await this.getWhitelist();
-      const normalized = this.normalizeDomain(domain);
+      const error = UrlRules.validateRule(rule);
       
-      if (!this.isValidDomain(normalized)) {
-        throw new Error(`Invalid domain: ${domain}`);
+      if (error) {
+        throw new Error(error);
       }
       
+      const normalized = UrlRules.normalizeRule(rule);
       if (whitelist.includes(normalized)) {
-        throw new Error('Domain already in whitelist');
+        throw new Error('Rule already in whitelist');
       }
       
       if (whitelist.length >= CONSTANTS.UI.MAX_WHITELIST_COUNT) {
-        throw new Error(`Whitelist cannot exceed ${CONSTANTS.UI.MAX_WHITELIST_COUNT} domains`);
+        throw new Error(`Whitelist cannot exceed ${CONSTANTS.UI.MAX_WHITELIST_COUNT} rules`);
       }
       
       whitelist.push(normalized);
@@ -376,13 +566,12 @@ class StorageManager {
   }
 
   /**
-   * Remove domain from whitelist
+   * Remove a rule from the whitelist
    */
-  static async removeFromWhitelist(domain) {
+  static async removeFromWhitelist(rule) {
     try {
       const whitelist = await this.getWhitelist();
-      const normalized = this.normalizeDomain(domain);
-      const updatedWhitelist = whitelist.filter(d => d !== normalized);
+      const updatedWhitelist = whitelist.filter(r => r !== rule);
       return await this.setWhitelist(updatedWhitelist);
     } catch (error) {
       console.error('Error removing from whitelist:', error);
@@ -391,129 +580,453 @@ class StorageManager {
   }
 
   /**
-   * Check if domain is whitelisted
+   * Find the whitelist rule matching a URL, if any
    */
-  static async isDomainWhitelisted(url) {
+  static async findWhitelistMatch(url) {
     try {
-      const whitelist = await this.getWhitelist();
-      const domain = this.extractDomain(url);
-      
-      if (!domain) return false;
+      const rules = UrlRules.compile(await this.getWhitelist());
+      const match = UrlRules.findMatch(rules, url);
+      return match ? match.raw : null;
+    } catch (error) {
+      console.error('Error checking whitelist:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get blocklist rules from storage
+   */
+  static async getBlocklist() {
+    try {
+      const result = await chrome.storage.local.get(CONSTANTS.STORAGE_KEYS.BLOCKLIST);
+      return result[CONSTANTS.STORAGE_KEYS.BLOCKLIST] || [];
+    } catch (error) {
+      console.error('Error getting blocklist:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Save blocklist rules to storage (local, since imported hosts files can be large)
+   */
+  static async setBlocklist(blocklist) {
+    try {
+      if (!Array.isArray(blocklist)) {
+        throw new Error('Blocklist must be an array');
+      }
       
-      // Check exact match first
-      if (whitelist.includes(domain)) {
-        return true;
+      if (blocklist.length > CONSTANTS.UI.MAX_BLOCKLIST_COUNT) {
+        throw new Error(`Blocklist cannot exceed ${CONSTANTS.UI.MAX_BLOCKLIST_COUNT} rules`);
       }
       
-      // Check if any whitelisted domain is a parent domain
-      return whitelist.some(whitelistedDomain => {
-        // Allow subdomains: if whitelist has "example.com", allow "sub.example.com"
-        return domain === whitelistedDomain || domain.endsWith('.' + whitelistedDomain);
+      // Validate each rule
+      const validatedRules = blocklist.map(rule => {
+        const error = UrlRules.validateRule(rule);
+        if (error) {
+          throw new Error(`Invalid rule "${rule}": ${error}`);
+        }
+        return UrlRules.normalizeRule(rule);
       });
+      
+      // Remove duplicates
+      const uniqueRules = [...new Set(validatedRules)];
+      
+      await chrome.storage.local.set({
+        [CONSTANTS.STORAGE_KEYS.BLOCKLIST]: uniqueRules
+      });
+      return uniqueRules;
     } catch (error) {
-      console.error('Error checking whitelist:', error);
-      return false;
+      console.error('Error saving blocklist:', error);
+      throw error;
     }
   }
 
   /**
-   * Normalize domain (remove protocol, www, trailing slash, etc.)
+   * Add a rule to the blocklist
    */
-  static normalizeDomain(input) {
-    if (!input || typeof input !== 'string') {
-      return '';
+  static async addToBlocklist(rule) {
+    try {
+      const blocklist = await this.getBlocklist();
+      const error = UrlRules.validateRule(rule);
+      
+      if (error) {
+        throw new Error(error);
+      }
+      
+      const normalized = UrlRules.normalizeRule(rule);
+      if (blocklist.includes(normalized)) {
+        throw new Error('Rule already in blocklist');
+      }
+      
+      if (blocklist.length >= CONSTANTS.UI.MAX_BLOCKLIST_COUNT) {
+        throw new Error(`Blocklist cannot exceed ${CONSTANTS.UI.MAX_BLOCKLIST_COUNT} rules`);
+      }
+      
+      blocklist.push(normalized);
+      return await this.setBlocklist(blocklist);
+    } catch (error) {
+      console.error('Error adding to blocklist:', error);
+      throw error;
     }
-    
-    let domain = input.toLowerCase().trim();
-    
-    // Remove protocol
-    domain = domain.replace(/^https?:\/\//, '');
-    
-    // Remove www prefix
-    domain = domain.replace(/^www\./, '');
-    
-    // Remove path, query, and fragment
-    domain = domain.split('/')[0].split('?')[0].split('#')[0];
-    
-    // Remove port
-    domain = domain.split(':')[0];
-    
-    return domain;
   }
 
   /**
-   * Extract domain from URL
+   * Merge many rules (e.g. from a hosts file) into the blocklist
    */
-  static extractDomain(url) {
+  static async importBlocklist(rules) {
     try {
-      if (!url) return null;
+      const blocklist = await this.getBlocklist();
+      const existing = new Set(blocklist);
+      const newRules = rules
+        .map(rule => UrlRules.normalizeRule(rule))
+        .filter(rule => !existing.has(rule) && !UrlRules.validateRule(rule));
+      const uniqueNewRules = [...new Set(newRules)];
       
-      // Handle relative URLs
-      if (!url.includes('://')) {
-        url = 'https://' + url;
+      if (blocklist.length + uniqueNewRules.length > CONSTANTS.UI.MAX_BLOCKLIST_COUNT) {
+        throw new Error(`Blocklist cannot exceed ${CONSTANTS.UI.MAX_BLOCKLIST_COUNT} rules`);
       }
       
-      const urlObj = new URL(url);
-      return this.normalizeDomain(urlObj.hostname);
+      const updated = await this.setBlocklist([...blocklist, ...uniqueNewRules]);
+      return { blocklist: updated, added: uniqueNewRules.length };
     } catch (error) {
-      // Fallback to manual parsing
-      return this.normalizeDomain(url);
+      console.error('Error importing blocklist:', error);
+      throw error;
     }
   }
 
   /**
-   * Validate domain format
+   * Remove a rule from the blocklist
    */
-  static isValidDomain(domain) {
-    if (!domain || typeof domain !== 'string') {
-      return false;
+  static async removeFromBlocklist(rule) {
+    try {
+      const blocklist = await this.getBlocklist();
+      return await this.setBlocklist(blocklist.filter(r => r !== rule));
+    } catch (error) {
+      console.error('Error removing from blocklist:', error);
+      throw error;
     }
-    
-    // Basic length check
-    if (domain.length > CONSTANTS.WHITELIST.MAX_DOMAIN_LENGTH || domain.length < 1) {
-      return false;
+  }
+
+  /**
+   * Find the blocklist rule matching a URL, if any
+   */
+  static async findBlocklistMatch(url) {
+    try {
+      const rules = UrlRules.compile(await this.getBlocklist());
+      const match = UrlRules.findMatch(rules, url);
+      return match ? match.raw : null;
+    } catch (error) {
+      console.error('Error checking blocklist:', error);
+      return null;
     }
-    
-    // Check for invalid characters
-    if (!/^[a-zA-Z0-9.-]+$/.test(domain)) {
-      return false;
+  }
+
+  /**
+   * Get per-rule hit counters ({ whitelist: { rule: { count, lastHit } }, blocklist: {...} })
+   */
+  static async getRuleHits() {
+    try {
+      const result = await chrome.storage.local.get(CONSTANTS.STORAGE_KEYS.RULE_HITS);
+      return result[CONSTANTS.STORAGE_KEYS.RULE_HITS] || { whitelist: {}, blocklist: {} };
+    } catch (error) {
+      console.error('Error getting rule hits:', error);
+      return { whitelist: {}, blocklist: {} };
     }
-    
-    // Must contain at least one dot
-    if (!domain.includes('.')) {
-      return false;
+  }
+
+  /**
+   * Get timed bypass state ({ date, used, active: { tabId: {...} }, history })
+   */
+  static async getBypassState() {
+    try {
+      const result = await chrome.storage.local.get(CONSTANTS.STORAGE_KEYS.BYPASSES);
+      return result[CONSTANTS.STORAGE_KEYS.BYPASSES] || { date: null, used: 0, active: {}, history: [] };
+    } catch (error) {
+      console.error('Error getting bypass state:', error);
+      return { date: null, used: 0, active: {}, history: [] };
     }
-    
-    // Cannot start or end with dot or dash
-    if (domain.startsWith('.') || domain.endsWith('.') || 
-        domain.startsWith('-') || domain.endsWith('-')) {
-      return false;
+  }
+
+  /**
+   * Get learned feedback keyed by site ({ domain: { bypasses, confirmations, examples } })
+   */
+  static async getFeedback() {
+    try {
+      const result = await chrome.storage.local.get(CONSTANTS.STORAGE_KEYS.FEEDBACK);
+      return result[CONSTANTS.STORAGE_KEYS.FEEDBACK] || {};
+    } catch (error) {
+      console.error('Error getting feedback:', error);
+      return {};
     }
-    
-    // Cannot have consecutive dots
-    if (domain.includes('..')) {
+  }
+
+  /**
+   * Forget learned feedback for a site
+   */
+  static async removeFeedback(domain) {
+    try {
+      const feedback = await this.getFeedback();
+      delete feedback[domain];
+      await chrome.storage.local.set({ [CONSTANTS.STORAGE_KEYS.FEEDBACK]: feedback });
+      return feedback;
+    } catch (error) {
+      console.error('Error removing feedback:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Forget all learned feedback
+   */
+  static async clearFeedback() {
+    try {
+      await chrome.storage.local.remove(CONSTANTS.STORAGE_KEYS.FEEDBACK);
+      return true;
+    } catch (error) {
+      console.error('Error clearing feedback:', error);
       return false;
     }
-    
-    // Split into parts and validate each
-    const parts = domain.split('.');
-    if (parts.length < 2) {
+  }
+
+  /**
+   * Get request health per provider ({ provider: { successes, failures, lastError, ... } })
+   */
+  static async getProviderHealth() {
+    try {
+      const result = await chrome.storage.local.get(CONSTANTS.STORAGE_KEYS.PROVIDER_HEALTH);
+      return result[CONSTANTS.STORAGE_KEYS.PROVIDER_HEALTH] || {};
+    } catch (error) {
+      console.error('Error getting provider health:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Get LLM requests counted towards the daily and monthly caps ({ dayCount, monthCount })
+   */
+  static async getRequestUsage() {
+    try {
+      const result = await chrome.storage.local.get(CONSTANTS.STORAGE_KEYS.REQUEST_USAGE);
+      const usage = result[CONSTANTS.STORAGE_KEYS.REQUEST_USAGE] || {};
+      const day = Utils.getDateKey();
+
+      return {
+        dayCount: usage.day === day ? usage.dayCount : 0,
+        monthCount: usage.month === day.slice(0, 7) ? usage.monthCount : 0
+      };
+    } catch (error) {
+      console.error('Error getting request usage:', error);
+      return { dayCount: 0, monthCount: 0 };
+    }
+  }
+
+  /**
+   * Get tracked time per local day ({ 'YYYY-MM-DD': { domains, hours } }, totals in ms)
+   */
+  static async getAttention() {
+    try {
+      const result = await chrome.storage.local.get(CONSTANTS.STORAGE_KEYS.ATTENTION);
+      return result[CONSTANTS.STORAGE_KEYS.ATTENTION] || {};
+    } catch (error) {
+      console.error('Error getting tracked time:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Summarize what the local pre-classifier has learned ({ docs, allow, block, sites })
+   */
+  static async getClassifierStats() {
+    try {
+      const result = await chrome.storage.local.get(CONSTANTS.STORAGE_KEYS.CLASSIFIER);
+      const models = Object.values(result[CONSTANTS.STORAGE_KEYS.CLASSIFIER] || {});
+      return models.reduce((stats, model) => ({
+        docs: stats.docs + model.docs.allow + model.docs.block,
+        allow: stats.allow + model.docs.allow,
+        block: stats.block + model.docs.block,
+        sites: stats.sites + Object.keys(model.sites || {}).length
+      }), { docs: 0, allow: 0, block: 0, sites: 0 });
+    } catch (error) {
+      console.error('Error getting classifier stats:', error);
+      return { docs: 0, allow: 0, block: 0, sites: 0 };
+    }
+  }
+
+  /**
+   * Forget everything the local pre-classifier has learned
+   */
+  static async resetClassifier() {
+    try {
+      await chrome.storage.local.remove(CONSTANTS.STORAGE_KEYS.CLASSIFIER);
+      return true;
+    } catch (error) {
+      console.error('Error resetting classifier:', error);
       return false;
     }
-    
-    // Each part must be valid
-    for (const part of parts) {
-      if (!part || part.length > 63) {
-        return false;
-      }
-      if (!/^[a-zA-Z0-9-]+$/.test(part)) {
-        return false;
-      }
-      if (part.startsWith('-') || part.endsWith('-')) {
-        return false;
-      }
+  }
+
+  /**
+   * Profiles before any were created: everything so far belongs to "Default"
+   */
+  static getDefaultProfiles() {
+    return {
+      activeId: CONSTANTS.PROFILES.DEFAULT_ID,
+      profiles: [{ id: CONSTANTS.PROFILES.DEFAULT_ID, name: CONSTANTS.PROFILES.DEFAULT_NAME, createdAt: 0 }]
+    };
+  }
+
+  /**
+   * Get profiles ({ activeId, profiles: [{ id, name, createdAt }] })
+   */
+  static async getProfiles() {
+    try {
+      const result = await chrome.storage.sync.get(CONSTANTS.STORAGE_KEYS.PROFILES);
+      return result[CONSTANTS.STORAGE_KEYS.PROFILES] || this.getDefaultProfiles();
+    } catch (error) {
+      console.error('Error getting profiles:', error);
+      return this.getDefaultProfiles();
     }
-    
-    return true;
   }
-}
\ No newline at end of file
+
+  /**
+   * Validate a profile name against the existing profiles, returning an error message or null
+   */
+  static validateProfileName(name, profiles, exceptId = null) {
+    const trimmed = (name || '').trim();
+
+    if (!trimmed) {
+      return 'Profile name cannot be empty';
+    }
+
+    if (trimmed.length > CONSTANTS.PROFILES.MAX_NAME_LENGTH) {
+      return `Profile name cannot exceed ${CONSTANTS.PROFILES.MAX_NAME_LENGTH} characters`;
+    }
+
+    const taken = profiles.some(profile =>
+      profile.id !== exceptId && profile.name.toLowerCase() === trimmed.toLowerCase()
+    );
+    return taken ? `A profile named "${trimmed}" already exists` : null;
+  }
+
+  /**
+   * Add an empty profile (switching is done by the background)
+   */
+  static async addProfile(name) {
+    const state = await this.getProfiles();
+
+    if (state.profiles.length >= CONSTANTS.PROFILES.MAX_PROFILES) {
+      throw new Error(`Cannot exceed ${CONSTANTS.PROFILES.MAX_PROFILES} profiles`);
+    }
+
+    const error = this.validateProfileName(name, state.profiles);
+    if (error) {
+      throw new Error(error);
+    }
+
+    const profile = {
+      id: 'profile_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+      name: name.trim(),
+      createdAt: Date.now()
+    };
+    const updated = { ...state, profiles: [...state.profiles, profile] };
+
+    await chrome.storage.sync.set({ [CONSTANTS.STORAGE_KEYS.PROFILES]: updated });
+    return updated;
+  }
+
+  /**
+   * Rename a profile
+   */
+  static async renameProfile(profileId, name) {
+    const state = await this.getProfiles();
+
+    const error = this.validateProfileName(name, state.profiles, profileId);
+    if (error) {
+      throw new Error(error);
+    }
+
+    const updated = {
+      ...state,
+      profiles: state.profiles.map(profile =>
+        profile.id === profileId ? { ...profile, name: name.trim() } : profile
+      )
+    };
+
+    await chrome.storage.sync.set({ [CONSTANTS.STORAGE_KEYS.PROFILES]: updated });
+    return updated;
+  }
+
+  /**
+   * Remove an inactive profile with its saved data and schedule bindings
+   */
+  static async removeProfile(profileId) {
+    const state = await this.getProfiles();
+
+    if (profileId === state.activeId) {
+      throw new Error('Switch to another profile before removing this one');
+    }
+
+    const updated = {
+      ...state,
+      profiles: state.profiles.filter(profile => profile.id !== profileId)
+    };
+
+    const dataKey = CONSTANTS.STORAGE_KEYS.PROFILE_DATA;
+    const [localData, settings] = await Promise.all([
+      chrome.storage.local.get(dataKey),
+      this.getSettings()
+    ]);
+    const snapshots = { ...localData[dataKey] };
+    delete snapshots[profileId];
+
+    const schedule = { ...CONSTANTS.DEFAULT_SETTINGS.schedule, ...settings.schedule };
+    const rules = schedule.rules.map(rule =>
+      rule.profileId === profileId ? { ...rule, profileId: null } : rule
+    );
+
+    await chrome.storage.local.set({ [dataKey]: snapshots });
+    await chrome.storage.sync.set({ [CONSTANTS.STORAGE_KEYS.PROFILES]: updated });
+    await this.setSettings({ schedule: { ...schedule, rules } });
+    return updated;
+  }
+
+  /**
+   * Get the schedule state kept current by the background ({ active, nextChangeAt }),
+   * or null when no schedule is in effect
+   */
+  static async getScheduleState() {
+    try {
+      const result = await chrome.storage.local.get(CONSTANTS.STORAGE_KEYS.SCHEDULE_STATE);
+      return result[CONSTANTS.STORAGE_KEYS.SCHEDULE_STATE] || null;
+    } catch (error) {
+      console.error('Error getting schedule state:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get the summary of the last finished focus session, if not yet dismissed
+   */
+  static async getFocusSummary() {
+    try {
+      const result = await chrome.storage.local.get(CONSTANTS.STORAGE_KEYS.FOCUS_SUMMARY);
+      return result[CONSTANTS.STORAGE_KEYS.FOCUS_SUMMARY] || null;
+    } catch (error) {
+      console.error('Error getting focus summary:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Dismiss the last focus session summary (it stays in the history)
+   */
+  static async dismissFocusSummary() {
+    try {
+      await chrome.storage.local.remove(CONSTANTS.STORAGE_KEYS.FOCUS_SUMMARY);
+      return true;
+    } catch (error) {
+      console.error('Error dismissing focus summary:', error);
+      return false;
+    }
+  }
+}
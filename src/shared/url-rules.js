@@ -0,0 +1,263 @@
+/**
+ * URL rule matching shared by the background worker, content scripts and options page
+ * (used by both the whitelist and the blocklist)
+ *
+ * Supported rule formats:
+ *   example.com                  - the domain and all of its subdomains
+ *   *.example.com                - same as above, written as a wildcard
+ *   example.com/docs             - a path prefix: /docs and anything below it
+ *   example.com/shorts/*         - a path prefix where "*" matches anything
+ *   example.com/playlist?list=X  - query parameters that must be present with these
+ *                                  values (in any order; "list=*" or "list" = any value)
+ *   /reddit\.com\/r\//i          - a regular expression tested against the full URL
+ */
+class UrlRules {
+  
+  /**
+   * Parse a rule string into a matcher, throwing on invalid input
+   */
+  static parseRule(entry) {
+    if (!entry || typeof entry !== 'string') {
+      throw new Error('Rule must be a non-empty string');
+    }
+
+    const raw = entry.trim();
+    if (!raw) {
+      throw new Error('Rule must be a non-empty string');
+    }
+
+    if (raw.length > CONSTANTS.URL_RULES.MAX_RULE_LENGTH) {
+      throw new Error(`Rule cannot exceed ${CONSTANTS.URL_RULES.MAX_RULE_LENGTH} characters`);
+    }
+
+    // Regular expression: /pattern/flags
+    const regexMatch = raw.match(/^\/(.+)\/([a-z]*)$/);
+    if (regexMatch) {
+      const [, pattern, flags] = regexMatch;
+      if (!/^[imsu]*$/.test(flags)) {
+        throw new Error(`Unsupported regular expression flags: ${flags}`);
+      }
+
+      try {
+        return { type: 'regex', raw, regex: new RegExp(pattern, flags) };
+      } catch (error) {
+        throw new Error(`Invalid regular expression: ${error.message}`);
+      }
+    }
+
+    const normalized = this.normalizeRule(raw);
+    const slashIndex = normalized.indexOf('/');
+    let host = slashIndex === -1 ? normalized : normalized.slice(0, slashIndex);
+    const [path, query = ''] = (slashIndex === -1 ? '' : normalized.slice(slashIndex)).split('?');
+
+    const wildcard = host.startsWith('*.');
+    if (wildcard) {
+      host = host.slice(2);
+    }
+
+    if (!this.isValidHost(host)) {
+      throw new Error(`Invalid domain: ${host || raw}`);
+    }
+
+    const pathRegex = this.compilePathPrefix(path);
+    const queryParams = [...new URLSearchParams(query)]
+      .map(([name, value]) => ({ name, value: value === '*' ? '' : value }));
+
+    let type = wildcard ? 'wildcard' : 'domain';
+    if (queryParams.length > 0) {
+      type = 'query';
+    } else if (pathRegex) {
+      type = 'path';
+    }
+
+    return {
+      type,
+      raw: normalized,
+      host,
+      pathRegex,
+      queryParams
+    };
+  }
+
+  /**
+   * Compile a path prefix; a trailing "*" allows partial segments ("/shorts*")
+   */
+  static compilePathPrefix(path) {
+    if (!path || path === '/' || path === '/*') {
+      return null;
+    }
+
+    const openEnded = path.endsWith('*') || path.endsWith('/');
+    const pattern = path
+      .replace(/\*+$/, '')
+      .split('*')
+      .map(part => this.escapeRegex(part))
+      .join('.*');
+
+    // "/docs" should match "/docs" and "/docs/intro" but not "/docsearch"
+    return new RegExp('^' + pattern + (openEnded ? '' : '(?:[/?#]|$)'));
+  }
+
+  /**
+   * Validate a rule, returning an error message or null
+   */
+  static validateRule(entry) {
+    try {
+      this.parseRule(entry);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  }
+
+  /**
+   * Canonical form of a rule: lowercase host without protocol, "www.", port or fragment
+   */
+  static normalizeRule(entry) {
+    const raw = (entry || '').trim();
+
+    // Regular expressions are kept verbatim
+    if (/^\/.+\/[a-z]*$/.test(raw)) {
+      return raw;
+    }
+
+    const withoutProtocol = raw.replace(/^[a-z][a-z0-9+.-]*:\/\//i, '');
+    const slashIndex = withoutProtocol.search(/[/?#]/);
+    const host = slashIndex === -1 ? withoutProtocol : withoutProtocol.slice(0, slashIndex);
+    let path = slashIndex === -1 ? '' : withoutProtocol.slice(slashIndex).replace(/#.*$/, '');
+
+    if (path && !path.startsWith('/')) {
+      path = '/' + path;
+    }
+
+    const normalizedHost = host
+      .toLowerCase()
+      .replace(/:\d+$/, '')
+      .replace(/^www\./, '')
+      .replace(/^\*\.www\./, '*.');
+
+    return normalizedHost + (path === '/' ? '' : path);
+  }
+
+  /**
+   * Check a hostname (without wildcard) for a plausible domain shape
+   */
+  static isValidHost(host) {
+    if (!host || host.length > 253 || !host.includes('.')) {
+      return false;
+    }
+
+    return host.split('.').every(label =>
+      label.length > 0 &&
+      label.length <= 63 &&
+      /^[a-z0-9-]+$/.test(label) &&
+      !label.startsWith('-') &&
+      !label.endsWith('-')
+    );
+  }
+
+  /**
+   * Compile rule strings into matchers, skipping (and logging) invalid ones
+   */
+  static compile(entries) {
+    return (entries || []).reduce((rules, entry) => {
+      try {
+        rules.push(this.parseRule(entry));
+      } catch (error) {
+        console.warn('[Focus Guard] Skipping invalid rule:', entry, error.message);
+      }
+      return rules;
+    }, []);
+  }
+
+  /**
+   * Test a single compiled rule against a URL
+   */
+  static matches(rule, url) {
+    if (rule.type === 'regex') {
+      return rule.regex.test(url);
+    }
+
+    let urlObj;
+    try {
+      urlObj = new URL(url);
+    } catch (error) {
+      return false;
+    }
+
+    const hostname = urlObj.hostname.toLowerCase().replace(/^www\./, '');
+    if (hostname !== rule.host && !hostname.endsWith('.' + rule.host)) {
+      return false;
+    }
+
+    if (rule.pathRegex && !rule.pathRegex.test(urlObj.pathname)) {
+      return false;
+    }
+
+    return rule.queryParams.every(({ name, value }) => {
+      const values = urlObj.searchParams.getAll(name);
+      return value ? values.includes(value) : values.length > 0;
+    });
+  }
+
+  /**
+   * Find the first compiled rule matching a URL
+   */
+  static findMatch(rules, url) {
+    if (!url || !Array.isArray(rules)) {
+      return null;
+    }
+
+    return rules.find(rule => this.matches(rule, url)) || null;
+  }
+
+  /**
+   * Extract domain rules from a hosts file or a plain one-domain-per-line list
+   */
+  static parseHostsFile(text) {
+    const ignoredHosts = new Set([
+      'localhost',
+      'localhost.localdomain',
+      'local',
+      'broadcasthost',
+      'ip6-localhost',
+      'ip6-loopback',
+      '0.0.0.0'
+    ]);
+    const rules = new Set();
+    let skipped = 0;
+
+    (text || '').split(/\r?\n/).forEach(line => {
+      const tokens = line.replace(/#.*$/, '').trim().split(/\s+/).filter(Boolean);
+      if (tokens.length === 0) {
+        return;
+      }
+
+      // "0.0.0.0 example.com other.com" - drop the address column
+      const isAddress = /^[\d.]+$/.test(tokens[0]) || tokens[0].includes(':');
+      const hosts = isAddress ? tokens.slice(1) : tokens;
+
+      hosts.forEach(host => {
+        const rule = this.normalizeRule(host);
+        if (ignoredHosts.has(rule)) {
+          return;
+        }
+
+        if (this.isValidHost(rule)) {
+          rules.add(rule);
+        } else {
+          skipped++;
+        }
+      });
+    });
+
+    return { rules: [...rules], skipped };
+  }
+
+  /**
+   * Escape a string for literal use inside a regular expression
+   */
+  static escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+}
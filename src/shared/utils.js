@@ -85,34 +85,14 @@ class Utils {
     return window.location.href;
   }
 
-  /**
-   * Check if rate limit is exceeded
-   */
-  static isRateLimited(settings) {
-    const now = Date.now();
-    const timeSinceLastRequest = now - (settings.rateLimit.lastRequestTime || 0);
-    const minInterval = (60 * 1000) / settings.rateLimit.requestsPerMinute; // ms between requests
-    
-    return timeSinceLastRequest < minInterval;
-  }
-
-  /**
-   * Update rate limit timestamp
-   */
-  static updateRateLimit(settings) {
-    return {
-      ...settings,
-      rateLimit: {
-        ...settings.rateLimit,
-        lastRequestTime: Date.now()
-      }
-    };
-  }
-
   /**
    * Validate API key format
    */
   static validateApiKey(provider, apiKey) {
+    if (provider === 'local') {
+      return true; // Local servers usually run without a key
+    }
+
     if (!apiKey || typeof apiKey !== 'string') {
       return false;
     }
@@ -139,39 +119,348 @@ class Utils {
       return 'No specific goals set';
     }
 
-    return goals
-      .filter(goal => goal.isActive)
-      .map(goal => `- ${goal.text}`)
+    const activeGoals = goals.filter(goal => this.isGoalActive(goal));
+    if (activeGoals.length === 0) {
+      return 'No specific goals set';
+    }
+
+    return activeGoals
+      .map((goal, index) => {
+        const weight = this.getGoalWeight(index, activeGoals.length).toFixed(2);
+        const lines = [`- [${goal.id}] (priority ${index + 1}, weight ${weight}) ${goal.text}`];
+
+        if (goal.keywords?.length) {
+          lines.push(`  Related topics/sites: ${goal.keywords.join(', ')}`);
+        }
+        if (goal.antiPatterns?.length) {
+          lines.push(`  Not this (counts as a distraction): ${goal.antiPatterns.join(', ')}`);
+        }
+
+        return lines.join('\n');
+      })
       .join('\n');
   }
 
+  /**
+   * Whether a goal counts right now: not paused and not past its expiry date
+   */
+  static isGoalActive(goal, now = Date.now()) {
+    return goal.isActive !== false && !(goal.expiresAt && goal.expiresAt <= now);
+  }
+
+  /**
+   * Priority weight of the goal at a position in the user's order (top goal = 1)
+   */
+  static getGoalWeight(index, count) {
+    return count > 0 ? (count - index) / count : 0;
+  }
+
+  /**
+   * Test a goal hint against a page. Site-like hints ("rust-lang.org", "youtube.com/shorts")
+   * use the URL rule matcher; anything else is a whole-word phrase match on the title and URL.
+   */
+  static matchesGoalHint(hint, page) {
+    const phrase = (hint || '').trim().toLowerCase();
+    if (!phrase) {
+      return false;
+    }
+
+    if (/^[a-z0-9*-]+(\.[a-z0-9-]+)+(\/\S*)?$/.test(phrase)) {
+      try {
+        return UrlRules.matches(UrlRules.parseRule(phrase), page.url);
+      } catch (error) {
+        // Not a valid rule after all; fall back to a text match
+      }
+    }
+
+    let urlText = '';
+    try {
+      const urlObj = new URL(page.url);
+      urlText = decodeURIComponent(urlObj.hostname + urlObj.pathname).replace(/[-_/.+]+/g, ' ');
+    } catch (error) {
+      urlText = page.url || '';
+    }
+
+    // Whole words, allowing a plural ("game stream" matches "Game Streams")
+    const words = phrase.split(/\s+/).map(word => UrlRules.escapeRegex(word)).join('[\\s_-]+');
+    const pattern = new RegExp(`(^|[^\\p{L}\\p{N}])${words}(e?s)?(?=$|[^\\p{L}\\p{N}])`, 'iu');
+    return pattern.test(page.title || '') || pattern.test(urlText);
+  }
+
+  /**
+   * Cheap verdict from goal hints, or null when the LLM has to decide.
+   * A "not this" pattern blocks and a related topic or site allows, but only
+   * when no other goal's hints point the other way.
+   */
+  static matchGoalHints(goals, page) {
+    let allow = null;
+    let block = null;
+
+    (goals || []).forEach(goal => {
+      const antiPattern = (goal.antiPatterns || []).find(hint => this.matchesGoalHint(hint, page));
+      if (antiPattern) {
+        block = block || { goal, hint: antiPattern };
+        return;
+      }
+
+      const keyword = (goal.keywords || []).find(hint => this.matchesGoalHint(hint, page));
+      if (keyword) {
+        allow = allow || { goal, hint: keyword };
+      }
+    });
+
+    if (block && !allow) {
+      return { shouldBlock: true, ...block };
+    }
+
+    if (allow && !block) {
+      return { shouldBlock: false, ...allow };
+    }
+
+    return null;
+  }
+
   /**
    * Create prompt for LLM analysis
    */
-  static createAnalysisPrompt(title, content, goals) {
-    const goalsText = this.formatGoalsForPrompt(goals);
-    
-    return CONSTANTS.ANALYSIS_PROMPT
-      .replace('{goals}', goalsText)
-      .replace('{title}', title)
-      .replace('{content}', content);
+  static createAnalysisPrompt(title, content, goals, feedbackExamples = []) {
+    const values = {
+      goals: this.formatGoalsForPrompt(goals),
+      categories: CONSTANTS.VERDICT.CATEGORIES.join(', '),
+      feedback: this.formatFeedbackExamples(feedbackExamples),
+      title,
+      content
+    };
+
+    // One pass with a replacer function: page text containing "$&" or "{content}" is inserted as-is
+    return ANALYSIS_PROMPT.replace(/\{(goals|categories|feedback|title|content)\}/g, (placeholder, name) => values[name]);
   }
 
   /**
-   * Parse confidence score from LLM response
+   * Site key used for learned feedback (hostname without "www.")
+   */
+  static getFeedbackDomain(url) {
+    try {
+      return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Threshold shift learned for a site: bypasses make it more lenient, confirmed blocks stricter
+   */
+  static getThresholdAdjustment(feedbackEntry) {
+    if (!feedbackEntry) {
+      return 0;
+    }
+
+    const { THRESHOLD_STEP, MAX_ADJUSTMENT } = CONSTANTS.FEEDBACK;
+    const net = (feedbackEntry.confirmations || 0) - (feedbackEntry.bypasses || 0);
+    return Math.max(-MAX_ADJUSTMENT, Math.min(MAX_ADJUSTMENT, net * THRESHOLD_STEP));
+  }
+
+  /**
+   * Minimum alignment score for a site after applying learned feedback
+   */
+  static getEffectiveMinScore(settings, feedbackEntry) {
+    const base = settings.minAlignmentScore ?? CONSTANTS.SCORING.DEFAULT_MIN_ALIGNMENT;
+    const adjusted = base + this.getThresholdAdjustment(feedbackEntry);
+    return Math.max(CONSTANTS.SCORING.MIN, Math.min(CONSTANTS.SCORING.MAX, adjusted));
+  }
+
+  /**
+   * Format learned feedback as few-shot examples for the prompt
+   */
+  static formatFeedbackExamples(examples) {
+    if (!examples || examples.length === 0) {
+      return '';
+    }
+
+    const lines = examples.map(example => {
+      const score = typeof example.alignmentScore === 'number' ? `, scored ${example.alignmentScore}` : '';
+      const outcome = example.verdict === 'block'
+        ? 'the user confirmed it was a distraction'
+        : 'the user needed it and bypassed the block';
+      return `- "${example.title || example.url}" (${example.url}${score}): ${outcome}`;
+    });
+
+    return `USER FEEDBACK ON PAST VERDICTS (calibrate your score with these):\n${lines.join('\n')}\n\n`;
+  }
+
+  /**
+   * Price of a model in USD per million tokens ({ input, output }), or null if unknown
+   */
+  static getModelPrice(model, prices = {}) {
+    return prices?.[model] || CONSTANTS.PRICING.MODELS[model] || null;
+  }
+
+  /**
+   * Cost in USD of a token count at a price (unpriced models count as free)
+   */
+  static getTokenCost({ inputTokens = 0, outputTokens = 0 }, price) {
+    return price ? (inputTokens * price.input + outputTokens * price.output) / 1e6 : 0;
+  }
+
+  /**
+   * Estimated cost in USD per model of one day's token usage ({ provider: { inputTokens, outputTokens, models } }).
+   * Tokens recorded before per-model tracking are priced at the provider's default model.
+   */
+  static estimateCostByModel(dayUsage, prices = {}) {
+    const costs = {};
+    const addCost = (model, tokens) => {
+      costs[model] = (costs[model] || 0) + this.getTokenCost(tokens, this.getModelPrice(model, prices));
+    };
+
+    Object.entries(dayUsage || {}).forEach(([provider, usage]) => {
+      if (provider === 'local') {
+        return;
+      }
+
+      let inputTokens = usage.inputTokens || 0;
+      let outputTokens = usage.outputTokens || 0;
+
+      Object.entries(usage.models || {}).forEach(([model, modelUsage]) => {
+        addCost(model, modelUsage);
+        inputTokens -= modelUsage.inputTokens || 0;
+        outputTokens -= modelUsage.outputTokens || 0;
+      });
+
+      if (inputTokens > 0 || outputTokens > 0) {
+        addCost(CONSTANTS.PRICING.DEFAULT_MODELS[provider], { inputTokens, outputTokens: Math.max(0, outputTokens) });
+      }
+    });
+
+    return costs;
+  }
+
+  /**
+   * Estimated total cost in USD of one day's token usage
+   */
+  static estimateCost(dayUsage, prices = {}) {
+    return Object.values(this.estimateCostByModel(dayUsage, prices)).reduce((total, cost) => total + cost, 0);
+  }
+
+  /**
+   * The provider's listed model that costs least for a typical request, or null if none are priced
+   */
+  static getCheapestModel(provider, prices = {}) {
+    const costPerPage = model => this.getTokenCost(CONSTANTS.PRICING.TYPICAL_REQUEST, this.getModelPrice(model, prices));
+
+    return (CONSTANTS.PROVIDERS[provider]?.models || [])
+      .filter(model => this.getModelPrice(model, prices))
+      .sort((a, b) => costPerPage(a) - costPerPage(b))[0] || null;
+  }
+
+  /**
+   * Derive the block decision from an alignment score (see CONSTANTS.SCORING)
+   */
+  static shouldBlockForScore(alignmentScore, settings) {
+    if (typeof alignmentScore !== 'number') {
+      return false;
+    }
+
+    const minAlignment = settings?.minAlignmentScore ?? CONSTANTS.SCORING.DEFAULT_MIN_ALIGNMENT;
+    return alignmentScore < minAlignment;
+  }
+
+  /**
+   * Parse a structured verdict from the LLM response.
+   * Falls back to a bare score when the model ignored the JSON format.
+   */
+  static parseVerdict(response) {
+    if (!response || typeof response !== 'string') {
+      return null;
+    }
+
+    const verdict = this.validateVerdict(this.extractJsonObject(response));
+    if (verdict) {
+      return verdict;
+    }
+
+    const score = this.parseConfidenceScore(response);
+    if (score === null) {
+      return null;
+    }
+
+    return {
+      score,
+      category: 'other',
+      matchedGoalId: null,
+      rationale: '',
+      structured: false
+    };
+  }
+
+  /**
+   * Extract the first JSON object from a response, tolerating code fences and stray text
+   */
+  static extractJsonObject(text) {
+    const cleaned = text.replace(/```(?:json)?/gi, '').trim();
+    const start = cleaned.indexOf('{');
+    const end = cleaned.lastIndexOf('}');
+
+    if (start === -1 || end <= start) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(cleaned.substring(start, end + 1));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Validate and normalize a verdict object against VERDICT_SCHEMA
+   */
+  static validateVerdict(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return null;
+    }
+
+    const score = typeof data.score === 'string' ? Number(data.score) : data.score;
+    if (typeof score !== 'number' || !Number.isFinite(score) || score < 0 || score > 100) {
+      return null;
+    }
+
+    const category = CONSTANTS.VERDICT.CATEGORIES.includes(data.category) ? data.category : 'other';
+    const matchedGoalId = typeof data.matchedGoalId === 'string' && data.matchedGoalId !== 'null'
+      ? data.matchedGoalId.replace(/^\[|\]$/g, '')
+      : null;
+    const rationale = typeof data.rationale === 'string'
+      ? data.rationale.trim().substring(0, CONSTANTS.VERDICT.MAX_RATIONALE_LENGTH)
+      : '';
+
+    return {
+      score: Math.round(score),
+      category,
+      matchedGoalId,
+      rationale,
+      structured: true
+    };
+  }
+
+  /**
+   * Parse a bare alignment score from an unstructured LLM response
    */
   static parseConfidenceScore(response) {
     if (!response || typeof response !== 'string') {
       return null;
     }
 
-    // Extract number from response
-    const match = response.trim().match(/\d+/);
+    // Accept an explicit "score: N", a rating such as "30/100" or "30 out of 100", or a reply
+    // that is only the number. Other numbers in free text (numbered reasoning steps, counts) are
+    // too ambiguous, so those responses go to the error path instead.
+    const match =
+      response.match(/"?score"?\s*[:=]\s*(\d{1,3})\b/i) ||
+      response.match(/\b(\d{1,3})\s*(?:\/|out of)\s*100\b/i) ||
+      response.trim().match(/^(\d{1,3})\.?$/);
     if (!match) {
       return null;
     }
 
-    const score = parseInt(match[0], 10);
+    const score = parseInt(match[1], 10);
     
     // Validate score is in valid range
     if (score < 0 || score > 100) {
@@ -243,6 +532,151 @@ class Utils {
     return new Date(timestamp).toLocaleString();
   }
 
+  /**
+   * Render rows as CSV with a header of the given columns (quoted per RFC 4180). Text that a
+   * spreadsheet would run as a formula (=, +, -, @) is prefixed with an apostrophe.
+   */
+  static toCsv(rows, columns) {
+    const escape = (value) => {
+      let text = value === null || value === undefined ? '' : String(value);
+      if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+      }
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [columns, ...rows.map(row => columns.map(column => row[column]))]
+      .map(cells => cells.map(escape).join(','))
+      .join('\r\n');
+  }
+
+  /**
+   * Local calendar day as YYYY-MM-DD (daily budgets reset at local midnight)
+   */
+  static getDateKey(date = new Date()) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+
+  /**
+   * Bypasses left today, or Infinity when the daily limit is disabled
+   */
+  static getRemainingBypasses(bypassState, settings) {
+    const limit = settings.dailyBypassLimit ?? CONSTANTS.DEFAULT_SETTINGS.dailyBypassLimit;
+    if (!limit) {
+      return Infinity;
+    }
+
+    const used = bypassState?.date === this.getDateKey() ? bypassState.used : 0;
+    return Math.max(0, limit - used);
+  }
+
+  /**
+   * Minutes since midnight for an "HH:MM" string, or null if invalid
+   */
+  static parseScheduleTime(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+    if (!match) {
+      return null;
+    }
+
+    const hours = parseInt(match[1]);
+    const minutes = parseInt(match[2]);
+    return hours < 24 && minutes < 60 ? hours * 60 + minutes : null;
+  }
+
+  /**
+   * Day of week (0 = Sunday) and minutes since midnight in a time zone
+   * (falls back to the browser's zone when timeZone is empty or unknown)
+   */
+  static getZonedTime(date, timeZone) {
+    let parts;
+    try {
+      parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timeZone || undefined,
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+      }).formatToParts(date);
+    } catch (error) {
+      return { day: date.getDay(), minutes: date.getHours() * 60 + date.getMinutes() };
+    }
+
+    const get = type => parts.find(part => part.type === type)?.value;
+    return {
+      day: CONSTANTS.SCHEDULE.DAY_NAMES.indexOf(get('weekday')),
+      minutes: parseInt(get('hour')) * 60 + parseInt(get('minute'))
+    };
+  }
+
+  /**
+   * Schedule rules as [start, end) minute-of-week windows;
+   * a window whose end is not after its start runs past midnight
+   */
+  static getScheduleWindows(schedule) {
+    return (schedule?.rules || []).flatMap(rule => {
+      const start = this.parseScheduleTime(rule.start);
+      const end = this.parseScheduleTime(rule.end);
+      if (start === null || end === null || !Array.isArray(rule.days)) {
+        return [];
+      }
+
+      return rule.days.map(day => ({
+        ruleId: rule.id,
+        profileId: rule.profileId || null,
+        start: day * 1440 + start,
+        end: day * 1440 + (end > start ? end : end + 1440)
+      }));
+    });
+  }
+
+  /**
+   * Whether blocking is on under a schedule, when that next changes, and the
+   * current window (whose profile is switched to when it starts).
+   * A disabled schedule (or one without rules) never turns blocking off or switches profiles.
+   */
+  static getScheduleState(schedule, date = new Date()) {
+    const windows = this.getScheduleWindows(schedule);
+    if (!schedule?.enabled || windows.length === 0) {
+      return { active: true, nextChangeAt: null, windowKey: null, profileId: null };
+    }
+
+    const { WEEK_MINUTES } = CONSTANTS.SCHEDULE;
+    const { day, minutes } = this.getZonedTime(date, schedule.timezone);
+    const now = day * 1440 + minutes;
+
+    // Windows from late Saturday can spill into the start of the week
+    const current = windows.find(({ start, end }) =>
+      (now >= start && now < end) || (now + WEEK_MINUTES >= start && now + WEEK_MINUTES < end)
+    );
+    const active = Boolean(current);
+
+    const untilNext = Math.min(...windows.flatMap(({ start, end }) => [start, end])
+      .map(boundary => ((boundary - now) % WEEK_MINUTES + WEEK_MINUTES) % WEEK_MINUTES || WEEK_MINUTES));
+
+    const minuteStart = date.getTime() - date.getTime() % 60000;
+    return {
+      active,
+      nextChangeAt: minuteStart + untilNext * 60000,
+      windowKey: current ? `${current.ruleId}:${current.start}` : null,
+      profileId: current?.profileId || null
+    };
+  }
+
+  /**
+   * Weekday and time of a schedule boundary in the schedule's time zone
+   */
+  static formatScheduleTime(timestamp, timeZone) {
+    const options = { weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' };
+    try {
+      return new Date(timestamp).toLocaleString([], { ...options, timeZone: timeZone || undefined });
+    } catch (error) {
+      return new Date(timestamp).toLocaleString([], options);
+    }
+  }
+
   /**
    * Encrypt sensitive data (basic implementation)
    */
@@ -278,11 +712,59 @@ class Utils {
   }
 
   /**
-   * Generate cache key for page analysis
+   * Normalize a URL for cache keys: drop the fragment, "www.", tracking
+   * parameters and trailing slashes, and sort the remaining query parameters
    */
-  static generateCacheKey(url, content, goals) {
-    const goalsHash = goals.map(g => g.text).join('|');
-    const contentHash = content.substring(0, 100); // First 100 chars
-    return btoa(`${url}:${contentHash}:${goalsHash}`).substring(0, 50);
+  static normalizeUrlForCache(url) {
+    try {
+      const urlObj = new URL(url);
+      const isTrackingParam = name => CONSTANTS.CACHE.TRACKING_PARAMS.some(param =>
+        param.endsWith('*') ? name.startsWith(param.slice(0, -1)) : name === param
+      );
+
+      const params = [...urlObj.searchParams.entries()]
+        .filter(([name]) => !isTrackingParam(name))
+        .sort(([a], [b]) => a.localeCompare(b));
+      const query = new URLSearchParams(params).toString();
+      const host = urlObj.host.toLowerCase().replace(/^www\./, '');
+      const path = urlObj.pathname.replace(/\/+$/, '') || '/';
+
+      return `${urlObj.protocol}//${host}${path}${query ? `?${query}` : ''}`;
+    } catch (error) {
+      return (url || '').trim().toLowerCase();
+    }
+  }
+
+  /**
+   * SHA-256 hex digest via SubtleCrypto
+   */
+  static async sha256(text) {
+    const data = new TextEncoder().encode(text);
+    const digest = await crypto.subtle.digest('SHA-256', data);
+    return Array.from(new Uint8Array(digest))
+      .map(byte => byte.toString(16).padStart(2, '0'))
+      .join('');
+  }
+
+  /**
+   * Generate cache key for page analysis from the normalized URL,
+   * a content fingerprint, the active goal set and the model
+   */
+  static async generateCacheKey(url, content, goals, settings = {}) {
+    const contentFingerprint = await this.sha256(
+      (content || '').replace(/\s+/g, ' ').trim().toLowerCase()
+    );
+    // Kept in priority order, since reordering changes the weights in the prompt
+    const goalSet = goals
+      .filter(goal => this.isGoalActive(goal))
+      .map(goal => [goal.id, goal.text, ...(goal.keywords || []), '!', ...(goal.antiPatterns || [])].join(':'))
+      .join('|');
+
+    return this.sha256([
+      this.normalizeUrlForCache(url),
+      contentFingerprint,
+      goalSet,
+      `${settings.provider || ''}/${settings.model || ''}`
+    ].join('\n'));
   }
 }
\ No newline at end of file
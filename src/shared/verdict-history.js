@@ -0,0 +1,272 @@
+/**
+ * Per-page verdict history in IndexedDB, shared by the background worker (which records
+ * every analysis) and the options page (which searches it in the History tab).
+ * Page text is never stored.
+ *
+ * Entry shape:
+ *   { id, timestamp, url, title, domain, score, decision: 'block' | 'allow', source,
+ *     category, rationale, provider, model, latency, tokens: { inputTokens, outputTokens, totalTokens } | null,
+ *     bypassed }
+ */
+class VerdictHistory {
+
+  /**
+   * Open (and on first use create) the database, once per context
+   */
+  static open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(CONSTANTS.HISTORY.DB_NAME, CONSTANTS.HISTORY.DB_VERSION);
+
+        request.onupgradeneeded = (event) => {
+          if (event.oldVersion < 1) {
+            const store = request.result.createObjectStore(CONSTANTS.HISTORY.STORE, {
+              keyPath: 'id',
+              autoIncrement: true
+            });
+            store.createIndex('timestamp', 'timestamp');
+            store.createIndex('domain', 'domain');
+            store.createIndex('url', 'url');
+            return;
+          }
+
+          // Version 1 kept the start of each page's text; remove it
+          if (event.oldVersion < 2) {
+            const store = request.transaction.objectStore(CONSTANTS.HISTORY.STORE);
+            store.openCursor().onsuccess = (cursorEvent) => {
+              const cursor = cursorEvent.target.result;
+              if (cursor) {
+                const { excerpt, ...entry } = cursor.value;
+                cursor.update(entry);
+                cursor.continue();
+              }
+            };
+          }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      }).catch(error => {
+        this.dbPromise = null;
+        throw error;
+      });
+    }
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Run a callback against the store inside a transaction, resolving once it commits
+   */
+  static async transaction(mode, callback) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(CONSTANTS.HISTORY.STORE, mode);
+
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+
+      callback(tx.objectStore(CONSTANTS.HISTORY.STORE));
+    });
+  }
+
+  /**
+   * Record an analysis, returning its ID
+   */
+  static async add(entry) {
+    const record = {
+      timestamp: Date.now(),
+      bypassed: false,
+      ...entry,
+      domain: this.getDomain(entry.url)
+    };
+
+    let id;
+    await this.transaction('readwrite', store => {
+      store.add(record).onsuccess = (event) => {
+        id = event.target.result;
+      };
+    });
+    return id;
+  }
+
+  /**
+   * Add imported entries in one transaction (IDs are assigned anew)
+   */
+  static async addAll(entries) {
+    await this.transaction('readwrite', store => {
+      entries.forEach(({ id, ...entry }) => store.add({ ...entry, domain: this.getDomain(entry.url) }));
+    });
+  }
+
+  /**
+   * Domain an entry is filed under ('' for unparsable URLs, which are kept without one)
+   */
+  static getDomain(url) {
+    try {
+      return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    } catch (error) {
+      return '';
+    }
+  }
+
+  /**
+   * Flag the most recent entry for a URL as bypassed
+   */
+  static async markBypassed(url) {
+    await this.transaction('readwrite', store => {
+      const cursorRequest = store.index('url').openCursor(IDBKeyRange.only(url), 'prev');
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (cursor) {
+          cursor.update({ ...cursor.value, bypassed: true });
+        }
+      };
+    });
+  }
+
+  /**
+   * Search entries, newest first. Filters: text (title/URL), decision, domain, from/to (timestamps).
+   * Returns { entries, hasMore }.
+   */
+  static async query({ text = '', decision = '', domain = '', from = 0, to = Infinity, offset = 0, limit = CONSTANTS.HISTORY.PAGE_SIZE } = {}) {
+    const needle = text.trim().toLowerCase();
+    const domainFilter = domain.trim().toLowerCase().replace(/^www\./, '');
+    const entries = [];
+    let skipped = 0;
+    let hasMore = false;
+
+    const lower = from > 0 ? from : undefined;
+    const upper = Number.isFinite(to) ? to : undefined;
+    let range = null;
+    if (lower !== undefined && upper !== undefined) {
+      range = IDBKeyRange.bound(lower, upper);
+    } else if (lower !== undefined) {
+      range = IDBKeyRange.lowerBound(lower);
+    } else if (upper !== undefined) {
+      range = IDBKeyRange.upperBound(upper);
+    }
+
+    const matches = (entry) =>
+      (!decision || entry.decision === decision) &&
+      (!domainFilter || entry.domain === domainFilter || entry.domain.endsWith('.' + domainFilter)) &&
+      (!needle || `${entry.title || ''} ${entry.url}`.toLowerCase().includes(needle));
+
+    await this.transaction('readonly', store => {
+      const cursorRequest = store.index('timestamp').openCursor(range, 'prev');
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (!cursor) {
+          return;
+        }
+
+        if (matches(cursor.value)) {
+          if (entries.length === limit) {
+            hasMore = true;
+            return;
+          }
+
+          if (skipped < offset) {
+            skipped++;
+          } else {
+            entries.push(cursor.value);
+          }
+        }
+        cursor.continue();
+      };
+    });
+
+    return { entries, hasMore };
+  }
+
+  /**
+   * Distinct domains in the history, for filter suggestions
+   */
+  static async getDomains() {
+    const domains = [];
+
+    await this.transaction('readonly', store => {
+      const cursorRequest = store.index('domain').openKeyCursor(null, 'nextunique');
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (cursor) {
+          if (cursor.key) {
+            domains.push(cursor.key);
+          }
+          cursor.continue();
+        }
+      };
+    });
+
+    return domains;
+  }
+
+  /**
+   * Number of entries in the history
+   */
+  static async count() {
+    let total = 0;
+    await this.transaction('readonly', store => {
+      store.count().onsuccess = (event) => {
+        total = event.target.result;
+      };
+    });
+    return total;
+  }
+
+  /**
+   * Apply the retention limits: drop entries older than retentionDays, then the oldest beyond MAX_ENTRIES
+   */
+  static async prune(retentionDays = CONSTANTS.DEFAULT_SETTINGS.historyRetentionDays) {
+    const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+    let removed = 0;
+
+    await this.transaction('readwrite', store => {
+      const index = store.index('timestamp');
+
+      // Cap the size once the expired entries are gone
+      const trimExcess = () => {
+        store.count().onsuccess = (event) => {
+          let excess = event.target.result - CONSTANTS.HISTORY.MAX_ENTRIES;
+          if (excess <= 0) {
+            return;
+          }
+
+          index.openCursor().onsuccess = (cursorEvent) => {
+            const cursor = cursorEvent.target.result;
+            if (cursor && excess > 0) {
+              cursor.delete();
+              removed++;
+              excess--;
+              cursor.continue();
+            }
+          };
+        };
+      };
+
+      index.openCursor(IDBKeyRange.upperBound(cutoff, true)).onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (cursor) {
+          cursor.delete();
+          removed++;
+          cursor.continue();
+        } else {
+          trimExcess();
+        }
+      };
+    });
+
+    return removed;
+  }
+
+  /**
+   * Delete the whole history
+   */
+  static async clear() {
+    await this.transaction('readwrite', store => {
+      store.clear();
+    });
+  }
+}